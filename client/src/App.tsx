@@ -1,8 +1,25 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
 import mammoth from 'mammoth';
 import { read, utils } from 'xlsx';
 import Papa from 'papaparse';
+import Heatmap, { SweepAxes, SweepCellResult, sweepCellKey } from './Heatmap';
+import HistoryPanel, { StoredRun } from './HistoryPanel';
+import { MultiNeedleEditor, NeedleRecall, NeedleFact, NeedleScore, spreadDepths } from './MultiNeedle';
+import { DistractorEditor, Distractor, spreadDistractorDepths, distractedVerdict, checkDistractors } from './Distractors';
+import { GenerationProgress, GenerationProgressEvent, SINGLE_CALL_MAX_WORDS, MAX_GENERATED_WORDS } from './GenerationProgress';
+import { TrialStats, TrialResult, TrialSummary, summarizeTrials, totalUsage } from './Trials';
+import CostPreview, { RunEstimate, TokenUsage, ModelPrice, formatCost, formatTokens } from './CostPreview';
+import { ContextWindowNote, HaystackTruncation, ContextSkip } from './ContextWindow';
+import { SchedulerStatusNote, ProviderStatus, isNotableStatus } from './Scheduling';
+import { NeedleInsertion } from './Insertion';
+import { CorpusPicker, CorpusSource, describeCorpusSource } from './Corpus';
+import { RunExportButtons } from './RunExport';
+import { SuitePanel } from './Suites';
+import { BenchmarkRecord } from '@hay/suites';
+import { PromptTemplateControls, PromptTemplateSettings, DEFAULT_PROMPT_TEMPLATE, promptTemplatePayload, promptTemplateFromRun } from './PromptTemplate';
+import { GradingControls, GradeDetails, Grade, GradingSettings, DEFAULT_GRADING, gradingPayload, gradeLocally, gradeVerdict } from './Grading';
+import { SERVER_URL } from './config';
 
 interface NeedleTestResult {
   modelId: string;
@@ -10,6 +27,23 @@ interface NeedleTestResult {
   foundNeedle: boolean;
   responseTime: number;
   timestamp: string;
+  needles?: NeedleScore[];
+  trials?: TrialSummary;
+  trialResults?: TrialResult[];
+  usage?: TokenUsage | null;
+  cost?: number | null;
+  timeToFirstToken?: number | null;
+  requestId?: string | null;
+  finishReason?: string | null;
+  promptTemplate?: string;
+  attempts?: number;
+  queueTime?: number;
+  grade?: Grade;
+  distracted?: boolean;
+  distractorValues?: string[];
+  truncation?: HaystackTruncation;
+  skipped?: ContextSkip;
+  cancelled?: boolean;
   wordCount?: number;
   characterCount?: number;
   sentenceCount?: number;
@@ -20,6 +54,11 @@ interface ModelCardState {
   isExpanded: boolean;
   isLoading: boolean;
   result: NeedleTestResult | null;
+  sweepCells: { [key: string]: SweepCellResult } | null;
+  completedTrials: number;
+  streamingText: string;
+  streamingTrial: number | null;
+  providerStatus: ProviderStatus | null;
   temperature: number;
   maxTokens: number;
 }
@@ -30,96 +69,37 @@ interface ApiKeys {
   anthropic: string;
 }
 
+interface CustomEndpointSettings {
+  baseUrl: string;
+  apiKey: string;
+  models: string;
+  maxContext: string;
+}
+
+interface ModelCapabilities {
+  temperature: boolean;
+  reasoning: boolean;
+  maxContext: number;
+}
+
 interface AIModel {
   id: string;
   name: string;
   company: string;
-  cardColor: string;
-  accentColor: string;
-  textColor: string;
-  apiKeyField: keyof ApiKeys;
+  apiKeyField: string;
+  capabilities: ModelCapabilities;
+}
+
+interface ProviderInfo {
+  id: string;
+  name: string;
+  apiKeyField: string;
 }
 
-// Define AI models with their card styling
-const AI_MODELS: AIModel[] = [
-  // OpenAI Models (Green theme)
-  { id: 'o3', name: 'O3', company: 'openai', 
-    cardColor: '#065F46', accentColor: '#047857', textColor: '#FFFFFF', 
-    apiKeyField: 'openai' },
-  { id: 'o1', name: 'O1', company: 'openai', 
-    cardColor: '#047857', accentColor: '#064E3B', textColor: '#FFFFFF', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-4.1', name: 'GPT-4.1', company: 'openai', 
-    cardColor: '#10B981', accentColor: '#059669', textColor: '#FFFFFF', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-4.1-nano', name: 'GPT-4.1 Nano', company: 'openai', 
-    cardColor: '#34D399', accentColor: '#10B981', textColor: '#065F46', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-4', name: 'GPT-4', company: 'openai', 
-    cardColor: '#059669', accentColor: '#047857', textColor: '#FFFFFF', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', company: 'openai', 
-    cardColor: '#6EE7B7', accentColor: '#34D399', textColor: '#065F46', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-4o-mini', name: 'GPT-4o Mini', company: 'openai', 
-    cardColor: '#A7F3D0', accentColor: '#6EE7B7', textColor: '#065F46', 
-    apiKeyField: 'openai' },
-  { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', company: 'openai', 
-    cardColor: '#D1FAE5', accentColor: '#A7F3D0', textColor: '#064E3B', 
-    apiKeyField: 'openai' },
-  
-  // Google Models (Blue theme)
-  { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', company: 'google', 
-    cardColor: '#1E40AF', accentColor: '#1D4ED8', textColor: '#FFFFFF', 
-    apiKeyField: 'google' },
-  { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', company: 'google', 
-    cardColor: '#3B82F6', accentColor: '#2563EB', textColor: '#FFFFFF', 
-    apiKeyField: 'google' },
-  { id: 'gemini-2.5-flash-preview-04-17', name: 'Gemini 2.5 Flash Preview 04-17', company: 'google', 
-    cardColor: '#2563EB', accentColor: '#1D4ED8', textColor: '#FFFFFF', 
-    apiKeyField: 'google' },
-  { id: 'gemini-2.5-flash-lite-preview-06-17', name: 'Gemini 2.5 Flash-Lite Preview 06-17', company: 'google', 
-    cardColor: '#60A5FA', accentColor: '#3B82F6', textColor: '#1E3A8A', 
-    apiKeyField: 'google' },
-  { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', company: 'google', 
-    cardColor: '#1D4ED8', accentColor: '#1E40AF', textColor: '#FFFFFF', 
-    apiKeyField: 'google' },
-  { id: 'gemini-2.0-flash-lite', name: 'Gemini 2.0 Flash Lite', company: 'google', 
-    cardColor: '#93C5FD', accentColor: '#60A5FA', textColor: '#1E3A8A', 
-    apiKeyField: 'google' },
-  { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', company: 'google', 
-    cardColor: '#BFDBFE', accentColor: '#93C5FD', textColor: '#1E40AF', 
-    apiKeyField: 'google' },
-  { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', company: 'google', 
-    cardColor: '#DBEAFE', accentColor: '#BFDBFE', textColor: '#1E40AF', 
-    apiKeyField: 'google' },
-  
-  // Anthropic Models (Orange theme)
-  { id: 'claude-opus-4', name: 'Claude Opus 4', company: 'anthropic', 
-    cardColor: '#7C2D12', accentColor: '#92400E', textColor: '#FFFFFF', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', company: 'anthropic', 
-    cardColor: '#92400E', accentColor: '#B45309', textColor: '#FFFFFF', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-3-7-sonnet', name: 'Claude 3.7 Sonnet', company: 'anthropic', 
-    cardColor: '#D97706', accentColor: '#F59E0B', textColor: '#FFFFFF', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-3-5-sonnet-v2', name: 'Claude 3.5 Sonnet v2', company: 'anthropic', 
-    cardColor: '#F59E0B', accentColor: '#FBBF24', textColor: '#7C2D12', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-3-opus', name: 'Claude 3 Opus', company: 'anthropic', 
-    cardColor: '#F97316', accentColor: '#EA580C', textColor: '#FFFFFF', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-3-sonnet', name: 'Claude 3 Sonnet', company: 'anthropic', 
-    cardColor: '#EA580C', accentColor: '#C2410C', textColor: '#FFFFFF', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-3-haiku', name: 'Claude 3 Haiku', company: 'anthropic', 
-    cardColor: '#FB923C', accentColor: '#F97316', textColor: '#7C2D12', 
-    apiKeyField: 'anthropic' },
-  { id: 'claude-instant', name: 'Claude Instant', company: 'anthropic', 
-    cardColor: '#FED7AA', accentColor: '#FDBA74', textColor: '#9A3412', 
-    apiKeyField: 'anthropic' },
-];
+interface ModelRegistryResponse {
+  providers: ProviderInfo[];
+  models: { id: string; name: string; provider: string; capabilities: ModelCapabilities }[];
+}
 
 // Needle and Haystack SVG images as data URLs
 const NEEDLE_IMAGE = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 300'%3E%3Cdefs%3E%3ClinearGradient id='metal' x1='0%25' y1='0%25' x2='100%25' y2='0%25'%3E%3Cstop offset='0%25' style='stop-color:%23a0a0a0'/%3E%3Cstop offset='50%25' style='stop-color:%23f0f0f0'/%3E%3Cstop offset='100%25' style='stop-color:%23707070'/%3E%3C/linearGradient%3E%3C/defs%3E%3Cellipse cx='50' cy='40' rx='20' ry='35' fill='%23364e65'/%3E%3Crect x='45' y='40' width='10' height='240' fill='url(%23metal)'/%3E%3Cpolygon points='50,280 45,290 55,290' fill='url(%23metal)'/%3E%3C/svg%3E";
@@ -133,6 +113,13 @@ const OPENAI_LOGO = "data:image/svg+xml,%3Csvg fill='currentColor' width='16' he
 const GOOGLE_LOGO = "data:image/svg+xml,%3Csvg fill='currentColor' width='16' height='16' viewBox='0 0 210 210' xmlns='http://www.w3.org/2000/svg'%3E%3Cpath d='M0,105C0,47.103,47.103,0,105,0c23.383,0,45.515,7.523,64.004,21.756l-24.4,31.696C133.172,44.652,119.477,40,105,40c-35.841,0-65,29.159-65,65s29.159,65,65,65c28.867,0,53.398-18.913,61.852-45H105V85h105v20c0,57.897-47.103,105-105,105S0,162.897,0,105z'/%3E%3C/svg%3E";
 
 // Utility functions for message metrics
+// Finish reasons providers use when the answer was cut off by the max tokens setting
+const TOKEN_LIMIT_FINISH_REASONS = ['length', 'max_tokens', 'MAX_TOKENS', 'max_output_tokens'];
+
+const hitTokenLimit = (finishReason?: string | null) => {
+  return !!finishReason && TOKEN_LIMIT_FINISH_REASONS.includes(finishReason);
+};
+
 const getWordCount = (text: string) => {
   return text.trim().split(/\s+/).filter(word => word.length > 0).length;
 };
@@ -153,8 +140,10 @@ const getSentenceCount = (text: string) => {
 };
 
 // File processing functions
+const extensionOf = (file: File) => file.name.split('.').pop()?.toLowerCase();
+
 const processFile = async (file: File): Promise<string> => {
-  const fileExtension = file.name.split('.').pop()?.toLowerCase();
+  const fileExtension = extensionOf(file);
   const fileType = file.type;
 
   try {
@@ -196,7 +185,7 @@ const processPDFWithBackend = async (file: File): Promise<string> => {
     
     console.log(`📤 Uploading PDF to backend: ${file.name}`);
     
-    const response = await fetch('http://localhost:5000/api/upload-pdf', {
+    const response = await fetch(`${SERVER_URL}/api/upload-pdf`, {
       method: 'POST',
       body: formData
     });
@@ -237,20 +226,24 @@ const processExcelFile = async (file: File): Promise<string> => {
   return fullText.trim();
 };
 
-const processCSVFile = (file: File): Promise<string> => {
+// Shared by haystack uploads (rows as arrays) and dataset imports (`header` rows as objects)
+const parseCSVFile = (file: File, options: { header?: boolean; skipEmptyLines?: boolean | 'greedy' } = {}): Promise<Papa.ParseResult<any>> => {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
-      complete: (results: any) => {
-        const csv = results.data
-          .map((row: any) => Array.isArray(row) ? row.join(', ') : '')
-          .join('\n');
-        resolve(csv);
-      },
+      ...options,
+      complete: (results: Papa.ParseResult<any>) => resolve(results),
       error: (error: any) => reject(error)
     });
   });
 };
 
+const processCSVFile = async (file: File): Promise<string> => {
+  const results = await parseCSVFile(file);
+  return results.data
+    .map((row: any) => Array.isArray(row) ? row.join(', ') : '')
+    .join('\n');
+};
+
 const processHTMLFile = async (file: File): Promise<string> => {
   const text = await file.text();
   // Remove HTML tags and decode entities
@@ -259,26 +252,107 @@ const processHTMLFile = async (file: File): Promise<string> => {
   return div.textContent || div.innerText || '';
 };
 
-const processJSONFile = async (file: File): Promise<string> => {
-  const text = await file.text();
+// The parsed value, or the parser's message when the text is not valid JSON
+const parseJSON = (text: string): { json?: unknown; error?: string } => {
   try {
-    const json = JSON.parse(text);
-    return JSON.stringify(json, null, 2);
-  } catch {
-    return text; // Return as-is if not valid JSON
+    return { json: JSON.parse(text) };
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : 'parse error' };
   }
 };
 
+const processJSONFile = async (file: File): Promise<string> => {
+  const text = await file.text();
+  const { json, error } = parseJSON(text);
+  return error ? text : JSON.stringify(json, null, 2); // Return as-is if not valid JSON
+};
+
 const processTextFile = async (file: File): Promise<string> => {
   return await file.text();
 };
 
+// Benchmark datasets for suites: one record per JSONL line, JSON array item or CSV row
+const processBenchmarkFile = async (file: File): Promise<BenchmarkRecord[]> => {
+  const fileExtension = extensionOf(file);
+
+  switch (fileExtension) {
+    case 'jsonl':
+    case 'ndjson':
+      return await processJSONLRecords(file);
+    case 'json':
+      return await processJSONRecords(file);
+    case 'csv':
+      return await processCSVRecords(file);
+    default:
+      throw new Error(`Unsupported dataset type: ${fileExtension || file.type} (use JSONL, JSON or CSV)`);
+  }
+};
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const processJSONLRecords = async (file: File): Promise<BenchmarkRecord[]> => {
+  const text = await file.text();
+  return text.split(/\r?\n/).flatMap((line, index) => {
+    if (!line.trim()) return [];
+    const label = `Line ${index + 1}`;
+    const { json, error } = parseJSON(line);
+    if (error) {
+      return [{ label, error: `invalid JSON (${error})` }];
+    }
+    return [isRecord(json) ? { label, fields: json } : { label, error: 'not a JSON object' }];
+  });
+};
+
+// A plain array of records, or one wrapped in { cases } / { data }
+const processJSONRecords = async (file: File): Promise<BenchmarkRecord[]> => {
+  const { json, error } = parseJSON(await file.text());
+  if (error) {
+    throw new Error(`Invalid JSON: ${error}`);
+  }
+  const items = Array.isArray(json) ? json : isRecord(json) ? json.cases ?? json.data : null;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected an array of records');
+  }
+  return items.map((fields, index) => {
+    const label = `Item ${index + 1}`;
+    return isRecord(fields) ? { label, fields } : { label, error: 'not a JSON object' };
+  });
+};
+
+// The header row names the columns; rows are numbered as in a spreadsheet
+const processCSVRecords = async (file: File): Promise<BenchmarkRecord[]> => {
+  const results = await parseCSVFile(file, { header: true, skipEmptyLines: 'greedy' });
+  const rowErrors = new Map<number, string>();
+  results.errors.forEach(error => {
+    if (typeof error.row === 'number' && !rowErrors.has(error.row)) {
+      rowErrors.set(error.row, error.message);
+    }
+  });
+  return results.data.map((fields: Record<string, unknown>, index: number) => {
+    const label = `Row ${index + 2}`;
+    return rowErrors.has(index) ? { label, error: rowErrors.get(index) } : { label, fields };
+  });
+};
+
+// Session id shared by the socket connection and session-scoped REST calls
+const getSessionId = (): string => {
+  let storedSessionId = localStorage.getItem('needleTestSessionId');
+  if (!storedSessionId) {
+    storedSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    localStorage.setItem('needleTestSessionId', storedSessionId);
+  }
+  return storedSessionId;
+};
+
 function App() {
   const [socket, setSocket] = useState<any>(null);
   const [haystack, setHaystack] = useState('');
   const [needle, setNeedle] = useState('');
   const [exactMatch, setExactMatch] = useState('');
   const [uploadedFile, setUploadedFile] = useState<File | null>(null);
+  // The corpus selection the haystack was built from, kept with the text it produced
+  const [corpusSource, setCorpusSource] = useState<{ source: CorpusSource; haystack: string } | null>(null);
   const [apiKeys, setApiKeys] = useState<ApiKeys>({
     openai: '',
     google: '',
@@ -286,14 +360,54 @@ function App() {
   });
   const [modelStates, setModelStates] = useState<Map<string, ModelCardState>>(new Map());
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [suitesOpen, setSuitesOpen] = useState(false);
   const [showApiKeys, setShowApiKeys] = useState<{[key: string]: boolean}>({});
+  const [customEndpoint, setCustomEndpoint] = useState<CustomEndpointSettings>({
+    baseUrl: '',
+    apiKey: '',
+    models: '',
+    maxContext: '8192'
+  });
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [isTestRunning, setIsTestRunning] = useState(false);
-  const [selectedModelsToShow, setSelectedModelsToShow] = useState<string[]>(AI_MODELS.map(m => m.id));
+  const [aiModels, setAiModels] = useState<AIModel[]>([]);
+  const [providers, setProviders] = useState<ProviderInfo[]>([]);
+  const [selectedModelsToShow, setSelectedModelsToShow] = useState<string[]>([]);
   const [masterTemperature, setMasterTemperature] = useState(0.7);
   const [masterMaxTokens, setMasterMaxTokens] = useState(1000);
+  const [trialCount, setTrialCount] = useState(1);
+  const [truncateToFit, setTruncateToFit] = useState(false);
+  const [grading, setGrading] = useState<GradingSettings>(DEFAULT_GRADING);
+  const [promptTemplate, setPromptTemplate] = useState<PromptTemplateSettings>(DEFAULT_PROMPT_TEMPLATE);
+  const [activeTestId, setActiveTestId] = useState<string | null>(null);
+  // The run on screen (last started or opened from history), for exports
+  const [lastRunId, setLastRunId] = useState<string | null>(null);
+
+  // Cost estimate state; the budget is remembered per browser
+  const [budget, setBudget] = useState(() => parseFloat(localStorage.getItem('needleTestBudget') || '') || 1);
+  const [costEstimate, setCostEstimate] = useState<RunEstimate | null>(null);
+  const [isEstimating, setIsEstimating] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const knownModelIdsRef = useRef<Set<string>>(new Set());
+
+  // Depth × context-length sweep state
+  const [sweepMode, setSweepMode] = useState(false);
+  const [needleSentence, setNeedleSentence] = useState('');
+  const [contextLengthsInput, setContextLengthsInput] = useState('1000, 2000, 4000, 8000, 16000, 32000, 64000, 128000');
+  const [depthsInput, setDepthsInput] = useState('0, 25, 50, 75, 100');
+  const [sweepAxes, setSweepAxes] = useState<SweepAxes | null>(null);
+
+  // Multi-needle state
+  const [multiNeedleMode, setMultiNeedleMode] = useState(false);
+  const [facts, setFacts] = useState<NeedleFact[]>(spreadDepths([
+    { fact: '', exactMatch: '', depth: 0 },
+    { fact: '', exactMatch: '', depth: 0 },
+    { fact: '', exactMatch: '', depth: 0 }
+  ]));
+  const [distractorMode, setDistractorMode] = useState(false);
+  const [distractors, setDistractors] = useState<Distractor[]>(spreadDistractorDepths([{ statement: '', value: '', depth: 0 }]));
 
   // Auto-generation state
   const [isGenerating, setIsGenerating] = useState(false);
@@ -301,36 +415,96 @@ function App() {
   const [wordCount, setWordCount] = useState(1000);
   const [difficulty, setDifficulty] = useState('intermediate');
   const [topic, setTopic] = useState('');
+  const [generatorNeedleCount, setGeneratorNeedleCount] = useState(1);
+  const [generationProgress, setGenerationProgress] = useState<GenerationProgressEvent | null>(null);
+  // Long haystacks take many calls, so the timeout only fires when progress stops
+  const generationTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
 
   // Modal state for expanded response view
   const [modalOpen, setModalOpen] = useState(false);
   const [modalResult, setModalResult] = useState<NeedleTestResult | null>(null);
   const [modalModel, setModalModel] = useState<AIModel | null>(null);
+  const [modalTrial, setModalTrial] = useState<number | null>(null);
+
+  // Load the provider/model registry from the server (includes this session's custom endpoint models)
+  const loadModels = useCallback(async () => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/models?sessionId=${encodeURIComponent(getSessionId())}`);
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      const data: ModelRegistryResponse = await response.json();
+      const models = data.models.map(model => ({
+        id: model.id,
+        name: model.name,
+        company: model.provider,
+        apiKeyField: data.providers.find(p => p.id === model.provider)?.apiKeyField || model.provider,
+        capabilities: model.capabilities
+      }));
+      setProviders(data.providers);
+      setAiModels(models);
+
+      // Show newly added models without resetting the user's selection
+      const newModelIds = models.map(m => m.id).filter(id => !knownModelIdsRef.current.has(id));
+      knownModelIdsRef.current = new Set(models.map(m => m.id));
+      setSelectedModelsToShow(prev => [...prev.filter(id => knownModelIdsRef.current.has(id)), ...newModelIds]);
+    } catch (error) {
+      setError(`Failed to load models: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }, []);
 
-  // Initialize model states
   useEffect(() => {
-    const initialStates = new Map<string, ModelCardState>();
-    AI_MODELS.forEach(model => {
-      initialStates.set(model.id, {
-        isExpanded: false,
-        isLoading: false,
-        result: null,
-        temperature: 0.7,
-        maxTokens: 1000
+    loadModels();
+  }, [loadModels]);
+
+  const clearGenerationTimeout = useCallback(() => {
+    if (generationTimeoutRef.current) {
+      clearTimeout(generationTimeoutRef.current);
+      generationTimeoutRef.current = null;
+    }
+  }, []);
+
+  // Give up on generation after 60 seconds without a progress update
+  const armGenerationTimeout = useCallback(() => {
+    clearGenerationTimeout();
+    generationTimeoutRef.current = setTimeout(() => {
+      console.log('⏰ Test generation timeout - resetting state');
+      generationTimeoutRef.current = null;
+      setIsGenerating(false);
+      setGenerationProgress(null);
+      setError('Test generation timed out. Please try again.');
+    }, 60000);
+  }, [clearGenerationTimeout]);
+
+  // Initialize model states, keeping any existing card state
+  useEffect(() => {
+    setModelStates(prev => {
+      const newStates = new Map(prev);
+      aiModels.forEach(model => {
+        if (!newStates.has(model.id)) {
+          newStates.set(model.id, {
+            isExpanded: false,
+            isLoading: false,
+            result: null,
+            sweepCells: null,
+            completedTrials: 0,
+            streamingText: '',
+            streamingTrial: null,
+            providerStatus: null,
+            temperature: 0.7,
+            maxTokens: 1000
+          });
+        }
       });
+      return newStates;
     });
-    setModelStates(initialStates);
-  }, []);
+  }, [aiModels]);
 
   // Socket connection
   useEffect(() => {
-    let storedSessionId = localStorage.getItem('needleTestSessionId');
-    if (!storedSessionId) {
-      storedSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      localStorage.setItem('needleTestSessionId', storedSessionId);
-    }
-    
-    const newSocketInstance = io('http://localhost:5000', {
+    const storedSessionId = getSessionId();
+
+    const newSocketInstance = io(SERVER_URL, {
       query: { sessionId: storedSessionId }
     });
     setSocket(newSocketInstance);
@@ -351,6 +525,15 @@ function App() {
       }
     });
 
+    newSocketInstance.on('customEndpointSet', ({ success, baseUrl, models, error }: { success: boolean, baseUrl?: string, models?: string[], error?: string }) => {
+      if (success) {
+        setSuccess(`Custom endpoint ${baseUrl} set with ${models?.length || 0} models`);
+        loadModels();
+      } else {
+        setError(`Failed to set custom endpoint: ${error}`);
+      }
+    });
+
     newSocketInstance.on('needleTestResult', (result: NeedleTestResult) => {
       // Calculate additional metrics
       const enhancedResult = {
@@ -375,6 +558,28 @@ function App() {
       });
     });
 
+    newSocketInstance.on('needleTestSkipped', ({ modelId, ...skipped }: ContextSkip & { modelId: string }) => {
+      setModelStates(prev => {
+        const newStates = new Map(prev);
+        const state = newStates.get(modelId);
+        if (state) {
+          newStates.set(modelId, {
+            ...state,
+            isLoading: false,
+            result: {
+              modelId,
+              response: '',
+              foundNeedle: false,
+              responseTime: 0,
+              timestamp: new Date().toISOString(),
+              skipped: { reason: skipped.reason, haystackTokens: skipped.haystackTokens, maxContext: skipped.maxContext }
+            }
+          });
+        }
+        return newStates;
+      });
+    });
+
     newSocketInstance.on('needleTestError', ({ modelId, error }: { modelId: string, error: string }) => {
       setModelStates(prev => {
         const newStates = new Map(prev);
@@ -400,18 +605,143 @@ function App() {
       });
     });
 
-    newSocketInstance.on('allTestsComplete', () => {
+    newSocketInstance.on('needleTrialResult', ({ modelId, trial }: { modelId: string, trial: number }) => {
+      setModelStates(prev => {
+        const newStates = new Map(prev);
+        const state = newStates.get(modelId);
+        if (state) {
+          // Once the streamed trial finishes, follow whichever trial streams next
+          const finishedStreaming = state.streamingTrial === trial;
+          newStates.set(modelId, {
+            ...state,
+            completedTrials: state.completedTrials + 1,
+            ...(finishedStreaming && { streamingText: '', streamingTrial: null })
+          });
+        }
+        return newStates;
+      });
+    });
+
+    // Partial responses as they stream in; with trials the card follows one trial at a time
+    newSocketInstance.on('needleTestChunk', ({ modelId, trial, delta }: { modelId: string, trial?: number, delta: string }) => {
+      setModelStates(prev => {
+        const state = prev.get(modelId);
+        if (!state || !state.isLoading) return prev;
+        if (trial && state.streamingTrial !== null && state.streamingTrial !== trial) return prev;
+
+        const newStates = new Map(prev);
+        newStates.set(modelId, {
+          ...state,
+          streamingText: state.streamingText + delta,
+          streamingTrial: trial || null
+        });
+        return newStates;
+      });
+    });
+
+    // Queue position and retries from the provider scheduler
+    newSocketInstance.on('needleTestStatus', ({ modelId, testId, ...status }: ProviderStatus & { modelId: string, testId: string }) => {
+      setModelStates(prev => {
+        const state = prev.get(modelId);
+        if (!state) return prev;
+
+        const newStates = new Map(prev);
+        // A retried request streams its answer again from the start
+        const restartsStream = status.state === 'retrying'
+          && (!status.trial || state.streamingTrial === status.trial);
+        newStates.set(modelId, {
+          ...state,
+          providerStatus: isNotableStatus(status) ? status : null,
+          ...(restartsStream && { streamingText: '', streamingTrial: null })
+        });
+        return newStates;
+      });
+    });
+
+    newSocketInstance.on('needleTestStarted', ({ testId }: { testId: string }) => {
+      setActiveTestId(testId);
+      setLastRunId(testId);
+    });
+
+    newSocketInstance.on('needleTestCancelled', ({ modelId }: { modelId: string }) => {
+      setModelStates(prev => {
+        const newStates = new Map(prev);
+        const state = newStates.get(modelId);
+        if (state) {
+          newStates.set(modelId, {
+            ...state,
+            isLoading: false,
+            result: {
+              modelId,
+              response: '',
+              foundNeedle: false,
+              responseTime: 0,
+              timestamp: new Date().toISOString(),
+              cancelled: true
+            }
+          });
+        }
+        return newStates;
+      });
+    });
+
+    newSocketInstance.on('allTestsComplete', ({ error, cancelled }: { error?: string, cancelled?: boolean }) => {
+      setIsTestRunning(false);
+      setActiveTestId(null);
+      if (cancelled) {
+        setSuccess('Run cancelled');
+      } else if (!error) {
+        setSuccess('All tests completed!');
+      }
+    });
+
+    newSocketInstance.on('needleSweepStarted', ({ testId, contextLengths, depths }: SweepAxes & { testId: string }) => {
+      setActiveTestId(testId);
+      setLastRunId(testId);
+      setSweepAxes({ contextLengths, depths });
+    });
+
+    newSocketInstance.on('needleSweepResult', (cell: SweepCellResult) => {
+      setModelStates(prev => {
+        const newStates = new Map(prev);
+        const state = newStates.get(cell.modelId);
+        if (state) {
+          newStates.set(cell.modelId, {
+            ...state,
+            sweepCells: {
+              ...(state.sweepCells || {}),
+              [sweepCellKey(cell.contextLength, cell.depth)]: cell
+            },
+            providerStatus: null
+          });
+        }
+        return newStates;
+      });
+    });
+
+    newSocketInstance.on('needleSweepComplete', ({ error, cancelled }: { error?: string, cancelled?: boolean }) => {
       setIsTestRunning(false);
-      setSuccess('All tests completed!');
+      setActiveTestId(null);
+      if (cancelled) {
+        setSuccess('Sweep cancelled');
+      } else if (!error) {
+        setSuccess('Sweep completed!');
+      }
     });
 
     newSocketInstance.on('error', ({ message }: { message: string }) => {
       setError(message);
       // Also reset generating state if there's a general error
       setIsGenerating(false);
+      setGenerationProgress(null);
     });
 
-    newSocketInstance.on('testContentGenerated', ({ haystack, needle, exactMatch, success, error }: { haystack: string, needle: string, exactMatch: string, success: boolean, error?: string }) => {
+    newSocketInstance.on('testContentProgress', (progress: GenerationProgressEvent) => {
+      setGenerationProgress(progress);
+      armGenerationTimeout();
+    });
+
+    newSocketInstance.on('testContentGenerated', ({ haystack, needle, exactMatch, facts: generatedFacts, success, error }: { haystack: string, needle: string, exactMatch: string, facts?: NeedleFact[], success: boolean, error?: string }) => {
       console.log('📥 Received testContentGenerated event:', {
         haystackLength: haystack?.length,
         needleLength: needle?.length,
@@ -422,6 +752,8 @@ function App() {
       
       // Always reset generating state
       setIsGenerating(false);
+      setGenerationProgress(null);
+      clearGenerationTimeout();
       
       if (success) {
         console.log('✅ Setting haystack, needle, and exactMatch fields');
@@ -432,6 +764,11 @@ function App() {
         setHaystack(haystack);
         setNeedle(needle);
         setExactMatch(exactMatch);
+        if (generatedFacts && generatedFacts.length > 0) {
+          setFacts(generatedFacts);
+          setMultiNeedleMode(true);
+          setSweepMode(false);
+        }
         setSuccess(`Test content generated successfully! (${haystack.length.toLocaleString()} characters)`);
         console.log('✅ All fields updated successfully');
       } else {
@@ -443,7 +780,7 @@ function App() {
     return () => {
       newSocketInstance.close();
     };
-  }, []);
+  }, [loadModels, armGenerationTimeout, clearGenerationTimeout]);
 
   // Auto-clear success/error messages
   useEffect(() => {
@@ -466,6 +803,17 @@ function App() {
     }
   };
 
+  const saveCustomEndpoint = () => {
+    if (socket && customEndpoint.baseUrl && customEndpoint.models) {
+      socket.emit('setCustomEndpoint', {
+        baseUrl: customEndpoint.baseUrl,
+        apiKey: customEndpoint.apiKey,
+        models: customEndpoint.models,
+        maxContext: customEndpoint.maxContext
+      });
+    }
+  };
+
   const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (file) {
@@ -484,6 +832,16 @@ function App() {
     }
   };
 
+  const loadCorpusHaystack = (text: string, source: CorpusSource) => {
+    setHaystack(text);
+    setUploadedFile(null);
+    setCorpusSource({ source, haystack: text });
+    setSuccess(`Built haystack from the corpus (${text.length.toLocaleString()} characters)`);
+  };
+
+  // Runs only reference the corpus while the haystack is exactly what it produced
+  const activeCorpus = corpusSource && corpusSource.haystack === haystack ? corpusSource.source : null;
+
   const toggleModelExpansion = (modelId: string) => {
     setModelStates(prev => {
       const newStates = new Map(prev);
@@ -547,11 +905,125 @@ function App() {
     });
   };
 
+  const buildModelConfigs = () => {
+    return selectedModelsToShow.map(modelId => {
+      const state = modelStates.get(modelId);
+      return {
+        modelId: modelId,
+        temperature: state?.temperature ?? 0.7,
+        maxTokens: state?.maxTokens ?? 1000
+      };
+    });
+  };
+
+  const distractorPayload = () => distractors.map(d => ({ statement: d.statement.trim(), value: d.value.trim(), depth: d.depth }));
+
+  // Ask the server what the run would send, so big haystacks × many models don't surprise anyone
+  const fetchEstimate = async (): Promise<RunEstimate | null> => {
+    setIsEstimating(true);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/estimate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          haystack: haystack.trim(),
+          needle: needle.trim(),
+          models: buildModelConfigs(),
+          sessionId: getSessionId(),
+          promptTemplate: promptTemplatePayload(promptTemplate),
+          ...(sweepMode
+            ? { sweep: { needleSentence: needleSentence.trim(), contextLengths: contextLengthsInput, depths: depthsInput } }
+            : { exactMatch: exactMatch.trim(), trials: trialCount, truncate: truncateToFit }),
+          ...(!sweepMode && multiNeedleMode && {
+            facts: facts.map(f => ({ fact: f.fact.trim(), exactMatch: f.exactMatch.trim(), depth: f.depth }))
+          }),
+          ...(!sweepMode && distractorMode && { distractors: distractorPayload() })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      return data;
+    } catch (error) {
+      setError(`Failed to estimate cost: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      return null;
+    } finally {
+      setIsEstimating(false);
+    }
+  };
+
+  const startRun = () => {
+    setCostEstimate(null);
+    if (sweepMode) {
+      runNeedleSweep();
+    } else {
+      runNeedleTest();
+    }
+  };
+
+  // Runs straight away under budget; otherwise shows the estimate for confirmation
+  const requestRun = async () => {
+    if (grading.mode === 'judge' && !grading.judgeModel) {
+      setError('Choose a grader model for LLM-judge grading');
+      return;
+    }
+    const estimate = await fetchEstimate();
+    if (!estimate) return;
+    if (estimate.totalMaxCost > budget) {
+      setCostEstimate(estimate);
+    } else {
+      startRun();
+    }
+  };
+
+  const openCostPreview = async () => {
+    const estimate = await fetchEstimate();
+    if (estimate) {
+      setCostEstimate(estimate);
+    }
+  };
+
+  const savePrices = async (prices: { [modelId: string]: ModelPrice }) => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/pricing`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prices })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      setSuccess('Prices saved');
+      const estimate = await fetchEstimate();
+      if (estimate) {
+        setCostEstimate(estimate);
+      }
+    } catch (error) {
+      setError(`Failed to save prices: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const updateBudget = (value: number) => {
+    setBudget(value);
+    localStorage.setItem('needleTestBudget', String(value));
+  };
+
   const runNeedleTest = () => {
-    if (!socket || !haystack.trim() || !needle.trim() || !exactMatch.trim()) {
+    if (multiNeedleMode) {
+      if (!socket || !haystack.trim() || !needle.trim() || facts.some(f => !f.fact.trim() || !f.exactMatch.trim())) {
+        setError('Please provide haystack content, a question, and every fact with its exact match text');
+        return;
+      }
+    } else if (!socket || !haystack.trim() || !needle.trim() || !exactMatch.trim()) {
       setError('Please provide haystack content, needle to search for, and exact match text');
       return;
     }
+    if (distractorMode && distractors.some(d => !d.statement.trim() || !d.value.trim())) {
+      setError('Please provide every distractor with its statement and value');
+      return;
+    }
 
     // Reset all results and set loading state - only for selected models
     setModelStates(prev => {
@@ -562,7 +1034,12 @@ function App() {
           newStates.set(modelId, {
             ...state,
             isLoading: true,
-            result: null
+            result: null,
+            sweepCells: null,
+            completedTrials: 0,
+            streamingText: '',
+            streamingTrial: null,
+            providerStatus: null
           });
         }
       });
@@ -573,61 +1050,283 @@ function App() {
       setError(null);
 
     // Prepare model configurations - only for selected models
-    const modelConfigs = selectedModelsToShow.map(modelId => {
-      const state = modelStates.get(modelId);
-      return {
-        modelId: modelId,
-        temperature: state?.temperature || 0.7,
-        maxTokens: state?.maxTokens || 1000
-      };
-    });
+    const modelConfigs = buildModelConfigs();
 
     socket.emit('runNeedleTest', {
       haystack: haystack.trim(),
       needle: needle.trim(),
       exactMatch: exactMatch.trim(),
-      models: modelConfigs
+      models: modelConfigs,
+      trials: trialCount,
+      truncate: truncateToFit,
+      grading: gradingPayload(grading),
+      promptTemplate: promptTemplatePayload(promptTemplate),
+      ...(activeCorpus && { corpus: activeCorpus }),
+      ...(multiNeedleMode && {
+        facts: facts.map(f => ({ fact: f.fact.trim(), exactMatch: f.exactMatch.trim(), depth: f.depth }))
+      }),
+      ...(distractorMode && { distractors: distractorPayload() })
     });
   };
 
-  const copyResponse = (text: string) => {
-    navigator.clipboard.writeText(text);
-    setSuccess('Response copied to clipboard');
+  const cancelRun = () => {
+    if (!socket || !activeTestId) return;
+    socket.emit('cancelNeedleTest', { testId: activeTestId });
   };
 
-  // Function to check exact match (replicated from server logic)
-  const checkExactMatch = (response: string, exactMatch: string): boolean => {
-    if (!response || !exactMatch) {
-      return false;
+  const runNeedleSweep = () => {
+    if (!socket || !haystack.trim() || !needle.trim() || !exactMatch.trim() || !needleSentence.trim()) {
+      setError('Please provide haystack content, needle sentence to insert, question and exact match text');
+      return;
     }
 
-    const cleanResponse = response.trim();
-    const cleanExactMatch = exactMatch.trim();
+    setModelStates(prev => {
+      const newStates = new Map(prev);
+      selectedModelsToShow.forEach(modelId => {
+        const state = newStates.get(modelId);
+        if (state) {
+          newStates.set(modelId, {
+            ...state,
+            isLoading: false,
+            result: null,
+            sweepCells: {},
+            providerStatus: null
+          });
+        }
+      });
+      return newStates;
+    });
+
+    setSweepAxes(null);
+    setIsTestRunning(true);
+    setError(null);
+
+    const modelConfigs = buildModelConfigs();
+
+    socket.emit('runNeedleSweep', {
+      haystack: haystack.trim(),
+      needleSentence: needleSentence.trim(),
+      needle: needle.trim(),
+      exactMatch: exactMatch.trim(),
+      contextLengths: contextLengthsInput,
+      depths: depthsInput,
+      grading: gradingPayload(grading),
+      promptTemplate: promptTemplatePayload(promptTemplate),
+      ...(activeCorpus && { corpus: activeCorpus }),
+      models: modelConfigs
+    });
+  };
+
+  // Heatmap cells reuse the response modal by presenting themselves as a single result
+  const openSweepCell = (cell: SweepCellResult, model: AIModel) => {
+    openModal({
+      modelId: cell.modelId,
+      response: cell.response,
+      foundNeedle: cell.foundNeedle,
+      responseTime: cell.responseTime,
+      timeToFirstToken: cell.timeToFirstToken,
+      requestId: cell.requestId,
+      finishReason: cell.finishReason,
+      grade: cell.grade,
+      timestamp: cell.timestamp,
+      usage: cell.usage,
+      cost: cell.cost,
+      wordCount: getWordCount(cell.response),
+      characterCount: getCharacterCount(cell.response),
+      sentenceCount: getSentenceCount(cell.response),
+      readingTime: getReadingTime(cell.response)
+    }, model);
+  };
 
-    if (!cleanResponse || !cleanExactMatch) {
-      return false;
+  // Restore a stored run from history into the cards
+  const loadStoredRun = (run: StoredRun) => {
+    const knownModelIds = aiModels.map(m => m.id);
+    const runModelIds = Array.from(new Set(run.results.map(r => r.modelId))).filter(id => knownModelIds.includes(id));
+
+    setHaystack(run.haystack);
+    setNeedle(run.needle);
+    setExactMatch(run.exactMatch);
+    setUploadedFile(null);
+    setLastRunId(run.id);
+    setCorpusSource(run.config?.corpus ? { source: run.config.corpus, haystack: run.haystack } : null);
+
+    const isSweep = run.type === 'sweep' && run.config?.sweep;
+    const isMultiNeedle = run.type === 'multi' && Array.isArray(run.config?.facts);
+    setMultiNeedleMode(isMultiNeedle);
+    setTrialCount(run.config?.trials || 1);
+    setTruncateToFit(Boolean(run.config?.truncate));
+    setGrading({ ...DEFAULT_GRADING, ...(run.config?.grading || {}) });
+    setPromptTemplate(promptTemplateFromRun(run.config?.promptTemplate));
+    if (isMultiNeedle) {
+      setFacts(run.config.facts.map(({ fact, exactMatch, depth }: NeedleFact) => ({ fact, exactMatch, depth })));
+    }
+    const hasDistractors = Array.isArray(run.config?.distractors);
+    setDistractorMode(hasDistractors);
+    if (hasDistractors) {
+      setDistractors(run.config.distractors.map(({ statement, value, depth }: Distractor) => ({ statement, value, depth })));
+    }
+    if (isSweep) {
+      const { needleSentence, contextLengths, depths } = run.config.sweep;
+      setSweepMode(true);
+      setNeedleSentence(needleSentence);
+      setContextLengthsInput(contextLengths.join(', '));
+      setDepthsInput(depths.join(', '));
+      setSweepAxes({ contextLengths, depths });
+    } else {
+      setSweepMode(false);
+      setSweepAxes(null);
     }
 
-    const responseLower = cleanResponse.toLowerCase();
-    const exactMatchLower = cleanExactMatch.toLowerCase();
+    setModelStates(prev => {
+      const newStates = new Map(prev);
+      runModelIds.forEach(modelId => {
+        const state = newStates.get(modelId);
+        if (state) {
+          newStates.set(modelId, { ...state, isLoading: false, result: null, sweepCells: isSweep ? {} : null });
+        }
+      });
 
-    // Strategy 1: Word boundary match (case-insensitive)
-    const wordBoundaryRegex = new RegExp(`\\b${exactMatchLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    const hasWordBoundary = wordBoundaryRegex.test(responseLower);
+      run.results.forEach(stored => {
+        const state = newStates.get(stored.modelId);
+        if (!state) return;
+
+        const response = stored.response || '';
+        const temperature = stored.modelConfig?.temperature ?? state.temperature;
+        const maxTokens = stored.modelConfig?.maxTokens ?? state.maxTokens;
+
+        if (isSweep && stored.details) {
+          const cell: SweepCellResult = {
+            testId: run.id,
+            modelId: stored.modelId,
+            contextLength: stored.details.contextLength,
+            depth: stored.details.depth,
+            actualDepth: stored.details.actualDepth,
+            needleOffset: stored.details.needleOffset,
+            response,
+            foundNeedle: stored.foundNeedle,
+            responseTime: stored.responseTime,
+            timeToFirstToken: stored.timeToFirstToken,
+            requestId: stored.details?.requestId,
+            finishReason: stored.details?.finishReason,
+            grade: stored.details?.grade,
+            timestamp: stored.timestamp,
+            usage: stored.usage,
+            cost: stored.cost,
+            ...(stored.error && { error: stored.error }),
+            ...(stored.details.skipped && { skipped: true })
+          };
+          newStates.set(stored.modelId, {
+            ...state,
+            temperature,
+            maxTokens,
+            sweepCells: { ...(state.sweepCells || {}), [sweepCellKey(cell.contextLength, cell.depth)]: cell }
+          });
+        } else if (stored.details?.trial) {
+          // Trials are regrouped into one card per model
+          const trialResults = [...(state.result?.trialResults || []), {
+            trial: stored.details.trial,
+            response,
+            foundNeedle: stored.foundNeedle,
+            responseTime: stored.responseTime,
+            timeToFirstToken: stored.timeToFirstToken,
+            requestId: stored.details?.requestId,
+            finishReason: stored.details?.finishReason,
+            grade: stored.details?.grade,
+            timestamp: stored.timestamp,
+            ...(stored.details.needles && { needles: stored.details.needles }),
+            ...(stored.details.distracted && { distracted: true, distractorValues: stored.details.distractorValues }),
+            usage: stored.usage,
+            cost: stored.cost,
+            ...(stored.error && { error: stored.error })
+          }].sort((a, b) => a.trial - b.trial);
+          const trials = summarizeTrials(trialResults);
+          const representative = trialResults.find(trial => !trial.error) || trialResults[0];
+          newStates.set(stored.modelId, {
+            ...state,
+            temperature,
+            maxTokens,
+            result: {
+              modelId: stored.modelId,
+              response: representative.response,
+              foundNeedle: trials.passRate >= 0.5,
+              responseTime: trials.latency.p50,
+              timeToFirstToken: trials.firstToken ? trials.firstToken.p50 : null,
+              timestamp: representative.timestamp,
+              ...(representative.needles && { needles: representative.needles }),
+              ...(stored.details.truncation && { truncation: stored.details.truncation }),
+              trials,
+              trialResults,
+              ...totalUsage(trialResults),
+              wordCount: getWordCount(representative.response),
+              characterCount: getCharacterCount(representative.response),
+              sentenceCount: getSentenceCount(representative.response),
+              readingTime: getReadingTime(representative.response)
+            }
+          });
+        } else {
+          newStates.set(stored.modelId, {
+            ...state,
+            temperature,
+            maxTokens,
+            result: {
+              modelId: stored.modelId,
+              response,
+              foundNeedle: stored.foundNeedle,
+              responseTime: stored.responseTime,
+              timeToFirstToken: stored.timeToFirstToken,
+              requestId: stored.details?.requestId,
+              finishReason: stored.details?.finishReason,
+              promptTemplate: stored.details?.promptTemplate,
+              attempts: stored.details?.attempts,
+              queueTime: stored.details?.queueTime,
+              grade: stored.details?.grade,
+              timestamp: stored.timestamp,
+              ...(stored.details?.needles && { needles: stored.details.needles }),
+              ...(stored.details?.distracted && { distracted: true, distractorValues: stored.details.distractorValues }),
+              ...(stored.details?.truncation && { truncation: stored.details.truncation }),
+              ...(stored.details?.cancelled && { cancelled: true }),
+              ...(stored.details?.skipped && {
+                skipped: { reason: stored.error || '', haystackTokens: stored.details.haystackTokens, maxContext: stored.details.maxContext }
+              }),
+              usage: stored.usage,
+              cost: stored.cost,
+              wordCount: getWordCount(response),
+              characterCount: getCharacterCount(response),
+              sentenceCount: getSentenceCount(response),
+              readingTime: getReadingTime(response)
+            }
+          });
+        }
+      });
+      return newStates;
+    });
 
-    // Strategy 2: Exact case-sensitive match
-    const hasExactCase = cleanResponse.includes(cleanExactMatch);
+    setSelectedModelsToShow(runModelIds);
+    setHistoryOpen(false);
+    setSuccess(`Loaded run from ${new Date(run.startedAt).toLocaleString()}`);
+  };
 
-    // Final result: word boundary OR exact case match (matches server logic)
-    return hasWordBoundary || hasExactCase;
+  const copyResponse = (text: string) => {
+    navigator.clipboard.writeText(text);
+    setSuccess('Response copied to clipboard');
   };
 
   // Function to recheck exact matches for all existing responses
   const recheckExactMatches = () => {
-    if (!exactMatch.trim()) {
+    if (multiNeedleMode ? facts.some(f => !f.exactMatch.trim()) : !exactMatch.trim()) {
       setError('Please provide exact match text to recheck against');
       return;
     }
+    if (grading.mode === 'judge') {
+      setError('LLM-judge grades cannot be rechecked locally; run the test again to re-judge');
+      return;
+    }
+
+    // Same matcher the server graded with; exact-match grades stay implied as in run results
+    const check = (response: string, expected: string) => {
+      const localGrade = gradeLocally(response, expected, grading)!;
+      return { found: localGrade.found, grade: localGrade.mode === 'exact' ? undefined : localGrade };
+    };
 
     let recheckCount = 0;
     setModelStates(prev => {
@@ -637,15 +1336,45 @@ function App() {
         const state = newStates.get(modelId);
         if (state && state.result && state.result.response) {
           // Re-evaluate the existing response against the current exact match text
-          const foundNeedle = checkExactMatch(state.result.response, exactMatch.trim());
-          
-          newStates.set(modelId, {
-            ...state,
-            result: {
-              ...state.result,
-              foundNeedle
-            }
-          });
+          const grade = (response: string) => {
+            const needles = multiNeedleMode
+              ? facts.map(f => ({ fact: f.fact, exactMatch: f.exactMatch, ...check(response, f.exactMatch.trim()) }))
+              : undefined;
+            const single = needles ? undefined : check(response, exactMatch.trim());
+            const distraction = single && distractorMode
+              ? checkDistractors(response, exactMatch.trim(), distractors, { mode: grading.mode })
+              : null;
+            return {
+              needles,
+              foundNeedle: needles ? needles.every(n => n.found) : single!.found && !distraction?.distracted,
+              grade: single?.grade,
+              distracted: distraction?.distracted || undefined,
+              distractorValues: distraction?.distracted ? distraction.values : undefined
+            };
+          };
+
+          if (state.result.trialResults) {
+            const trialResults = state.result.trialResults.map(trial => trial.error ? trial : { ...trial, ...grade(trial.response) });
+            const trials = summarizeTrials(trialResults);
+            newStates.set(modelId, {
+              ...state,
+              result: {
+                ...state.result,
+                ...grade(state.result.response),
+                foundNeedle: trials.passRate >= 0.5,
+                trials,
+                trialResults
+              }
+            });
+          } else {
+            newStates.set(modelId, {
+              ...state,
+              result: {
+                ...state.result,
+                ...grade(state.result.response)
+              }
+            });
+          }
           recheckCount++;
         }
       });
@@ -670,19 +1399,15 @@ function App() {
       model: generatorModel,
       wordCount,
       difficulty,
-      topic: topic.trim() || 'general knowledge'
+      topic: topic.trim() || 'general knowledge',
+      needleCount: generatorNeedleCount
     });
 
     setIsGenerating(true);
+    setGenerationProgress(null);
     setError(null);
     setSuccess('Generating test content...');
-
-    // Set a timeout to reset generating state after 60 seconds
-    const timeoutId = setTimeout(() => {
-      console.log('⏰ Test generation timeout - resetting state');
-      setIsGenerating(false);
-      setError('Test generation timed out. Please try again.');
-    }, 60000); // 60 seconds timeout
+    armGenerationTimeout();
 
     try {
       // Emit request to generate test content
@@ -690,21 +1415,17 @@ function App() {
         model: generatorModel,
         wordCount,
         difficulty,
-        topic: topic.trim() || 'general knowledge'
+        topic: topic.trim() || 'general knowledge',
+        needleCount: generatorNeedleCount
       };
       
       console.log('📤 Emitting generateTestContent with:', requestData);
       socket.emit('generateTestContent', requestData);
       console.log('✅ Event emitted successfully');
       
-      // Store the timeout ID to clear it when we receive a response
-      socket.once('testContentGenerated', () => {
-        clearTimeout(timeoutId);
-      });
-      
     } catch (error) {
       console.error('❌ Error in generateTest:', error);
-      clearTimeout(timeoutId);
+      clearGenerationTimeout();
       setError(`Failed to generate test: ${error instanceof Error ? error.message : 'Unknown error'}`);
       setIsGenerating(false);
     }
@@ -722,6 +1443,10 @@ function App() {
     if (company === 'google') {
       return <img src={GOOGLE_LOGO} alt="Google" style={{ width: '16px', height: '16px', verticalAlign: 'middle' }} />;
     }
+
+    if (company === 'custom') {
+      return '🖥️';
+    }
     
     return '●';
   };
@@ -729,10 +1454,21 @@ function App() {
   // Modal functions
   const openModal = (result: NeedleTestResult, model: AIModel) => {
     setModalResult(result);
+    setModalTrial(result.trialResults ? 0 : null);
     setModalModel(model);
     setModalOpen(true);
   };
 
+  // Actual usage reported by providers for the results on screen
+  const runUsage = totalUsage(selectedModelsToShow.flatMap((modelId): { usage?: TokenUsage | null; cost?: number | null }[] => {
+    const state = modelStates.get(modelId);
+    if (!state) return [];
+    if (state.sweepCells) return Object.values(state.sweepCells);
+    return state.result ? [state.result] : [];
+  }));
+
+  const modalTrialResult = modalResult?.trialResults && modalTrial !== null ? modalResult.trialResults[modalTrial] : null;
+
   const closeModal = () => {
     setModalOpen(false);
     setModalResult(null);
@@ -784,7 +1520,7 @@ function App() {
       {/* Master Controls */}
       <div className="pixel-border" style={{ padding: '15px', marginBottom: '20px' }}>
         <h3 style={{ fontSize: '16px', margin: '0 0 15px 0' }}>MASTER CONTROLS</h3>
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '20px' }}>
           <div>
             <label style={{ fontSize: '14px', display: 'block', marginBottom: '5px' }}>
               MASTER TEMPERATURE: {masterTemperature}
@@ -813,6 +1549,34 @@ function App() {
               style={{ width: '100%' }}
             />
           </div>
+          <div>
+            <label style={{ fontSize: '14px', display: 'block', marginBottom: '5px' }}>
+              TRIALS PER MODEL: {trialCount}
+            </label>
+            <input
+              type="range"
+              min="1"
+              max="50"
+              step="1"
+              value={trialCount}
+              onChange={(e) => setTrialCount(parseInt(e.target.value))}
+              style={{ width: '100%' }}
+              title="Repeat each model's call to measure a pass rate instead of a single result"
+            />
+          </div>
+          <div>
+            <label
+              style={{ fontSize: '14px', display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}
+              title="Cut the haystack down to the text around the needle for models whose context window is too small, instead of skipping them (sweeps always skip)"
+            >
+              <input
+                type="checkbox"
+                checked={truncateToFit}
+                onChange={(e) => setTruncateToFit(e.target.checked)}
+              />
+              ✂️ TRUNCATE TO FIT
+            </label>
+          </div>
         </div>
       </div>
 
@@ -855,6 +1619,22 @@ function App() {
               </span>
             )}
           </div>
+          <CorpusPicker
+            onLoaded={loadCorpusHaystack}
+            onError={setError}
+            disabled={isTestRunning}
+          />
+          {activeCorpus && (
+            <div style={{ fontSize: '11px', opacity: 0.8, marginTop: '5px' }}>
+              {describeCorpusSource(activeCorpus)}
+            </div>
+          )}
+          <NeedleInsertion
+            haystack={haystack}
+            onInserted={setHaystack}
+            onError={setError}
+            disabled={isTestRunning}
+          />
         </div>
 
         {/* Needle Input */}
@@ -870,6 +1650,12 @@ function App() {
             value={needle}
             onChange={(e) => setNeedle(e.target.value)}
           />
+          <PromptTemplateControls
+            settings={promptTemplate}
+            onChange={setPromptTemplate}
+            onError={setError}
+            disabled={isTestRunning}
+          />
         </div>
 
         {/* Exact Match Input */}
@@ -888,11 +1674,18 @@ function App() {
           <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '5px', marginBottom: '10px' }}>
             💡 Use specific phrases, numbers, or regulations for accurate detection
           </div>
+          <GradingControls
+            settings={grading}
+            onChange={setGrading}
+            models={aiModels}
+            providers={providers}
+            disabled={isTestRunning}
+          />
           <button
             className="farm-button"
             style={{ width: '100%', fontSize: '16px', padding: '8px' }}
             onClick={recheckExactMatches}
-            disabled={isTestRunning || !exactMatch.trim()}
+            disabled={isTestRunning || (!multiNeedleMode && !exactMatch.trim())}
             title="Re-evaluate existing responses against the current exact match text without running new tests"
           >
             🔄 RECHECK MATCHES
@@ -919,33 +1712,25 @@ function App() {
               value={generatorModel}
               onChange={(e) => setGeneratorModel(e.target.value)}
             >
-              <optgroup label="OpenAI">
-                <option value="gpt-4">GPT-4</option>
-                <option value="gpt-4-turbo">GPT-4 Turbo</option>
-                <option value="gpt-4o-mini">GPT-4o Mini</option>
-              </optgroup>
-              <optgroup label="Google">
-                <option value="gemini-2.0-flash">Gemini 2.0 Flash</option>
-                <option value="gemini-1.5-pro">Gemini 1.5 Pro</option>
-                <option value="gemini-1.5-flash">Gemini 1.5 Flash</option>
-              </optgroup>
-              <optgroup label="Anthropic">
-                <option value="claude-3-opus">Claude 3 Opus</option>
-                <option value="claude-3-sonnet">Claude 3 Sonnet</option>
-                <option value="claude-3-haiku">Claude 3 Haiku</option>
-              </optgroup>
+              {providers.map(provider => (
+                <optgroup key={provider.id} label={provider.name}>
+                  {aiModels.filter(model => model.company === provider.id).map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </optgroup>
+              ))}
             </select>
           </div>
 
           <div style={{ marginBottom: '10px' }}>
             <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
-              WORD COUNT: {wordCount}
+              WORD COUNT: {wordCount.toLocaleString()}{wordCount > SINGLE_CALL_MAX_WORDS ? ' (SECTION BY SECTION)' : ''}
             </label>
             <input
               type="range"
               min="500"
-              max="5000"
-              step="250"
+              max={MAX_GENERATED_WORDS}
+              step="500"
               value={wordCount}
               onChange={(e) => setWordCount(parseInt(e.target.value))}
               style={{ width: '100%' }}
@@ -983,6 +1768,21 @@ function App() {
             />
           </div>
 
+          <div style={{ marginBottom: '10px' }}>
+            <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+              NEEDLES: {generatorNeedleCount}{generatorNeedleCount > 1 ? ' (MULTI-NEEDLE)' : ''}
+            </label>
+            <input
+              type="range"
+              min="1"
+              max="10"
+              step="1"
+              value={generatorNeedleCount}
+              onChange={(e) => setGeneratorNeedleCount(parseInt(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </div>
+
           <button
             className="farm-button"
             style={{ width: '100%', fontSize: '14px', padding: '8px' }}
@@ -991,6 +1791,7 @@ function App() {
           >
             {isGenerating ? 'GENERATING...' : 'GENERATE TEST'}
           </button>
+          {isGenerating && generationProgress && <GenerationProgress progress={generationProgress} />}
           
           <div style={{ fontSize: '10px', opacity: 0.7, marginTop: '5px', textAlign: 'center' }}>
             🎯 Creates haystack, needle &amp; exact match
@@ -998,16 +1799,157 @@ function App() {
         </div>
       </div>
 
+      {/* Sweep Controls */}
+      <div className="pixel-border" style={{ padding: '15px', marginBottom: '20px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={sweepMode}
+            onChange={(e) => {
+              setSweepMode(e.target.checked);
+              if (e.target.checked) {
+                setMultiNeedleMode(false);
+                setDistractorMode(false);
+              }
+            }}
+          />
+          <h3 style={{ fontSize: '16px', margin: 0 }}>🧭 SWEEP MODE (DEPTH × CONTEXT LENGTH)</h3>
+        </label>
+        {sweepMode && (
+          <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '15px', marginTop: '15px' }}>
+            <div>
+              <label style={{ fontSize: '14px', display: 'block', marginBottom: '5px' }}>
+                NEEDLE SENTENCE TO INSERT:
+              </label>
+              <textarea
+                className="terminal-input"
+                style={{ width: '100%', height: '60px', resize: 'vertical' }}
+                placeholder="Fact planted into the haystack (e.g., 'The secret number is 15609.')..."
+                value={needleSentence}
+                onChange={(e) => setNeedleSentence(e.target.value)}
+              />
+            </div>
+            <div>
+              <label style={{ fontSize: '14px', display: 'block', marginBottom: '5px' }}>
+                CONTEXT LENGTHS (TOKENS):
+              </label>
+              <input
+                type="text"
+                className="terminal-input"
+                style={{ width: '100%' }}
+                value={contextLengthsInput}
+                onChange={(e) => setContextLengthsInput(e.target.value)}
+              />
+            </div>
+            <div>
+              <label style={{ fontSize: '14px', display: 'block', marginBottom: '5px' }}>
+                DEPTHS (%):
+              </label>
+              <input
+                type="text"
+                className="terminal-input"
+                style={{ width: '100%' }}
+                value={depthsInput}
+                onChange={(e) => setDepthsInput(e.target.value)}
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1', fontSize: '12px', opacity: 0.7 }}>
+              💡 The haystack is repeated or trimmed to each context length and the needle sentence is planted at each depth. The NEEDLE field is the question asked.
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Multi-Needle Controls */}
+      <div className="pixel-border" style={{ padding: '15px', marginBottom: '20px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={multiNeedleMode}
+            onChange={(e) => {
+              setMultiNeedleMode(e.target.checked);
+              if (e.target.checked) {
+                setSweepMode(false);
+                setDistractorMode(false);
+              }
+            }}
+          />
+          <h3 style={{ fontSize: '16px', margin: 0 }}>🧷 MULTI-NEEDLE MODE ({facts.length} FACTS)</h3>
+        </label>
+        {multiNeedleMode && <MultiNeedleEditor facts={facts} onChange={setFacts} />}
+      </div>
+
+      {/* Distractor Controls */}
+      <div className="pixel-border" style={{ padding: '15px', marginBottom: '20px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={distractorMode}
+            onChange={(e) => {
+              setDistractorMode(e.target.checked);
+              if (e.target.checked) {
+                setSweepMode(false);
+                setMultiNeedleMode(false);
+              }
+            }}
+          />
+          <h3 style={{ fontSize: '16px', margin: 0 }}>🎭 DISTRACTORS ({distractors.length} NEAR-MISS FACTS)</h3>
+        </label>
+        {distractorMode && <DistractorEditor distractors={distractors} onChange={setDistractors} />}
+      </div>
+
       {/* Run Test Button */}
       <div style={{ marginBottom: '20px', textAlign: 'center' }}>
         <button
           className="farm-button"
           style={{ fontSize: '24px', padding: '15px 30px' }}
-          onClick={runNeedleTest}
-          disabled={isTestRunning || !haystack.trim() || !needle.trim() || !exactMatch.trim()}
+          onClick={requestRun}
+          disabled={isTestRunning || isEstimating || !haystack.trim() || !needle.trim() || (!multiNeedleMode && !exactMatch.trim()) || (sweepMode && !needleSentence.trim())}
         >
-          {isTestRunning ? 'RUNNING TESTS...' : 'RUN NEEDLE TEST'}
+          {isTestRunning ? 'RUNNING TESTS...' : sweepMode ? 'RUN NEEDLE SWEEP' : 'RUN NEEDLE TEST'}
         </button>
+        {isTestRunning && (
+          <button
+            className="farm-button"
+            style={{ fontSize: '24px', padding: '15px 30px', marginLeft: '10px' }}
+            onClick={cancelRun}
+            disabled={!activeTestId}
+            title="Abort pending requests; models that have not answered yet are marked cancelled"
+          >
+            🛑 CANCEL
+          </button>
+        )}
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', marginTop: '10px', fontSize: '14px' }}>
+          <button
+            className="farm-button"
+            style={{ fontSize: '14px', padding: '6px 12px' }}
+            onClick={openCostPreview}
+            disabled={isEstimating || !haystack.trim() || !needle.trim()}
+          >
+            {isEstimating ? 'ESTIMATING...' : '💰 ESTIMATE COST'}
+          </button>
+          <label>CONFIRM ABOVE $</label>
+          <input
+            type="number"
+            className="terminal-input"
+            style={{ width: '80px' }}
+            min="0"
+            step="0.5"
+            value={budget}
+            onChange={(e) => updateBudget(parseFloat(e.target.value) || 0)}
+            title="Runs estimated above this budget ask for confirmation first"
+          />
+          {runUsage.usage && (
+            <span>
+              🪙 LAST RUN: {formatTokens(runUsage.usage.inputTokens)} in / {formatTokens(runUsage.usage.outputTokens)} out • {formatCost(runUsage.cost)}
+            </span>
+          )}
+        </div>
+        {lastRunId && !isTestRunning && (
+          <div style={{ marginTop: '10px' }}>
+            <RunExportButtons runId={lastRunId} onError={setError} />
+          </div>
+        )}
       </div>
 
       {/* Status Messages */}
@@ -1030,7 +1972,7 @@ function App() {
             <button
               className="farm-button"
               style={{ fontSize: '14px', padding: '4px 8px', marginRight: '6px' }}
-              onClick={() => setSelectedModelsToShow(AI_MODELS.map(m => m.id))}
+              onClick={() => setSelectedModelsToShow(aiModels.map(m => m.id))}
             >
               ALL
             </button>
@@ -1041,6 +1983,20 @@ function App() {
             >
               NONE
             </button>
+            <button
+              className="farm-button"
+              style={{ fontSize: '16px', padding: '6px 12px', marginRight: '6px' }}
+              onClick={() => setHistoryOpen(true)}
+            >
+              HISTORY
+            </button>
+            <button
+              className="farm-button"
+              style={{ fontSize: '16px', padding: '6px 12px', marginRight: '6px' }}
+              onClick={() => setSuitesOpen(true)}
+            >
+              SUITES
+            </button>
             <button
               className="farm-button"
               style={{ fontSize: '16px', padding: '6px 12px' }}
@@ -1052,9 +2008,10 @@ function App() {
         </div>
         <div style={{ marginTop: '15px' }}>
           {/* Group models by company */}
-          {['openai', 'google', 'anthropic'].map(company => {
-            const companyModels = AI_MODELS.filter(model => model.company === company);
-            const companyName = company === 'openai' ? 'OpenAI' : company === 'google' ? 'Google' : 'Anthropic';
+          {providers.map(provider => {
+            const company = provider.id;
+            const companyModels = aiModels.filter(model => model.company === company);
+            const companyName = provider.name;
             const companyIcon = getCompanyIcon(company);
 
               return (
@@ -1149,7 +2106,7 @@ function App() {
 
       {/* Model Cards Grid */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))', gap: '15px' }}>
-        {AI_MODELS.filter(model => selectedModelsToShow.includes(model.id)).map((model) => {
+        {aiModels.filter(model => selectedModelsToShow.includes(model.id)).map((model) => {
           const state = modelStates.get(model.id);
           if (!state) return null;
 
@@ -1211,10 +2168,53 @@ function App() {
             )}
 
               <div className="model-card-content">
-                {state.isLoading ? (
-                  <div className="status-loading">
-                    SEARCHING<span className="loading-dots"></span>
+                {state.sweepCells ? (
+                  sweepAxes ? (
+                    <div style={{ width: '100%' }}>
+                      <Heatmap
+                        axes={sweepAxes}
+                        cells={state.sweepCells}
+                        onCellClick={(cell) => openSweepCell(cell, model)}
+                      />
+                      {isTestRunning && state.providerStatus && (
+                        <SchedulerStatusNote status={state.providerStatus} />
+                      )}
+                    </div>
+                  ) : (
+                    <div className="status-loading">
+                      SWEEPING<span className="loading-dots"></span>
+                    </div>
+                  )
+                ) : state.isLoading ? (
+                  <div style={{ width: '100%' }}>
+                    <div className="status-loading">
+                      SEARCHING<span className="loading-dots"></span>
+                      {trialCount > 1 && ` TRIAL ${state.completedTrials}/${trialCount}`}
+                    </div>
+                    {state.providerStatus && <SchedulerStatusNote status={state.providerStatus} />}
+                    {state.streamingText && (
+                      <div style={{
+                        padding: '10px',
+                        marginTop: '8px',
+                        background: 'var(--farm-dark-beige)',
+                        border: '2px dashed var(--farm-green)',
+                        maxHeight: '120px',
+                        overflowY: 'auto',
+                        fontSize: '14px',
+                        textAlign: 'left',
+                        whiteSpace: 'pre-wrap'
+                      }}>
+                        {state.streamingTrial && (
+                          <div style={{ fontSize: '12px', opacity: 0.7, marginBottom: '4px' }}>📡 TRIAL {state.streamingTrial}</div>
+                        )}
+                        {state.streamingText}
+                      </div>
+                    )}
                   </div>
+                ) : state.result?.cancelled ? (
+                  <div className="status-not-found">🛑 CANCELLED</div>
+                ) : state.result?.skipped ? (
+                  <ContextWindowNote skipped={state.result.skipped} />
                 ) : state.result ? (
                   <div 
                     style={{ 
@@ -1230,18 +2230,38 @@ function App() {
                     onMouseEnter={(e) => e.currentTarget.style.backgroundColor = 'rgba(139, 69, 19, 0.05)'}
                     onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'transparent'}
                   >
-                    <div className={state.result.foundNeedle ? 'status-found' : 'status-not-found'}>
-                      {state.result.foundNeedle ? '✓ EXACT MATCH FOUND!' : '✗ EXACT MATCH NOT FOUND'}
-                    </div>
+                    {state.result.trials ? (
+                      <TrialStats summary={state.result.trials} />
+                    ) : state.result.needles ? (
+                      <NeedleRecall needles={state.result.needles} />
+                    ) : (
+                      <div className={state.result.foundNeedle ? 'status-found' : state.result.distracted ? 'status-distracted' : 'status-not-found'}>
+                        {state.result.distracted ? distractedVerdict(state.result.distractorValues) : gradeVerdict(state.result.foundNeedle, state.result.grade)}
+                      </div>
+                    )}
                     
                     {/* Enhanced Metrics */}
-                    <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '5px' }}>
+                    {!state.result.trials && <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '8px', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '5px' }}>
                       <div>⏱️ {state.result.responseTime}ms</div>
+                      {state.result.timeToFirstToken != null && <div>⚡ {state.result.timeToFirstToken}ms to first token</div>}
+                      {(state.result.attempts || 1) > 1 && <div>🔁 {state.result.attempts} attempts</div>}
+                      {(state.result.queueTime || 0) > 0 && <div>⏳ {state.result.queueTime}ms queued</div>}
                       <div>📝 {state.result.wordCount || 0} words</div>
                       <div>📏 {state.result.characterCount || 0} chars</div>
                       <div>🔤 {state.result.sentenceCount || 0} sentences</div>
                       <div style={{ gridColumn: '1 / -1' }}>📖 ~{state.result.readingTime || 0} min read</div>
-                    </div>
+                    </div>}
+                    {state.result.usage && (
+                      <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '5px' }}>
+                        🪙 {formatTokens(state.result.usage.inputTokens)} in / {formatTokens(state.result.usage.outputTokens)} out • {formatCost(state.result.cost)}
+                      </div>
+                    )}
+                    <ContextWindowNote truncation={state.result.truncation} />
+                    {hitTokenLimit(state.result.finishReason) && (
+                      <div style={{ fontSize: '12px', marginTop: '5px' }}>
+                        ⚠️ Response cut off at {state.maxTokens} max tokens
+                      </div>
+                    )}
                     
                     <div style={{ fontSize: '12px', opacity: 0.8, marginTop: '8px', marginBottom: '5px' }}>
                       📝 MODEL RESPONSE:
@@ -1367,6 +2387,55 @@ function App() {
                 </button>
               </div>
             ))}
+            <div style={{ marginBottom: '20px', paddingTop: '15px', borderTop: '2px dashed var(--farm-brown)' }}>
+              <label style={{ display: 'block', marginBottom: '5px', fontSize: '16px' }}>
+                CUSTOM ENDPOINT (OPENAI-COMPATIBLE)
+              </label>
+              <div style={{ fontSize: '14px', marginBottom: '10px', opacity: 0.8 }}>
+                llama.cpp server, vLLM, Ollama, LM Studio or any /v1/chat/completions server
+              </div>
+              <input
+                type="text"
+                className="terminal-input"
+                style={{ width: '100%', marginBottom: '8px' }}
+                value={customEndpoint.baseUrl}
+                onChange={(e) => setCustomEndpoint(prev => ({ ...prev, baseUrl: e.target.value }))}
+                placeholder="Base URL, e.g. http://localhost:11434/v1"
+              />
+              <input
+                type={showApiKeys.custom ? 'text' : 'password'}
+                className="terminal-input"
+                style={{ width: '100%', marginBottom: '8px' }}
+                value={customEndpoint.apiKey}
+                onChange={(e) => setCustomEndpoint(prev => ({ ...prev, apiKey: e.target.value }))}
+                placeholder="API key (optional)"
+              />
+              <input
+                type="text"
+                className="terminal-input"
+                style={{ width: '100%', marginBottom: '8px' }}
+                value={customEndpoint.models}
+                onChange={(e) => setCustomEndpoint(prev => ({ ...prev, models: e.target.value }))}
+                placeholder="Model names, comma-separated (e.g. llama3:8b, qwen2)"
+              />
+              <input
+                type="number"
+                className="terminal-input"
+                style={{ width: '100%', marginBottom: '8px' }}
+                value={customEndpoint.maxContext}
+                onChange={(e) => setCustomEndpoint(prev => ({ ...prev, maxContext: e.target.value }))}
+                placeholder="Max context (tokens)"
+                min="256"
+              />
+              <button
+                className="farm-button"
+                style={{ fontSize: '16px' }}
+                onClick={saveCustomEndpoint}
+                disabled={!customEndpoint.baseUrl || !customEndpoint.models}
+              >
+                SAVE CUSTOM ENDPOINT
+              </button>
+            </div>
             <button
               className="farm-button"
               style={{ width: '100%', marginTop: '20px', fontSize: '18px' }}
@@ -1378,6 +2447,45 @@ function App() {
               </div>
             )}
 
+      {/* Cost Estimate Dialog */}
+      {costEstimate && (
+        <CostPreview
+          estimate={costEstimate}
+          budget={budget}
+          modelNames={Object.fromEntries(aiModels.map(m => [m.id, m.name]))}
+          onClose={() => setCostEstimate(null)}
+          onRun={startRun}
+          onSavePrices={savePrices}
+        />
+      )}
+
+      {/* Run History Dialog */}
+      {historyOpen && (
+        <HistoryPanel
+          onClose={() => setHistoryOpen(false)}
+          onOpenRun={loadStoredRun}
+          onError={setError}
+        />
+      )}
+
+      {/* Test Suites Dialog */}
+      {suitesOpen && (
+        <SuitePanel
+          socket={socket}
+          currentCase={{ haystack, needle, exactMatch }}
+          runOptions={{
+            models: buildModelConfigs(),
+            trials: trialCount,
+            truncate: truncateToFit,
+            grading: gradingPayload(grading),
+            promptTemplate: promptTemplatePayload(promptTemplate)
+          }}
+          readBenchmarkFile={processBenchmarkFile}
+          onClose={() => setSuitesOpen(false)}
+          onError={setError}
+        />
+      )}
+
       {/* Response Modal */}
       {modalOpen && modalResult && modalModel && (
         <div style={{
@@ -1418,13 +2526,18 @@ function App() {
                   {getCompanyIcon(modalModel.company)}
                   <h2 style={{ fontSize: '24px', margin: 0 }}>{modalModel.name}</h2>
                 </div>
-                <div className={modalResult.foundNeedle ? 'status-found' : 'status-not-found'} style={{ 
-                  fontSize: '18px',
-                  padding: '8px 12px',
-                  display: 'inline-block'
-                }}>
-                  {modalResult.foundNeedle ? '✓ EXACT MATCH FOUND!' : '✗ EXACT MATCH NOT FOUND'}
-                </div>
+                {modalResult.needles ? (
+                  <NeedleRecall needles={modalResult.needles} fontSize="18px" />
+                ) : (
+                  <div className={modalResult.foundNeedle ? 'status-found' : modalResult.distracted ? 'status-distracted' : 'status-not-found'} style={{ 
+                    fontSize: '18px',
+                    padding: '8px 12px',
+                    display: 'inline-block'
+                  }}>
+                    {modalResult.distracted ? distractedVerdict(modalResult.distractorValues) : gradeVerdict(modalResult.foundNeedle, modalResult.grade)}
+                  </div>
+                )}
+                <ContextWindowNote truncation={modalResult.truncation} />
               </div>
               <button
                 className="farm-button"
@@ -1450,6 +2563,12 @@ function App() {
                 <div style={{ fontSize: '12px', opacity: 0.7 }}>RESPONSE TIME</div>
                 <div style={{ fontSize: '18px', fontWeight: 'bold' }}>⏱️ {modalResult.responseTime}ms</div>
               </div>
+              {modalResult.timeToFirstToken != null && (
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '12px', opacity: 0.7 }}>FIRST TOKEN</div>
+                  <div style={{ fontSize: '18px', fontWeight: 'bold' }}>⚡ {modalResult.timeToFirstToken}ms</div>
+                </div>
+              )}
               <div style={{ textAlign: 'center' }}>
                 <div style={{ fontSize: '12px', opacity: 0.7 }}>WORD COUNT</div>
                 <div style={{ fontSize: '18px', fontWeight: 'bold' }}>📝 {modalResult.wordCount || 0}</div>
@@ -1466,17 +2585,83 @@ function App() {
                 <div style={{ fontSize: '12px', opacity: 0.7 }}>READING TIME</div>
                 <div style={{ fontSize: '18px', fontWeight: 'bold' }}>📖 ~{modalResult.readingTime || 0} min</div>
               </div>
+              {modalResult.usage && (
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '12px', opacity: 0.7 }}>TOKENS / COST</div>
+                  <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
+                    🪙 {formatTokens(modalResult.usage.inputTokens)} / {formatTokens(modalResult.usage.outputTokens)} • {formatCost(modalResult.cost)}
+                  </div>
+                </div>
+              )}
               <div style={{ textAlign: 'center' }}>
                 <div style={{ fontSize: '12px', opacity: 0.7 }}>TIMESTAMP</div>
                 <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
                   {new Date(modalResult.timestamp).toLocaleString()}
                 </div>
               </div>
+              {(modalTrialResult || modalResult).requestId && (
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '12px', opacity: 0.7 }}>REQUEST ID</div>
+                  <div style={{ fontSize: '12px', fontWeight: 'bold', wordBreak: 'break-all' }}>
+                    🆔 {(modalTrialResult || modalResult).requestId}
+                  </div>
+                </div>
+              )}
+              {(modalTrialResult || modalResult).finishReason && (
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '12px', opacity: 0.7 }}>FINISH REASON</div>
+                  <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
+                    {hitTokenLimit((modalTrialResult || modalResult).finishReason) ? '⚠️' : '🏁'} {(modalTrialResult || modalResult).finishReason}
+                  </div>
+                </div>
+              )}
+              {modalResult.promptTemplate && (
+                <div style={{ textAlign: 'center' }}>
+                  <div style={{ fontSize: '12px', opacity: 0.7 }}>PROMPT TEMPLATE</div>
+                  <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
+                    📝 {modalResult.promptTemplate}
+                  </div>
+                </div>
+              )}
             </div>
 
+            {/* Grading */}
+            {(modalTrialResult || modalResult).grade && (
+              <GradeDetails grade={(modalTrialResult || modalResult).grade!} />
+            )}
+            {(modalTrialResult || modalResult).needles?.filter(score => score.grade).map(score => (
+              <GradeDetails key={score.fact} grade={score.grade!} title={score.exactMatch} />
+            ))}
+
+            {/* Trial Picker */}
+            {modalResult.trialResults && modalResult.trials && (
+              <div style={{ marginBottom: '20px' }}>
+                <TrialStats summary={modalResult.trials} />
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '10px' }}>
+                  {modalResult.trialResults.map((trial, index) => (
+                    <button
+                      key={trial.trial}
+                      className="farm-button"
+                      style={{
+                        fontSize: '12px',
+                        padding: '4px 8px',
+                        opacity: modalTrial === index ? 1 : 0.6
+                      }}
+                      onClick={() => setModalTrial(index)}
+                      title={`${trial.responseTime}ms`}
+                    >
+                      #{trial.trial} {trial.error ? '⚠️' : trial.foundNeedle ? '✓' : '✗'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Modal Response Content */}
             <div style={{ marginBottom: '20px' }}>
-              <h3 style={{ fontSize: '18px', marginBottom: '10px' }}>📝 MODEL RESPONSE:</h3>
+              <h3 style={{ fontSize: '18px', marginBottom: '10px' }}>
+                📝 MODEL RESPONSE{modalTrialResult ? ` (TRIAL ${modalTrialResult.trial}, ${modalTrialResult.responseTime}ms)` : ''}:
+              </h3>
               <div style={{ 
                 padding: '20px',
                 background: 'var(--farm-dark-beige)',
@@ -1488,7 +2673,7 @@ function App() {
                 overflowY: 'auto',
                 whiteSpace: 'pre-wrap'
               }}>
-                {modalResult.response}
+                {modalTrialResult ? modalTrialResult.response : modalResult.response}
               </div>
             </div>
 
@@ -1503,7 +2688,7 @@ function App() {
               <button
                 className="farm-button"
                 style={{ fontSize: '16px', padding: '10px 20px' }}
-                onClick={() => copyResponse(modalResult.response)}
+                onClick={() => copyResponse(modalTrialResult ? modalTrialResult.response : modalResult.response)}
               >
                 📋 COPY RESPONSE
               </button>
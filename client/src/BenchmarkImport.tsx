@@ -0,0 +1,34 @@
+import React from 'react';
+import { BenchmarkImport } from '@hay/suites';
+
+const MAX_REPORTED_ERRORS = 20;
+
+interface BenchmarkImportReportProps {
+  fileName: string;
+  result: BenchmarkImport;
+  onDismiss: () => void;
+}
+
+// What an import added, and why rows were skipped
+export function BenchmarkImportReport({ fileName, result, onDismiss }: BenchmarkImportReportProps) {
+  const { cases, errors } = result;
+  return (
+    <div className={errors.length > 0 ? 'farm-alert farm-alert-error' : 'farm-alert farm-alert-success'}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>
+          📥 Imported {cases.length} case{cases.length === 1 ? '' : 's'} from {fileName}
+          {errors.length > 0 && ` - ${errors.length} problem${errors.length === 1 ? '' : 's'}`}
+        </span>
+        <button className="farm-button" style={{ fontSize: '12px', padding: '0 6px' }} onClick={onDismiss} title="Dismiss">
+          ✕
+        </button>
+      </div>
+      {errors.slice(0, MAX_REPORTED_ERRORS).map(message => (
+        <div key={message} style={{ fontSize: '14px' }}>⚠️ {message}</div>
+      ))}
+      {errors.length > MAX_REPORTED_ERRORS && (
+        <div style={{ fontSize: '14px' }}>...and {errors.length - MAX_REPORTED_ERRORS} more</div>
+      )}
+    </div>
+  );
+}
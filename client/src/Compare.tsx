@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { SERVER_URL } from './config';
+import { formatCost } from './CostPreview';
+
+export const MAX_COMPARED_RUNS = 5;
+
+type Outcome = 'PASS' | 'FAIL' | 'DISTRACTED' | 'ERROR' | 'SKIPPED' | 'CANCELLED';
+
+interface DiffPart {
+  type: 'same' | 'added' | 'removed';
+  text: string;
+}
+
+interface ModelRunSummary {
+  runId: string;
+  passed: number;
+  completed: number;
+  errors: number;
+  passRate: number;
+  ci: { lower: number; upper: number };
+  latency: { mean: number; p50: number; p95: number };
+  cost: number | null;
+  // Only on runs after the baseline
+  passRateDelta?: number;
+  latencyDelta?: number;
+  regression?: boolean;
+  significant?: boolean;
+  latencyRegression?: boolean;
+}
+
+interface ResultChange {
+  key: string;
+  label: string;
+  outcomes: (Outcome | null)[];
+  responses: (string | null)[];
+  diffs: (DiffPart[] | null)[];
+  regression: boolean;
+}
+
+interface ModelComparison {
+  modelId: string;
+  runs: (ModelRunSummary | null)[];
+  regression: boolean;
+  latencyRegression: boolean;
+  changes: ResultChange[];
+}
+
+// GET /api/runs/compare; the first run is the baseline
+export interface RunComparison {
+  baseline: string;
+  runs: { id: string; type: string; status: string; startedAt: string; promptTemplate: string | null; trials: number }[];
+  warnings: string[];
+  models: ModelComparison[];
+  regressions: number;
+}
+
+const REGRESSION_COLOR = '#CC0000';
+
+const formatPercent = (rate: number) => `${(rate * 100).toFixed(0)}%`;
+const formatDelta = (delta: number, unit: string) => `${delta > 0 ? '+' : ''}${unit === '%' ? (delta * 100).toFixed(0) : delta}${unit}`;
+
+// Removed words struck through in red, added words in green
+function ResponseDiff({ parts }: { parts: DiffPart[] }) {
+  return (
+    <div style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '14px', background: 'var(--farm-dark-beige)', padding: '6px' }}>
+      {parts.map((part, index) => (
+        <span
+          key={index}
+          style={part.type === 'removed'
+            ? { color: REGRESSION_COLOR, textDecoration: 'line-through' }
+            : part.type === 'added' ? { color: 'var(--farm-dark-green)', fontWeight: 'bold' } : undefined}
+        >
+          {part.text}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+interface RunComparisonViewProps {
+  runIds: string[];
+  onClose: () => void;
+  onError: (message: string) => void;
+}
+
+// Pass-rate and latency deltas against the baseline run, with regressions highlighted and response diffs per call
+export function RunComparisonView({ runIds, onClose, onError }: RunComparisonViewProps) {
+  const [comparison, setComparison] = useState<RunComparison | null>(null);
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch(`${SERVER_URL}/api/runs/compare?ids=${runIds.map(encodeURIComponent).join(',')}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || `Server responded with ${response.status}`);
+        }
+        setComparison(data);
+      })
+      .catch(error => {
+        onError(`Failed to compare runs: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        onClose();
+      });
+  }, [runIds, onClose, onError]);
+
+  const hasTrials = comparison?.runs.some(run => run.trials > 1) ?? false;
+  const cellStyle = { padding: '4px 8px', borderBottom: '1px solid var(--farm-brown)', textAlign: 'left' as const };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1001
+    }} onClick={onClose}>
+      <div className="pixel-border" style={{
+        background: 'var(--farm-beige)',
+        padding: '20px',
+        maxWidth: '1100px',
+        width: '95%',
+        maxHeight: '85vh',
+        overflowY: 'auto'
+      }} onClick={(e) => e.stopPropagation()}>
+        <h2 style={{ fontSize: '20px', margin: '0 0 15px' }}>⚖️ RUN COMPARISON</h2>
+
+        {!comparison ? (
+          <div className="status-loading">COMPARING<span className="loading-dots"></span></div>
+        ) : (
+          <>
+            <div className={comparison.regressions > 0 ? 'farm-alert farm-alert-error' : 'farm-alert farm-alert-success'}>
+              {comparison.regressions > 0
+                ? `⚠️ ${comparison.regressions} model(s) regressed against the baseline`
+                : '✅ No retrieval regressions against the baseline'}
+            </div>
+            {comparison.warnings.map(warning => (
+              <div key={warning} style={{ fontSize: '14px', color: '#CC6600' }}>⚠️ {warning}</div>
+            ))}
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginTop: '15px' }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>MODEL</th>
+                  {comparison.runs.map((run, index) => (
+                    <th key={run.id} style={cellStyle} title={run.id}>
+                      {index === 0 ? 'BASELINE' : `RUN ${index + 1}`}
+                      <div style={{ fontSize: '12px', fontWeight: 'normal', opacity: 0.7 }}>{new Date(run.startedAt).toLocaleString()}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.models.map(model => (
+                  <tr key={model.modelId} style={model.regression ? { background: '#FFE5E5' } : undefined}>
+                    <td style={cellStyle}>
+                      {model.regression ? '📉 ' : ''}{model.modelId}
+                    </td>
+                    {model.runs.map((summary, index) => (
+                      <td key={index} style={cellStyle}>
+                        {!summary ? (
+                          <span style={{ opacity: 0.5 }}>not run</span>
+                        ) : (
+                          <>
+                            <div>
+                              ✓ {summary.passed}/{summary.completed} ({formatPercent(summary.passRate)})
+                              {summary.passRateDelta !== undefined && summary.passRateDelta !== 0 && (
+                                <span style={{ marginLeft: '6px', fontWeight: 'bold', color: summary.regression ? REGRESSION_COLOR : summary.passRateDelta < 0 ? '#CC6600' : 'var(--farm-dark-green)' }}
+                                  title={summary.significant ? 'Confidence intervals do not overlap' : summary.passRateDelta < 0 ? 'Within the confidence intervals' : undefined}>
+                                  {formatDelta(summary.passRateDelta, '%')}{summary.significant ? ' ‼' : ''}
+                                </span>
+                              )}
+                            </div>
+                            <div style={{ fontSize: '12px', opacity: summary.latencyRegression ? 1 : 0.8 }}>
+                              ⏱️ {summary.latency.mean}ms
+                              {summary.latencyDelta !== undefined && summary.latencyDelta !== 0 && (
+                                <span style={{ marginLeft: '6px', color: summary.latencyRegression ? REGRESSION_COLOR : undefined }}>
+                                  {formatDelta(summary.latencyDelta, 'ms')}
+                                </span>
+                              )}
+                              {summary.cost !== null && ` • ${formatCost(summary.cost)}`}
+                            </div>
+                          </>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {comparison.models.filter(model => model.changes.length > 0).map(model => (
+              <div key={model.modelId} style={{ marginTop: '15px' }}>
+                <h3 style={{ fontSize: '16px', margin: '0 0 5px' }}>
+                  {model.modelId}: {model.changes.length} changed response{model.changes.length === 1 ? '' : 's'}
+                </h3>
+                {hasTrials && (
+                  <div style={{ fontSize: '12px', opacity: 0.7, marginBottom: '5px' }}>
+                    Trials are paired by number only; the pass rate above decides regressions
+                  </div>
+                )}
+                {model.changes.map(change => {
+                  const id = `${model.modelId}|${change.key}`;
+                  return (
+                    <div key={change.key} style={{ marginBottom: '5px' }}>
+                      <button
+                        className="farm-button"
+                        style={{ fontSize: '12px', padding: '4px 8px', width: '100%', textAlign: 'left', ...(change.regression && { color: REGRESSION_COLOR }) }}
+                        onClick={() => setExpanded(expanded === id ? null : id)}
+                      >
+                        {expanded === id ? '▼' : '▶'} {change.label}: {change.outcomes.map(outcome => outcome || '-').join(' → ')}
+                      </button>
+                      {expanded === id && change.diffs.map((diff, index) => diff && (
+                        <div key={index} style={{ marginTop: '5px' }}>
+                          <div style={{ fontSize: '12px', opacity: 0.7 }}>BASELINE → RUN {index + 1}</div>
+                          <ResponseDiff parts={diff} />
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </>
+        )}
+
+        <button
+          className="farm-button"
+          style={{ width: '100%', marginTop: '20px', fontSize: '18px' }}
+          onClick={onClose}
+        >
+          CLOSE
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React from 'react';
+import { formatTokens } from './CostPreview';
+
+export interface HaystackTruncation {
+  originalChars: number;
+  sentChars: number;
+  segments: { start: number; end: number }[];
+  anchored: boolean;
+  maxContext: number;
+}
+
+export interface ContextSkip {
+  reason: string;
+  haystackTokens: number;
+  maxContext: number;
+}
+
+interface ContextWindowNoteProps {
+  truncation?: HaystackTruncation;
+  skipped?: ContextSkip;
+}
+
+// Explains why a model was skipped, or how much of the haystack it actually saw
+export function ContextWindowNote({ truncation, skipped }: ContextWindowNoteProps) {
+  if (skipped) {
+    return (
+      <div>
+        <div className="status-not-found">⛔ EXCEEDS CONTEXT</div>
+        <div style={{ fontSize: '12px', opacity: 0.8, marginTop: '8px' }}>
+          ~{formatTokens(skipped.haystackTokens)} haystack tokens vs a {formatTokens(skipped.maxContext)} token window.
+          Enable TRUNCATE TO FIT to test it on a shortened haystack.
+        </div>
+      </div>
+    );
+  }
+
+  if (!truncation) return null;
+
+  const keptPercent = Math.round((truncation.sentChars / truncation.originalChars) * 100);
+  return (
+    <div style={{ fontSize: '12px', opacity: 0.8, marginTop: '5px' }}>
+      ✂️ Truncated to {keptPercent}% of the haystack ({truncation.segments.length} segment{truncation.segments.length === 1 ? '' : 's'}
+      {truncation.anchored ? ' around the needle' : ', needle not located'}) for a {formatTokens(truncation.maxContext)} token window
+    </div>
+  );
+}
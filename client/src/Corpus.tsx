@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from 'react';
+import { SERVER_URL } from './config';
+
+export type CorpusUnit = 'chars' | 'tokens';
+
+export interface CorpusText {
+  id: string;
+  title: string;
+  author: string;
+  year: number;
+  category: string;
+  available: boolean;
+  characterCount: number | null;
+  // Texts without a checksum pinned in the catalog are never used
+  pinned: boolean;
+  // Set when the text has no pinned checksum or the downloaded copy doesn't match it
+  error?: string;
+}
+
+// What the server builds a corpus haystack from; runs record it so the haystack can be rebuilt
+export interface CorpusSource {
+  ids: string[];
+  start: number;
+  length?: { unit: CorpusUnit; value: number };
+  range: { start: number; end: number };
+  segments: { id: string; start: number; end: number }[];
+  checksums: Record<string, string>;
+  sha256: string;
+}
+
+const CATEGORY_LABELS: Record<string, string> = {
+  novel: 'NOVELS',
+  essay: 'ESSAYS',
+  technical: 'TECHNICAL'
+};
+
+interface CorpusPickerProps {
+  onLoaded: (haystack: string, source: CorpusSource) => void;
+  onError: (message: string) => void;
+  disabled?: boolean;
+}
+
+// Builds a haystack from the server's public-domain texts: pick texts, a start offset and a target length
+export function CorpusPicker({ onLoaded, onError, disabled }: CorpusPickerProps) {
+  const [texts, setTexts] = useState<CorpusText[]>([]);
+  const [choice, setChoice] = useState('');
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [start, setStart] = useState('0');
+  const [length, setLength] = useState('');
+  const [unit, setUnit] = useState<CorpusUnit>('tokens');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    fetch(`${SERVER_URL}/api/corpus`)
+      .then(response => response.json())
+      .then(data => {
+        const available: CorpusText[] = data.texts || [];
+        setTexts(available);
+        setChoice(available.find(text => text.available)?.id || '');
+      })
+      .catch(error => onError(`Failed to load corpus: ${error instanceof Error ? error.message : 'Unknown error'}`));
+  }, [onError]);
+
+  const categories = Array.from(new Set(texts.map(text => text.category)));
+  const titleOf = (id: string) => texts.find(text => text.id === id)?.title || id;
+  const anyAvailable = texts.some(text => text.available);
+
+  const load = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/corpus/build`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ids: selectedIds,
+          start: Number(start) || 0,
+          ...(length !== '' && { length: { unit, value: Number(length) } })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      onLoaded(data.haystack, data.corpus);
+    } catch (error) {
+      onError(`Failed to build haystack from corpus: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+        📚 PUBLIC-DOMAIN CORPUS:
+      </label>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 60px', gap: '5px', marginBottom: '5px' }}>
+        <select
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          value={choice}
+          disabled={disabled || !anyAvailable}
+          onChange={(e) => setChoice(e.target.value)}
+        >
+          {categories.map(category => (
+            <optgroup key={category} label={CATEGORY_LABELS[category] || category.toUpperCase()}>
+              {texts.filter(text => text.category === category).map(text => (
+                <option key={text.id} value={text.id} disabled={!text.available} title={text.error}>
+                  {text.title} ({text.author}, {text.year}){text.available ? '' : !text.pinned ? ' - checksum not pinned' : text.error ? ' - checksum mismatch' : ' - not downloaded'}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <button
+          className="farm-button"
+          style={{ fontSize: '14px', padding: '4px' }}
+          onClick={() => setSelectedIds([...selectedIds, choice])}
+          disabled={disabled || !choice || !texts.find(text => text.id === choice)?.available}
+          title="Append this text to the haystack"
+        >
+          + ADD
+        </button>
+      </div>
+      {selectedIds.map((id, index) => (
+        <div key={index} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', marginBottom: '3px' }}>
+          <span>{index + 1}. {titleOf(id)}</span>
+          <button
+            className="farm-button"
+            style={{ fontSize: '12px', padding: '0 6px' }}
+            onClick={() => setSelectedIds(selectedIds.filter((_, i) => i !== index))}
+            disabled={disabled}
+            title="Remove text"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '5px', marginBottom: '5px' }}>
+        <input
+          type="number"
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          min="0"
+          placeholder="Start char"
+          title="Character offset to start from (moved to the next sentence)"
+          value={start}
+          disabled={disabled}
+          onChange={(e) => setStart(e.target.value)}
+        />
+        <input
+          type="number"
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          min="1"
+          placeholder="Length (all)"
+          title="Target length; texts repeat if they are too short. Leave empty to use each text once"
+          value={length}
+          disabled={disabled}
+          onChange={(e) => setLength(e.target.value)}
+        />
+        <select
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          value={unit}
+          disabled={disabled}
+          onChange={(e) => setUnit(e.target.value as CorpusUnit)}
+        >
+          <option value="tokens">TOKENS</option>
+          <option value="chars">CHARS</option>
+        </select>
+      </div>
+      <button
+        className="farm-button"
+        style={{ width: '100%', fontSize: '14px', padding: '6px' }}
+        onClick={load}
+        disabled={disabled || isLoading || selectedIds.length === 0}
+      >
+        {isLoading ? 'LOADING...' : 'LOAD CORPUS HAYSTACK'}
+      </button>
+      {texts.length > 0 && !anyAvailable && (
+        <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+          💡 No texts downloaded yet - run <code>npm run corpus:fetch</code> in the server directory.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One-line description of where a corpus haystack came from
+export const describeCorpusSource = (source: CorpusSource) => {
+  const length = source.length ? `, ${source.length.value.toLocaleString()} ${source.length.unit}` : '';
+  return `📚 ${source.ids.join(' + ')} from character ${source.range.start.toLocaleString()}${length} • sha256 ${source.sha256.slice(0, 12)}`;
+};
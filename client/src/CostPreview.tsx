@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+
+export interface TokenUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+export interface ModelEstimate {
+  modelId: string;
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  price: ModelPrice | null;
+  inputCost: number | null;
+  maxCost: number | null;
+  skippedCalls?: number;
+  skipReason?: string;
+  truncated?: boolean;
+}
+
+export interface RunEstimate {
+  models: ModelEstimate[];
+  totalInputTokens: number;
+  totalInputCost: number;
+  totalMaxCost: number;
+  unpricedModels: string[];
+}
+
+export const formatCost = (cost: number | null | undefined) => {
+  if (cost === null || cost === undefined) return 'n/a';
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens: number) => tokens.toLocaleString();
+
+interface CostPreviewProps {
+  estimate: RunEstimate;
+  budget: number;
+  modelNames: { [modelId: string]: string };
+  onClose: () => void;
+  onRun: () => void;
+  onSavePrices: (prices: { [modelId: string]: ModelPrice }) => void;
+}
+
+// Pre-run token/cost estimate with an editable price table (USD per million tokens)
+function CostPreview({ estimate, budget, modelNames, onClose, onRun, onSavePrices }: CostPreviewProps) {
+  const [prices, setPrices] = useState<{ [modelId: string]: { input: string; output: string } }>(() => {
+    const initial: { [modelId: string]: { input: string; output: string } } = {};
+    estimate.models.forEach(model => {
+      initial[model.modelId] = {
+        input: model.price ? String(model.price.input) : '',
+        output: model.price ? String(model.price.output) : ''
+      };
+    });
+    return initial;
+  });
+
+  const overBudget = estimate.totalMaxCost > budget;
+
+  const savePrices = () => {
+    const updated: { [modelId: string]: ModelPrice } = {};
+    Object.entries(prices).forEach(([modelId, price]) => {
+      if (price.input !== '' && price.output !== '') {
+        updated[modelId] = { input: parseFloat(price.input), output: parseFloat(price.output) };
+      }
+    });
+    onSavePrices(updated);
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="pixel-border" style={{
+        background: 'var(--farm-beige)',
+        padding: '20px',
+        maxWidth: '900px',
+        width: '95%',
+        maxHeight: '85vh',
+        overflowY: 'auto'
+      }}>
+        <h2 style={{ fontSize: '20px', marginBottom: '10px' }}>💰 COST ESTIMATE</h2>
+        <div style={{ fontSize: '14px', marginBottom: '15px', opacity: 0.8 }}>
+          Input tokens are estimated at ~4 characters per token. Output is priced at each model's max tokens, so the total is an upper bound.
+        </div>
+
+        <table style={{ width: '100%', fontSize: '13px', borderCollapse: 'collapse', marginBottom: '15px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: '2px solid var(--farm-green)' }}>
+              <th style={{ padding: '4px' }}>MODEL</th>
+              <th style={{ padding: '4px' }}>CALLS</th>
+              <th style={{ padding: '4px' }}>INPUT TOKENS</th>
+              <th style={{ padding: '4px' }}>MAX OUTPUT</th>
+              <th style={{ padding: '4px' }}>$ / 1M IN</th>
+              <th style={{ padding: '4px' }}>$ / 1M OUT</th>
+              <th style={{ padding: '4px' }}>INPUT COST</th>
+              <th style={{ padding: '4px' }}>MAX COST</th>
+            </tr>
+          </thead>
+          <tbody>
+            {estimate.models.map(model => (
+              <tr key={model.modelId} style={{ borderBottom: '1px dashed var(--farm-brown)' }}>
+                <td style={{ padding: '4px' }} title={model.skipReason}>
+                  {modelNames[model.modelId] || model.modelId}
+                  {model.skipReason && ' ⛔'}
+                  {model.truncated && ' ✂️'}
+                </td>
+                <td style={{ padding: '4px' }}>
+                  {model.calls}
+                  {model.skippedCalls ? ` (+${model.skippedCalls} skipped)` : ''}
+                </td>
+                <td style={{ padding: '4px' }}>{formatTokens(model.inputTokens)}</td>
+                <td style={{ padding: '4px' }}>{formatTokens(model.outputTokens)}</td>
+                {(['input', 'output'] as const).map(field => (
+                  <td key={field} style={{ padding: '4px' }}>
+                    <input
+                      type="number"
+                      className="terminal-input"
+                      style={{ width: '70px', fontSize: '12px' }}
+                      min="0"
+                      step="0.01"
+                      value={prices[model.modelId]?.[field] ?? ''}
+                      onChange={(e) => setPrices(prev => ({
+                        ...prev,
+                        [model.modelId]: { ...prev[model.modelId], [field]: e.target.value }
+                      }))}
+                    />
+                  </td>
+                ))}
+                <td style={{ padding: '4px' }}>{formatCost(model.inputCost)}</td>
+                <td style={{ padding: '4px' }}>{formatCost(model.maxCost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ fontSize: '16px', marginBottom: '10px' }}>
+          TOTAL: {formatTokens(estimate.totalInputTokens)} input tokens • {formatCost(estimate.totalInputCost)} input • up to {formatCost(estimate.totalMaxCost)}
+        </div>
+        {estimate.models.some(model => model.skippedCalls || model.truncated) && (
+          <div style={{ fontSize: '13px', marginBottom: '10px' }}>
+            ⛔ Calls whose haystack exceeds the model's context window are skipped and cost nothing. ✂️ marks models that get a truncated haystack.
+          </div>
+        )}
+        {estimate.unpricedModels.length > 0 && (
+          <div style={{ fontSize: '13px', marginBottom: '10px' }}>
+            ⚠️ No price for: {estimate.unpricedModels.join(', ')} (not included in the total)
+          </div>
+        )}
+        {overBudget && (
+          <div className="farm-alert farm-alert-error" style={{ marginBottom: '10px' }}>
+            <span className="terminal-chevron">&gt;</span> Estimated cost exceeds your budget of {formatCost(budget)}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+          <button className="farm-button" style={{ flex: 1, fontSize: '16px' }} onClick={savePrices}>
+            SAVE PRICES
+          </button>
+          <button className="farm-button" style={{ flex: 1, fontSize: '16px' }} onClick={onRun}>
+            {overBudget ? 'RUN ANYWAY' : 'RUN'}
+          </button>
+          <button className="farm-button" style={{ flex: 1, fontSize: '16px' }} onClick={onClose}>
+            CANCEL
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CostPreview;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { detectDistractors, GradingOptions } from '@hay/grading';
+
+export interface Distractor {
+  statement: string;
+  value: string;
+  depth: number;
+}
+
+export const MAX_DISTRACTORS = 20;
+
+// Spread distractors evenly through the document, matching the server's default placement
+export const spreadDistractorDepths = (distractors: Distractor[]): Distractor[] => {
+  return distractors.map((distractor, index) => ({ ...distractor, depth: Math.round(((index + 1) / (distractors.length + 1)) * 100) }));
+};
+
+interface DistractorEditorProps {
+  distractors: Distractor[];
+  onChange: (distractors: Distractor[]) => void;
+}
+
+// Editor for the near-miss statements planted around the real needle
+export function DistractorEditor({ distractors, onChange }: DistractorEditorProps) {
+  const updateDistractor = (index: number, changes: Partial<Distractor>) => {
+    onChange(distractors.map((distractor, i) => i === index ? { ...distractor, ...changes } : distractor));
+  };
+
+  const addDistractor = () => {
+    onChange(spreadDistractorDepths([...distractors, { statement: '', value: '', depth: 0 }]));
+  };
+
+  const removeDistractor = (index: number) => {
+    onChange(distractors.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div style={{ marginTop: '15px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '3fr 1fr 80px 40px', gap: '10px', fontSize: '14px', marginBottom: '5px' }}>
+        <div>DISTRACTOR STATEMENT</div>
+        <div>DISTRACTOR VALUE</div>
+        <div>DEPTH %</div>
+        <div></div>
+      </div>
+      {distractors.map((distractor, index) => (
+        <div key={index} style={{ display: 'grid', gridTemplateColumns: '3fr 1fr 80px 40px', gap: '10px', marginBottom: '8px' }}>
+          <input
+            type="text"
+            className="terminal-input"
+            placeholder="e.g., 'The vault code was once 15608.'"
+            value={distractor.statement}
+            onChange={(e) => updateDistractor(index, { statement: e.target.value })}
+          />
+          <input
+            type="text"
+            className="terminal-input"
+            placeholder="e.g., '15608'"
+            value={distractor.value}
+            onChange={(e) => updateDistractor(index, { value: e.target.value })}
+          />
+          <input
+            type="number"
+            className="terminal-input"
+            min="0"
+            max="100"
+            value={distractor.depth}
+            onChange={(e) => updateDistractor(index, { depth: Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) })}
+          />
+          <button
+            className="farm-button"
+            style={{ fontSize: '14px', padding: '4px' }}
+            onClick={() => removeDistractor(index)}
+            disabled={distractors.length <= 1}
+            title="Remove distractor"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <button
+          className="farm-button"
+          style={{ fontSize: '14px', padding: '6px 12px' }}
+          onClick={addDistractor}
+          disabled={distractors.length >= MAX_DISTRACTORS}
+        >
+          + ADD DISTRACTOR
+        </button>
+        <span style={{ fontSize: '12px', opacity: 0.7 }}>
+          💡 An answer that gives a distractor value instead of the exact match text counts as DISTRACTED rather than NOT FOUND.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Card and modal headline for an answer that used a distractor
+export const distractedVerdict = (values?: string[]) => `🎭 DISTRACTED${values && values.length > 0 ? ` (ANSWERED ${values.join(', ')})` : ''}`;
+
+// The server's distractor check (@hay/grading), for re-checking existing responses
+export const checkDistractors = (response: string, expected: string, distractors: Distractor[], grading?: GradingOptions) => {
+  return detectDistractors(response, expected, distractors.map(distractor => distractor.value.trim()).filter(Boolean), grading);
+};
@@ -0,0 +1,38 @@
+import React from 'react';
+
+export type GenerationStage = 'generating' | 'outline' | 'sections' | 'planting';
+
+// Progress reported by the server while it builds test content
+export interface GenerationProgressEvent {
+  stage: GenerationStage;
+  completed: number;
+  total: number;
+}
+
+// Above this the server plans an outline and writes the haystack section by section
+export const SINGLE_CALL_MAX_WORDS = 3000;
+export const MAX_GENERATED_WORDS = 100000;
+
+const STAGE_LABELS: Record<GenerationStage, string> = {
+  generating: 'WRITING TEST',
+  outline: 'PLANNING OUTLINE',
+  sections: 'WRITING SECTIONS',
+  planting: 'PLANTING NEEDLE'
+};
+
+// Stage name, count and bar shown under the GENERATE TEST button
+export function GenerationProgress({ progress }: { progress: GenerationProgressEvent }) {
+  const percent = progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '3px' }}>
+        <span>{STAGE_LABELS[progress.stage]}</span>
+        {progress.stage === 'sections' && <span>{progress.completed}/{progress.total}</span>}
+      </div>
+      <div style={{ height: '8px', border: '2px solid var(--farm-brown)', background: 'var(--farm-dark-beige)' }}>
+        <div style={{ width: `${percent}%`, height: '100%', background: 'var(--farm-green)', transition: 'width 0.3s' }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React from 'react';
+import { gradeAnswer, GradingMode } from '@hay/grading';
+import { formatCost } from './CostPreview';
+
+export type { GradingMode };
+
+export interface GradingSettings {
+  mode: GradingMode;
+  fuzzyThreshold: number;
+  judgeModel: string;
+  passScore: number;
+}
+
+// How a response was scored; exact-match grades are implied and not sent
+export interface Grade {
+  mode: GradingMode;
+  found: boolean;
+  score?: number;
+  rationale?: string;
+  judgeModel?: string;
+  error?: string;
+  cost?: number | null;
+}
+
+export const DEFAULT_GRADING: GradingSettings = {
+  mode: 'exact',
+  fuzzyThreshold: 0.2,
+  judgeModel: '',
+  passScore: 7
+};
+
+const GRADING_MODES: { id: GradingMode; label: string; hint: string }[] = [
+  { id: 'exact', label: 'EXACT', hint: 'Whole-word, case-insensitive match of the exact match text' },
+  { id: 'normalized', label: 'NORMALIZED', hint: 'Ignores case, accents and punctuation; "fifteen thousand six hundred nine" and "15,609" both match 15609' },
+  { id: 'regex', label: 'REGEX', hint: 'The exact match text is a case-insensitive regular expression' },
+  { id: 'fuzzy', label: 'FUZZY', hint: 'Allows a share of the expected characters to differ (typos, near misses)' },
+  { id: 'judge', label: 'LLM JUDGE', hint: 'A grader model scores each answer 0-10 against the expected answer' }
+];
+
+// The run payload's `grading` option; exact matching is the server default
+export const gradingPayload = (settings: GradingSettings) => {
+  switch (settings.mode) {
+    case 'fuzzy':
+      return { mode: settings.mode, fuzzyThreshold: settings.fuzzyThreshold };
+    case 'judge':
+      return { mode: settings.mode, judgeModel: settings.judgeModel, passScore: settings.passScore };
+    case 'exact':
+      return undefined;
+    default:
+      return { mode: settings.mode };
+  }
+};
+
+// Re-grade locally with the server's own matcher (@hay/grading); judge grades need a model call and return null
+export const gradeLocally = (response: string, expected: string, settings: GradingSettings): Grade | null => {
+  if (settings.mode === 'judge') return null;
+  try {
+    return gradeAnswer(response, expected, gradingPayload(settings));
+  } catch (error) {
+    return { mode: settings.mode, found: false, error: 'Invalid regular expression' };
+  }
+};
+
+interface GradingControlsProps {
+  settings: GradingSettings;
+  onChange: (settings: GradingSettings) => void;
+  models: { id: string; name: string; company: string }[];
+  providers: { id: string; name: string }[];
+  disabled?: boolean;
+}
+
+export function GradingControls({ settings, onChange, models, providers, disabled }: GradingControlsProps) {
+  const update = (changes: Partial<GradingSettings>) => onChange({ ...settings, ...changes });
+  const activeMode = GRADING_MODES.find(mode => mode.id === settings.mode);
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+        GRADING:
+      </label>
+      <select
+        className="terminal-input"
+        style={{ width: '100%', fontSize: '12px' }}
+        value={settings.mode}
+        disabled={disabled}
+        onChange={(e) => update({ mode: e.target.value as GradingMode })}
+      >
+        {GRADING_MODES.map(mode => (
+          <option key={mode.id} value={mode.id}>{mode.label}</option>
+        ))}
+      </select>
+      {activeMode && (
+        <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>{activeMode.hint}</div>
+      )}
+
+      {settings.mode === 'fuzzy' && (
+        <div style={{ marginTop: '8px' }}>
+          <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+            ALLOWED DIFFERENCE: {Math.round(settings.fuzzyThreshold * 100)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.05"
+            value={settings.fuzzyThreshold}
+            disabled={disabled}
+            onChange={(e) => update({ fuzzyThreshold: parseFloat(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+        </div>
+      )}
+
+      {settings.mode === 'judge' && (
+        <div style={{ marginTop: '8px' }}>
+          <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+            GRADER MODEL:
+          </label>
+          <select
+            className="terminal-input"
+            style={{ width: '100%', fontSize: '12px' }}
+            value={settings.judgeModel}
+            disabled={disabled}
+            onChange={(e) => update({ judgeModel: e.target.value })}
+          >
+            <option value="">Select a grader model...</option>
+            {providers.map(provider => (
+              <optgroup key={provider.id} label={provider.name}>
+                {models.filter(model => model.company === provider.id).map(model => (
+                  <option key={model.id} value={model.id}>{model.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <label style={{ fontSize: '12px', display: 'block', margin: '8px 0 5px' }}>
+            PASS SCORE: {settings.passScore}/10
+          </label>
+          <input
+            type="range"
+            min="1"
+            max="10"
+            step="1"
+            value={settings.passScore}
+            disabled={disabled}
+            onChange={(e) => update({ passScore: parseInt(e.target.value, 10) })}
+            style={{ width: '100%' }}
+          />
+          <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+            ⚠️ Adds one grader call per answer (per needle in multi-needle tests)
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Card and modal headline; plain exact-match results keep their original wording
+export const gradeVerdict = (foundNeedle: boolean, grade?: Grade) => {
+  if (!grade || grade.mode === 'exact') {
+    return foundNeedle ? '✓ EXACT MATCH FOUND!' : '✗ EXACT MATCH NOT FOUND';
+  }
+  if (grade.mode === 'judge') {
+    const score = grade.score !== undefined ? ` (${grade.score}/10)` : '';
+    return foundNeedle ? `✓ JUDGE PASS${score}` : `✗ JUDGE FAIL${score}`;
+  }
+  const label = GRADING_MODES.find(mode => mode.id === grade.mode)?.label;
+  return foundNeedle ? `✓ ${label} MATCH FOUND!` : `✗ ${label} MATCH NOT FOUND`;
+};
+
+// Grade breakdown for the response modal
+export function GradeDetails({ grade, title }: { grade: Grade; title?: string }) {
+  const label = GRADING_MODES.find(mode => mode.id === grade.mode)?.label || grade.mode.toUpperCase();
+
+  return (
+    <div className="pixel-border" style={{ padding: '10px', marginBottom: '15px', fontSize: '14px' }}>
+      <div style={{ fontWeight: 'bold', marginBottom: '5px' }}>
+        ⚖️ {title ? `"${title}" ` : ''}{label} GRADE: {grade.found ? '✓ PASS' : '✗ FAIL'}
+        {grade.score !== undefined && (grade.mode === 'judge' ? ` (${grade.score}/10)` : ` (${Math.round(grade.score * 100)}% similar)`)}
+      </div>
+      {grade.judgeModel && <div style={{ opacity: 0.8 }}>Grader: {grade.judgeModel}{grade.cost ? ` • ${formatCost(grade.cost)}` : ''}</div>}
+      {grade.rationale && <div style={{ marginTop: '5px' }}>💬 {grade.rationale}</div>}
+      {grade.error && <div className="status-not-found" style={{ marginTop: '5px' }}>⚠️ {grade.error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React from 'react';
+import { TokenUsage } from './CostPreview';
+import { Grade } from './Grading';
+
+export interface SweepCellResult {
+  testId: string;
+  modelId: string;
+  contextLength: number;
+  depth: number;
+  // Where the needle actually landed (it snaps to a nearby sentence boundary)
+  actualDepth?: number;
+  needleOffset: number;
+  response: string;
+  foundNeedle: boolean;
+  responseTime: number;
+  timeToFirstToken?: number | null;
+  requestId?: string | null;
+  finishReason?: string | null;
+  grade?: Grade;
+  timestamp: string;
+  usage?: TokenUsage | null;
+  cost?: number | null;
+  error?: string;
+  skipped?: boolean;
+}
+
+export interface SweepAxes {
+  contextLengths: number[];
+  depths: number[];
+}
+
+export const sweepCellKey = (contextLength: number, depth: number) => `${contextLength}:${depth}`;
+
+const formatLength = (tokens: number) => {
+  return tokens >= 1000 ? `${Math.round(tokens / 100) / 10}k` : `${tokens}`;
+};
+
+const getCellColor = (cell: SweepCellResult | undefined) => {
+  if (!cell) return 'var(--farm-dark-beige)';
+  if (cell.skipped) return 'repeating-linear-gradient(45deg, #9CA3AF, #9CA3AF 3px, var(--farm-dark-beige) 3px, var(--farm-dark-beige) 6px)';
+  if (cell.error) return '#9CA3AF';
+  return cell.foundNeedle ? 'var(--farm-green)' : '#CC0000';
+};
+
+interface HeatmapProps {
+  axes: SweepAxes;
+  cells: { [key: string]: SweepCellResult };
+  onCellClick?: (cell: SweepCellResult) => void;
+}
+
+// Classic needle-in-a-haystack pass/fail grid: needle depth on Y, context length on X
+function Heatmap({ axes, cells, onCellClick }: HeatmapProps) {
+  const { contextLengths, depths } = axes;
+  const completed = Object.values(cells);
+  const passed = completed.filter(cell => cell.foundNeedle).length;
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{ fontSize: '12px', opacity: 0.8, marginBottom: '5px', textAlign: 'left' }}>
+        🧭 {passed}/{completed.length} cells found ({contextLengths.length * depths.length} total)
+      </div>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: `40px repeat(${contextLengths.length}, 1fr)`,
+        gap: '2px',
+        fontSize: '10px'
+      }}>
+        {depths.map(depth => (
+          <React.Fragment key={depth}>
+            <div style={{ textAlign: 'right', paddingRight: '4px', lineHeight: '16px' }}>{depth}%</div>
+            {contextLengths.map(contextLength => {
+              const cell = cells[sweepCellKey(contextLength, depth)];
+              return (
+                <div
+                  key={contextLength}
+                  style={{
+                    height: '16px',
+                    background: getCellColor(cell),
+                    border: '1px solid var(--farm-brown)',
+                    cursor: cell && onCellClick ? 'pointer' : 'default'
+                  }}
+                  title={cell
+                    ? `${formatLength(contextLength)} tokens @ ${depth}% depth${cell.actualDepth !== undefined && cell.actualDepth !== depth ? ` (needle at ${cell.actualDepth}%)` : ''}: ${cell.skipped ? 'EXCEEDS CONTEXT' : cell.error ? 'ERROR' : cell.foundNeedle ? 'FOUND' : 'NOT FOUND'} (${cell.responseTime}ms)`
+                    : `${formatLength(contextLength)} tokens @ ${depth}% depth: pending`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (cell && onCellClick) {
+                      onCellClick(cell);
+                    }
+                  }}
+                />
+              );
+            })}
+          </React.Fragment>
+        ))}
+        <div />
+        {contextLengths.map(contextLength => (
+          <div key={contextLength} style={{ textAlign: 'center' }}>{formatLength(contextLength)}</div>
+        ))}
+      </div>
+      <div style={{ fontSize: '10px', opacity: 0.7, marginTop: '4px', textAlign: 'center' }}>
+        DEPTH (Y) × CONTEXT TOKENS (X)
+      </div>
+    </div>
+  );
+}
+
+export default Heatmap;
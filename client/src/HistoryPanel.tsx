@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { SERVER_URL } from './config';
+import { TokenUsage, formatCost } from './CostPreview';
+import { RunExportButtons } from './RunExport';
+import { RunComparisonView, MAX_COMPARED_RUNS } from './Compare';
+
+export interface StoredRunSummary {
+  id: string;
+  type: 'single' | 'sweep' | 'multi';
+  haystackHash: string;
+  haystackLength: number;
+  needle: string;
+  exactMatch: string;
+  config: any;
+  status: string;
+  startedAt: string;
+  completedAt: string | null;
+  resultCount?: number;
+  modelCount?: number;
+  passCount?: number;
+  totalCost?: number | null;
+}
+
+export interface StoredRunResult {
+  modelId: string;
+  modelConfig: { modelId: string; temperature?: number; maxTokens?: number };
+  response: string | null;
+  foundNeedle: boolean;
+  responseTime: number;
+  timeToFirstToken: number | null;
+  error: string | null;
+  details: any;
+  usage: TokenUsage | null;
+  cost: number | null;
+  timestamp: string;
+}
+
+export interface StoredRun extends StoredRunSummary {
+  haystack: string;
+  results: StoredRunResult[];
+}
+
+interface HistoryPanelProps {
+  onClose: () => void;
+  onOpenRun: (run: StoredRun) => void;
+  onError: (message: string) => void;
+}
+
+function HistoryPanel({ onClose, onOpenRun, onError }: HistoryPanelProps) {
+  const [runs, setRuns] = useState<StoredRunSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Runs ticked for comparison, and the ones being compared (oldest first, so it is the baseline)
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [comparedIds, setComparedIds] = useState<string[] | null>(null);
+  const closeComparison = useCallback(() => setComparedIds(null), []);
+
+  const loadRuns = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/runs`);
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      const data = await response.json();
+      setRuns(data.runs);
+    } catch (error) {
+      onError(`Failed to load run history: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const openRun = async (runId: string) => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/runs/${runId}`);
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      onOpenRun(await response.json());
+    } catch (error) {
+      onError(`Failed to open run: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const deleteRun = async (runId: string) => {
+    if (!window.confirm('Delete this run from history?')) {
+      return;
+    }
+    try {
+      const response = await fetch(`${SERVER_URL}/api/runs/${runId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      setRuns(prev => prev.filter(run => run.id !== runId));
+      setSelectedIds(prev => prev.filter(id => id !== runId));
+    } catch (error) {
+      onError(`Failed to delete run: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const toggleSelected = (runId: string) => {
+    setSelectedIds(prev => prev.includes(runId) ? prev.filter(id => id !== runId) : [...prev, runId]);
+  };
+
+  const compareSelected = () => {
+    const startedAt = (id: string) => runs.find(run => run.id === id)?.startedAt || '';
+    setComparedIds([...selectedIds].sort((a, b) => startedAt(a).localeCompare(startedAt(b))));
+  };
+
+  return (
+    <>
+      <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }} onClick={onClose}>
+        <div className="pixel-border" style={{
+          background: 'var(--farm-beige)',
+          padding: '20px',
+          maxWidth: '900px',
+          width: '90%',
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }} onClick={(e) => e.stopPropagation()}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+            <h2 style={{ fontSize: '20px', margin: 0 }}>📜 RUN HISTORY</h2>
+            <div style={{ display: 'flex', gap: '6px' }}>
+              <button
+                className="farm-button"
+                style={{ fontSize: '14px', padding: '4px 8px' }}
+                onClick={compareSelected}
+                disabled={selectedIds.length < 2 || selectedIds.length > MAX_COMPARED_RUNS}
+                title={`Tick 2-${MAX_COMPARED_RUNS} runs of the same test; the oldest is the baseline`}
+              >
+                ⚖️ COMPARE ({selectedIds.length})
+              </button>
+              <button className="farm-button" style={{ fontSize: '14px', padding: '4px 8px' }} onClick={loadRuns}>
+                🔄 REFRESH
+              </button>
+            </div>
+          </div>
+
+          {isLoading ? (
+            <div className="status-loading">LOADING<span className="loading-dots"></span></div>
+          ) : runs.length === 0 ? (
+            <div className="status-ready">No runs recorded yet.</div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              {runs.map(run => (
+                <div key={run.id} style={{
+                  padding: '10px',
+                  background: 'var(--farm-dark-beige)',
+                  border: '2px solid var(--farm-green)',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '10px'
+                }}>
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(run.id)}
+                    onChange={() => toggleSelected(run.id)}
+                    title="Select for comparison"
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '14px', opacity: 0.7 }}>
+                      {new Date(run.startedAt).toLocaleString()} • {run.type === 'sweep' ? '🧭 SWEEP' : run.type === 'multi' ? '🧷 MULTI-NEEDLE' : '🔍 SINGLE'} • {run.status.toUpperCase()}
+                    </div>
+                    <div style={{ fontSize: '16px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                      {run.needle}
+                    </div>
+                    <div style={{ fontSize: '14px', opacity: 0.8 }}>
+                      🎯 {run.exactMatch} • 🌾 {run.haystackLength.toLocaleString()} chars • 🤖 {run.modelCount} models • ✓ {run.passCount}/{run.resultCount}{run.totalCost ? ` • 💰 ${formatCost(run.totalCost)}` : ''}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button className="farm-button" style={{ fontSize: '12px', padding: '4px 8px' }} onClick={() => openRun(run.id)}>
+                      OPEN
+                    </button>
+                    <button className="farm-button" style={{ fontSize: '12px', padding: '4px 8px' }} onClick={() => deleteRun(run.id)}>
+                      DELETE
+                    </button>
+                    <RunExportButtons runId={run.id} onError={onError} disabled={run.status === 'running'} compact />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            className="farm-button"
+            style={{ width: '100%', marginTop: '20px', fontSize: '18px' }}
+            onClick={onClose}
+          >
+            CLOSE
+          </button>
+        </div>
+      </div>
+      {comparedIds && (
+        <RunComparisonView runIds={comparedIds} onClose={closeComparison} onError={onError} />
+      )}
+    </>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { SERVER_URL } from './config';
+
+export type InsertionUnit = 'percent' | 'chars' | 'tokens';
+
+// Where the server placed the needle sentence
+export interface InsertionResult {
+  haystack: string;
+  offset: number;
+  requestedOffset: number;
+  depth: number;
+  tokenOffset: number;
+  characterCount: number;
+}
+
+const UNITS: { id: InsertionUnit; label: string }[] = [
+  { id: 'percent', label: 'DEPTH %' },
+  { id: 'chars', label: 'CHARACTER' },
+  { id: 'tokens', label: 'TOKEN (~4 CHARS)' }
+];
+
+interface NeedleInsertionProps {
+  haystack: string;
+  onInserted: (haystack: string) => void;
+  onError: (message: string) => void;
+  disabled?: boolean;
+}
+
+// Plants a needle sentence into the haystack at the sentence boundary nearest a target position
+export function NeedleInsertion({ haystack, onInserted, onError, disabled }: NeedleInsertionProps) {
+  const [sentence, setSentence] = useState('');
+  const [unit, setUnit] = useState<InsertionUnit>('percent');
+  const [value, setValue] = useState('50');
+  const [isInserting, setIsInserting] = useState(false);
+  const [placement, setPlacement] = useState<InsertionResult | null>(null);
+  // The haystack before the last insertion, so it can be put back
+  const [cleanHaystack, setCleanHaystack] = useState<string | null>(null);
+
+  const insert = async () => {
+    setIsInserting(true);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/haystack/insert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ haystack, needleSentence: sentence.trim(), position: { unit, value: Number(value) } })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      setCleanHaystack(haystack);
+      setPlacement(data);
+      onInserted(data.haystack);
+    } catch (error) {
+      onError(`Failed to insert needle: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsInserting(false);
+    }
+  };
+
+  const undo = () => {
+    if (cleanHaystack === null) return;
+    onInserted(cleanHaystack);
+    setCleanHaystack(null);
+    setPlacement(null);
+  };
+
+  // An edited haystack no longer matches the reported placement
+  const current = placement && placement.haystack === haystack ? placement : null;
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+        📍 INSERT NEEDLE SENTENCE:
+      </label>
+      <input
+        type="text"
+        className="terminal-input"
+        style={{ width: '100%', fontSize: '12px', marginBottom: '5px' }}
+        placeholder="e.g., 'The vault code is 15609.'"
+        value={sentence}
+        disabled={disabled}
+        onChange={(e) => setSentence(e.target.value)}
+      />
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 80px', gap: '5px', marginBottom: '5px' }}>
+        <select
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          value={unit}
+          disabled={disabled}
+          onChange={(e) => setUnit(e.target.value as InsertionUnit)}
+        >
+          {UNITS.map(option => (
+            <option key={option.id} value={option.id}>AT {option.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          className="terminal-input"
+          style={{ fontSize: '12px' }}
+          min="0"
+          max={unit === 'percent' ? 100 : undefined}
+          value={value}
+          disabled={disabled}
+          onChange={(e) => setValue(e.target.value)}
+        />
+      </div>
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <button
+          className="farm-button"
+          style={{ flex: 1, fontSize: '14px', padding: '6px' }}
+          onClick={insert}
+          disabled={disabled || isInserting || !sentence.trim() || !haystack.trim() || value === ''}
+          title="Inserts the sentence at the sentence boundary nearest the target position"
+        >
+          {isInserting ? 'INSERTING...' : 'INSERT'}
+        </button>
+        {cleanHaystack !== null && (
+          <button
+            className="farm-button"
+            style={{ fontSize: '14px', padding: '6px' }}
+            onClick={undo}
+            disabled={disabled}
+            title="Restore the haystack as it was before the last insertion"
+          >
+            UNDO
+          </button>
+        )}
+      </div>
+      {current && (
+        <div style={{ fontSize: '11px', opacity: 0.8, marginTop: '5px' }}>
+          Inserted at character {current.offset.toLocaleString()} of {current.characterCount.toLocaleString()} • {current.depth}% depth • ~token {current.tokenOffset.toLocaleString()}
+          {current.offset !== current.requestedOffset && ` (nearest sentence boundary to character ${current.requestedOffset.toLocaleString()})`}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React from 'react';
+import { Grade } from './Grading';
+
+export interface NeedleFact {
+  fact: string;
+  exactMatch: string;
+  depth: number;
+}
+
+export interface NeedleScore {
+  fact: string;
+  exactMatch: string;
+  found: boolean;
+  grade?: Grade;
+}
+
+export const MAX_NEEDLES = 20;
+
+// Spread facts evenly through the document, matching the server's default placement
+export const spreadDepths = (facts: NeedleFact[]): NeedleFact[] => {
+  return facts.map((fact, index) => ({ ...fact, depth: Math.round(((index + 1) / (facts.length + 1)) * 100) }));
+};
+
+interface MultiNeedleEditorProps {
+  facts: NeedleFact[];
+  onChange: (facts: NeedleFact[]) => void;
+}
+
+// Editor for the facts planted in a multi-needle test
+export function MultiNeedleEditor({ facts, onChange }: MultiNeedleEditorProps) {
+  const updateFact = (index: number, changes: Partial<NeedleFact>) => {
+    onChange(facts.map((fact, i) => i === index ? { ...fact, ...changes } : fact));
+  };
+
+  const addFact = () => {
+    onChange(spreadDepths([...facts, { fact: '', exactMatch: '', depth: 0 }]));
+  };
+
+  const removeFact = (index: number) => {
+    onChange(facts.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div style={{ marginTop: '15px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '3fr 1fr 80px 40px', gap: '10px', fontSize: '14px', marginBottom: '5px' }}>
+        <div>FACT TO INSERT</div>
+        <div>EXACT MATCH</div>
+        <div>DEPTH %</div>
+        <div></div>
+      </div>
+      {facts.map((fact, index) => (
+        <div key={index} style={{ display: 'grid', gridTemplateColumns: '3fr 1fr 80px 40px', gap: '10px', marginBottom: '8px' }}>
+          <input
+            type="text"
+            className="terminal-input"
+            placeholder="e.g., 'The vault code is 15609.'"
+            value={fact.fact}
+            onChange={(e) => updateFact(index, { fact: e.target.value })}
+          />
+          <input
+            type="text"
+            className="terminal-input"
+            placeholder="e.g., '15609'"
+            value={fact.exactMatch}
+            onChange={(e) => updateFact(index, { exactMatch: e.target.value })}
+          />
+          <input
+            type="number"
+            className="terminal-input"
+            min="0"
+            max="100"
+            value={fact.depth}
+            onChange={(e) => updateFact(index, { depth: Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) })}
+          />
+          <button
+            className="farm-button"
+            style={{ fontSize: '14px', padding: '4px' }}
+            onClick={() => removeFact(index)}
+            disabled={facts.length <= 1}
+            title="Remove fact"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <button
+          className="farm-button"
+          style={{ fontSize: '14px', padding: '6px 12px' }}
+          onClick={addFact}
+          disabled={facts.length >= MAX_NEEDLES}
+        >
+          + ADD FACT
+        </button>
+        <button
+          className="farm-button"
+          style={{ fontSize: '14px', padding: '6px 12px' }}
+          onClick={() => onChange(spreadDepths(facts))}
+        >
+          SPREAD EVENLY
+        </button>
+        <span style={{ fontSize: '12px', opacity: 0.7 }}>
+          💡 Each fact is planted into the haystack at its depth. The NEEDLE field should ask for all of them.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+interface NeedleRecallProps {
+  needles: NeedleScore[];
+  fontSize?: string;
+}
+
+// "3/5 NEEDLES RETRIEVED" with the facts that were missed
+export function NeedleRecall({ needles, fontSize = '14px' }: NeedleRecallProps) {
+  const found = needles.filter(needle => needle.found).length;
+  const missed = needles.filter(needle => !needle.found);
+
+  return (
+    <div>
+      <div className={missed.length === 0 ? 'status-found' : 'status-not-found'} style={{ fontSize }}>
+        {missed.length === 0 ? '✓' : '✗'} {found}/{needles.length} NEEDLES RETRIEVED
+      </div>
+      {missed.length > 0 && (
+        <div style={{ fontSize: '12px', marginTop: '5px', textAlign: 'left' }}>
+          MISSED: {missed.map(needle => `"${needle.exactMatch}"`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { SERVER_URL } from './config';
+
+export type PromptOrder = 'question-first' | 'haystack-first';
+
+export interface PromptTemplate {
+  id: string;
+  name: string;
+  description?: string;
+  system: string;
+  user: string;
+  order: PromptOrder;
+}
+
+// The template picked for the next run; `system` and `user` are only sent for the custom one
+export interface PromptTemplateSettings {
+  id: string;
+  system: string;
+  user: string;
+}
+
+export const CUSTOM_TEMPLATE_ID = 'custom';
+
+export const DEFAULT_PROMPT_TEMPLATE: PromptTemplateSettings = {
+  id: 'question-first',
+  system: '',
+  user: '{question}\n\nContext document:\n{haystack}'
+};
+
+// The run payload's `promptTemplate` option; the default template is the server default
+export const promptTemplatePayload = (settings: PromptTemplateSettings) => {
+  if (settings.id === CUSTOM_TEMPLATE_ID) {
+    return { name: 'Custom', system: settings.system, user: settings.user };
+  }
+  return settings.id === DEFAULT_PROMPT_TEMPLATE.id ? undefined : settings.id;
+};
+
+// Runs record the resolved template, so restoring one brings back its exact text
+export const promptTemplateFromRun = (recorded?: PromptTemplate | null): PromptTemplateSettings =>
+  recorded ? { id: recorded.id, system: recorded.system, user: recorded.user } : DEFAULT_PROMPT_TEMPLATE;
+
+const ORDER_LABELS: Record<PromptOrder, string> = {
+  'question-first': 'QUESTION, THEN DOCUMENT',
+  'haystack-first': 'DOCUMENT, THEN QUESTION'
+};
+
+const orderOf = (user: string): PromptOrder =>
+  user.indexOf('{haystack}') < user.indexOf('{question}') ? 'haystack-first' : 'question-first';
+
+interface PromptTemplateControlsProps {
+  settings: PromptTemplateSettings;
+  onChange: (settings: PromptTemplateSettings) => void;
+  onError: (message: string) => void;
+  disabled?: boolean;
+}
+
+// Picks the prompt every model is sent: a built-in template or a custom system prompt and user message
+export function PromptTemplateControls({ settings, onChange, onError, disabled }: PromptTemplateControlsProps) {
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+
+  useEffect(() => {
+    fetch(`${SERVER_URL}/api/prompt-templates`)
+      .then(response => response.json())
+      .then(data => setTemplates(data.templates || []))
+      .catch(error => onError(`Failed to load prompt templates: ${error instanceof Error ? error.message : 'Unknown error'}`));
+  }, [onError]);
+
+  const builtIn = templates.find(template => template.id === settings.id);
+  const isCustom = settings.id === CUSTOM_TEMPLATE_ID;
+
+  // Templates restored from a run that aren't built in are sent as custom ones
+  useEffect(() => {
+    if (templates.length > 0 && !isCustom && !builtIn) {
+      onChange({ ...settings, id: CUSTOM_TEMPLATE_ID });
+    }
+  }, [templates, isCustom, builtIn, settings, onChange]);
+
+  const missing = ['{haystack}', '{question}'].filter(placeholder => !settings.user.includes(placeholder));
+
+  const choose = (id: string) => {
+    if (id === CUSTOM_TEMPLATE_ID) {
+      // Start the custom template from whatever is selected now
+      onChange({ ...settings, id: CUSTOM_TEMPLATE_ID });
+      return;
+    }
+    const template = templates.find(entry => entry.id === id);
+    if (template) {
+      onChange({ id: template.id, system: template.system, user: template.user });
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+        PROMPT TEMPLATE:
+      </label>
+      <select
+        className="terminal-input"
+        style={{ width: '100%', fontSize: '12px' }}
+        value={settings.id}
+        disabled={disabled}
+        onChange={(e) => choose(e.target.value)}
+      >
+        {templates.map(template => (
+          <option key={template.id} value={template.id}>{template.name}</option>
+        ))}
+        <option value={CUSTOM_TEMPLATE_ID}>Custom...</option>
+      </select>
+      {builtIn?.description && !isCustom && (
+        <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>{builtIn.description}</div>
+      )}
+
+      {isCustom && (
+        <div style={{ marginTop: '8px' }}>
+          <label style={{ fontSize: '12px', display: 'block', marginBottom: '5px' }}>
+            SYSTEM PROMPT (OPTIONAL):
+          </label>
+          <textarea
+            className="terminal-input"
+            style={{ width: '100%', height: '50px', resize: 'vertical', fontSize: '12px' }}
+            value={settings.system}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...settings, id: CUSTOM_TEMPLATE_ID, system: e.target.value })}
+          />
+          <label style={{ fontSize: '12px', display: 'block', margin: '8px 0 5px' }}>
+            USER MESSAGE:
+          </label>
+          <textarea
+            className="terminal-input"
+            style={{ width: '100%', height: '70px', resize: 'vertical', fontSize: '12px' }}
+            value={settings.user}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...settings, id: CUSTOM_TEMPLATE_ID, user: e.target.value })}
+          />
+          {missing.length > 0 ? (
+            <div className="status-not-found" style={{ fontSize: '11px', marginTop: '5px' }}>
+              ⚠️ Missing {missing.join(' and ')}
+            </div>
+          ) : (
+            <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+              {ORDER_LABELS[orderOf(settings.user)]}
+            </div>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+        💡 Every provider gets exactly this prompt, so models are compared like for like
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { SERVER_URL } from './config';
+
+export type ExportFormat = 'csv' | 'json' | 'html';
+
+const EXPORT_FORMATS: { id: ExportFormat; label: string; hint: string }[] = [
+  { id: 'csv', label: 'CSV', hint: 'One row per model call (trial or sweep cell)' },
+  { id: 'json', label: 'JSON', hint: 'The full run, with the prompt and raw responses' },
+  { id: 'html', label: 'HTML', hint: 'Single-file report with the summary, heatmaps and responses' }
+];
+
+// Save a stored run through the browser; the server names the file
+const downloadRun = async (runId: string, format: ExportFormat) => {
+  const response = await fetch(`${SERVER_URL}/api/runs/${runId}/export?format=${format}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Server responded with ${response.status}`);
+  }
+  const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `hay-run.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+interface RunExportButtonsProps {
+  runId: string;
+  onError: (message: string) => void;
+  disabled?: boolean;
+  compact?: boolean;
+}
+
+// CSV / JSON / HTML download buttons for a stored run
+export function RunExportButtons({ runId, onError, disabled, compact }: RunExportButtonsProps) {
+  const [exporting, setExporting] = useState<ExportFormat | null>(null);
+
+  const exportRun = async (format: ExportFormat) => {
+    setExporting(format);
+    try {
+      await downloadRun(runId, format);
+    } catch (error) {
+      onError(`Failed to export run: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', alignItems: 'center', justifyContent: 'center' }}>
+      {!compact && <span style={{ fontSize: '14px' }}>📄 EXPORT:</span>}
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          className="farm-button"
+          style={{ fontSize: compact ? '12px' : '14px', padding: compact ? '4px 8px' : '6px 12px' }}
+          onClick={() => exportRun(format.id)}
+          disabled={disabled || exporting !== null}
+          title={format.hint}
+        >
+          {exporting === format.id ? '...' : format.label}
+        </button>
+      ))}
+    </div>
+  );
+}
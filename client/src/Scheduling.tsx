@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Queue and retry updates from the server's per-provider scheduler (needleTestStatus)
+export interface ProviderStatus {
+  state: 'queued' | 'running' | 'retrying';
+  position?: number;
+  attempt?: number;
+  maxRetries?: number;
+  delayMs?: number;
+  reason?: string;
+  trial?: number;
+  contextLength?: number;
+  depth?: number;
+}
+
+// A first attempt that is running needs no note; everything else is worth showing
+export const isNotableStatus = (status: ProviderStatus) =>
+  status.state !== 'running' || (status.attempt || 1) > 1;
+
+export function SchedulerStatusNote({ status }: { status: ProviderStatus }) {
+  const where = status.trial
+    ? ` · trial ${status.trial}`
+    : status.contextLength !== undefined
+      ? ` · ${status.contextLength.toLocaleString()} chars @ ${status.depth}%`
+      : '';
+
+  let label: string;
+  if (status.state === 'queued') {
+    label = `⏳ QUEUED #${status.position} — waiting for a provider slot`;
+  } else if (status.state === 'retrying') {
+    const seconds = Math.max(1, Math.round((status.delayMs || 0) / 1000));
+    label = `🔁 RETRY ${status.attempt}/${status.maxRetries} in ${seconds}s (${status.reason})`;
+  } else {
+    label = `🔁 ATTEMPT ${status.attempt}`;
+  }
+
+  return (
+    <div style={{ fontSize: '12px', opacity: 0.8, marginTop: '6px' }}>
+      {label}{where}
+    </div>
+  );
+}
@@ -0,0 +1,582 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { SERVER_URL } from './config';
+import { formatCost } from './CostPreview';
+import { BenchmarkImport, BenchmarkRecord, MAX_SUITE_CASES, mapBenchmarkRecords, nextCaseId } from '@hay/suites';
+import { BenchmarkImportReport } from './BenchmarkImport';
+
+export interface SuiteCase {
+  id: string;
+  name: string;
+  haystack?: string;
+  corpus?: unknown;
+  needle: string;
+  exactMatch: string;
+  tags: string[];
+}
+
+export interface SuiteSummary {
+  id: string;
+  name: string;
+  description: string;
+  caseCount: number;
+  tags: string[];
+  runCount: number;
+  lastRunAt: string | null;
+}
+
+export interface Suite {
+  id: string;
+  name: string;
+  description: string;
+  cases: SuiteCase[];
+}
+
+interface TagScore {
+  passed: number;
+  completed: number;
+  passRate: number;
+}
+
+interface LeaderboardRow {
+  modelId: string;
+  ranAt: string;
+  status: string;
+  cases: number;
+  casesPassed: number;
+  passed: number;
+  completed: number;
+  errors: number;
+  passRate: number;
+  ci: { lower: number; upper: number };
+  latency: { mean: number; p50: number; p95: number };
+  cost: number | null;
+  tags: Record<string, TagScore | null>;
+}
+
+export interface Leaderboard {
+  suiteId: string;
+  name: string;
+  tags: string[];
+  models: LeaderboardRow[];
+}
+
+// Settings shared by every case of a suite run, taken from the main controls
+export interface SuiteRunOptions {
+  models: { modelId: string; temperature: number; maxTokens: number }[];
+  trials: number;
+  truncate: boolean;
+  grading?: unknown;
+  promptTemplate?: unknown;
+}
+
+interface SuiteProgress {
+  suiteRunId: string | null;
+  completed: number;
+  total: number;
+  models: number;
+  // Model outcomes so far (answers, errors, skips and cancellations) and finished trials
+  answered: number;
+  trials: number;
+  errors: string[];
+}
+
+const NEW_PROGRESS: SuiteProgress = { suiteRunId: null, completed: 0, total: 0, models: 0, answered: 0, trials: 0, errors: [] };
+
+const rateColor = (rate: number) => rate >= 0.9 ? 'var(--farm-dark-green)' : rate >= 0.5 ? '#CC6600' : '#CC0000';
+
+// Overall and per-tag pass rates, best model first
+function LeaderboardTable({ leaderboard }: { leaderboard: Leaderboard }) {
+  const cellStyle = { padding: '4px 8px', borderBottom: '1px solid var(--farm-brown)', textAlign: 'left' as const };
+
+  if (leaderboard.models.length === 0) {
+    return <div className="status-ready">This suite has not been run yet.</div>;
+  }
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>#</th>
+            <th style={cellStyle}>MODEL</th>
+            <th style={cellStyle}>OVERALL</th>
+            <th style={cellStyle}>CASES</th>
+            {leaderboard.tags.map(tag => <th key={tag} style={cellStyle}>{tag.toUpperCase()}</th>)}
+            <th style={cellStyle}>AVG TIME</th>
+            <th style={cellStyle}>COST</th>
+          </tr>
+        </thead>
+        <tbody>
+          {leaderboard.models.map((row, index) => (
+            <tr key={row.modelId}>
+              <td style={cellStyle}>{index === 0 ? '🏆' : index + 1}</td>
+              <td style={cellStyle} title={`Run ${new Date(row.ranAt).toLocaleString()} (${row.status})`}>{row.modelId}</td>
+              <td style={{ ...cellStyle, color: rateColor(row.passRate), fontWeight: 'bold' }}
+                title={`95% CI ${(row.ci.lower * 100).toFixed(0)}-${(row.ci.upper * 100).toFixed(0)}%`}>
+                {(row.passRate * 100).toFixed(0)}%
+              </td>
+              <td style={cellStyle}>{row.casesPassed}/{row.cases}{row.errors > 0 ? ` (⚠️ ${row.errors})` : ''}</td>
+              {leaderboard.tags.map(tag => {
+                const score = row.tags[tag];
+                return (
+                  <td key={tag} style={{ ...cellStyle, ...(score && { color: rateColor(score.passRate) }) }}>
+                    {score ? `${(score.passRate * 100).toFixed(0)}% (${score.passed}/${score.completed})` : '-'}
+                  </td>
+                );
+              })}
+              <td style={cellStyle}>{row.latency.mean}ms</td>
+              <td style={cellStyle}>{formatCost(row.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+        💡 Each model is scored on its latest completed run of this suite
+      </div>
+    </div>
+  );
+}
+
+interface SuitePanelProps {
+  socket: any;
+  // The test in the main form, which ADD CURRENT TEST copies into the suite being edited
+  currentCase: { haystack: string; needle: string; exactMatch: string };
+  runOptions: SuiteRunOptions;
+  // Reads a JSONL, JSON or CSV benchmark dataset into records for IMPORT CASES
+  readBenchmarkFile: (file: File) => Promise<BenchmarkRecord[]>;
+  onClose: () => void;
+  onError: (message: string) => void;
+}
+
+type View = { mode: 'list' } | { mode: 'edit'; suite: Omit<Suite, 'id'> & { id?: string } } | { mode: 'leaderboard'; suiteId: string };
+
+// Saved suites of needle cases: edit them, run them against the selected models and rank the models
+export function SuitePanel({ socket, currentCase, runOptions, readBenchmarkFile, onClose, onError }: SuitePanelProps) {
+  const [suites, setSuites] = useState<SuiteSummary[]>([]);
+  const [view, setView] = useState<View>({ mode: 'list' });
+  const [leaderboard, setLeaderboard] = useState<Leaderboard | null>(null);
+  const [newTags, setNewTags] = useState('');
+  const [progress, setProgress] = useState<SuiteProgress | null>(null);
+  const [importReport, setImportReport] = useState<{ fileName: string; result: BenchmarkImport } | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  const loadSuites = useCallback(async () => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/suites`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      setSuites(data.suites);
+    } catch (error) {
+      onError(`Failed to load suites: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }, [onError]);
+
+  const showLeaderboard = useCallback(async (suiteId: string) => {
+    setView({ mode: 'leaderboard', suiteId });
+    setLeaderboard(null);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/suites/${suiteId}/leaderboard`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      setLeaderboard(data);
+    } catch (error) {
+      onError(`Failed to load leaderboard: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    loadSuites();
+  }, [loadSuites]);
+
+  // Import reports belong to the suite being edited
+  useEffect(() => {
+    setImportReport(null);
+  }, [view.mode]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const onStarted = ({ suiteRunId, cases, models }: { suiteRunId: string; cases: number; models: string[] }) => {
+      setProgress({ ...NEW_PROGRESS, suiteRunId, total: cases, models: models.length });
+    };
+    // Every model of every case ends in exactly one of these
+    const onAnswered = (problem?: string) => setProgress(prev => prev && {
+      ...prev,
+      answered: prev.answered + 1,
+      errors: problem ? [...prev.errors, problem] : prev.errors
+    });
+    const onCaseResult = () => onAnswered();
+    const onModelError = ({ caseId, modelId, error }: { caseId: string; modelId: string; error: string }) => onAnswered(`${caseId} / ${modelId}: ${error}`);
+    const onSkipped = ({ caseId, modelId, reason }: { caseId: string; modelId: string; reason: string }) => onAnswered(`${caseId} / ${modelId} skipped: ${reason}`);
+    const onCancelled = () => onAnswered();
+    const onTrialResult = () => setProgress(prev => prev && { ...prev, trials: prev.trials + 1 });
+    const onProgress = ({ completed, total }: { completed: number; total: number }) => {
+      setProgress(prev => prev && { ...prev, completed, total });
+    };
+    const onCaseError = ({ caseId, error }: { caseId: string; error: string }) => {
+      setProgress(prev => prev && { ...prev, errors: [...prev.errors, `${caseId}: ${error}`] });
+    };
+    const onComplete = ({ suiteId, error }: { suiteId: string; error?: string }) => {
+      setProgress(null);
+      if (error) {
+        onError(`Suite run failed: ${error}`);
+        return;
+      }
+      loadSuites();
+      showLeaderboard(suiteId);
+    };
+
+    socket.on('suiteStarted', onStarted);
+    socket.on('suiteProgress', onProgress);
+    socket.on('suiteCaseError', onCaseError);
+    socket.on('suiteCaseResult', onCaseResult);
+    socket.on('suiteCaseModelError', onModelError);
+    socket.on('suiteCaseSkipped', onSkipped);
+    socket.on('suiteCaseCancelled', onCancelled);
+    socket.on('suiteTrialResult', onTrialResult);
+    socket.on('suiteComplete', onComplete);
+    return () => {
+      socket.off('suiteStarted', onStarted);
+      socket.off('suiteProgress', onProgress);
+      socket.off('suiteCaseError', onCaseError);
+      socket.off('suiteCaseResult', onCaseResult);
+      socket.off('suiteCaseModelError', onModelError);
+      socket.off('suiteCaseSkipped', onSkipped);
+      socket.off('suiteCaseCancelled', onCancelled);
+      socket.off('suiteTrialResult', onTrialResult);
+      socket.off('suiteComplete', onComplete);
+    };
+  }, [socket, loadSuites, showLeaderboard, onError]);
+
+  const openSuite = async (suiteId: string) => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/suites/${suiteId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Server responded with ${response.status}`);
+      }
+      setView({ mode: 'edit', suite: data });
+    } catch (error) {
+      onError(`Failed to open suite: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const saveSuite = async (suite: Omit<Suite, 'id'> & { id?: string }) => {
+    try {
+      const response = await fetch(suite.id ? `${SERVER_URL}/api/suites/${suite.id}` : `${SERVER_URL}/api/suites`, {
+        method: suite.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: suite.name, description: suite.description, cases: suite.cases })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Server responded with ${response.status}`);
+      }
+      setView({ mode: 'list' });
+      loadSuites();
+    } catch (error) {
+      onError(`Failed to save suite: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const deleteSuite = async (suiteId: string) => {
+    if (!window.confirm('Delete this suite and every run of it?')) {
+      return;
+    }
+    try {
+      const response = await fetch(`${SERVER_URL}/api/suites/${suiteId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      setSuites(prev => prev.filter(suite => suite.id !== suiteId));
+    } catch (error) {
+      onError(`Failed to delete suite: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const runSuite = (suiteId: string) => {
+    if (!socket) return;
+    if (runOptions.models.length === 0) {
+      onError('Select at least one model to run the suite against');
+      return;
+    }
+    setProgress(NEW_PROGRESS);
+    socket.emit('runSuite', { suiteId, ...runOptions });
+  };
+
+  const cancelSuite = () => {
+    if (socket && progress?.suiteRunId) {
+      socket.emit('cancelNeedleTest', { testId: progress.suiteRunId });
+    }
+  };
+
+  const addCurrentCase = () => {
+    if (view.mode !== 'edit') return;
+    const { haystack, needle, exactMatch } = currentCase;
+    if (!haystack.trim() || !needle.trim() || !exactMatch.trim()) {
+      onError('Fill in the haystack, needle and exact match to add the current test as a case');
+      return;
+    }
+    const tags = newTags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (view.suite.cases.length >= MAX_SUITE_CASES) {
+      onError(`Suites are limited to ${MAX_SUITE_CASES} cases`);
+      return;
+    }
+    const id = nextCaseId(new Set(view.suite.cases.map(entry => entry.id)));
+    setView({
+      mode: 'edit',
+      suite: {
+        ...view.suite,
+        cases: [...view.suite.cases, { id, name: needle.trim(), haystack: haystack.trim(), needle: needle.trim(), exactMatch: exactMatch.trim(), tags }]
+      }
+    });
+  };
+
+  // Appends a benchmark dataset's valid rows as cases; rejected rows are listed in the report
+  const importCases = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || view.mode !== 'edit') return;
+    try {
+      const result = mapBenchmarkRecords(await readBenchmarkFile(file), view.suite.cases);
+      setImportReport({ fileName: file.name, result });
+      setView({
+        mode: 'edit',
+        suite: {
+          ...view.suite,
+          name: view.suite.name || file.name.replace(/\.[^.]+$/, ''),
+          cases: [...view.suite.cases, ...result.cases]
+        }
+      });
+    } catch (error) {
+      onError(`Failed to import ${file.name}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  const isRunning = progress !== null;
+  const rowStyle = {
+    padding: '10px',
+    background: 'var(--farm-dark-beige)',
+    border: '2px solid var(--farm-green)',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '10px'
+  };
+  const smallButton = { fontSize: '12px', padding: '4px 8px' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }} onClick={onClose}>
+      <div className="pixel-border" style={{
+        background: 'var(--farm-beige)',
+        padding: '20px',
+        maxWidth: '1000px',
+        width: '90%',
+        maxHeight: '80vh',
+        overflowY: 'auto'
+      }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ fontSize: '20px', margin: 0 }}>📋 TEST SUITES</h2>
+          {view.mode === 'list' ? (
+            <button
+              className="farm-button"
+              style={{ fontSize: '14px', padding: '4px 8px' }}
+              onClick={() => setView({ mode: 'edit', suite: { name: '', description: '', cases: [] } })}
+            >
+              + NEW SUITE
+            </button>
+          ) : (
+            <button className="farm-button" style={{ fontSize: '14px', padding: '4px 8px' }} onClick={() => setView({ mode: 'list' })}>
+              ◀ SUITES
+            </button>
+          )}
+        </div>
+
+        {progress && (
+          <div className="farm-alert" style={{ borderColor: 'var(--farm-green)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>
+                📋 RUNNING CASE {Math.min(progress.completed + 1, progress.total || 1)}/{progress.total || '?'}
+                {progress.models > 0 && ` • ${progress.answered}/${progress.total * progress.models} model answers`}
+                {progress.trials > 0 && ` • ${progress.trials} trials`}
+              </span>
+              <button className="farm-button" style={smallButton} onClick={cancelSuite} disabled={!progress.suiteRunId}>
+                🛑 CANCEL
+              </button>
+            </div>
+            {progress.errors.map((message, index) => (
+              <div key={index} style={{ fontSize: '14px', color: '#CC0000' }}>⚠️ {message}</div>
+            ))}
+          </div>
+        )}
+
+        {view.mode === 'list' && (
+          suites.length === 0 ? (
+            <div className="status-ready">No suites yet. Create one and add cases from the main test form.</div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              {suites.map(suite => (
+                <div key={suite.id} style={rowStyle}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '16px' }}>{suite.name}</div>
+                    <div style={{ fontSize: '14px', opacity: 0.8 }}>
+                      🧪 {suite.caseCount} cases{suite.tags.length > 0 ? ` • 🏷️ ${suite.tags.join(', ')}` : ''} • ▶ {suite.runCount} runs
+                      {suite.lastRunAt ? ` • last ${new Date(suite.lastRunAt).toLocaleString()}` : ''}
+                    </div>
+                    {suite.description && <div style={{ fontSize: '12px', opacity: 0.7 }}>{suite.description}</div>}
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button
+                      className="farm-button"
+                      style={smallButton}
+                      onClick={() => runSuite(suite.id)}
+                      disabled={isRunning}
+                      title={`Run every case against the ${runOptions.models.length} selected model(s)`}
+                    >
+                      ▶ RUN
+                    </button>
+                    <button className="farm-button" style={smallButton} onClick={() => showLeaderboard(suite.id)}>
+                      🏆 LEADERBOARD
+                    </button>
+                    <button className="farm-button" style={smallButton} onClick={() => openSuite(suite.id)}>
+                      EDIT
+                    </button>
+                    <button className="farm-button" style={smallButton} onClick={() => deleteSuite(suite.id)} disabled={isRunning}>
+                      DELETE
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+
+        {view.mode === 'edit' && (
+          <div>
+            <input
+              type="text"
+              className="terminal-input"
+              style={{ width: '100%', marginBottom: '8px' }}
+              placeholder="Suite name"
+              value={view.suite.name}
+              onChange={(e) => setView({ mode: 'edit', suite: { ...view.suite, name: e.target.value } })}
+            />
+            <input
+              type="text"
+              className="terminal-input"
+              style={{ width: '100%', marginBottom: '8px', fontSize: '14px' }}
+              placeholder="Description (optional)"
+              value={view.suite.description}
+              onChange={(e) => setView({ mode: 'edit', suite: { ...view.suite, description: e.target.value } })}
+            />
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '10px' }}>
+              {view.suite.cases.map((entry, index) => (
+                <div key={entry.id} style={{ ...rowStyle, padding: '6px 10px' }}>
+                  <div style={{ flex: 1, minWidth: 0, fontSize: '14px' }}>
+                    <div style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                      {index + 1}. {entry.needle}
+                    </div>
+                    <div style={{ opacity: 0.8 }}>
+                      🎯 {entry.exactMatch} • 🌾 {entry.haystack ? `${entry.haystack.length.toLocaleString()} chars` : 'corpus'}
+                      {entry.tags.length > 0 && ` • 🏷️ ${entry.tags.join(', ')}`}
+                    </div>
+                  </div>
+                  <button
+                    className="farm-button"
+                    style={{ fontSize: '12px', padding: '0 6px' }}
+                    onClick={() => setView({ mode: 'edit', suite: { ...view.suite, cases: view.suite.cases.filter(other => other.id !== entry.id) } })}
+                    title="Remove case"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '6px', marginBottom: '10px' }}>
+              <input
+                type="text"
+                className="terminal-input"
+                style={{ fontSize: '14px' }}
+                placeholder="Tags for the new case, e.g. numeric, date"
+                value={newTags}
+                onChange={(e) => setNewTags(e.target.value)}
+              />
+              <button
+                className="farm-button"
+                style={{ fontSize: '14px', padding: '4px 10px' }}
+                onClick={addCurrentCase}
+                title="Copy the haystack, needle and exact match from the main form into this suite"
+              >
+                + ADD CURRENT TEST
+              </button>
+            </div>
+            <input
+              type="file"
+              ref={importInputRef}
+              onChange={importCases}
+              style={{ display: 'none' }}
+              accept=".jsonl,.ndjson,.json,.csv"
+            />
+            <button
+              className="farm-button"
+              style={{ width: '100%', fontSize: '14px', padding: '4px 10px', marginBottom: '10px' }}
+              onClick={() => importInputRef.current?.click()}
+              title="JSONL, JSON or CSV with context, question and answer(s) per row - e.g. needle, RULER or LongBench style datasets"
+            >
+              📥 IMPORT CASES
+            </button>
+            {importReport && (
+              <BenchmarkImportReport
+                fileName={importReport.fileName}
+                result={importReport.result}
+                onDismiss={() => setImportReport(null)}
+              />
+            )}
+            <button
+              className="farm-button"
+              style={{ width: '100%', fontSize: '16px', padding: '8px' }}
+              onClick={() => saveSuite(view.suite)}
+              disabled={!view.suite.name.trim() || view.suite.cases.length === 0}
+            >
+              💾 SAVE SUITE
+            </button>
+          </div>
+        )}
+
+        {view.mode === 'leaderboard' && (
+          leaderboard ? (
+            <>
+              <h3 style={{ fontSize: '16px', margin: '0 0 10px' }}>🏆 {leaderboard.name}</h3>
+              <LeaderboardTable leaderboard={leaderboard} />
+            </>
+          ) : (
+            <div className="status-loading">LOADING<span className="loading-dots"></span></div>
+          )
+        )}
+
+        <button
+          className="farm-button"
+          style={{ width: '100%', marginTop: '20px', fontSize: '18px' }}
+          onClick={onClose}
+        >
+          CLOSE
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import React from 'react';
+import { NeedleScore } from './MultiNeedle';
+import { TokenUsage } from './CostPreview';
+import { Grade } from './Grading';
+
+export interface TrialResult {
+  trial: number;
+  response: string;
+  foundNeedle: boolean;
+  responseTime: number;
+  timeToFirstToken?: number | null;
+  requestId?: string | null;
+  finishReason?: string | null;
+  grade?: Grade;
+  distracted?: boolean;
+  distractorValues?: string[];
+  timestamp: string;
+  needles?: NeedleScore[];
+  usage?: TokenUsage | null;
+  cost?: number | null;
+  error?: string;
+}
+
+export interface TrialSummary {
+  count: number;
+  completed: number;
+  passed: number;
+  distracted?: number;
+  errors: number;
+  passRate: number;
+  ci: { lower: number; upper: number };
+  latency: { mean: number; p50: number; p95: number };
+  firstToken: { p50: number; p95: number } | null;
+}
+
+// Wilson score interval at 95% confidence (replicated from server/stats.js)
+const wilsonInterval = (successes: number, total: number, z = 1.96) => {
+  if (total === 0) {
+    return { lower: 0, upper: 0 };
+  }
+  const p = successes / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) / denominator;
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+};
+
+const percentile = (values: number[], p: number) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+// Used when trials are regraded or restored from history
+export const summarizeTrials = (trials: TrialResult[]): TrialSummary => {
+  const completed = trials.filter(trial => !trial.error);
+  const passed = completed.filter(trial => trial.foundNeedle).length;
+  const latencies = completed.map(trial => trial.responseTime);
+  const firstTokens = completed
+    .map(trial => trial.timeToFirstToken)
+    .filter((value): value is number => value !== null && value !== undefined);
+
+  return {
+    count: trials.length,
+    completed: completed.length,
+    passed,
+    distracted: completed.filter(trial => trial.distracted).length,
+    errors: trials.length - completed.length,
+    passRate: completed.length > 0 ? passed / completed.length : 0,
+    ci: wilsonInterval(passed, completed.length),
+    latency: {
+      mean: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : 0,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95)
+    },
+    firstToken: firstTokens.length > 0 ? { p50: percentile(firstTokens, 50), p95: percentile(firstTokens, 95) } : null
+  };
+};
+
+// Sum provider-reported usage and cost across trials (replicated from server/pricing.js)
+export const totalUsage = (results: { usage?: TokenUsage | null; cost?: number | null }[]) => {
+  const withUsage = results.filter(result => result.usage);
+  if (withUsage.length === 0) {
+    return { usage: null, cost: null };
+  }
+  const priced = withUsage.filter(result => result.cost !== null && result.cost !== undefined);
+  return {
+    usage: {
+      inputTokens: withUsage.reduce((sum, result) => sum + result.usage!.inputTokens, 0),
+      outputTokens: withUsage.reduce((sum, result) => sum + result.usage!.outputTokens, 0)
+    },
+    cost: priced.length > 0 ? priced.reduce((sum, result) => sum + (result.cost || 0), 0) : null
+  };
+};
+
+const formatPercent = (value: number) => `${Math.round(value * 100)}%`;
+
+interface TrialStatsProps {
+  summary: TrialSummary;
+}
+
+// Pass rate, confidence interval and latency spread for a model's trials
+export function TrialStats({ summary }: TrialStatsProps) {
+  const { passed, completed, distracted, errors, passRate, ci, latency, firstToken } = summary;
+  const statusClass = passRate >= 0.5 ? 'status-found' : 'status-not-found';
+
+  return (
+    <div>
+      <div className={statusClass}>
+        {passed}/{completed} TRIALS PASSED ({formatPercent(passRate)})
+      </div>
+      <div style={{ fontSize: '12px', marginTop: '8px', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '5px', textAlign: 'left' }}>
+        <div style={{ gridColumn: '1 / -1' }}>📊 95% CI: {formatPercent(ci.lower)} – {formatPercent(ci.upper)}</div>
+        <div>⏱️ mean {latency.mean}ms</div>
+        <div>⏱️ p50 {latency.p50}ms</div>
+        <div>⏱️ p95 {latency.p95}ms</div>
+        {firstToken && <div>⚡ TTFT p50 {firstToken.p50}ms</div>}
+        {firstToken && <div>⚡ TTFT p95 {firstToken.p95}ms</div>}
+        {(distracted || 0) > 0 && <div>🎭 {distracted} distracted</div>}
+        {errors > 0 && <div>⚠️ {errors} errored</div>}
+      </div>
+    </div>
+  );
+}
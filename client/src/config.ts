@@ -0,0 +1,2 @@
+// Backend server used for both the Socket.IO connection and REST calls
+export const SERVER_URL = 'http://localhost:5000';
@@ -0,0 +1,184 @@
+// AI provider clients and API key management for Needle in the Haystack Test
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const { registry } = require('./providers');
+const { ProviderScheduler } = require('./scheduler');
+
+// In-memory storage for encrypted API keys (in production, use a proper database)
+const userApiKeys = new Map();
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'your-secret-encryption-key-change-this';
+
+// Environment variable API keys (primary option) - clean any whitespace/newlines
+const ENV_API_KEYS = {
+  openai: process.env.OPENAI_API_KEY?.trim().replace(/\s+/g, ''),
+  google: process.env.GOOGLE_API_KEY?.trim().replace(/\s+/g, ''),
+  anthropic: process.env.ANTHROPIC_API_KEY?.trim().replace(/\s+/g, ''),
+  custom: process.env.CUSTOM_OPENAI_API_KEY?.trim().replace(/\s+/g, '')
+};
+
+// Load API keys from file on startup (for user-provided keys persistence)
+function loadApiKeys() {
+  // Check which environment variables are available (without exposing keys)
+  const envKeysAvailable = Object.entries(ENV_API_KEYS)
+    .filter(([key, value]) => value)
+    .map(([key]) => key);
+  
+  if (envKeysAvailable.length > 0) {
+    console.log(`🌍 Environment API keys found for: ${envKeysAvailable.join(', ')}`);
+  } else {
+    console.log(`⚠️  No environment API keys found.`);
+  }
+  
+  console.log('🔑 API Key system ready - env vars first, then user input through UI');
+}
+
+// Encryption/Decryption functions
+function encryptApiKey(apiKey) {
+  return CryptoJS.AES.encrypt(apiKey, ENCRYPTION_KEY).toString();
+}
+
+function decryptApiKey(encryptedKey) {
+  const bytes = CryptoJS.AES.decrypt(encryptedKey, ENCRYPTION_KEY);
+  return bytes.toString(CryptoJS.enc.Utf8);
+}
+
+const MAX_CACHED_CLIENTS = 100;
+
+/**
+ * Provider SDK clients cached per provider, API key and endpoint, so concurrent
+ * runs and users never share or replace each other's clients mid-request.
+ */
+class ClientPool {
+  constructor(limit = MAX_CACHED_CLIENTS) {
+    this.limit = limit;
+    this.clients = new Map();
+  }
+
+  get(adapter, apiKey, modelEntry) {
+    // Hash the key so raw API keys never sit in the cache's keys
+    const keyHash = crypto.createHash('sha256').update(apiKey || '').digest('hex');
+    const cacheKey = [adapter.id, keyHash, adapter.clientKey ? adapter.clientKey(modelEntry) : ''].join(':');
+
+    let client = this.clients.get(cacheKey);
+    if (client) {
+      this.clients.delete(cacheKey);
+    } else {
+      client = adapter.createClient(apiKey, modelEntry);
+    }
+
+    // Map order doubles as least-recently-used order
+    this.clients.set(cacheKey, client);
+    if (this.clients.size > this.limit) {
+      this.clients.delete(this.clients.keys().next().value);
+    }
+    return client;
+  }
+}
+
+// AI Model Classes
+class AIModelManager {
+  constructor() {
+    this.clientPool = new ClientPool();
+    this.scheduler = new ProviderScheduler();
+  }
+
+  setApiKey(provider, apiKey, userId) {
+    const encryptedKey = encryptApiKey(apiKey);
+    
+    if (!userApiKeys.has(userId)) {
+      userApiKeys.set(userId, {});
+    }
+    
+    userApiKeys.get(userId)[provider] = encryptedKey;
+  }
+
+  // Pass useEnvKey: false when the request goes somewhere the operator's key must not be sent
+  getApiKey(provider, userId, { useEnvKey = true } = {}) {
+    console.log(`🔍 Looking for API key - Provider: ${provider}, User: ${userId}`);
+    
+    // First, check environment variables (priority)
+    if (useEnvKey && ENV_API_KEYS[provider]) {
+      console.log(`✅ Using environment API key for ${provider}`);
+      return ENV_API_KEYS[provider];
+    }
+    
+    // Fallback to user-provided keys
+    console.log(`🔍 No env var, checking user keys. Available users:`, Array.from(userApiKeys.keys()));
+    const userKeys = userApiKeys.get(userId);
+    console.log(`🔍 User keys for ${userId}:`, userKeys ? Object.keys(userKeys) : 'none');
+    
+    if (userKeys && userKeys[provider]) {
+      console.log(`✅ Found user-provided API key for ${provider}`);
+      return decryptApiKey(userKeys[provider]);
+    }
+    
+    console.log(`❌ No API key found for ${provider} - please add through Settings or environment variables`);
+    return null;
+  }
+
+  async generateResponse(modelId, messages, userId) {
+    // Default configuration for backward compatibility
+    return this.generateResponseWithConfig(modelId, messages, userId, {});
+  }
+
+  async generateResponseWithConfig(modelId, messages, userId, config = {}) {
+    const { text } = await this.generate(modelId, messages, userId, config);
+    return text;
+  }
+
+  // Resolves to the adapter's result object ({ text, timing, usage, requestId, finishReason },
+  // see providers/index.js); every call gets its own timing, so concurrent callers never share state.
+  // Pass config.onChunk to receive the response as it streams and config.signal to abort it.
+  // Requests go through the provider's scheduler queue; config.onStatus receives queue and retry
+  // updates, and timing gains queueTime and attempts
+  async generate(modelId, messages, userId, config = {}) {
+    const defaultConfig = {
+      temperature: 0.7,
+      maxTokens: 1000
+    };
+    
+    const finalConfig = { ...defaultConfig, ...config };
+    
+    const modelEntry = registry.getModel(modelId, userId);
+    if (!modelEntry) {
+      throw new Error(`Unknown model: ${modelId}`);
+    }
+
+    const adapter = registry.getProvider(modelEntry.provider);
+    const apiKey = this.getApiKey(adapter.apiKeyField, userId, {
+      useEnvKey: adapter.allowsEnvApiKey ? adapter.allowsEnvApiKey(modelEntry) : true
+    });
+    if (!apiKey && adapter.requiresApiKey !== false) {
+      throw new Error(`No API key found for ${adapter.id}`);
+    }
+
+    const client = this.clientPool.get(adapter, apiKey, modelEntry);
+
+    try {
+      const { result, attempts, queueTime } = await this.scheduler.schedule(adapter.id, async () => {
+        const attemptResult = await adapter.generate(client, messages, modelEntry, finalConfig);
+        // Some SDKs end an aborted stream quietly; never return a partial answer as a complete one
+        if (finalConfig.signal) {
+          finalConfig.signal.throwIfAborted();
+        }
+        return attemptResult;
+      }, { signal: finalConfig.signal, onStatus: finalConfig.onStatus });
+      return { ...result, timing: { ...result.timing, queueTime, attempts } };
+    } catch (error) {
+      if (finalConfig.signal && finalConfig.signal.aborted) {
+        throw error;
+      }
+      console.error(`Error generating response from ${modelId}:`, error);
+      // If it's a parameter error for OpenAI, provide a helpful message
+      if (error.message && error.message.includes("Unsupported parameter")) {
+        throw new Error(`Model ${modelId} does not support some parameters. This is expected for newer models.`);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  AIModelManager,
+  loadApiKeys
+};
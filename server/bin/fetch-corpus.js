@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Downloads the public-domain texts listed in corpus/catalog.json:
+ *
+ *   npm run corpus:fetch            fetch texts that are missing
+ *   npm run corpus:fetch -- --force fetch every text again
+ *   npm run corpus:fetch -- --pin   also record the checksum of texts the catalog doesn't pin yet
+ *
+ * Project Gutenberg's header and licence footer are stripped, leaving only the
+ * work itself (which is in the public domain). Every text must match the
+ * SHA-256 pinned in the catalog; a mismatch (Gutenberg re-issued the file) is
+ * reported and the text is not saved. A text the catalog doesn't pin yet is
+ * only saved with --pin, which records its checksum; commit the catalog after
+ * --pin so every machine checks against the same checksums.
+ */
+
+const fs = require('fs');
+const { CorpusLibrary, hashText, CATALOG_PATH } = require('../corpus');
+
+const START_MARKER = /^\*\*\* ?START OF (THE|THIS) PROJECT GUTENBERG EBOOK.*$/m;
+const END_MARKER = /^\*\*\* ?END OF (THE|THIS) PROJECT GUTENBERG EBOOK.*$/m;
+
+// The text between Gutenberg's start and end markers, with Unix line endings
+function stripGutenbergWrapper(raw) {
+  const text = raw.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const start = text.match(START_MARKER);
+  const end = text.match(END_MARKER);
+  if (!start || !end || end.index < start.index) {
+    throw new Error('Project Gutenberg start/end markers not found');
+  }
+  return text.slice(start.index + start[0].length, end.index).trim() + '\n';
+}
+
+// Throws unless the text matches the catalog's checksum; unpinned texts are refused unless --pin pins them
+function checkChecksum(entry, text, pin) {
+  const sha256 = hashText(text);
+  if (entry.sha256) {
+    if (entry.sha256 !== sha256) {
+      throw new Error(`checksum ${sha256} does not match the pinned ${entry.sha256}`);
+    }
+    return false;
+  }
+  if (!pin) {
+    throw new Error('no checksum pinned in corpus/catalog.json; run with --pin and commit the catalog');
+  }
+  entry.sha256 = sha256;
+  console.log(`📌 ${entry.id} pinned to ${sha256}`);
+  return true;
+}
+
+async function main(argv) {
+  const force = argv.includes('--force');
+  const pin = argv.includes('--pin');
+  const library = new CorpusLibrary();
+  fs.mkdirSync(library.corpusPath, { recursive: true });
+
+  let failed = 0;
+  let pinned = 0;
+  for (const entry of library.catalog) {
+    const textPath = library.textPath(entry.id);
+    try {
+      if (!force && fs.existsSync(textPath)) {
+        pinned += checkChecksum(entry, fs.readFileSync(textPath, 'utf8'), pin) ? 1 : 0;
+        console.log(`✅ ${entry.id} already downloaded`);
+        continue;
+      }
+
+      const response = await fetch(entry.source);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const text = stripGutenbergWrapper(await response.text());
+      pinned += checkChecksum(entry, text, pin) ? 1 : 0;
+      fs.writeFileSync(textPath, text);
+      console.log(`📚 ${entry.id}: ${text.length.toLocaleString()} characters`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${entry.id} (${entry.source}): ${error.message}`);
+    }
+  }
+
+  if (pinned > 0) {
+    fs.writeFileSync(CATALOG_PATH, `${JSON.stringify(library.catalog, null, 2)}\n`);
+    console.log(`📌 Pinned ${pinned} checksum(s) in ${CATALOG_PATH}`);
+  }
+  console.log(`📚 Corpus texts are in ${library.corpusPath}`);
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
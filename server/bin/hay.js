@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Headless needle test runner
+ * Runs a test suite defined in a YAML/JSON file without the web UI, e.g. from a nightly job:
+ *
+ *   hay tests/contract.yaml --threshold 0.8
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseArgs } = require('util');
+const yaml = require('js-yaml');
+
+const USAGE = `Usage: hay <test-file> [options]
+
+Options:
+  --threshold <rate>  Minimum pass rate (0-1) each model must reach (default: test file or 1)
+  --trials <n>        Repeat each model's call n times (default: test file or 1)
+  --truncate          Cut the haystack around the needle for models with a smaller context window
+                      (default: test file or off; such models are otherwise skipped)
+  --grading <mode>    How answers are scored: exact, normalized, regex, fuzzy or judge
+                      (default: test file or exact; judge needs grading.judgeModel in the test file)
+  --json              Print results as JSON instead of a table
+  --export <file>     Also write the stored run to a .csv, .json or .html report
+  --no-store          Do not record the run in the history database
+  --verbose           Show provider debug logging
+  --help              Show this message
+
+Exit codes: 0 all models passed, 1 a model fell below the threshold, 2 invalid usage or test file`;
+
+const EXIT_OK = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+function loadTestFile(testPath) {
+  const content = fs.readFileSync(testPath, 'utf8');
+  const definition = /\.json$/i.test(testPath) ? JSON.parse(content) : yaml.load(content);
+
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Test file must contain an object');
+  }
+
+  const baseDir = path.dirname(path.resolve(testPath));
+  const haystack = definition.haystackText
+    ?? (definition.haystack ? fs.readFileSync(path.resolve(baseDir, definition.haystack), 'utf8') : null);
+
+  // Multi-needle files list facts instead of a single exactMatch
+  const facts = Array.isArray(definition.facts) ? definition.facts : null;
+  const missing = (facts ? ['needle'] : ['needle', 'exactMatch']).filter(field => !definition[field]);
+  if (!haystack && !definition.corpus) missing.unshift('haystack');
+  if (missing.length > 0) {
+    throw new Error(`Test file missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (!Array.isArray(definition.models) || definition.models.length === 0) {
+    throw new Error('Test file must list at least one model');
+  }
+
+  // Models may be plain ids or objects overriding the file-level settings
+  const models = definition.models.map(model => {
+    const entry = typeof model === 'string' ? { id: model } : model;
+    return {
+      modelId: entry.id || entry.modelId,
+      temperature: entry.temperature ?? definition.temperature ?? 0.7,
+      maxTokens: entry.maxTokens ?? definition.maxTokens ?? 1000
+    };
+  });
+
+  return {
+    haystack: haystack ? haystack.trim() : '',
+    // { ids, start, length: { unit, value } } cuts the haystack from the public-domain corpus instead
+    corpus: definition.corpus,
+    // A built-in template id or a custom { system, user } template with {haystack} and {question}
+    promptTemplate: definition.promptTemplate,
+    needle: String(definition.needle).trim(),
+    exactMatch: facts ? '' : String(definition.exactMatch).trim(),
+    facts,
+    // { sentence, unit: percent | chars | tokens, value } plants the needle into a clean haystack
+    insert: definition.insert,
+    // [{ statement, value, depth }] near-miss facts; answers giving a value count as DISTRACTED
+    distractors: definition.distractors,
+    threshold: definition.threshold,
+    trials: definition.trials,
+    truncate: Boolean(definition.truncate),
+    // Either a mode name or { mode, fuzzyThreshold, judgeModel, passScore }
+    grading: typeof definition.grading === 'string' ? { mode: definition.grading } : definition.grading,
+    sweep: definition.sweep,
+    models
+  };
+}
+
+function summarize(models, outcomes, TrialStats) {
+  return models.map(({ modelId }) => {
+    const results = outcomes.get(modelId) || [];
+    const passed = results.filter(result => result.foundNeedle).length;
+    const distracted = results.filter(result => result.distracted).length;
+    const errors = results.filter(result => result.error).length;
+    const timed = results.filter(result => !result.error);
+    const avgResponseTime = timed.length > 0
+      ? Math.round(timed.reduce((sum, result) => sum + result.responseTime, 0) / timed.length)
+      : 0;
+
+    return {
+      modelId,
+      passed,
+      distracted,
+      total: results.length,
+      errors,
+      passRate: results.length > 0 ? passed / results.length : 0,
+      ci: TrialStats.wilsonInterval(passed, results.length),
+      avgResponseTime
+    };
+  });
+}
+
+// The DISTRACTED column only appears for test files with distractors
+function printTable(summary, threshold, showDistracted) {
+  const rows = summary.map(row => [
+    row.modelId,
+    `${row.passed}/${row.total}`,
+    ...(showDistracted ? [String(row.distracted)] : []),
+    `${(row.passRate * 100).toFixed(1)}%`,
+    `${(row.ci.lower * 100).toFixed(0)}-${(row.ci.upper * 100).toFixed(0)}%`,
+    `${row.avgResponseTime}ms`,
+    String(row.errors),
+    row.passRate >= threshold ? 'PASS' : 'FAIL'
+  ]);
+  const header = ['MODEL', 'FOUND', ...(showDistracted ? ['DISTRACTED'] : []), 'PASS RATE', '95% CI', 'AVG TIME', 'ERRORS', 'STATUS'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  console.info(formatRow(header));
+  console.info(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.info(formatRow(row)));
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        threshold: { type: 'string' },
+        trials: { type: 'string' },
+        truncate: { type: 'boolean', default: false },
+        grading: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        export: { type: 'string' },
+        'no-store': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = args;
+  if (values.help || positionals.length !== 1) {
+    console.error(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  // The managers log every request and response; keep stdout clean for the report
+  if (!values.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+  const report = console.info;
+  const fail = message => process.stderr.write(`${message}\n`);
+
+  let test;
+  try {
+    test = loadTestFile(positionals[0]);
+  } catch (error) {
+    fail(`❌ Invalid test file: ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const threshold = Number(values.threshold ?? test.threshold ?? 1);
+  if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+    fail('❌ Threshold must be a number between 0 and 1');
+    return EXIT_USAGE;
+  }
+
+  // Exports are made from the stored run, so they need the history database
+  const exportFormat = values.export ? path.extname(values.export).slice(1).toLowerCase() : null;
+  if (exportFormat !== null) {
+    const { EXPORT_FORMATS } = require('../runExport');
+    if (!EXPORT_FORMATS.includes(exportFormat)) {
+      fail(`❌ Export file must end in ${EXPORT_FORMATS.map(format => `.${format}`).join(', ')}`);
+      return EXIT_USAGE;
+    }
+    if (values['no-store']) {
+      fail('❌ --export needs the run to be stored; drop --no-store');
+      return EXIT_USAGE;
+    }
+  }
+
+  require('../loadEnv').loadEnv();
+  const { AIModelManager } = require('../aiModels');
+  const { NeedleTestManager } = require('../needleTests');
+  const { TrialStats } = require('../stats');
+
+  let trials;
+  try {
+    trials = TrialStats.parseTrialCount(values.trials ?? test.trials);
+  } catch (error) {
+    fail(`❌ ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  let runStore = null;
+  if (!values['no-store']) {
+    const { RunStore } = require('../runStore');
+    runStore = new RunStore();
+  }
+
+  const needleTestManager = new NeedleTestManager(new AIModelManager(), runStore);
+
+  // NeedleTestManager reports through a socket-like emitter
+  const outcomes = new Map();
+  const record = result => {
+    if (!outcomes.has(result.modelId)) outcomes.set(result.modelId, []);
+    outcomes.get(result.modelId).push(result);
+    if (!values.json) {
+      const status = result.skipped ? '⛔ SKIPPED' : result.error ? '⚠️  ERROR' : result.foundNeedle ? '✅ FOUND'
+        : result.distracted ? '🎭 DISTRACTED' : '❌ NOT FOUND';
+      const cell = result.contextLength !== undefined ? ` @ ${result.contextLength} tokens / ${result.depth}%`
+        : result.trial !== undefined ? ` trial ${result.trial}/${result.trials}` : '';
+      const recall = result.needles ? ` ${result.needles.filter(needle => needle.found).length}/${result.needles.length} needles` : '';
+      const distractor = result.distracted ? ` answered ${result.distractorValues.join(', ')}` : '';
+      const detail = result.error ? `: ${result.error}` : `${recall}${distractor} (${result.responseTime}ms)`;
+      fail(`${status.padEnd(12)} ${result.modelId}${cell}${detail}`);
+    }
+  };
+
+  const emitter = new EventEmitter();
+  let runId = null;
+  emitter.on('needleTestStarted', ({ testId }) => { runId = testId; });
+  emitter.on('needleSweepStarted', ({ testId }) => { runId = testId; });
+  // With trials every individual call is scored; the per-model aggregate is skipped
+  emitter.on('needleTestResult', result => !result.trials && record(result));
+  emitter.on('needleTrialResult', record);
+  emitter.on('needleSweepResult', record);
+  emitter.on('needleTestError', ({ modelId, error }) => !outcomes.has(modelId) && record({ modelId, error, foundNeedle: false, responseTime: 0 }));
+  emitter.on('needleTestCancelled', ({ modelId }) => record({ modelId, error: 'Cancelled', foundNeedle: false, responseTime: 0 }));
+  emitter.on('needleTestSkipped', ({ modelId, reason }) => record({ modelId, error: reason, skipped: true, foundNeedle: false, responseTime: 0 }));
+  emitter.on('needleTestStatus', ({ modelId, state, attempt, maxRetries, delayMs, reason }) => {
+    if (state === 'retrying' && !values.json) {
+      fail(`${'🔁 RETRY'.padEnd(12)} ${modelId} ${attempt}/${maxRetries} in ${delayMs}ms (${reason})`);
+    }
+  });
+
+  // Ctrl+C aborts pending requests; whatever finished is still reported
+  process.once('SIGINT', () => {
+    fail('🛑 Cancelling pending requests...');
+    needleTestManager.cancelSocketTests(emitter);
+  });
+
+  const grading = values.grading ? { ...test.grading, mode: values.grading } : test.grading;
+
+  try {
+    if (test.sweep) {
+      await needleTestManager.runNeedleSweep('cli', { ...test.sweep, haystack: test.haystack, corpus: test.corpus, promptTemplate: test.promptTemplate, needle: test.needle, exactMatch: test.exactMatch, grading }, test.models, emitter);
+    } else {
+      await needleTestManager.runNeedleTest('cli', test.haystack, test.needle, test.exactMatch, test.models, emitter, {
+        corpus: test.corpus,
+        promptTemplate: test.promptTemplate,
+        facts: test.facts,
+        insert: test.insert,
+        distractors: test.distractors,
+        trials,
+        truncate: values.truncate || test.truncate,
+        grading
+      });
+    }
+    if (exportFormat && runId) {
+      const { RunExporter } = require('../runExport');
+      fs.writeFileSync(values.export, RunExporter.export(runStore.getRun(runId), exportFormat).body);
+      fail(`📄 Run exported to ${values.export}`);
+    }
+  } catch (error) {
+    fail(`❌ Test run failed: ${error.message}`);
+    return EXIT_USAGE;
+  } finally {
+    if (runStore) runStore.close();
+  }
+
+  const summary = summarize(test.models, outcomes, TrialStats);
+  const belowThreshold = summary.filter(row => row.passRate < threshold);
+
+  if (values.json) {
+    report(JSON.stringify({ threshold, summary, results: Object.fromEntries(outcomes) }, null, 2));
+  } else {
+    report('');
+    printTable(summary, threshold, Boolean(test.distractors && test.distractors.length > 0));
+    report('');
+    report(belowThreshold.length > 0
+      ? `❌ ${belowThreshold.length} model(s) below pass rate threshold of ${(threshold * 100).toFixed(0)}%`
+      : `✅ All models met the pass rate threshold of ${(threshold * 100).toFixed(0)}%`);
+  }
+
+  return belowThreshold.length > 0 ? EXIT_BELOW_THRESHOLD : EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
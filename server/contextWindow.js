@@ -0,0 +1,112 @@
+// Context-window fitting for Needle in the Haystack Test
+const { SweepBuilder, CHARS_PER_TOKEN } = require('./sweep');
+
+// Token counts are estimated, so leave headroom below the advertised window
+const CONTEXT_SAFETY_MARGIN = 0.9;
+const SEGMENT_SEPARATOR = '\n\n[...]\n\n';
+
+/**
+ * Decides whether a prompt fits a model's context window and, when allowed,
+ * cuts the haystack down to windows around the needle(s) so it does.
+ */
+class ContextFitter {
+  // Tokens available for the haystack once the question and the response are accounted for
+  static haystackBudget(modelEntry, needle, maxTokens) {
+    const maxContext = modelEntry?.capabilities?.maxContext;
+    if (!maxContext) return Infinity;
+    const promptOverhead = SweepBuilder.estimateTokens(needle) + 50;
+    return Math.floor(maxContext * CONTEXT_SAFETY_MARGIN) - promptOverhead - (maxTokens || 0);
+  }
+
+  /**
+   * Returns { fits: true } when the haystack fits as-is, { fits: false, ... } when it must be
+   * skipped, or { fits: true, truncated: true, haystack, segments, ... } when truncation was allowed.
+   * Anchors are { start, end } character ranges that must survive truncation (the needle positions).
+   */
+  static fit({ modelEntry, haystack, needle, maxTokens, anchors = [], truncate = false }) {
+    const budgetTokens = ContextFitter.haystackBudget(modelEntry, needle, maxTokens);
+    const haystackTokens = SweepBuilder.estimateTokens(haystack);
+    const maxContext = modelEntry?.capabilities?.maxContext || null;
+
+    if (haystackTokens <= budgetTokens) {
+      return { fits: true, truncated: false, haystackTokens, maxContext };
+    }
+
+    if (!truncate || budgetTokens <= 0) {
+      return {
+        fits: false,
+        haystackTokens,
+        maxContext,
+        reason: `Prompt needs ~${haystackTokens.toLocaleString()} haystack tokens but ${modelEntry.id} has a ${maxContext.toLocaleString()} token context window`
+      };
+    }
+
+    const maxChars = budgetTokens * CHARS_PER_TOKEN;
+    const segments = ContextFitter.windowsAround(haystack.length, anchors, maxChars - SEGMENT_SEPARATOR.length * anchors.length);
+    const text = segments.map(({ start, end }) => haystack.substring(start, end)).join(SEGMENT_SEPARATOR);
+
+    return {
+      fits: true,
+      truncated: true,
+      haystack: text,
+      segments,
+      originalChars: haystack.length,
+      sentChars: text.length,
+      haystackTokens: SweepBuilder.estimateTokens(text),
+      maxContext,
+      anchored: anchors.length > 0
+    };
+  }
+
+  // Character ranges totalling at most maxChars that keep every anchor, centred on the anchors
+  static windowsAround(length, anchors, maxChars) {
+    const clamp = (start, size) => {
+      const begin = Math.max(0, Math.min(start, length - size));
+      return { start: begin, end: Math.min(length, begin + size) };
+    };
+
+    // Without a located needle keep the beginning of the document
+    if (anchors.length === 0) {
+      return [clamp(0, maxChars)];
+    }
+
+    const sorted = [...anchors].sort((a, b) => a.start - b.start);
+    const spanStart = sorted[0].start;
+    const spanEnd = Math.max(...sorted.map(anchor => anchor.end));
+
+    // One window when all needles fit together
+    if (spanEnd - spanStart <= maxChars) {
+      const center = Math.round((spanStart + spanEnd) / 2);
+      return [clamp(center - Math.floor(maxChars / 2), maxChars)];
+    }
+
+    // Otherwise an equal share of the budget around each needle, merging overlaps
+    const share = Math.floor(maxChars / sorted.length);
+    const windows = sorted.map(anchor => {
+      const center = Math.round((anchor.start + anchor.end) / 2);
+      return clamp(center - Math.floor(share / 2), Math.max(share, anchor.end - anchor.start));
+    });
+
+    return windows.reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+      } else {
+        merged.push({ ...window });
+      }
+      return merged;
+    }, []);
+  }
+
+  // Where the expected answer sits in the haystack, if it appears verbatim
+  static locate(haystack, text) {
+    if (!text) return [];
+    const index = haystack.toLowerCase().indexOf(text.toLowerCase());
+    return index === -1 ? [] : [{ start: index, end: index + text.length }];
+  }
+}
+
+module.exports = {
+  ContextFitter,
+  CONTEXT_SAFETY_MARGIN
+};
@@ -0,0 +1,204 @@
+// Public-domain haystack corpus for Needle in the Haystack Test
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { NeedleInserter, CHARS_PER_TOKEN } = require('./insertion');
+
+const CATALOG_PATH = path.join(__dirname, 'corpus', 'catalog.json');
+const DEFAULT_CORPUS_PATH = path.join(__dirname, 'corpus', 'texts');
+const CORPUS_UNITS = ['chars', 'tokens'];
+const MAX_CORPUS_TEXTS = 20;
+// Enough for the largest sweep context length (2M tokens)
+const MAX_CORPUS_CHARS = 2000000 * CHARS_PER_TOKEN;
+const TEXT_SEPARATOR = '\n\n';
+// How far the start and end of a selection may move to land on a sentence boundary
+const SNAP_WINDOW = 2000;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Library of public-domain texts (novels, essays, technical writing) that
+ * haystacks can be cut from, so results from different people are comparable.
+ *
+ * A selection - `{ ids, start, length: { unit, value } }` - concatenates the
+ * texts in order (cycling through them when the length asks for more), then
+ * trims to whole sentences. Selections are deterministic: a run records its
+ * selection with the checksum of every text it used, and rebuilding it later
+ * fails loudly if a text has changed instead of silently testing different
+ * content. The catalog is committed with the SHA-256 of every text; the texts
+ * themselves are downloaded by `npm run corpus:fetch` (see bin/fetch-corpus.js)
+ * and a text that doesn't match its pinned checksum - or has none pinned yet -
+ * is never used, so every machine builds haystacks from the same bytes.
+ */
+class CorpusLibrary {
+  constructor(corpusPath = process.env.CORPUS_PATH || DEFAULT_CORPUS_PATH) {
+    this.corpusPath = corpusPath;
+    this.catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    this.texts = new Map();
+  }
+
+  textPath(id) {
+    return path.join(this.corpusPath, `${id}.txt`);
+  }
+
+  // Catalog entries with whether each text is on disk and usable, its length and its checksum
+  list() {
+    return this.catalog.map(entry => {
+      let loaded = null;
+      let error = null;
+      // Unpinned texts report why they can't be used whether or not they are on disk
+      if (!entry.sha256 || fs.existsSync(this.textPath(entry.id))) {
+        try {
+          loaded = this.read(entry.id);
+        } catch (readError) {
+          error = readError.message;
+        }
+      }
+      return {
+        ...entry,
+        available: loaded !== null,
+        characterCount: loaded ? loaded.text.length : null,
+        sha256: loaded ? loaded.sha256 : entry.sha256 || null,
+        pinned: Boolean(entry.sha256),
+        ...(error && { error })
+      };
+    });
+  }
+
+  read(id) {
+    if (this.texts.has(id)) {
+      return this.texts.get(id);
+    }
+    const entry = this.catalog.find(candidate => candidate.id === id);
+    if (!entry) {
+      throw new Error(`Unknown corpus text: ${id}`);
+    }
+    // Without a pinned checksum nothing proves two machines hold the same text, so it is not used at all
+    if (!entry.sha256) {
+      throw new Error(`Corpus text ${id} has no checksum pinned in corpus/catalog.json; run "npm run corpus:fetch -- --pin" in the server directory and commit the catalog`);
+    }
+    const textPath = this.textPath(id);
+    if (!fs.existsSync(textPath)) {
+      throw new Error(`Corpus text ${id} has not been downloaded; run "npm run corpus:fetch" in the server directory`);
+    }
+
+    const text = fs.readFileSync(textPath, 'utf8');
+    const loaded = { text, sha256: hashText(text) };
+    if (entry.sha256 !== loaded.sha256) {
+      throw new Error(`Corpus text ${id} does not match the checksum pinned in corpus/catalog.json; run "npm run corpus:fetch -- --force" in the server directory`);
+    }
+    this.texts.set(id, loaded);
+    return loaded;
+  }
+
+  static normalizeSelection(selection) {
+    const ids = Array.isArray(selection?.ids) ? selection.ids.map(id => String(id).trim()).filter(Boolean) : [];
+    if (ids.length === 0) {
+      throw new Error('A corpus selection needs at least one text id');
+    }
+    if (ids.length > MAX_CORPUS_TEXTS) {
+      throw new Error(`At most ${MAX_CORPUS_TEXTS} corpus texts can be combined`);
+    }
+
+    const start = selection.start === undefined || selection.start === '' ? 0 : Number(selection.start);
+    if (!Number.isInteger(start) || start < 0 || start > MAX_CORPUS_CHARS) {
+      throw new Error('Corpus start must be a character offset of 0 or more');
+    }
+
+    let length = null;
+    if (selection.length !== undefined && selection.length !== null) {
+      const unit = selection.length.unit || 'chars';
+      const value = Number(selection.length.value);
+      if (!CORPUS_UNITS.includes(unit)) {
+        throw new Error(`Unknown corpus length unit "${unit}" (use ${CORPUS_UNITS.join(', ')})`);
+      }
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error('Corpus length must be a positive number');
+      }
+      const characters = Math.round(unit === 'tokens' ? value * CHARS_PER_TOKEN : value);
+      if (characters > MAX_CORPUS_CHARS) {
+        throw new Error(`Corpus length is limited to ${MAX_CORPUS_CHARS.toLocaleString()} characters`);
+      }
+      length = { unit, value, characters };
+    }
+
+    // Checksums come back with a recorded selection, to prove the texts are unchanged
+    const checksums = selection.checksums && typeof selection.checksums === 'object' ? selection.checksums : null;
+    return { ids, start, length, checksums };
+  }
+
+  // Sentence starts within SNAP_WINDOW of position; the window's own edges only count at the document's ends
+  static boundariesNear(text, position) {
+    const from = Math.max(0, position - SNAP_WINDOW);
+    const to = Math.min(text.length, position + SNAP_WINDOW);
+    return NeedleInserter.sentenceBoundaries(text.slice(from, to))
+      .map(boundary => boundary + from)
+      .filter(boundary => (boundary > from || from === 0) && (boundary < to || to === text.length));
+  }
+
+  // Returns { text, source }; source is what a run records to rebuild the same haystack
+  build(selection) {
+    const { ids, start, length, checksums } = CorpusLibrary.normalizeSelection(selection);
+    const texts = ids.map(id => ({ id, ...this.read(id) }));
+
+    if (checksums) {
+      const changed = texts.filter(({ id, sha256 }) => checksums[id] && checksums[id] !== sha256);
+      if (changed.length > 0) {
+        throw new Error(`Corpus text ${changed.map(({ id }) => id).join(', ')} differs from the copy this selection was made from`);
+      }
+    }
+
+    // Without a length the texts are used once; with one they repeat until it is covered
+    const needed = length ? start + length.characters : 0;
+    const parts = [];
+    let total = 0;
+    do {
+      const { id, text } = texts[parts.length % texts.length];
+      const offset = parts.length > 0 ? total + TEXT_SEPARATOR.length : 0;
+      parts.push({ id, text, offset, end: offset + text.length });
+      total = offset + text.length;
+    } while (length ? total < needed : parts.length < texts.length);
+    const combined = parts.map(part => part.text).join(TEXT_SEPARATOR);
+
+    if (start >= combined.length) {
+      throw new Error(`Corpus start ${start} is past the end of the selected texts (${combined.length} characters)`);
+    }
+
+    // Begin at the next sentence and stop before the one that would cross the target length
+    const rangeStart = start === 0 ? 0 : (CorpusLibrary.boundariesNear(combined, start).find(boundary => boundary >= start) ?? start);
+    let rangeEnd = combined.length;
+    if (length) {
+      const target = Math.min(combined.length, rangeStart + length.characters);
+      rangeEnd = CorpusLibrary.boundariesNear(combined, target).filter(boundary => boundary <= target && boundary > rangeStart).pop() ?? target;
+    }
+    const text = combined.slice(rangeStart, rangeEnd).trimEnd();
+    rangeEnd = rangeStart + text.length;
+
+    const segments = parts
+      .map(part => ({ id: part.id, start: Math.max(part.offset, rangeStart) - rangeStart, end: Math.min(part.end, rangeEnd) - rangeStart }))
+      .filter(segment => segment.start < segment.end);
+
+    return {
+      text,
+      source: {
+        ids,
+        start,
+        ...(length && { length: { unit: length.unit, value: length.value } }),
+        range: { start: rangeStart, end: rangeEnd },
+        segments,
+        checksums: Object.fromEntries(texts.map(({ id, sha256 }) => [id, sha256])),
+        sha256: hashText(text)
+      }
+    };
+  }
+}
+
+module.exports = {
+  CorpusLibrary,
+  hashText,
+  CATALOG_PATH,
+  CORPUS_UNITS,
+  MAX_CORPUS_TEXTS
+};
@@ -0,0 +1,66 @@
+// Distractor statements for Needle in the Haystack Test
+const { gradeAnswer, detectDistractors } = require('@hay/grading');
+const { NeedleInserter } = require('./insertion');
+
+const MAX_DISTRACTORS = 20;
+
+/**
+ * Plants near-miss statements ("the secret number was once 15608") into the
+ * haystack and spots answers that give a distractor's value instead of the
+ * real answer. Such answers are reported as "distracted" rather than "not found".
+ */
+class DistractorSet {
+  // Validate distractors and spread any missing depths evenly through the document
+  static normalize(distractors, exactMatch) {
+    if (!Array.isArray(distractors)) {
+      throw new Error('Distractors must be a list of { statement, value } entries');
+    }
+    if (distractors.length > MAX_DISTRACTORS) {
+      throw new Error(`At most ${MAX_DISTRACTORS} distractors are supported`);
+    }
+
+    return distractors.map((entry, index) => {
+      const statement = String(entry?.statement || '').trim();
+      const value = String(entry?.value || '').trim();
+      if (!statement || !value) {
+        throw new Error(`Distractor ${index + 1} needs both the statement and its value`);
+      }
+      if (exactMatch && gradeAnswer(value, exactMatch).found) {
+        throw new Error(`Distractor ${index + 1} value "${value}" contains the real answer`);
+      }
+
+      const evenDepth = Math.round(((index + 1) / (distractors.length + 1)) * 100);
+      const depth = entry.depth === undefined || entry.depth === '' ? evenDepth : Number(entry.depth);
+      if (isNaN(depth) || depth < 0 || depth > 100) {
+        throw new Error(`Distractor ${index + 1} depth must be between 0 and 100`);
+      }
+
+      return { statement, value, depth };
+    });
+  }
+
+  // Insert distractors shallowest first, like multi-needle facts
+  static plant(haystack, distractors) {
+    const order = distractors.map((distractor, index) => index).sort((a, b) => distractors[a].depth - distractors[b].depth);
+
+    let text = haystack;
+    order.forEach(index => {
+      text = NeedleInserter.insert(text, distractors[index].statement, distractors[index].depth).text;
+    });
+
+    return {
+      text,
+      distractors: distractors.map(distractor => ({ ...distractor, offset: text.indexOf(distractor.statement) }))
+    };
+  }
+
+  // Returns { distracted, values } (see @hay/grading, shared with the client's re-check)
+  static check(response, exactMatch, distractors, grading) {
+    return detectDistractors(response, exactMatch, distractors.map(distractor => distractor.value), grading);
+  }
+}
+
+module.exports = {
+  DistractorSet,
+  MAX_DISTRACTORS
+};
@@ -0,0 +1,117 @@
+// Answer grading strategies for Needle in the Haystack Test
+
+const { GRADING_MODES, validateGrading, validatePatterns, gradeAnswer } = require('@hay/grading');
+
+const JUDGE_MAX_TOKENS = 500;
+
+// Providers with structured output return the verdict in this shape; parseJudgement still checks it
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', description: 'How correctly the answer gives the expected answer, from 0 to 10' },
+    rationale: { type: 'string', description: 'One sentence explaining the score' }
+  },
+  required: ['score', 'rationale'],
+  additionalProperties: false
+};
+
+/**
+ * Grades a model's answer against the expected answer. Every mode except
+ * `judge` is deterministic and shared with the client (@hay/grading); `judge`
+ * asks a grader model to score the answer 0-10 with a one-line rationale.
+ *
+ * A grade is { mode, found } plus `score` (0-1 similarity for fuzzy, 0-10 for
+ * judge), `rationale` and `judgeModel` where the mode provides them.
+ */
+class AnswerGrader {
+  constructor(aiManager) {
+    this.aiManager = aiManager;
+  }
+
+  // Run settings and regex patterns are checked before any request is spent (see @hay/grading)
+  static validate(grading) {
+    return validateGrading(grading);
+  }
+
+  static validatePatterns(grading, expectedAnswers) {
+    validatePatterns(grading, expectedAnswers);
+  }
+
+  async grade(response, expected, grading, { question, userId, signal } = {}) {
+    const result = grading.mode === 'judge'
+      ? await this.judge(response, expected, grading, { question, userId, signal })
+      : gradeAnswer(response, expected, grading);
+    console.log(`🔍 ${result.mode} grade for "${expected}": ${result.found ? 'found' : 'not found'}${result.score !== undefined ? ` (score ${result.score})` : ''}`);
+    return result;
+  }
+
+  // A judge failure fails the grade rather than the model's answer, which is kept either way
+  async judge(response, expected, grading, { question, userId, signal }) {
+    const base = { mode: 'judge', judgeModel: grading.judgeModel };
+    if (!response || !response.trim()) {
+      return { ...base, found: false, score: 0, rationale: 'Empty answer' };
+    }
+
+    const prompt = `You are grading an answer from a retrieval test.
+
+Question: ${question}
+Expected answer: ${expected}
+
+Answer to grade:
+"""
+${response}
+"""
+
+Score the answer from 0 to 10 for how correctly it gives the expected answer. Wording, spelling out numbers and extra explanation are fine. Give 0 if the answer is missing, wrong, or declines to answer, even if it quotes the expected text while declining.
+
+Reply with JSON only: {"score": <0-10>, "rationale": "<one sentence>"}`;
+
+    // An empty system prompt keeps providers from wrapping the judge in their chat persona
+    try {
+      const generation = await this.aiManager.generate(
+        grading.judgeModel,
+        [{ provider: 'user', content: prompt, role: 'user' }],
+        userId,
+        {
+          temperature: 0,
+          maxTokens: JUDGE_MAX_TOKENS,
+          systemPrompt: '',
+          jsonSchema: { name: 'judge_grade', schema: JUDGE_SCHEMA },
+          signal
+        }
+      );
+      const { score, rationale } = AnswerGrader.parseJudgement(generation.text);
+      return { ...base, found: score >= grading.passScore, score, rationale, usage: generation.usage || null };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error(`❌ Judge ${grading.judgeModel} failed:`, error.message);
+      return { ...base, found: false, error: `Judge failed: ${error.message}` };
+    }
+  }
+
+  static parseJudgement(text) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (json) {
+      try {
+        const parsed = JSON.parse(json[0]);
+        const score = Number(parsed.score);
+        if (!isNaN(score)) {
+          return { score: Math.min(10, Math.max(0, score)), rationale: String(parsed.rationale || '').trim() };
+        }
+      } catch (error) {
+        // Fall through to the looser pattern below
+      }
+    }
+
+    const loose = (text || '').match(/score"?\s*[:=]\s*(\d+(?:\.\d+)?)/i);
+    if (loose) {
+      return { score: Math.min(10, Number(loose[1])), rationale: text.trim() };
+    }
+    throw new Error('Judge reply did not contain a score');
+  }
+}
+
+module.exports = {
+  AnswerGrader,
+  GRADING_MODES
+};
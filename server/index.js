@@ -4,41 +4,26 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const CryptoJS = require('crypto-js');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
-const path = require('path');
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
-
-// Try loading .env from multiple locations
-const envPaths = [
-  path.join(__dirname, '.env'),           // server/.env
-  path.join(__dirname, '..', '.env'),     // root/.env
-  '.env'                                  // current directory
-];
-
-let envLoaded = false;
-for (const envPath of envPaths) {
-  try {
-    const result = require('dotenv').config({ path: envPath });
-    if (!result.error) {
-      console.log(`✅ Loaded .env from: ${envPath}`);
-      envLoaded = true;
-      break;
-    }
-  } catch (error) {
-    // Continue to next path
-  }
-}
-
-if (!envLoaded) {
-  console.log('⚠️  No .env file found in any of the expected locations');
-}
-
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { loadEnv } = require('./loadEnv');
+
+loadEnv();
+
+const { AIModelManager, loadApiKeys } = require('./aiModels');
+const { NeedleTestManager } = require('./needleTests');
+const { RunStore } = require('./runStore');
+const { RunExporter } = require('./runExport');
+const { RunComparison } = require('./runCompare');
+const { TestSuite } = require('./suites');
+const { NeedleInserter } = require('./insertion');
+const { TestContentGenerator } = require('./testGenerator');
+const { PriceTable } = require('./pricing');
+const { CorpusLibrary } = require('./corpus');
+const { PromptTemplates } = require('./promptTemplates');
+const { registry } = require('./providers');
 
 const app = express();
 const server = http.createServer(app);
@@ -63,603 +48,13 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Estimates, needle insertion and suites carry whole haystacks; everything else keeps the default body limit
+app.use(['/api/estimate', '/api/haystack/insert', '/api/suites'], express.json({ limit: '25mb' }));
 app.use(express.json());
 
-// In-memory storage for encrypted API keys (in production, use a proper database)
-const userApiKeys = new Map();
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'your-secret-encryption-key-change-this';
-
-// Environment variable API keys (primary option) - clean any whitespace/newlines
-const ENV_API_KEYS = {
-  openai: process.env.OPENAI_API_KEY?.trim().replace(/\s+/g, ''),
-  google: process.env.GOOGLE_API_KEY?.trim().replace(/\s+/g, ''),
-  anthropic: process.env.ANTHROPIC_API_KEY?.trim().replace(/\s+/g, '')
-};
-
-// Load API keys from file on startup (for user-provided keys persistence)
-function loadApiKeys() {
-  // Check which environment variables are available (without exposing keys)
-  const envKeysAvailable = Object.entries(ENV_API_KEYS)
-    .filter(([key, value]) => value)
-    .map(([key]) => key);
-  
-  if (envKeysAvailable.length > 0) {
-    console.log(`🌍 Environment API keys found for: ${envKeysAvailable.join(', ')}`);
-  } else {
-    console.log(`⚠️  No environment API keys found.`);
-  }
-  
-  console.log('🔑 API Key system ready - env vars first, then user input through UI');
-}
-
 // Load keys on startup
 loadApiKeys();
 
-// Encryption/Decryption functions
-function encryptApiKey(apiKey) {
-  return CryptoJS.AES.encrypt(apiKey, ENCRYPTION_KEY).toString();
-}
-
-function decryptApiKey(encryptedKey) {
-  const bytes = CryptoJS.AES.decrypt(encryptedKey, ENCRYPTION_KEY);
-  return bytes.toString(CryptoJS.enc.Utf8);
-}
-
-// AI Model Classes
-class AIModelManager {
-  constructor() {
-    this.models = {
-      openai: null,
-      gemini: null,
-      claude: null
-    };
-  }
-
-  setApiKey(provider, apiKey, userId) {
-    const encryptedKey = encryptApiKey(apiKey);
-    
-    if (!userApiKeys.has(userId)) {
-      userApiKeys.set(userId, {});
-    }
-    
-    userApiKeys.get(userId)[provider] = encryptedKey;
-    
-    // Initialize the model client
-    this.initializeModel(provider, apiKey);
-  }
-
-  initializeModel(provider, apiKey) {
-    try {
-      switch (provider) {
-        case 'openai':
-          this.models.openai = new OpenAI({ apiKey });
-          break;
-        case 'google':
-          this.models.gemini = new GoogleGenerativeAI(apiKey);
-          break;
-        case 'anthropic':
-          this.models.claude = new Anthropic({ apiKey });
-          break;
-      }
-    } catch (error) {
-      console.error(`Error initializing ${provider}:`, error);
-    }
-  }
-
-  getApiKey(provider, userId) {
-    console.log(`🔍 Looking for API key - Provider: ${provider}, User: ${userId}`);
-    
-    // First, check environment variables (priority)
-    if (ENV_API_KEYS[provider]) {
-      console.log(`✅ Using environment API key for ${provider}`);
-      return ENV_API_KEYS[provider];
-    }
-    
-    // Fallback to user-provided keys
-    console.log(`🔍 No env var, checking user keys. Available users:`, Array.from(userApiKeys.keys()));
-    const userKeys = userApiKeys.get(userId);
-    console.log(`🔍 User keys for ${userId}:`, userKeys ? Object.keys(userKeys) : 'none');
-    
-    if (userKeys && userKeys[provider]) {
-      console.log(`✅ Found user-provided API key for ${provider}`);
-      return decryptApiKey(userKeys[provider]);
-    }
-    
-    console.log(`❌ No API key found for ${provider} - please add through Settings or environment variables`);
-    return null;
-  }
-
-  async generateResponse(modelId, messages, userId) {
-    // Default configuration for backward compatibility
-    return this.generateResponseWithConfig(modelId, messages, userId, {});
-  }
-
-  async generateResponseWithConfig(modelId, messages, userId, config = {}) {
-    const defaultConfig = {
-      temperature: 0.7,
-      maxTokens: 1000
-    };
-    
-    const finalConfig = { ...defaultConfig, ...config };
-    
-    // Map model IDs to their providers and API key fields
-    const modelMapping = {
-      // OpenAI Models
-      'o3': { provider: 'openai', apiKeyField: 'openai', model: 'o3', apiType: 'responses' },
-      'o1': { provider: 'openai', apiKeyField: 'openai', model: 'o1', apiType: 'responses' },
-      'gpt-4.1': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-4.1', apiType: 'responses' },
-      'gpt-4.1-nano': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-4.1-nano', apiType: 'responses' },
-      'gpt-4': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-4', apiType: 'chat' },
-      'gpt-4-turbo': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-4-turbo-preview', apiType: 'chat' },
-      'gpt-4o-mini': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-4o-mini', apiType: 'chat' },
-      'gpt-3.5-turbo': { provider: 'openai', apiKeyField: 'openai', model: 'gpt-3.5-turbo', apiType: 'chat' },
-      
-      // Google Models
-      'gemini-2.5-pro': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.5-pro' },
-      'gemini-2.5-flash': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.5-flash' },
-      'gemini-2.5-flash-preview-04-17': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.5-flash-preview-04-17' },
-      'gemini-2.5-flash-lite-preview-06-17': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.5-flash-lite-preview-06-17' },
-      'gemini-2.0-flash': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.0-flash' },
-      'gemini-2.0-flash-lite': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.0-flash-lite' },
-      'gemini-1.5-pro': { provider: 'google', apiKeyField: 'google', model: 'gemini-1.5-pro' },
-      'gemini-1.5-flash': { provider: 'google', apiKeyField: 'google', model: 'gemini-1.5-flash' },
-      'gemini-2.5-pro-preview-05-06': { provider: 'google', apiKeyField: 'google', model: 'gemini-2.5-pro-preview-05-06' },
-      
-      // Anthropic Models
-      'claude-opus-4': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-opus-20240229' },
-      'claude-sonnet-4': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
-      'claude-3-7-sonnet': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
-      'claude-3-5-sonnet-v2': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
-      'claude-3-opus': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-opus-20240229' },
-      'claude-3-sonnet': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
-      'claude-3-haiku': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-haiku-20241022' },
-      'claude-instant': { provider: 'anthropic', apiKeyField: 'anthropic', model: 'claude-3-5-haiku-20241022' }
-    };
-
-    const modelConfig = modelMapping[modelId];
-    if (!modelConfig) {
-      throw new Error(`Unknown model: ${modelId}`);
-    }
-
-    const apiKey = this.getApiKey(modelConfig.apiKeyField, userId);
-    if (!apiKey) {
-      throw new Error(`No API key found for ${modelConfig.provider}`);
-    }
-
-    // Re-initialize model with user's API key
-    this.initializeModel(modelConfig.provider, apiKey);
-
-    try {
-      switch (modelConfig.provider) {
-        case 'openai':
-          return await this.generateOpenAIResponse(messages, modelConfig.model, modelConfig.apiType, finalConfig);
-        case 'google':
-          return await this.generateGeminiResponse(messages, modelConfig.model, finalConfig);
-        case 'anthropic':
-          return await this.generateClaudeResponse(messages, modelConfig.model, finalConfig);
-        default:
-          throw new Error(`Unknown provider: ${modelConfig.provider}`);
-      }
-    } catch (error) {
-      console.error(`Error generating response from ${modelId}:`, error);
-      // If it's a parameter error for OpenAI, provide a helpful message
-      if (error.message && error.message.includes("Unsupported parameter")) {
-        throw new Error(`Model ${modelId} does not support some parameters. This is expected for newer models.`);
-      }
-      throw error;
-    }
-  }
-
-  async generateOpenAIResponse(messages, model = "gpt-3.5-turbo", apiType = "chat", config = {}) {
-    // Start timing for this API call
-    const apiCallStartTime = Date.now();
-    
-    if (apiType === 'responses') {
-      // Use the new responses API for newer models
-      console.log(`🔥 Using OpenAI Responses API for model: ${model}`);
-      
-      // Convert messages to input format for responses API
-      const input = messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : msg.role,
-        content: msg.content
-      }));
-      
-      // Determine if model supports reasoning and temperature
-      const hasReasoning = ['o3', 'o1'].includes(model);
-      const supportsTemperature = !['o3', 'o1', 'gpt-4.1', 'gpt-4.1-nano'].includes(model);
-      
-      const requestBody = {
-        model: model,
-        input: input,
-        text: {
-          format: {
-            type: "text"
-          }
-        },
-        max_output_tokens: config.maxTokens || 2048,
-        top_p: 1,
-        store: true
-      };
-      
-      // Only add temperature for models that support it
-      if (supportsTemperature) {
-        requestBody.temperature = config.temperature || 0.7;
-      }
-      
-      // Add reasoning for models that support it
-      if (hasReasoning) {
-        requestBody.reasoning = {
-          effort: "medium",
-          summary: "auto"
-        };
-      }
-      
-      console.log(`📤 Sending request body:`, JSON.stringify(requestBody, null, 2));
-      
-      try {
-        const response = await this.models.openai.responses.create(requestBody);
-        
-        console.log(`📥 Received response:`, JSON.stringify(response, null, 2));
-        
-        // Extract text content from response - handle different response formats
-        if (response && response.output_text) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`✅ Found output_text: ${response.output_text.length} characters, API call time: ${apiCallResponseTime}ms`);
-          this.lastApiCallTime = apiCallResponseTime;
-          return response.output_text;
-        } else if (response && response.text && response.text.content) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`✅ Found text.content: ${response.text.content.length} characters, API call time: ${apiCallResponseTime}ms`);
-          this.lastApiCallTime = apiCallResponseTime;
-          return response.text.content;
-        } else if (response && response.output && response.output[0] && response.output[0].content && response.output[0].content[0] && response.output[0].content[0].text) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`✅ Found output[0].content[0].text: ${response.output[0].content[0].text.length} characters, API call time: ${apiCallResponseTime}ms`);
-          this.lastApiCallTime = apiCallResponseTime;
-          return response.output[0].content[0].text;
-        } else if (response && response.choices && response.choices[0]) {
-          if (response.choices[0].text) {
-            const apiCallResponseTime = Date.now() - apiCallStartTime;
-            console.log(`✅ Found choices[0].text: ${response.choices[0].text.length} characters, API call time: ${apiCallResponseTime}ms`);
-            this.lastApiCallTime = apiCallResponseTime;
-            return response.choices[0].text;
-          } else if (response.choices[0].message && response.choices[0].message.content) {
-            const apiCallResponseTime = Date.now() - apiCallStartTime;
-            console.log(`✅ Found choices[0].message.content: ${response.choices[0].message.content.length} characters, API call time: ${apiCallResponseTime}ms`);
-            this.lastApiCallTime = apiCallResponseTime;
-            return response.choices[0].message.content;
-          }
-        } else if (response && response.output && response.output.text) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`✅ Found output.text: ${response.output.text.length} characters, API call time: ${apiCallResponseTime}ms`);
-          this.lastApiCallTime = apiCallResponseTime;
-          return response.output.text;
-        } else if (response && response.content) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`✅ Found direct content: ${response.content.length} characters, API call time: ${apiCallResponseTime}ms`);
-          this.lastApiCallTime = apiCallResponseTime;
-          return response.content;
-        }
-        
-        console.error(`❌ Unexpected response format. Available keys:`, Object.keys(response));
-        console.error(`❌ Full response structure for debugging:`, JSON.stringify(response, null, 2));
-        throw new Error('Unexpected response format from OpenAI Responses API');
-        
-      } catch (error) {
-        console.error(`❌ OpenAI Responses API error:`, error);
-        if (error.response) {
-          console.error(`❌ Error response data:`, error.response.data);
-        }
-        throw error;
-      }
-      
-    } else {
-      // Use traditional chat completions API
-      console.log(`💬 Using OpenAI Chat Completions API for model: ${model}`);
-      
-      // Create a system message to set the context for needle tests
-    const systemMessage = {
-      role: 'system',
-        content: 'You are an AI assistant that provides direct, accurate answers to questions based on provided context.'
-    };
-    
-    // Format messages for OpenAI
-    const formattedMessages = [systemMessage];
-    
-    // Add conversation history
-    messages.forEach(msg => {
-      formattedMessages.push({
-        role: msg.role === 'ai' ? 'assistant' : msg.role,
-        content: msg.content
-      });
-    });
-    
-    const response = await this.models.openai.chat.completions.create({
-      model: model,
-      messages: formattedMessages,
-        max_tokens: config.maxTokens || 1000,
-        temperature: config.temperature || 0.7
-    });
-    
-    const apiCallResponseTime = Date.now() - apiCallStartTime;
-    console.log(`✅ OpenAI Chat API response time: ${apiCallResponseTime}ms`);
-    this.lastApiCallTime = apiCallResponseTime;
-    
-    return response.choices[0].message.content;
-    }
-  }
-
-  async generateGeminiResponse(messages, modelName = "gemini-2.0-flash", config = {}) {
-    console.log(`🔍 Gemini Debug - Model: ${modelName}, Messages:`, messages);
-    
-    // Start timing for this API call
-    const apiCallStartTime = Date.now();
-    
-    const model = this.models.gemini.getGenerativeModel({ model: modelName });
-    
-    // Filter out empty messages and ensure we have valid content
-    const validMessages = messages.filter(msg => msg.content && msg.content.trim().length > 0);
-    
-    console.log(`🔍 Gemini Debug - Valid messages count: ${validMessages.length}`);
-    
-    if (validMessages.length === 0) {
-      throw new Error('No valid messages to process');
-    }
-    
-    // Find the initial prompt to maintain conversation memory
-    const initialPrompt = validMessages.find(msg => msg.provider === 'user')?.content || 'General discussion';
-    
-    // Build a conversational prompt that includes the full context
-    let conversationContext = `You are having a natural conversation with other AIs about: "${initialPrompt}"\n\nRespond naturally by: building on previous points, sharing your own perspective, agreeing or respectfully disagreeing, making observations, or offering new angles. Mix up your response style - sometimes make statements, sometimes share insights, sometimes pose questions, but don't end every response with a question. Keep the conversation flowing naturally like friends discussing a topic. Be authentic and avoid assistant-like phrases.\n\nConversation so far:\n\n`;
-    
-    validMessages.forEach((msg, index) => {
-      const speaker = msg.provider === 'user' ? 'Human' : `AI (${msg.provider})`;
-      conversationContext += `${speaker}: ${msg.content}\n\n`;
-    });
-    
-    conversationContext += "Now respond naturally - maybe build on what was said, share your perspective, make an observation, or take the discussion in a new direction. Don't feel obligated to ask a question:";
-    
-    console.log(`🔍 Gemini Debug - Conversation context:`, conversationContext);
-    
-    try {
-      // Use a simple prompt approach for Gemini
-      const result = await model.generateContent(conversationContext);
-      const response = await result.response;
-      const responseText = response.text();
-      
-      const apiCallResponseTime = Date.now() - apiCallStartTime;
-      console.log(`✅ Gemini Debug - Response length: ${responseText?.length}, API call time: ${apiCallResponseTime}ms`);
-      this.lastApiCallTime = apiCallResponseTime;
-      
-      if (!responseText || responseText.trim().length === 0) {
-        throw new Error('Empty response from Gemini');
-      }
-      
-      return responseText;
-      
-    } catch (error) {
-      console.error(`❌ Error generating response from Gemini:`, error);
-      throw error;
-    }
-  }
-
-  async generateClaudeResponse(messages, model = "claude-3-sonnet-20240229", config = {}) {
-    console.log('[Claude Generate RF] Model parameter received:', model);
-    
-    // Log special capabilities for newer models
-    if (model.includes('opus-4') || model.includes('sonnet-4')) {
-      console.log('🚀 Using Claude 4 model with hybrid near-instant/extended thinking capabilities');
-    } else if (model.includes('3-7-sonnet')) {
-      console.log('🧠 Using Claude 3.7 Sonnet with extended thinking capabilities');
-    } else if (model.includes('v2-20241022')) {
-      console.log('💻 Using Claude 3.5 Sonnet v2 with computer use capabilities');
-    }
-
-    // Retry logic for overloaded errors
-    const maxRetries = 2;
-    const baseDelay = 5000; // 5 seconds
-    
-    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
-      try {
-        const result = await this._makeClaudeAPICall(messages, model, config, attempt);
-        // Return result with timing information from the successful call
-        return result;
-      } catch (error) {
-        // Only retry on 529 overloaded errors
-        if (error.status === 529 && attempt <= maxRetries) {
-          const delay = baseDelay * attempt; // Exponential backoff: 5s, 10s
-          console.log(`⏳ Claude overloaded (attempt ${attempt}/${maxRetries + 1}). Retrying in ${delay/1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-        throw error;
-      }
-    }
-  }
-
-  async _makeClaudeAPICall(messages, model, config, attempt = 1) {
-    if (attempt > 1) {
-      console.log(`🔄 Claude API call attempt #${attempt} for model: ${model}`);
-    }
-
-    // Start timing for this specific API call attempt
-    const apiCallStartTime = Date.now();
-
-    // Find the initial prompt to maintain conversation memory
-    const initialPrompt = messages.find(msg => msg.provider === 'user')?.content || 'General discussion';
-    
-    // Create a system message for Claude
-    const systemMessage = `You are having a natural conversation with other AIs about: "${initialPrompt}"\n\nAct like a curious, thoughtful participant who builds on what others say. Share your own perspectives, challenge ideas respectfully, ask follow-up questions that dig deeper, and keep the conversation flowing. Avoid saying "I'm here to help" or "feel free to ask" - instead, directly engage with the ideas presented. Be conversational, not an assistant.`;
-    
-    // Process messages to ensure alternating roles for Claude API
-    const processedMessages = [];
-    if (messages.length > 0) {
-      // Filter out placeholder messages first
-      const filteredMessages = messages.filter(msg => 
-        msg.content && !msg.content.includes("(Previous turn provided no text output)")
-      );
-      
-      console.log('[Claude Debug] Filtered messages:', filteredMessages.length, 'from original:', messages.length);
-      
-      if (filteredMessages.length > 0) {
-        // Add the first message directly
-        processedMessages.push({
-          role: filteredMessages[0].role === 'ai' ? 'assistant' : filteredMessages[0].role,
-          content: filteredMessages[0].content
-        });
-
-        for (let i = 1; i < filteredMessages.length; i++) {
-          const currentMessage = filteredMessages[i];
-          const lastProcessedMessage = processedMessages[processedMessages.length - 1];
-          
-          const currentRole = currentMessage.role === 'ai' ? 'assistant' : currentMessage.role;
-          
-          if (currentRole === 'assistant' && lastProcessedMessage.role === 'assistant') {
-            // Merge consecutive assistant messages
-            lastProcessedMessage.content += `\n\n${currentMessage.content}`; 
-          } else if (currentRole === 'user' && lastProcessedMessage.role === 'user') {
-            // Merge consecutive user messages
-            lastProcessedMessage.content += `\n\n${currentMessage.content}`;
-          } else {
-            processedMessages.push({
-              role: currentRole,
-              content: currentMessage.content
-            });
-          }
-        }
-      }
-    }
-    
-    // If we have no valid messages after filtering, add a user prompt
-    if (processedMessages.length === 0) {
-      console.log('[Claude Debug] No valid messages after processing, adding default user message');
-      processedMessages.push({
-        role: 'user',
-        content: initialPrompt || 'Hello'
-      });
-    }
-    
-    // Ensure we always end with a user message if the last message is from assistant
-    if (processedMessages.length > 0 && processedMessages[processedMessages.length - 1].role === 'assistant') {
-      console.log('[Claude Debug] Last message is assistant, adding continuation prompt');
-      processedMessages.push({
-        role: 'user',
-        content: 'Please continue the conversation.'
-      });
-    }
-    
-    // Format messages for Claude using the processed list
-    const formattedMessages = processedMessages; // Already in the correct format
-
-    console.log('[Claude Request Debug] System Message:', systemMessage);
-    console.log('[Claude Request Debug] Formatted Messages:', JSON.stringify(formattedMessages, null, 2));
-    console.log('[Claude Debug] Message count:', formattedMessages.length);
-    console.log('[Claude Debug] Message roles:', formattedMessages.map(m => m.role).join(' -> '));
-
-    // Existing debug logs for the client instance
-    console.log('[Claude Debug] this.models.claude:', this.models.claude);
-    if (this.models.claude) {
-      console.log('[Claude Debug] typeof this.models.claude.messages:', typeof this.models.claude.messages);
-      console.log('[Claude Debug] this.models.claude.messages:', this.models.claude.messages);
-      console.log('[Claude Debug] Object.keys(this.models.claude):', Object.keys(this.models.claude));
-    }
-
-    try {
-      console.log('[Claude API Call] Making request with model:', model);
-      const response = await this.models.claude.messages.create({
-        model: model,
-        max_tokens: config.maxTokens || 1024,
-        system: systemMessage,
-        messages: formattedMessages,
-        temperature: config.temperature || 0.7
-      });
-      
-      console.log('[Claude Response Debug] Full API Response:', JSON.stringify(response, null, 2)); // Log the full response
-
-      // It's good practice to check if content exists and is not empty
-      if (response && response.content && response.content.length > 0) {
-        // Handle different content types
-        const textContent = response.content.find(c => c.type === 'text');
-        if (textContent && textContent.text) {
-          const apiCallResponseTime = Date.now() - apiCallStartTime;
-          console.log(`[Claude Success] Generated response length: ${textContent.text.length}, API call time: ${apiCallResponseTime}ms`);
-          
-          // Store timing information for this successful call
-          this.lastApiCallTime = apiCallResponseTime;
-          
-          return textContent.text;
-        }
-        
-        // If no text content found, log what we got
-        console.error('[Claude Error] No text content found in response. Content types:', response.content.map(c => c.type));
-      }
-      
-      console.error('[Claude Error] Unexpected response structure or empty content:', JSON.stringify(response, null, 2));
-      throw new Error('Anthropic response content was empty or not in the expected text format.');
-      
-    } catch (error) {
-      console.error('[Claude API Error] Full error details:', error);
-      
-      // Handle specific error types
-      if (error.response) {
-        console.error('[Claude API Error] Response data:', error.response.data);
-        console.error('[Claude API Error] Response status:', error.response.status);
-        
-        // Handle 529 Overloaded error specifically
-        if (error.response.status === 529) {
-          const overloadedError = new Error('Anthropic Claude service is temporarily overloaded. This usually means:\n• Too many requests sent too quickly\n• API usage limits exceeded\n• Service experiencing high demand\n\nSuggestions:\n• Wait 30-60 seconds before retrying\n• Try fewer models simultaneously\n• Use a different Claude model (e.g., Claude 3 Haiku instead of Opus)\n• Check your API usage limits at console.anthropic.com');
-          overloadedError.code = 'ANTHROPIC_OVERLOADED';
-          overloadedError.status = 529;
-          throw overloadedError;
-        }
-        
-        // Handle 429 Rate Limit error
-        if (error.response.status === 429) {
-          const rateLimitError = new Error('Anthropic Claude rate limit exceeded. Please wait before making more requests.\n\nSuggestions:\n• Wait 60 seconds before retrying\n• Reduce the number of simultaneous requests\n• Check your tier limits at console.anthropic.com');
-          rateLimitError.code = 'ANTHROPIC_RATE_LIMIT';
-          rateLimitError.status = 429;
-          throw rateLimitError;
-        }
-        
-        // Handle 400 Bad Request
-        if (error.response.status === 400) {
-          const badRequestError = new Error(`Claude API Bad Request: ${error.response.data?.error?.message || 'Invalid request parameters'}`);
-          badRequestError.code = 'ANTHROPIC_BAD_REQUEST';
-          badRequestError.status = 400;
-          throw badRequestError;
-        }
-        
-        // Handle 401 Unauthorized
-        if (error.response.status === 401) {
-          const authError = new Error('Claude API Unauthorized: Invalid or missing API key. Please check your Anthropic API key.');
-          authError.code = 'ANTHROPIC_UNAUTHORIZED';
-          authError.status = 401;
-          throw authError;
-        }
-        
-        // Handle other HTTP errors
-        const httpError = new Error(`Claude API Error (${error.response.status}): ${error.response.data?.error?.message || error.message}`);
-        httpError.code = 'ANTHROPIC_HTTP_ERROR';
-        httpError.status = error.response.status;
-        throw httpError;
-      }
-      
-      // Handle network errors
-      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        const networkError = new Error('Cannot connect to Anthropic API. Please check your internet connection.');
-        networkError.code = 'NETWORK_ERROR';
-        throw networkError;
-      }
-      
-      // Re-throw other errors with additional context
-      const enhancedError = new Error(`Claude API Error: ${error.message}`);
-      enhancedError.code = error.code || 'ANTHROPIC_UNKNOWN_ERROR';
-      enhancedError.originalError = error;
-      throw enhancedError;
-    }
-  }
-}
-
 const aiManager = new AIModelManager();
 
 // Conversation management
@@ -739,153 +134,11 @@ class ConversationManager {
 
 const conversationManager = new ConversationManager();
 
-// Needle Test Manager
-class NeedleTestManager {
-  constructor(aiManager) {
-    this.aiManager = aiManager;
-    this.activeTests = new Map();
-  }
-
-  async runNeedleTest(userId, haystack, needle, exactMatch, models, socket) {
-    const testId = uuidv4();
-    this.activeTests.set(testId, {
-      userId,
-      haystack,
-      needle,
-      exactMatch,
-      models,
-      results: new Map(),
-      startTime: Date.now()
-    });
-
-    console.log(`🔍 Starting needle test ${testId} with ${models.length} models`);
-    
-    // Create prompt for needle test - just ask the question naturally
-    const prompt = `${needle}
-
-Context document:
-${haystack}`;
-
-    // Run tests for all models in parallel
-    const testPromises = models.map(async (modelConfig) => {
-      try {
-        console.log(`🎯 Testing model ${modelConfig.modelId} with temp=${modelConfig.temperature}, maxTokens=${modelConfig.maxTokens}`);
-        
-        socket.emit('aiThinking', { provider: modelConfig.modelId });
-        
-        // Create a simple message format for the needle test
-        const messages = [{
-          provider: 'user',
-          content: prompt,
-          role: 'user'
-        }];
-
-        // Pass model configuration to the AI manager and get response with accurate timing
-        const response = await this.aiManager.generateResponseWithConfig(
-          modelConfig.modelId, 
-          messages, 
-          userId,
-          {
-            temperature: modelConfig.temperature || 0.7,
-            maxTokens: modelConfig.maxTokens || 1000
-          }
-        );
-        
-        // Use the actual API call timing, not total time including retries
-        const responseTime = this.aiManager.lastApiCallTime || 0;
-        console.log(`⏱️ Model ${modelConfig.modelId} actual API response time: ${responseTime}ms`);
-        
-        // Check if exact match text appears in the response (case-insensitive)
-        const foundNeedle = this.checkExactMatch(response, exactMatch);
-        
-        const result = {
-          modelId: modelConfig.modelId,
-          response,
-          foundNeedle,
-          responseTime,
-          timestamp: new Date().toISOString()
-        };
-
-        socket.emit('needleTestResult', result);
-        
-        const test = this.activeTests.get(testId);
-        if (test) {
-          test.results.set(modelConfig.modelId, result);
-        }
-        
-      } catch (error) {
-        console.error(`Error testing model ${modelConfig.modelId}:`, error);
-        socket.emit('needleTestError', { 
-          modelId: modelConfig.modelId, 
-          error: error.message 
-        });
-      }
-    });
-
-    // Wait for all tests to complete
-    await Promise.all(testPromises);
-    
-    socket.emit('allTestsComplete', { testId });
-    
-        // Clean up
-    this.activeTests.delete(testId);
-  }
-
-  checkExactMatch(response, exactMatch) {
-    if (!response || !exactMatch) {
-      console.log(`🔍 Exact Match Debug: Missing input - response: ${!!response}, exactMatch: ${!!exactMatch}`);
-      return false;
-    }
-
-    // Trim whitespace and ensure we have content
-    const cleanResponse = response.trim();
-    const cleanExactMatch = exactMatch.trim();
-    
-    if (!cleanResponse || !cleanExactMatch) {
-      console.log(`🔍 Exact Match Debug: Empty after trimming - response: "${cleanResponse}", exactMatch: "${cleanExactMatch}"`);
-      return false;
-    }
-
-    console.log(`🔍 Exact Match Debug: Looking for "${cleanExactMatch}" in response of ${cleanResponse.length} characters`);
-
-    // Try multiple matching strategies
-    const responseLower = cleanResponse.toLowerCase();
-    const exactMatchLower = cleanExactMatch.toLowerCase();
-
-    // Strategy 1: Exact substring match (case-insensitive)
-    const hasSubstring = responseLower.includes(exactMatchLower);
-    
-    // Strategy 2: Word boundary match (for more precise matching)
-    // This prevents partial word matches like "15609" matching "915609a"
-    const wordBoundaryRegex = new RegExp(`\\b${exactMatchLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    const hasWordBoundary = wordBoundaryRegex.test(responseLower);
-    
-    // Strategy 3: Exact case-sensitive match
-    const hasExactCase = cleanResponse.includes(cleanExactMatch);
-
-    console.log(`🔍 Exact Match Results:`);
-    console.log(`  - Substring match: ${hasSubstring}`);
-    console.log(`  - Word boundary match: ${hasWordBoundary}`);
-    console.log(`  - Exact case match: ${hasExactCase}`);
-    
-    // Use word boundary match as it's more precise than substring but not as strict as exact case
-    const finalResult = hasWordBoundary;
-    console.log(`  - Final result: ${finalResult}`);
-    
-    if (finalResult) {
-      // Show where it was found
-      const matchIndex = responseLower.indexOf(exactMatchLower);
-      const contextStart = Math.max(0, matchIndex - 50);
-      const contextEnd = Math.min(responseLower.length, matchIndex + exactMatchLower.length + 50);
-      const context = cleanResponse.substring(contextStart, contextEnd);
-      console.log(`  - Found at position ${matchIndex}: "...${context}..."`);
-    }
-    
-    return finalResult;
-  }
-}
-
-const needleTestManager = new NeedleTestManager(aiManager);
+const runStore = new RunStore();
+const priceTable = new PriceTable();
+const corpusLibrary = new CorpusLibrary();
+const needleTestManager = new NeedleTestManager(aiManager, runStore, priceTable, corpusLibrary);
+const testGenerator = new TestContentGenerator(aiManager);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -899,169 +152,98 @@ io.on('connection', (socket) => {
     socket.emit('apiKeySet', { provider, success: true, sessionId });
   });
 
+  // Custom OpenAI-compatible endpoint (llama.cpp server, vLLM, Ollama, ...)
+  socket.on('setCustomEndpoint', ({ baseUrl, apiKey, models, maxContext }) => {
+    try {
+      const endpoint = registry.getProvider('custom').configureEndpoint(sessionId, { baseUrl, models, maxContext });
+      if (apiKey && apiKey.trim()) {
+        aiManager.setApiKey('custom', apiKey.trim(), sessionId);
+      }
+      console.log(`🖥️  Custom endpoint set to ${endpoint.baseUrl} with ${endpoint.models.length} models (session: ${sessionId})`);
+      socket.emit('customEndpointSet', { success: true, baseUrl: endpoint.baseUrl, models: endpoint.models });
+    } catch (error) {
+      socket.emit('customEndpointSet', { success: false, error: error.message });
+    }
+  });
+
   // Needle Test Handler
-  socket.on('runNeedleTest', async ({ haystack, needle, exactMatch, models }) => {
-    console.log(`🔍 Needle test requested with ${models.length} models`);
-    
+  socket.on('runNeedleTest', async (payload) => {
     try {
-      await needleTestManager.runNeedleTest(sessionId, haystack, needle, exactMatch, models, socket);
+      const { haystack, needle, exactMatch, models, corpus, promptTemplate, facts, insert, distractors, trials, truncate, grading } = payload || {};
+      if (!Array.isArray(models) || models.length === 0) {
+        throw new Error('Select at least one model');
+      }
+      console.log(`🔍 Needle test requested with ${models.length} models${Array.isArray(facts) ? ` and ${facts.length} needles` : ''}${trials > 1 ? ` × ${trials} trials` : ''}`);
+
+      await needleTestManager.runNeedleTest(sessionId, haystack, needle, exactMatch, models, socket, { corpus, promptTemplate, facts, insert, distractors, trials, truncate, grading });
     } catch (error) {
       console.error('Error running needle test:', error);
+      socket.emit('allTestsComplete', { error: error.message });
       socket.emit('error', { message: error.message });
     }
   });
 
-  // Test Content Generation Handler
-  socket.on('generateTestContent', async ({ model, wordCount, difficulty, topic }) => {
-    console.log(`🤖 Test generation requested - Model: ${model}, Words: ${wordCount}, Difficulty: ${difficulty}, Topic: ${topic}`);
-    
+  // Needle Sweep Handler
+  socket.on('runNeedleSweep', async (payload) => {
     try {
-      const difficultyMap = {
-        'elementary': 'elementary school level (ages 6-11)',
-        'high-school': 'high school level (ages 14-18)', 
-        'undergraduate': 'undergraduate college level',
-        'intermediate': 'intermediate professional level',
-        'advanced': 'advanced professional/graduate level',
-        'expert': 'expert/specialist level',
-        'phd': 'PhD/research level with technical depth'
-      };
-
-      const difficultyDescription = difficultyMap[difficulty] || 'intermediate level';
-      
-      const prompt = `Create a comprehensive needle-in-a-haystack test with the following specifications:
-
-**Requirements:**
-- Generate approximately ${wordCount} words of content
-- Content should be at ${difficultyDescription}
-- Topic focus: ${topic}
-- Include one specific, findable fact that can be tested
-
-**IMPORTANT: Format your response as a single-line JSON object with no embedded newlines or line breaks in the text values:**
+      const { models, ...sweepConfig } = payload || {};
+      if (!Array.isArray(models) || models.length === 0) {
+        throw new Error('Select at least one model');
+      }
+      console.log(`🧭 Needle sweep requested with ${models.length} models`);
 
-{"haystack": "The main document content (${wordCount} words approximately) - all text must be on one continuous line", "needle": "A specific question that tests for a detail in the haystack", "exactMatch": "The exact text/phrase that should appear in correct responses"}
+      await needleTestManager.runNeedleSweep(sessionId, sweepConfig, models, socket);
+    } catch (error) {
+      console.error('Error running needle sweep:', error);
+      socket.emit('needleSweepComplete', { error: error.message });
+      socket.emit('error', { message: error.message });
+    }
+  });
 
-**Guidelines:**
-- The haystack should be informative, coherent content about ${topic}
-- Embed one specific fact, number, date, or detail that can be precisely tested
-- The needle should ask for that specific embedded information
-- The exactMatch should be the precise text string that indicates the correct answer
-- Make the exactMatch specific enough to avoid false positives (e.g., specific numbers, proper nouns, technical terms)
-- CRITICAL: Keep all text in the JSON on single lines without any embedded newlines or line breaks
+  // Suite Handler: runs every case of a stored suite
+  socket.on('runSuite', async (payload) => {
+    try {
+      const { suiteId, models, trials, truncate, grading, promptTemplate } = payload || {};
+      const suite = typeof suiteId === 'string' ? runStore.getSuite(suiteId) : null;
+      if (!suite) {
+        throw new Error('Suite not found');
+      }
+      if (!Array.isArray(models) || models.length === 0) {
+        throw new Error('Select at least one model');
+      }
+      await needleTestManager.runSuite(sessionId, suite, models, socket, { trials, truncate, grading, promptTemplate });
+    } catch (error) {
+      console.error('Error running suite:', error);
+      socket.emit('suiteComplete', { suiteId: payload?.suiteId, error: error.message });
+      socket.emit('error', { message: error.message });
+    }
+  });
 
-Create engaging, realistic content that provides a meaningful test of the AI's ability to find specific information within a larger context.`;
+  // Test Content Generation Handler
+  socket.on('generateTestContent', async ({ model, wordCount, difficulty, topic, needleCount = 1 }) => {
+    console.log(`🤖 Test generation requested - Model: ${model}, Words: ${wordCount}, Difficulty: ${difficulty}, Topic: ${topic}, Needles: ${needleCount}`);
 
-      // Create a simple message format for generation
-      const messages = [{
-        provider: 'user',
-        content: prompt,
-        role: 'user'
-      }];
+    // Long haystacks take many calls; stop them if the browser goes away
+    const abortController = new AbortController();
+    const abort = () => abortController.abort(new Error('Client disconnected'));
+    socket.once('disconnect', abort);
 
-      console.log(`🚀 Generating test content with ${model}...`);
-      console.log(`📝 Prompt being sent:`, prompt.substring(0, 200) + '...');
-      
-      const response = await aiManager.generateResponse(model, messages, sessionId);
-      
-      console.log(`📝 Raw response from ${model}:`, response);
-      console.log(`📊 Response length: ${response?.length} characters`);
-      
-      // Try to extract JSON from the response
-      let jsonMatch = response.match(/\{[\s\S]*\}/);
-      console.log(`🔍 JSON extraction attempt:`, jsonMatch ? 'Found JSON block' : 'No JSON found');
-      
-      if (!jsonMatch) {
-        console.error(`❌ No JSON found in response. Raw response: ${response}`);
-        throw new Error('No JSON found in response');
-      }
-      
-      console.log(`📋 Extracted JSON string:`, jsonMatch[0]);
-      
-      let testData;
-      try {
-        // Clean up the JSON string to handle newlines and control characters
-        let cleanedJson = jsonMatch[0];
-        
-        // Replace problematic newlines within quoted strings with escaped newlines
-        cleanedJson = cleanedJson.replace(/("haystack":\s*"[^"]*)"[\r\n]+([^"]*")/g, '$1\\n$2');
-        cleanedJson = cleanedJson.replace(/("needle":\s*"[^"]*)"[\r\n]+([^"]*")/g, '$1\\n$2');
-        cleanedJson = cleanedJson.replace(/("exactMatch":\s*"[^"]*)"[\r\n]+([^"]*")/g, '$1\\n$2');
-        
-        // Handle other problematic characters
-        cleanedJson = cleanedJson.replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ');
-        
-        console.log(`🧹 Cleaned JSON string:`, cleanedJson.substring(0, 200) + '...');
-        
-        testData = JSON.parse(cleanedJson);
-        console.log(`✅ JSON parsed successfully:`, {
-          haystackLength: testData.haystack?.length,
-          needleLength: testData.needle?.length,
-          exactMatchLength: testData.exactMatch?.length
-        });
-      } catch (parseError) {
-        console.error(`❌ JSON parsing failed even after cleaning:`, parseError.message);
-        console.error(`❌ Cleaned JSON string:`, cleanedJson);
-        
-        // Try to extract fields manually if JSON parsing fails
-        try {
-          const haystackMatch = response.match(/"haystack":\s*"([^"]+)"/);
-          const needleMatch = response.match(/"needle":\s*"([^"]+)"/);
-          const exactMatchMatch = response.match(/"exactMatch":\s*"([^"]+)"/);
-          
-          if (haystackMatch && needleMatch && exactMatchMatch) {
-            testData = {
-              haystack: haystackMatch[1],
-              needle: needleMatch[1],
-              exactMatch: exactMatchMatch[1]
-            };
-            console.log(`✅ Manual extraction successful`);
-          } else {
-            throw new Error(`Manual extraction failed: ${parseError.message}`);
-          }
-        } catch (manualError) {
-          throw new Error(`JSON parsing failed: ${parseError.message}`);
-        }
-      }
-      
-      // Validate the generated content
-      console.log(`🔍 Validating fields:`);
-      console.log(`  - haystack: ${!!testData.haystack} (${testData.haystack?.length} chars)`);
-      console.log(`  - needle: ${!!testData.needle} (${testData.needle?.length} chars)`);
-      console.log(`  - exactMatch: ${!!testData.exactMatch} (${testData.exactMatch?.length} chars)`);
-      
-      if (!testData.haystack || !testData.needle || !testData.exactMatch) {
-        console.error(`❌ Missing required fields in testData:`, testData);
-        throw new Error('Generated content missing required fields');
-      }
-      
-      // Ensure word count is reasonable (within 50% of target)
-      const actualWordCount = testData.haystack.split(/\s+/).length;
-      console.log(`📊 Generated ${actualWordCount} words (target: ${wordCount})`);
-      
-      const responseData = {
-        haystack: testData.haystack,
-        needle: testData.needle,
-        exactMatch: testData.exactMatch,
-        success: true,
-        actualWordCount
-      };
-      
-      console.log(`📤 Emitting testContentGenerated with:`, {
-        haystackLength: responseData.haystack.length,
-        needleLength: responseData.needle.length,
-        exactMatchLength: responseData.exactMatch.length,
-        success: responseData.success
-      });
-      
-      socket.emit('testContentGenerated', responseData);
+    try {
+      const content = await testGenerator.generate(
+        { model, wordCount, difficulty, topic, needleCount, signal: abortController.signal },
+        sessionId,
+        progress => socket.emit('testContentProgress', progress)
+      );
+      socket.emit('testContentGenerated', { ...content, success: true });
       console.log(`✅ Test content generation completed successfully`);
-      
     } catch (error) {
       console.error('❌ Error generating test content:', error);
-      console.error('❌ Error stack:', error.stack);
       socket.emit('testContentGenerated', {
         success: false,
         error: error.message
       });
+    } finally {
+      socket.off('disconnect', abort);
     }
   });
 
@@ -1072,28 +254,9 @@ Create engaging, realistic content that provides a meaningful test of the AI's a
     // Validate that all participants have API keys
     const missingKeys = [];
     participants.forEach(modelId => {
-      const modelConfig = {
-        'gpt-4': 'openai',
-        'gpt-4-turbo': 'openai',
-        'gpt-4o-mini': 'openai',
-        'gpt-3.5-turbo': 'openai',
-        'gemini-2.5-pro': 'google',
-        'gemini-2.0-flash': 'google',
-        'gemini-2.0-flash-lite': 'google',
-        'gemini-1.5-pro': 'google',
-        'gemini-1.5-flash': 'google',
-        'gemini-1.0-pro': 'google',
-        'gemini-2.5-flash-preview-05-20': 'google',
-        'gemini-2.5-pro-preview-05-06': 'google',
-        'claude-3-opus': 'anthropic',
-        'claude-3-sonnet': 'anthropic',
-        'claude-3-haiku': 'anthropic',
-        'claude-instant': 'anthropic'
-      };
-      
-      const provider = modelConfig[modelId];
-      if (provider && !aiManager.getApiKey(provider, sessionId)) {
-        missingKeys.push(provider);
+      const adapter = registry.getProviderForModel(modelId, sessionId);
+      if (adapter && adapter.requiresApiKey !== false && !aiManager.getApiKey(adapter.apiKeyField, sessionId)) {
+        missingKeys.push(adapter.id);
       }
     });
 
@@ -1122,8 +285,17 @@ Create engaging, realistic content that provides a meaningful test of the AI's a
     }
   });
 
+  // Stop a running needle test or sweep; only the session that started it may cancel it
+  socket.on('cancelNeedleTest', ({ testId } = {}) => {
+    if (!needleTestManager.cancelTest(testId, sessionId)) {
+      socket.emit('error', { message: 'No running test to cancel' });
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log(`Client disconnected: ${socket.id}`);
+    // Nobody is watching any more; stop paying for the calls
+    needleTestManager.cancelSocketTests(socket);
   });
 });
 
@@ -1166,16 +338,9 @@ async function continueConversationChain(conversationId, socket) {
     const testModelId = conversation.participants[modelIndex];
     
     // Check if this model has an API key available
-    const modelMapping = {
-      'gpt-4': 'openai', 'gpt-4-turbo': 'openai', 'gpt-4o-mini': 'openai', 'gpt-3.5-turbo': 'openai',
-      'gemini-2.5-pro': 'google', 'gemini-2.0-flash': 'google', 'gemini-2.0-flash-lite': 'google', 
-      'gemini-1.5-pro': 'google', 'gemini-1.5-flash': 'google', 'gemini-1.0-pro': 'google',
-      'gemini-2.5-flash-preview-05-20': 'google', 'gemini-2.5-pro-preview-05-06': 'google',
-      'claude-3-opus': 'anthropic', 'claude-3-sonnet': 'anthropic', 'claude-3-haiku': 'anthropic', 'claude-instant': 'anthropic'
-    };
-    
-    const provider = modelMapping[testModelId];
-    if (provider && aiManager.getApiKey(provider, conversation.userId)) {
+    const adapter = registry.getProviderForModel(testModelId, conversation.userId);
+    const provider = adapter?.id;
+    if (adapter && (adapter.requiresApiKey === false || aiManager.getApiKey(adapter.apiKeyField, conversation.userId))) {
       currentModelId = testModelId;
       break;
     }
@@ -1328,6 +493,214 @@ app.post('/api/upload-pdf', upload.single('pdf'), async (req, res) => {
   }
 });
 
+// Provider/model registry endpoint - the client builds its model cards from this
+app.get('/api/models', (req, res) => {
+  res.json({
+    providers: registry.listProviders(),
+    models: registry.listModels(req.query.sessionId)
+  });
+});
+
+// Run history endpoints
+app.get('/api/runs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json({ runs: runStore.listRuns({ limit, offset }) });
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: 'Failed to list runs', message: error.message });
+  }
+});
+
+// Compare runs of the same test; the first id is the baseline the others are measured against
+app.get('/api/runs/compare', (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    const runs = ids.map(id => runStore.getRun(id));
+    const missing = ids.filter((id, index) => !runs[index]);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Run not found', message: `Run not found: ${missing.join(', ')}` });
+    }
+    let comparison;
+    try {
+      comparison = RunComparison.compare(runs);
+    } catch (error) {
+      return res.status(400).json({ error: 'Failed to compare runs', message: error.message });
+    }
+    res.json(comparison);
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: 'Failed to compare runs', message: error.message });
+  }
+});
+
+app.get('/api/runs/:id', (req, res) => {
+  try {
+    const run = runStore.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: 'Failed to load run', message: error.message });
+  }
+});
+
+// Download a stored run as CSV, JSON or a self-contained HTML report
+app.get('/api/runs/:id/export', (req, res) => {
+  try {
+    const run = runStore.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    let exported;
+    try {
+      exported = RunExporter.export(run, req.query.format || 'json');
+    } catch (error) {
+      return res.status(400).json({ error: 'Failed to export run', message: error.message });
+    }
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: 'Failed to export run', message: error.message });
+  }
+});
+
+app.delete('/api/runs/:id', (req, res) => {
+  try {
+    if (!runStore.deleteRun(req.params.id)) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Run history error:', error);
+    res.status(500).json({ error: 'Failed to delete run', message: error.message });
+  }
+});
+
+// Saved test suites: named collections of needle cases with tags
+app.get('/api/suites', (req, res) => {
+  try {
+    res.json({ suites: runStore.listSuites() });
+  } catch (error) {
+    console.error('Suite error:', error);
+    res.status(500).json({ error: 'Failed to list suites', message: error.message });
+  }
+});
+
+app.get('/api/suites/:id', (req, res) => {
+  const suite = runStore.getSuite(req.params.id);
+  if (!suite) {
+    return res.status(404).json({ error: 'Suite not found' });
+  }
+  res.json(suite);
+});
+
+app.post('/api/suites', (req, res) => {
+  try {
+    const suite = TestSuite.normalize(req.body);
+    res.status(201).json(runStore.saveSuite({ id: uuidv4(), ...suite }));
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to save suite', message: error.message });
+  }
+});
+
+app.put('/api/suites/:id', (req, res) => {
+  if (!runStore.getSuite(req.params.id)) {
+    return res.status(404).json({ error: 'Suite not found' });
+  }
+  try {
+    const suite = TestSuite.normalize(req.body);
+    res.json(runStore.saveSuite({ id: req.params.id, ...suite }));
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to save suite', message: error.message });
+  }
+});
+
+app.delete('/api/suites/:id', (req, res) => {
+  if (!runStore.deleteSuite(req.params.id)) {
+    return res.status(404).json({ error: 'Suite not found' });
+  }
+  res.json({ success: true });
+});
+
+// Each model's pass rate overall and per tag, from its latest run of the suite
+app.get('/api/suites/:id/leaderboard', (req, res) => {
+  try {
+    const suite = runStore.getSuite(req.params.id);
+    if (!suite) {
+      return res.status(404).json({ error: 'Suite not found' });
+    }
+    res.json(TestSuite.leaderboard(suite, runStore.getSuiteRuns(suite.id, { status: 'complete' })));
+  } catch (error) {
+    console.error('Suite error:', error);
+    res.status(500).json({ error: 'Failed to build leaderboard', message: error.message });
+  }
+});
+
+// Price table (USD per million tokens) used for estimates and actual run cost
+app.get('/api/pricing', (req, res) => {
+  res.json({ prices: priceTable.getPrices() });
+});
+
+app.put('/api/pricing', (req, res) => {
+  try {
+    res.json({ prices: priceTable.updatePrices(req.body.prices) });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid price table', message: error.message });
+  }
+});
+
+// Token and cost estimate for the prompt(s) a run would send; haystacks can be large
+app.post('/api/estimate', (req, res) => {
+  try {
+    res.json(needleTestManager.estimateRun(req.body, req.body.sessionId));
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to estimate run', message: error.message });
+  }
+});
+
+// Plant a needle sentence into a clean haystack at a depth percentage or character/token offset
+app.post('/api/haystack/insert', (req, res) => {
+  try {
+    const { haystack, needleSentence, position } = req.body;
+    const { text, offset, requestedOffset, depth, tokenOffset } = NeedleInserter.insert(haystack, needleSentence, position);
+    console.log(`📍 Inserted needle sentence at character ${offset} of ${text.length} (${depth}% depth)`);
+    res.json({ haystack: text, offset, requestedOffset, depth, tokenOffset, characterCount: text.length });
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to insert needle', message: error.message });
+  }
+});
+
+// Public-domain texts haystacks can be cut from, with whether each one has been downloaded
+app.get('/api/corpus', (req, res) => {
+  try {
+    res.json({ texts: corpusLibrary.list() });
+  } catch (error) {
+    console.error('❌ Error listing corpus:', error);
+    res.status(500).json({ error: 'Failed to list corpus', message: error.message });
+  }
+});
+
+// Concatenate and trim corpus texts into a haystack; `corpus` is the record a run stores to rebuild it
+app.post('/api/corpus/build', (req, res) => {
+  try {
+    const { text, source } = corpusLibrary.build(req.body);
+    res.json({ haystack: text, corpus: source, characterCount: text.length });
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to build haystack from corpus', message: error.message });
+  }
+});
+
+// Built-in prompt templates; runs also accept a custom { system, user } template
+app.get('/api/prompt-templates', (req, res) => {
+  res.json({ templates: PromptTemplates.list() });
+});
+
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
@@ -1342,7 +715,7 @@ const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}. Closing http server.`);
   httpServer.close(() => {
     console.log('Http server closed.');
-    // Close other resources like database connections if any
+    runStore.close();
     process.exit(0);
   });
 
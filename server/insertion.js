@@ -0,0 +1,123 @@
+// Needle insertion for Needle in the Haystack Test
+
+// Rough characters-per-token ratio used to size haystacks without a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+const INSERTION_UNITS = ['percent', 'chars', 'tokens'];
+
+// How far (in characters) a needle may move from its target to reach a sentence boundary
+const MAX_BOUNDARY_DISTANCE = 200;
+
+// Where the next sentence starts: after sentence-ending punctuation and the whitespace that
+// follows it (closing quotes and brackets stay with their sentence), after full-width stops,
+// which need no space, and after a blank line so headings without a full stop count too
+const SENTENCE_START = /[.!?]["'”’)\]]*\s+|[。！？]["'”’」』)\]]*\s*|\n\s*\n\s*/g;
+const FULL_WIDTH_END = /[。！？]["'”’」』)\]]*$/;
+
+/**
+ * Plants a needle sentence into a clean haystack at a target position given as a
+ * depth percentage or a character/token offset. The sentence goes in at the
+ * sentence boundary nearest the target, so it never splits an existing sentence;
+ * text without a boundary close by (no punctuation) gets it at the nearest word
+ * break instead, so the needle still lands where it was asked to.
+ */
+class NeedleInserter {
+  // Positions where a sentence may start; the start and end of the document always qualify
+  static sentenceBoundaries(text) {
+    const boundaries = [0];
+    for (const match of text.matchAll(SENTENCE_START)) {
+      const start = match.index + match[0].length;
+      if (start < text.length) boundaries.push(start);
+    }
+    boundaries.push(text.length);
+    return [...new Set(boundaries)].sort((a, b) => a - b);
+  }
+
+  // Character offset the position asks for; accepts { unit, value } or a bare depth percentage
+  static resolveTarget(text, position) {
+    const { unit = 'percent', value } = typeof position === 'object' && position !== null ? position : { value: position };
+    const amount = Number(value);
+    if (!INSERTION_UNITS.includes(unit)) {
+      throw new Error(`Unknown insertion unit "${unit}" (use ${INSERTION_UNITS.join(', ')})`);
+    }
+    if (value === undefined || value === '' || isNaN(amount) || amount < 0) {
+      throw new Error('Insertion position must be a non-negative number');
+    }
+
+    if (unit === 'percent') {
+      if (amount > 100) {
+        throw new Error('Insertion depth must be between 0 and 100 percent');
+      }
+      return Math.round(text.length * (amount / 100));
+    }
+
+    const offset = Math.round(unit === 'tokens' ? amount * CHARS_PER_TOKEN : amount);
+    if (offset > text.length) {
+      throw new Error(`Insertion offset ${amount} ${unit} is past the end of the haystack (${text.length.toLocaleString()} characters)`);
+    }
+    return offset;
+  }
+
+  // Start of the word nearest the target within MAX_BOUNDARY_DISTANCE, else the target itself
+  static nearestWordStart(text, target) {
+    const from = Math.max(0, target - MAX_BOUNDARY_DISTANCE);
+    const to = Math.min(text.length, target + MAX_BOUNDARY_DISTANCE);
+    let best = null;
+    for (const match of text.slice(from, to).matchAll(/\s+/g)) {
+      const start = from + match.index + match[0].length;
+      if (best === null || Math.abs(start - target) < Math.abs(best - target)) best = start;
+    }
+    return best === null ? target : best;
+  }
+
+  /**
+   * Returns { text, offset, requestedOffset, depth, tokenOffset }: the final document, the
+   * character offset of the needle in it, where it was asked to go, and the depth and
+   * estimated token offset it actually landed at.
+   */
+  static insert(haystack, needleSentence, position) {
+    const sentence = String(needleSentence || '').trim();
+    if (!sentence) {
+      throw new Error('Needle sentence must not be empty');
+    }
+    if (typeof haystack !== 'string' || !haystack.trim()) {
+      throw new Error('Haystack must not be empty');
+    }
+
+    const requestedOffset = NeedleInserter.resolveTarget(haystack, position);
+    const nearest = NeedleInserter.sentenceBoundaries(haystack).reduce((best, candidate) => (
+      Math.abs(candidate - requestedOffset) < Math.abs(best - requestedOffset) ? candidate : best
+    ));
+    const boundary = Math.abs(nearest - requestedOffset) <= MAX_BOUNDARY_DISTANCE
+      ? nearest
+      : NeedleInserter.nearestWordStart(haystack, requestedOffset);
+
+    // The needle takes the place of the next sentence's start; at the very end it follows the last one
+    let text;
+    let offset;
+    if (boundary === haystack.length) {
+      const separator = /\s$/.test(haystack) ? '' : ' ';
+      text = `${haystack}${separator}${sentence}`;
+      offset = haystack.length + separator.length;
+    } else {
+      const before = boundary > 0 && !/\s$/.test(haystack.substring(0, boundary)) ? ' ' : '';
+      const separator = FULL_WIDTH_END.test(sentence) ? '' : ' ';
+      text = `${haystack.substring(0, boundary)}${before}${sentence}${separator}${haystack.substring(boundary)}`;
+      offset = boundary + before.length;
+    }
+
+    return {
+      text,
+      offset,
+      requestedOffset,
+      depth: Math.round((boundary / haystack.length) * 1000) / 10,
+      tokenOffset: Math.floor(offset / CHARS_PER_TOKEN)
+    };
+  }
+}
+
+module.exports = {
+  NeedleInserter,
+  CHARS_PER_TOKEN,
+  INSERTION_UNITS
+};
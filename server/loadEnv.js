@@ -0,0 +1,30 @@
+// Environment loading shared by the server and the CLI
+const path = require('path');
+
+// Try loading .env from multiple locations
+function loadEnv() {
+  const envPaths = [
+    path.join(__dirname, '.env'),           // server/.env
+    path.join(__dirname, '..', '.env'),     // root/.env
+    '.env'                                  // current directory
+  ];
+
+  for (const envPath of envPaths) {
+    try {
+      const result = require('dotenv').config({ path: envPath });
+      if (!result.error) {
+        console.log(`✅ Loaded .env from: ${envPath}`);
+        return envPath;
+      }
+    } catch (error) {
+      // Continue to next path
+    }
+  }
+
+  console.log('⚠️  No .env file found in any of the expected locations');
+  return null;
+}
+
+module.exports = {
+  loadEnv
+};
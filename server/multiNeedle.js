@@ -0,0 +1,57 @@
+// Multi-needle haystack construction for Needle in the Haystack Test
+const { SweepBuilder } = require('./sweep');
+
+const MAX_NEEDLES = 20;
+
+/**
+ * Plants several facts ("needles") into one haystack so a single question can
+ * ask for all of them. Each fact carries the exact match text used to score it.
+ */
+class MultiNeedleBuilder {
+  // Validate facts and spread any missing depths evenly through the document
+  static normalizeFacts(facts) {
+    if (!Array.isArray(facts) || facts.length === 0) {
+      throw new Error('Multi-needle test requires at least one fact');
+    }
+    if (facts.length > MAX_NEEDLES) {
+      throw new Error(`Multi-needle test supports at most ${MAX_NEEDLES} facts`);
+    }
+
+    return facts.map((entry, index) => {
+      const fact = String(entry?.fact || '').trim();
+      const exactMatch = String(entry?.exactMatch || '').trim();
+      if (!fact || !exactMatch) {
+        throw new Error(`Fact ${index + 1} needs both the fact sentence and its exact match text`);
+      }
+
+      const evenDepth = Math.round(((index + 1) / (facts.length + 1)) * 100);
+      const depth = entry.depth === undefined || entry.depth === '' ? evenDepth : Number(entry.depth);
+      if (isNaN(depth) || depth < 0 || depth > 100) {
+        throw new Error(`Fact ${index + 1} depth must be between 0 and 100`);
+      }
+
+      return { fact, exactMatch, depth };
+    });
+  }
+
+  // Insert facts shallowest first so each depth is measured against the document it lands in
+  static buildHaystack(haystack, facts) {
+    const normalized = MultiNeedleBuilder.normalizeFacts(facts);
+    const order = normalized.map((fact, index) => index).sort((a, b) => normalized[a].depth - normalized[b].depth);
+
+    let text = haystack;
+    order.forEach(index => {
+      text = SweepBuilder.insertAtDepth(text, normalized[index].fact, normalized[index].depth).text;
+    });
+
+    return {
+      text,
+      facts: normalized.map(fact => ({ ...fact, offset: text.indexOf(fact.fact) }))
+    };
+  }
+}
+
+module.exports = {
+  MultiNeedleBuilder,
+  MAX_NEEDLES
+};
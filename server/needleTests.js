@@ -0,0 +1,751 @@
+// Needle test orchestration for Needle in the Haystack Test
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { SweepBuilder, DEFAULT_CONTEXT_LENGTHS, DEFAULT_DEPTHS } = require('./sweep');
+const { MultiNeedleBuilder } = require('./multiNeedle');
+const { TrialStats, mapWithConcurrency, TRIAL_CONCURRENCY } = require('./stats');
+const { PriceTable } = require('./pricing');
+const { ContextFitter } = require('./contextWindow');
+const { NeedleInserter } = require('./insertion');
+const { DistractorSet } = require('./distractors');
+const { CorpusLibrary } = require('./corpus');
+const { PromptTemplates } = require('./promptTemplates');
+const { AnswerGrader } = require('./grading');
+const { registry } = require('./providers');
+
+// Per-model events of a suite case, re-emitted to the client under suite names with the case id
+const SUITE_CASE_EVENTS = {
+  needleTestResult: 'suiteCaseResult',
+  needleTrialResult: 'suiteTrialResult',
+  needleTestError: 'suiteCaseModelError',
+  needleTestSkipped: 'suiteCaseSkipped',
+  needleTestCancelled: 'suiteCaseCancelled'
+};
+
+// Needle Test Manager
+class NeedleTestManager {
+  constructor(aiManager, runStore = null, priceTable = new PriceTable(), corpus = new CorpusLibrary()) {
+    this.aiManager = aiManager;
+    this.runStore = runStore;
+    this.priceTable = priceTable;
+    this.corpus = corpus;
+    this.grader = new AnswerGrader(aiManager);
+    this.activeTests = new Map();
+  }
+
+  // Persisting history must never break a live test run
+  recordRun(action) {
+    if (!this.runStore) return;
+    try {
+      action(this.runStore);
+    } catch (error) {
+      console.error('❌ Failed to record run history:', error);
+    }
+  }
+
+  // Options: `facts` turns this into a multi-needle test (each fact planted and scored on its own),
+  // `trials` repeats every model's call to report a pass rate instead of a single boolean,
+  // `truncate` cuts the haystack around the needle for models whose context window is too small,
+  // `grading` picks how answers are scored (see grading.js; exact word match by default),
+  // `insert` ({ sentence, unit, value }) plants a needle sentence into a clean haystack (see insertion.js),
+  // `distractors` ({ statement, value, depth }) plants near-miss facts and reports answers that use them,
+  // `corpus` ({ ids, start, length }) builds the haystack from the public-domain corpus (see corpus.js),
+  // `promptTemplate` (a template id or { system, user }) sets the prompt every model gets (see promptTemplates.js),
+  // `suite` ({ runId, suiteId, caseId, tags }) links the run to the suite run it is a case of
+  async runNeedleTest(userId, haystack, needle, exactMatch, models, socket, options = {}) {
+    const { baseHaystack, corpus, testHaystack, anchors, multiNeedle, inserted, distractors, trials, grading, promptTemplate } = this.prepareTest(haystack, needle, exactMatch, options);
+    haystack = baseHaystack;
+    if (multiNeedle) {
+      exactMatch = multiNeedle.facts.map(fact => fact.exactMatch).join(' | ');
+    }
+
+    const testId = uuidv4();
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    this.activeTests.set(testId, {
+      userId,
+      socket,
+      abortController,
+      haystack,
+      needle,
+      exactMatch,
+      models,
+      facts: multiNeedle?.facts,
+      trials,
+      grading,
+      results: new Map(),
+      startTime: Date.now()
+    });
+
+    console.log(`🔍 Starting needle test ${testId} with ${models.length} models${multiNeedle ? ` and ${multiNeedle.facts.length} needles` : ''}${trials > 1 ? ` × ${trials} trials` : ''}`);
+    this.recordRun(store => store.createRun({
+      id: testId,
+      type: multiNeedle ? 'multi' : 'single',
+      userId,
+      haystack,
+      needle,
+      exactMatch,
+      config: {
+        models,
+        promptTemplate,
+        ...(corpus && { corpus }),
+        ...(multiNeedle && { facts: multiNeedle.facts }),
+        ...(inserted && { insert: inserted }),
+        ...(distractors && { distractors }),
+        ...(trials > 1 && { trials }),
+        ...(options.truncate && { truncate: true }),
+        ...(grading.mode !== 'exact' && { grading }),
+        ...(options.suite && { suite: options.suite })
+      },
+      suiteRunId: options.suite?.runId
+    }));
+    socket.emit('needleTestStarted', { testId, trials });
+
+    // Ask the model once, streaming the answer to the card, and grade it
+    const runTrial = async (modelConfig, messages, truncation, trial) => {
+      signal.throwIfAborted();
+
+      // Pass model configuration to the AI manager and get response with accurate timing
+      const generation = await this.aiManager.generate(
+        modelConfig.modelId,
+        messages,
+        userId,
+        {
+          temperature: modelConfig.temperature ?? 0.7,
+          maxTokens: modelConfig.maxTokens ?? 1000,
+          systemPrompt: promptTemplate.system,
+          signal,
+          onChunk: delta => socket.emit('needleTestChunk', {
+            testId,
+            modelId: modelConfig.modelId,
+            ...(trial && { trial }),
+            delta
+          }),
+          onStatus: status => socket.emit('needleTestStatus', {
+            testId,
+            modelId: modelConfig.modelId,
+            ...(trial && { trial }),
+            ...status
+          })
+        }
+      );
+      const outcome = this.fromGeneration(modelConfig.modelId, generation);
+      console.log(`⏱️ Model ${modelConfig.modelId} actual API response time: ${outcome.responseTime}ms (first token ${outcome.timeToFirstToken}ms)`);
+
+      // Grade the answer against the expected text with the run's grading mode
+      const gradeContext = { question: needle, userId, signal };
+      const needles = multiNeedle ? await this.scoreNeedles(outcome.response, multiNeedle.facts, grading, gradeContext) : null;
+      const grade = needles ? null : await this.gradeAnswer(outcome.response, exactMatch, grading, gradeContext);
+      const distraction = distractors ? DistractorSet.check(outcome.response, exactMatch, distractors, grading) : null;
+      if (distraction && distraction.values.length > 0) {
+        console.log(`🎭 ${modelConfig.modelId} gave distractor value(s) ${distraction.values.join(', ')}${distraction.distracted ? ' instead of the real answer' : ' alongside the real answer'}`);
+      }
+      const foundNeedle = needles
+        ? needles.every(score => score.found)
+        : grade.found && !(distraction && distraction.distracted);
+
+      return {
+        ...outcome,
+        foundNeedle,
+        promptTemplate: promptTemplate.id,
+        ...(distraction && distraction.distracted && { distracted: true, distractorValues: distraction.values }),
+        ...(grade && grade.mode !== 'exact' && { grade }),
+        ...(needles && { needles }),
+        ...(truncation && { truncation })
+      };
+    };
+
+    // Run tests for all models in parallel
+    const testPromises = models.map(async (modelConfig) => {
+      console.log(`🎯 Testing model ${modelConfig.modelId} with temp=${modelConfig.temperature}, maxTokens=${modelConfig.maxTokens}`);
+
+      // Check the prompt against the model's context window before spending a request on it
+      const fit = ContextFitter.fit({
+        modelEntry: registry.getModel(modelConfig.modelId, userId),
+        haystack: testHaystack,
+        // Everything in the prompt besides the haystack counts against the window
+        needle: PromptTemplates.promptText(promptTemplate, needle, ''),
+        maxTokens: modelConfig.maxTokens ?? 1000,
+        anchors,
+        truncate: options.truncate
+      });
+      if (!fit.fits) {
+        this.skipModel(testId, modelConfig, fit, socket);
+        return;
+      }
+
+      const truncation = fit.truncated ? {
+        originalChars: fit.originalChars,
+        sentChars: fit.sentChars,
+        segments: fit.segments,
+        anchored: fit.anchored,
+        maxContext: fit.maxContext
+      } : null;
+      if (truncation) {
+        console.log(`✂️ Truncated haystack for ${modelConfig.modelId}: ${fit.originalChars} → ${fit.sentChars} chars`);
+      }
+
+      // The template's user message; its system prompt goes with the request config
+      const messages = [{
+        provider: 'user',
+        content: PromptTemplates.render(promptTemplate, needle, fit.truncated ? fit.haystack : testHaystack).user,
+        role: 'user'
+      }];
+      const ask = (trial) => runTrial(modelConfig, messages, truncation, trial);
+
+      socket.emit('aiThinking', { provider: modelConfig.modelId });
+
+      const result = trials > 1
+        ? await this.runTrials(testId, modelConfig, trials, ask, socket, signal)
+        : await this.runSingleTrial(testId, modelConfig, ask, socket, signal);
+
+      const test = this.activeTests.get(testId);
+      if (test && result) {
+        test.results.set(modelConfig.modelId, result);
+      }
+    });
+
+    // Wait for all tests to complete
+    await Promise.all(testPromises);
+
+    const cancelled = signal.aborted;
+    this.recordRun(store => store.completeRun(testId, cancelled ? 'cancelled' : 'complete'));
+    socket.emit('allTestsComplete', { testId, ...(cancelled && { cancelled }) });
+    
+        // Clean up
+    this.activeTests.delete(testId);
+  }
+
+  // Abort a running test or sweep; models that have not finished are reported as cancelled
+  cancelTest(testId, userId) {
+    const test = this.activeTests.get(testId);
+    if (!test || (userId && test.userId !== userId)) {
+      return false;
+    }
+
+    if (!test.abortController.signal.aborted) {
+      console.log(`🛑 Cancelling test ${testId}`);
+      test.abortController.abort();
+    }
+    return true;
+  }
+
+  // Abort everything a client started, e.g. when its browser tab closes
+  cancelSocketTests(socket) {
+    for (const [testId, test] of this.activeTests) {
+      if (test.socket === socket) {
+        this.cancelTest(testId);
+      }
+    }
+  }
+
+  // Report a model whose request was aborted by a cancellation
+  cancelModel(testId, modelConfig, socket) {
+    socket.emit('needleTestCancelled', { testId, modelId: modelConfig.modelId });
+    this.recordRun(store => store.addResult(testId, {
+      modelId: modelConfig.modelId,
+      modelConfig,
+      response: null,
+      foundNeedle: false,
+      error: 'Cancelled',
+      details: { cancelled: true }
+    }));
+  }
+
+  // Report a model whose prompt cannot fit its context window without calling it
+  skipModel(testId, modelConfig, fit, socket) {
+    console.log(`⛔ Skipping ${modelConfig.modelId}: ${fit.reason}`);
+    socket.emit('needleTestSkipped', {
+      testId,
+      modelId: modelConfig.modelId,
+      reason: fit.reason,
+      haystackTokens: fit.haystackTokens,
+      maxContext: fit.maxContext
+    });
+    this.recordRun(store => store.addResult(testId, {
+      modelId: modelConfig.modelId,
+      modelConfig,
+      response: null,
+      foundNeedle: false,
+      error: fit.reason,
+      details: { skipped: 'exceeds_context', haystackTokens: fit.haystackTokens, maxContext: fit.maxContext }
+    }));
+  }
+
+  // Flatten a provider result into the fields every test result carries
+  fromGeneration(modelId, { text, timing, usage, requestId, finishReason }) {
+    return {
+      response: text,
+      responseTime: timing.responseTime,
+      timeToFirstToken: timing.timeToFirstToken ?? null,
+      usage: usage || null,
+      cost: this.priceTable.costOf(modelId, usage),
+      requestId: requestId || null,
+      finishReason: finishReason || null,
+      queueTime: timing.queueTime || 0,
+      attempts: timing.attempts || 1
+    };
+  }
+
+  // Run-store details for a graded response
+  resultDetails(outcome, extra = {}) {
+    const details = {
+      ...extra,
+      ...(outcome.requestId && { requestId: outcome.requestId }),
+      ...(outcome.finishReason && { finishReason: outcome.finishReason }),
+      ...(outcome.attempts > 1 && { attempts: outcome.attempts }),
+      ...(outcome.queueTime > 0 && { queueTime: outcome.queueTime }),
+      ...(outcome.promptTemplate && { promptTemplate: outcome.promptTemplate }),
+      ...(outcome.needles && { needles: outcome.needles }),
+      ...(outcome.distracted && { distracted: true, distractorValues: outcome.distractorValues }),
+      ...(outcome.grade && { grade: outcome.grade }),
+      ...(outcome.truncation && { truncation: outcome.truncation })
+    };
+    return Object.keys(details).length > 0 ? details : null;
+  }
+
+  async runSingleTrial(testId, modelConfig, ask, socket, signal) {
+    try {
+      const outcome = await ask();
+      const result = {
+        modelId: modelConfig.modelId,
+        ...outcome,
+        timestamp: new Date().toISOString()
+      };
+
+      socket.emit('needleTestResult', result);
+      this.recordRun(store => store.addResult(testId, {
+        ...result,
+        modelConfig,
+        details: this.resultDetails(outcome)
+      }));
+      return result;
+    } catch (error) {
+      if (signal.aborted) {
+        this.cancelModel(testId, modelConfig, socket);
+        return null;
+      }
+
+      console.error(`Error testing model ${modelConfig.modelId}:`, error);
+      socket.emit('needleTestError', { 
+        modelId: modelConfig.modelId, 
+        error: error.message 
+      });
+      this.recordRun(store => store.addResult(testId, {
+        modelId: modelConfig.modelId,
+        modelConfig,
+        response: `Error: ${error.message}`,
+        foundNeedle: false,
+        error: error.message
+      }));
+      return null;
+    }
+  }
+
+  // Repeat a model's call with bounded concurrency; every trial is streamed and stored
+  async runTrials(testId, modelConfig, trials, ask, socket, signal) {
+    const { modelId } = modelConfig;
+    const trialNumbers = Array.from({ length: trials }, (_, i) => i + 1);
+
+    const trialResults = await mapWithConcurrency(trialNumbers, TRIAL_CONCURRENCY, async (trial) => {
+      let trialResult;
+      try {
+        trialResult = { trial, ...(await ask(trial)), timestamp: new Date().toISOString() };
+      } catch (error) {
+        // Trials cut short by a cancellation are neither results nor errors
+        if (signal.aborted) {
+          return { trial, cancelled: true };
+        }
+        console.error(`Error in trial ${trial}/${trials} for ${modelId}:`, error);
+        trialResult = {
+          trial,
+          response: `Error: ${error.message}`,
+          foundNeedle: false,
+          responseTime: 0,
+          timestamp: new Date().toISOString(),
+          error: error.message
+        };
+      }
+
+      socket.emit('needleTrialResult', { testId, modelId, trials, ...trialResult });
+      this.recordRun(store => store.addResult(testId, {
+        modelId,
+        modelConfig,
+        ...trialResult,
+        details: this.resultDetails(trialResult, { trial, trials })
+      }));
+      return trialResult;
+    });
+
+    if (signal.aborted) {
+      this.cancelModel(testId, modelConfig, socket);
+      return null;
+    }
+
+    const summary = TrialStats.summarize(trialResults);
+    console.log(`📊 ${modelId}: ${summary.passed}/${summary.completed} trials passed (${(summary.passRate * 100).toFixed(1)}%), p50 ${summary.latency.p50}ms`);
+
+    if (summary.completed === 0) {
+      socket.emit('needleTestError', { modelId, error: trialResults[0].error });
+      return null;
+    }
+
+    // The card shows the pass rate; foundNeedle reflects a majority of trials
+    const representative = trialResults.find(trial => !trial.error);
+    const result = {
+      modelId,
+      response: representative.response,
+      foundNeedle: summary.passRate >= 0.5,
+      responseTime: summary.latency.p50,
+      timeToFirstToken: summary.firstToken ? summary.firstToken.p50 : null,
+      timestamp: new Date().toISOString(),
+      ...PriceTable.total(trialResults),
+      promptTemplate: representative.promptTemplate,
+      ...(representative.needles && { needles: representative.needles }),
+      ...(representative.truncation && { truncation: representative.truncation }),
+      trials: summary,
+      trialResults
+    };
+    socket.emit('needleTestResult', result);
+    return result;
+  }
+
+  // Build the haystack a test run will send and locate its needles, shared by runs and cost estimates
+  prepareTest(haystack, needle, exactMatch, options = {}) {
+    const trials = TrialStats.parseTrialCount(options.trials);
+    if (options.facts && (options.insert || options.distractors)) {
+      throw new Error('Needle insertion and distractors are for single-needle tests, not multi-needle facts');
+    }
+    // A corpus selection replaces the haystack text, so the run can be rebuilt from its record
+    const corpus = options.corpus ? this.buildCorpusHaystack(options.corpus) : null;
+    const cleanHaystack = corpus ? corpus.text : haystack;
+    const multiNeedle = options.facts ? MultiNeedleBuilder.buildHaystack(cleanHaystack, options.facts) : null;
+
+    // Distractors go in first so the needle's reported offset holds in the final document
+    const planted = options.distractors && options.distractors.length > 0
+      ? DistractorSet.plant(cleanHaystack, DistractorSet.normalize(options.distractors, exactMatch))
+      : null;
+    const baseHaystack = planted ? planted.text : cleanHaystack;
+    const insertion = options.insert ? this.insertNeedle(baseHaystack, options.insert) : null;
+    const distractors = planted && (insertion
+      ? planted.distractors.map(distractor => ({ ...distractor, offset: insertion.text.indexOf(distractor.statement) }))
+      : planted.distractors);
+
+    const testHaystack = multiNeedle ? multiNeedle.text : insertion ? insertion.text : baseHaystack;
+    const needleAnchors = multiNeedle
+      ? multiNeedle.facts.map(fact => ({ start: fact.offset, end: fact.offset + fact.fact.length }))
+      : insertion
+        ? [{ start: insertion.placement.offset, end: insertion.placement.offset + insertion.placement.sentence.length }]
+        : ContextFitter.locate(testHaystack, exactMatch);
+    // Truncation keeps the distractors too, or the test would lose its point
+    const anchors = [
+      ...needleAnchors,
+      ...(distractors || []).map(distractor => ({ start: distractor.offset, end: distractor.offset + distractor.statement.length }))
+    ];
+    const grading = AnswerGrader.validate(options.grading);
+    AnswerGrader.validatePatterns(grading, multiNeedle ? multiNeedle.facts.map(fact => fact.exactMatch) : [exactMatch]);
+    const promptTemplate = PromptTemplates.resolve(options.promptTemplate);
+    return { baseHaystack: cleanHaystack, corpus: corpus?.source, testHaystack, anchors, multiNeedle, inserted: insertion?.placement, distractors, trials, grading, promptTemplate };
+  }
+
+  buildCorpusHaystack(selection) {
+    const built = this.corpus.build(selection);
+    console.log(`📚 Haystack built from corpus ${built.source.ids.join(', ')} (characters ${built.source.range.start}-${built.source.range.end})`);
+    return built;
+  }
+
+  // Plant `insert.sentence` at { unit, value }; returns the document and where the sentence landed
+  insertNeedle(haystack, { sentence, unit = 'percent', value }) {
+    const { text, offset, requestedOffset, depth, tokenOffset } = NeedleInserter.insert(haystack, sentence, { unit, value });
+    console.log(`📍 Needle sentence inserted at character ${offset} (${depth}% depth, requested ${value} ${unit})`);
+    return { text, placement: { sentence: sentence.trim(), unit, value, offset, requestedOffset, depth, tokenOffset } };
+  }
+
+  // Pre-run token and cost estimate for a single/multi-needle test or a sweep
+  estimateRun({ haystack, corpus, needle, exactMatch, facts, insert, distractors, trials, truncate, sweep, promptTemplate, models }, userId) {
+    if ((!haystack && !corpus) || !needle || !Array.isArray(models) || models.length === 0) {
+      throw new Error('Estimate requires a haystack, needle and at least one model');
+    }
+
+    if (sweep) {
+      const contextLengths = SweepBuilder.parseNumberList(sweep.contextLengths || DEFAULT_CONTEXT_LENGTHS, 100, 2000000);
+      const depths = SweepBuilder.parseNumberList(sweep.depths || DEFAULT_DEPTHS, 0, 100);
+      // Priced from the cell sizes alone: a cell's text is as long as its context length
+      if (corpus) {
+        CorpusLibrary.normalizeSelection(corpus);
+      } else if (!String(haystack).trim()) {
+        throw new Error('Haystack must not be empty');
+      }
+      const cells = SweepBuilder.planCells(contextLengths, depths);
+      const template = PromptTemplates.resolve(promptTemplate);
+      const overhead = PromptTemplates.promptText(template, needle, '');
+      const overheadTokens = SweepBuilder.estimateTokens(overhead);
+      const estimates = models.map(modelConfig => {
+        // Cells beyond the model's window are skipped, so they cost nothing
+        const budget = ContextFitter.haystackBudget(registry.getModel(modelConfig.modelId, userId), overhead, modelConfig.maxTokens ?? 1000);
+        const promptTokens = cells
+          .filter(cell => cell.contextLength <= budget)
+          .map(cell => overheadTokens + cell.contextLength);
+        return { promptTokens, modelConfig, skippedCalls: cells.length - promptTokens.length };
+      });
+      return this.priceTable.estimatePerModel(estimates);
+    }
+
+    const { testHaystack, anchors, trials: calls, promptTemplate: template } = this.prepareTest(haystack, needle, exactMatch, { corpus, facts, insert, distractors, trials, promptTemplate });
+    const estimates = models.map(modelConfig => {
+      const fit = ContextFitter.fit({
+        modelEntry: registry.getModel(modelConfig.modelId, userId),
+        haystack: testHaystack,
+        needle: PromptTemplates.promptText(template, needle, ''),
+        maxTokens: modelConfig.maxTokens ?? 1000,
+        anchors,
+        truncate
+      });
+      if (!fit.fits) {
+        return { prompts: [], modelConfig, skippedCalls: calls, skipReason: fit.reason };
+      }
+      return { prompts: [PromptTemplates.promptText(template, needle, fit.truncated ? fit.haystack : testHaystack)], modelConfig, calls, truncated: fit.truncated };
+    });
+    return this.priceTable.estimatePerModel(estimates);
+  }
+
+  async runNeedleSweep(userId, sweepConfig, models, socket) {
+    const { needleSentence, needle, exactMatch } = sweepConfig;
+    const corpus = sweepConfig.corpus ? this.buildCorpusHaystack(sweepConfig.corpus) : null;
+    const haystack = corpus ? corpus.text : sweepConfig.haystack;
+    const contextLengths = SweepBuilder.parseNumberList(sweepConfig.contextLengths || DEFAULT_CONTEXT_LENGTHS, 100, 2000000);
+    const depths = SweepBuilder.parseNumberList(sweepConfig.depths || DEFAULT_DEPTHS, 0, 100);
+
+    if (!haystack || !haystack.trim() || !needleSentence || !needle || !exactMatch) {
+      throw new Error('Sweep requires a haystack, needle sentence, question and exact match text');
+    }
+    const grading = AnswerGrader.validate(sweepConfig.grading);
+    AnswerGrader.validatePatterns(grading, [exactMatch]);
+    const promptTemplate = PromptTemplates.resolve(sweepConfig.promptTemplate);
+
+    const cells = SweepBuilder.planCells(contextLengths, depths);
+    const testId = uuidv4();
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    this.activeTests.set(testId, {
+      userId,
+      socket,
+      abortController,
+      haystack,
+      needle,
+      exactMatch,
+      models,
+      sweep: { needleSentence, contextLengths, depths },
+      grading,
+      results: new Map(),
+      startTime: Date.now()
+    });
+
+    console.log(`🧭 Starting needle sweep ${testId}: ${contextLengths.length} lengths × ${depths.length} depths × ${models.length} models`);
+    this.recordRun(store => store.createRun({
+      id: testId,
+      type: 'sweep',
+      userId,
+      haystack,
+      needle,
+      exactMatch,
+      config: {
+        models,
+        sweep: { needleSentence, contextLengths, depths },
+        promptTemplate,
+        ...(corpus && { corpus: corpus.source }),
+        ...(grading.mode !== 'exact' && { grading })
+      }
+    }));
+    socket.emit('needleSweepStarted', { testId, contextLengths, depths, models: models.map(m => m.modelId) });
+
+    // Models run in parallel, cells run one at a time per model to stay under provider rate limits
+    const sweepPromises = models.map(async (modelConfig) => {
+      const modelEntry = registry.getModel(modelConfig.modelId, userId);
+
+      for (const plannedCell of cells) {
+        // Cells not started before a cancellation are left empty
+        if (signal.aborted) break;
+
+        const cell = SweepBuilder.buildCell(haystack, needleSentence, plannedCell);
+
+        const cellResult = {
+          testId,
+          modelId: modelConfig.modelId,
+          contextLength: cell.contextLength,
+          depth: cell.depth,
+          actualDepth: cell.actualDepth,
+          needleOffset: cell.needleOffset
+        };
+
+        // Cells longer than the model's window are skipped; truncating them would defeat the sweep
+        const fit = ContextFitter.fit({ modelEntry, haystack: cell.haystack, needle: PromptTemplates.promptText(promptTemplate, needle, ''), maxTokens: modelConfig.maxTokens ?? 1000 });
+
+        if (!fit.fits) {
+          Object.assign(cellResult, {
+            response: null,
+            foundNeedle: false,
+            responseTime: 0,
+            timestamp: new Date().toISOString(),
+            error: fit.reason,
+            skipped: true
+          });
+        } else {
+          try {
+            const generation = await this.aiManager.generate(
+              modelConfig.modelId,
+              [{ provider: 'user', content: PromptTemplates.render(promptTemplate, needle, cell.haystack).user, role: 'user' }],
+              userId,
+              {
+                temperature: modelConfig.temperature ?? 0.7,
+                maxTokens: modelConfig.maxTokens ?? 1000,
+                systemPrompt: promptTemplate.system,
+                signal,
+                onStatus: status => socket.emit('needleTestStatus', {
+                  testId,
+                  modelId: modelConfig.modelId,
+                  contextLength: cell.contextLength,
+                  depth: cell.depth,
+                  ...status
+                })
+              }
+            );
+
+            const outcome = this.fromGeneration(modelConfig.modelId, generation);
+            const grade = await this.gradeAnswer(outcome.response, exactMatch, grading, { question: needle, userId, signal });
+            Object.assign(cellResult, {
+              ...outcome,
+              foundNeedle: grade.found,
+              promptTemplate: promptTemplate.id,
+              ...(grade.mode !== 'exact' && { grade }),
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            if (signal.aborted) break;
+            console.error(`Error in sweep cell ${modelConfig.modelId} @ ${cell.contextLength}/${cell.depth}%:`, error);
+            Object.assign(cellResult, {
+              response: `Error: ${error.message}`,
+              foundNeedle: false,
+              responseTime: 0,
+              timestamp: new Date().toISOString(),
+              error: error.message
+            });
+          }
+        }
+
+        socket.emit('needleSweepResult', cellResult);
+        this.recordRun(store => store.addResult(testId, {
+          ...cellResult,
+          modelConfig,
+          details: this.resultDetails(cellResult, {
+            contextLength: cell.contextLength,
+            depth: cell.depth,
+            actualDepth: cell.actualDepth,
+            needleOffset: cell.needleOffset,
+            ...(cellResult.skipped && { skipped: 'exceeds_context' })
+          })
+        }));
+
+        const test = this.activeTests.get(testId);
+        if (test) {
+          test.results.set(`${modelConfig.modelId}:${cell.contextLength}:${cell.depth}`, cellResult);
+        }
+      }
+    });
+
+    await Promise.all(sweepPromises);
+
+    const cancelled = signal.aborted;
+    this.recordRun(store => store.completeRun(testId, cancelled ? 'cancelled' : 'complete'));
+    socket.emit('needleSweepComplete', { testId, ...(cancelled && { cancelled }) });
+    this.activeTests.delete(testId);
+  }
+
+  // Run every case of a stored suite against the models, one case at a time. Each case is recorded as its
+  // own run linked to the suite run; a case that fails to start is reported and the suite carries on
+  async runSuite(userId, suite, models, socket, options = {}) {
+    // Shared settings are checked once, before any case runs
+    const trials = TrialStats.parseTrialCount(options.trials);
+    const grading = AnswerGrader.validate(options.grading);
+    const promptTemplate = PromptTemplates.resolve(options.promptTemplate);
+
+    const suiteRunId = uuidv4();
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    let caseTestId = null;
+    signal.addEventListener('abort', () => caseTestId && this.cancelTest(caseTestId));
+    this.activeTests.set(suiteRunId, { userId, socket, abortController, results: new Map(), startTime: Date.now() });
+
+    console.log(`📋 Starting suite "${suite.name}" (${suite.cases.length} cases) with ${models.length} models`);
+    this.recordRun(store => store.createSuiteRun({
+      id: suiteRunId,
+      suiteId: suite.id,
+      userId,
+      config: {
+        models,
+        promptTemplate,
+        ...(trials > 1 && { trials }),
+        ...(options.truncate && { truncate: true }),
+        ...(grading.mode !== 'exact' && { grading })
+      }
+    }));
+    socket.emit('suiteStarted', { suiteRunId, suiteId: suite.id, cases: suite.cases.length, models: models.map(m => m.modelId) });
+
+    for (const [index, entry] of suite.cases.entries()) {
+      if (signal.aborted) break;
+
+      // Each case reports to its own emitter; the suite forwards every per-model outcome
+      const caseSocket = new EventEmitter();
+      caseSocket.on('needleTestStarted', ({ testId }) => { caseTestId = testId; });
+      Object.entries(SUITE_CASE_EVENTS).forEach(([caseEvent, suiteEvent]) => {
+        caseSocket.on(caseEvent, payload => socket.emit(suiteEvent, { suiteRunId, caseId: entry.id, ...payload }));
+      });
+
+      try {
+        await this.runNeedleTest(userId, entry.haystack || '', entry.needle, entry.exactMatch, models, caseSocket, {
+          corpus: entry.corpus,
+          insert: entry.insert,
+          trials,
+          truncate: options.truncate,
+          grading: options.grading,
+          promptTemplate: options.promptTemplate,
+          suite: { runId: suiteRunId, suiteId: suite.id, caseId: entry.id, tags: entry.tags }
+        });
+      } catch (error) {
+        console.error(`❌ Suite case ${entry.id} failed: ${error.message}`);
+        socket.emit('suiteCaseError', { suiteRunId, caseId: entry.id, error: error.message });
+      }
+      caseTestId = null;
+      socket.emit('suiteProgress', { suiteRunId, completed: index + 1, total: suite.cases.length });
+    }
+
+    const cancelled = signal.aborted;
+    this.recordRun(store => store.completeSuiteRun(suiteRunId, cancelled ? 'cancelled' : 'complete'));
+    this.activeTests.delete(suiteRunId);
+    socket.emit('suiteComplete', { suiteRunId, suiteId: suite.id, ...(cancelled && { cancelled }) });
+  }
+
+  // Score every planted fact independently so partial recall is visible
+  async scoreNeedles(response, facts, grading, context) {
+    const needles = [];
+    for (const { fact, exactMatch } of facts) {
+      const grade = await this.gradeAnswer(response, exactMatch, grading, context);
+      needles.push({ fact, exactMatch, found: grade.found, ...(grade.mode !== 'exact' && { grade }) });
+    }
+    console.log(`🔍 Multi-needle recall: ${needles.filter(score => score.found).length}/${needles.length} needles retrieved`);
+    return needles;
+  }
+
+  // Judge calls are billed like any other request, so their cost is priced here
+  async gradeAnswer(response, expected, grading, context) {
+    const grade = await this.grader.grade(response, expected, grading, context);
+    if (grade.usage) {
+      grade.cost = this.priceTable.costOf(grade.judgeModel, grade.usage);
+    }
+    return grade;
+  }
+}
+
+module.exports = {
+  NeedleTestManager
+};
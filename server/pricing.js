@@ -0,0 +1,156 @@
+// Token estimates and cost accounting for Needle in the Haystack Test
+const fs = require('fs');
+const path = require('path');
+const { SweepBuilder } = require('./sweep');
+
+const DEFAULT_PRICE_TABLE_PATH = path.join(__dirname, 'data', 'prices.json');
+
+// USD per million tokens; override any entry through the price table file or PUT /api/pricing
+const DEFAULT_PRICES = {
+  'o3': { input: 2, output: 8 },
+  'o1': { input: 15, output: 60 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-preview-04-17': { input: 0.15, output: 0.6 },
+  'gemini-2.5-flash-lite-preview-06-17': { input: 0.1, output: 0.4 },
+  'gemini-2.5-pro-preview-05-06': { input: 1.25, output: 10 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet-v2': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.8, output: 4 },
+  'claude-instant': { input: 0.8, output: 4 }
+};
+
+function isValidPrice(price) {
+  return price && Number.isFinite(Number(price.input)) && Number.isFinite(Number(price.output))
+    && Number(price.input) >= 0 && Number(price.output) >= 0;
+}
+
+/**
+ * Price table (defaults merged with the JSON override file) plus helpers to
+ * estimate a run's cost up front and price the usage providers report back.
+ */
+class PriceTable {
+  constructor(tablePath = process.env.PRICE_TABLE_PATH || DEFAULT_PRICE_TABLE_PATH) {
+    this.tablePath = tablePath;
+    this.overrides = {};
+
+    if (fs.existsSync(tablePath)) {
+      try {
+        this.overrides = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+        console.log(`💰 Loaded ${Object.keys(this.overrides).length} price overrides from: ${tablePath}`);
+      } catch (error) {
+        console.error(`❌ Ignoring unreadable price table ${tablePath}:`, error.message);
+      }
+    }
+  }
+
+  getPrices() {
+    return { ...DEFAULT_PRICES, ...this.overrides };
+  }
+
+  getPrice(modelId) {
+    return this.getPrices()[modelId] || null;
+  }
+
+  // Persist user-edited prices; entries set to null fall back to the defaults
+  updatePrices(prices) {
+    const entries = Object.entries(prices || {});
+    const invalid = entries.find(([, price]) => price !== null && !isValidPrice(price));
+    if (invalid) {
+      throw new Error(`Invalid price for ${invalid[0]}: input and output must be non-negative numbers`);
+    }
+
+    entries.forEach(([modelId, price]) => {
+      if (price === null) {
+        delete this.overrides[modelId];
+      } else {
+        this.overrides[modelId] = { input: Number(price.input), output: Number(price.output) };
+      }
+    });
+
+    fs.mkdirSync(path.dirname(this.tablePath), { recursive: true });
+    fs.writeFileSync(this.tablePath, JSON.stringify(this.overrides, null, 2));
+    return this.getPrices();
+  }
+
+  // Cost in USD for a token count pair, or null when the model has no price
+  costOf(modelId, usage) {
+    const price = this.getPrice(modelId);
+    if (!price || !usage) return null;
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+  }
+
+  // Sum provider-reported usage and cost across calls (trials, sweep cells)
+  static total(results) {
+    const withUsage = results.filter(result => result.usage);
+    if (withUsage.length === 0) {
+      return { usage: null, cost: null };
+    }
+
+    const priced = withUsage.filter(result => result.cost !== null && result.cost !== undefined);
+    return {
+      usage: {
+        inputTokens: withUsage.reduce((sum, result) => sum + result.usage.inputTokens, 0),
+        outputTokens: withUsage.reduce((sum, result) => sum + result.usage.outputTokens, 0)
+      },
+      cost: priced.length > 0 ? priced.reduce((sum, result) => sum + result.cost, 0) : null
+    };
+  }
+
+  // Per-model estimate for a list of prompts (one per call); output is priced at the maxTokens ceiling
+  estimate(prompts, models, calls = 1) {
+    return this.estimatePerModel(models.map(modelConfig => ({ modelConfig, prompts, calls })));
+  }
+
+  // Same as estimate() when each model sends its own prompts (truncated haystacks, skipped sweep cells);
+  // `promptTokens` (tokens per prompt) stands in for `prompts` when the text is never built
+  estimatePerModel(entries) {
+    const perModel = entries.map(({ modelConfig, prompts = [], promptTokens, calls = 1, skippedCalls = 0, skipReason, truncated }) => {
+      const { modelId, maxTokens = 1000 } = modelConfig;
+      const tokens = promptTokens || prompts.map(prompt => SweepBuilder.estimateTokens(prompt));
+      const inputTokens = tokens.reduce((sum, count) => sum + count, 0) * calls;
+      const outputTokens = maxTokens * tokens.length * calls;
+      const price = this.getPrice(modelId);
+
+      return {
+        modelId,
+        calls: tokens.length * calls,
+        inputTokens,
+        outputTokens,
+        price,
+        inputCost: price ? (inputTokens * price.input) / 1000000 : null,
+        maxCost: this.costOf(modelId, { inputTokens, outputTokens }),
+        ...(skippedCalls > 0 && { skippedCalls }),
+        ...(skipReason && { skipReason }),
+        ...(truncated && { truncated })
+      };
+    });
+
+    return {
+      models: perModel,
+      totalInputTokens: perModel.reduce((sum, model) => sum + model.inputTokens, 0),
+      totalInputCost: perModel.reduce((sum, model) => sum + (model.inputCost || 0), 0),
+      totalMaxCost: perModel.reduce((sum, model) => sum + (model.maxCost || 0), 0),
+      unpricedModels: perModel.filter(model => !model.price).map(model => model.modelId)
+    };
+  }
+}
+
+module.exports = {
+  PriceTable,
+  DEFAULT_PRICES
+};
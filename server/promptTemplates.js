@@ -0,0 +1,107 @@
+// Prompt templates for Needle in the Haystack Test
+const PLACEHOLDER = /\{(haystack|question)\}/g;
+const MAX_TEMPLATE_CHARS = 10000;
+
+// The first template matches the prompt needle tests have always sent
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'question-first',
+    name: 'Question first',
+    description: 'The question, then the document. No system prompt',
+    system: '',
+    user: '{question}\n\nContext document:\n{haystack}'
+  },
+  {
+    id: 'haystack-first',
+    name: 'Document first',
+    description: 'The document, then the question. No system prompt',
+    system: '',
+    user: 'Context document:\n{haystack}\n\n{question}'
+  },
+  {
+    id: 'assistant',
+    name: 'Assistant system prompt',
+    description: 'A short answering-assistant system prompt, question first',
+    system: 'You are an AI assistant that provides direct, accurate answers to questions based on provided context.',
+    user: '{question}\n\nContext document:\n{haystack}'
+  },
+  {
+    id: 'document-qa',
+    name: 'Document Q&A',
+    description: 'Tagged document first, answer only from the document',
+    system: 'Answer the question using only the document provided. If the document does not contain the answer, say so.',
+    user: '<document>\n{haystack}\n</document>\n\nQuestion: {question}'
+  }
+];
+
+const DEFAULT_TEMPLATE_ID = BUILT_IN_TEMPLATES[0].id;
+
+/**
+ * Named prompt templates for needle tests. A template is a `user` message with
+ * `{haystack}` and `{question}` placeholders (their order decides whether the
+ * document comes before or after the question) and an optional `system`
+ * prompt. Every provider adapter sends the rendered template as-is (see
+ * `config.systemPrompt` in providers/index.js), so models are compared on the
+ * same prompt; runs and results record which template was used.
+ */
+class PromptTemplates {
+  static list() {
+    return BUILT_IN_TEMPLATES.map(template => ({ ...template, order: PromptTemplates.order(template.user) }));
+  }
+
+  // 'question-first' or 'haystack-first', from where the placeholders sit
+  static order(user) {
+    return user.indexOf('{haystack}') < user.indexOf('{question}') ? 'haystack-first' : 'question-first';
+  }
+
+  // Accepts a built-in template id, a custom { name, system, user } object or nothing (the default)
+  static resolve(template) {
+    if (template === undefined || template === null || template === '') {
+      return PromptTemplates.resolve(DEFAULT_TEMPLATE_ID);
+    }
+
+    if (typeof template === 'string') {
+      const builtIn = BUILT_IN_TEMPLATES.find(entry => entry.id === template);
+      if (!builtIn) {
+        throw new Error(`Unknown prompt template "${template}" (use ${BUILT_IN_TEMPLATES.map(entry => entry.id).join(', ')} or a custom { system, user } template)`);
+      }
+      return { id: builtIn.id, name: builtIn.name, system: builtIn.system, user: builtIn.user, order: PromptTemplates.order(builtIn.user) };
+    }
+
+    if (typeof template !== 'object' || typeof template.user !== 'string') {
+      throw new Error('A custom prompt template needs a "user" message with {haystack} and {question} placeholders');
+    }
+    const system = template.system === undefined || template.system === null ? '' : String(template.system);
+    const user = template.user;
+    const missing = ['{haystack}', '{question}'].filter(placeholder => !user.includes(placeholder));
+    if (missing.length > 0) {
+      throw new Error(`Prompt template user message is missing ${missing.join(' and ')}`);
+    }
+    if (system.length + user.length > MAX_TEMPLATE_CHARS) {
+      throw new Error(`Prompt templates are limited to ${MAX_TEMPLATE_CHARS} characters`);
+    }
+    // Built-in ids are reserved, so a recorded custom template is never mistaken for one
+    const id = template.id && !BUILT_IN_TEMPLATES.some(entry => entry.id === template.id) ? String(template.id) : 'custom';
+    return { id, name: template.name ? String(template.name) : 'Custom', system, user, order: PromptTemplates.order(user) };
+  }
+
+  // Fill both placeholders in one pass, so a haystack containing "{question}" is left alone
+  static render(template, question, haystack) {
+    const values = { haystack, question };
+    return {
+      system: template.system,
+      user: template.user.replace(PLACEHOLDER, (match, name) => values[name])
+    };
+  }
+
+  // The whole prompt as one string, for token estimates
+  static promptText(template, question, haystack) {
+    const { system, user } = PromptTemplates.render(template, question, haystack);
+    return system ? `${system}\n\n${user}` : user;
+  }
+}
+
+module.exports = {
+  PromptTemplates,
+  DEFAULT_TEMPLATE_ID
+};
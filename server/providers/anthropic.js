@@ -0,0 +1,247 @@
+// Anthropic Claude provider adapter
+const Anthropic = require('@anthropic-ai/sdk');
+const { StreamCollector } = require('./streaming');
+
+const models = [
+  { id: 'claude-opus-4', name: 'Claude Opus 4', model: 'claude-3-opus-20240229',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', model: 'claude-3-5-sonnet-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-3-7-sonnet', name: 'Claude 3.7 Sonnet', model: 'claude-3-5-sonnet-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-3-5-sonnet-v2', name: 'Claude 3.5 Sonnet v2', model: 'claude-3-5-sonnet-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-3-opus', name: 'Claude 3 Opus', model: 'claude-3-opus-20240229',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-3-sonnet', name: 'Claude 3 Sonnet', model: 'claude-3-5-sonnet-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-3-haiku', name: 'Claude 3 Haiku', model: 'claude-3-5-haiku-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } },
+  { id: 'claude-instant', name: 'Claude Instant', model: 'claude-3-5-haiku-20241022',
+    capabilities: { temperature: true, reasoning: false, maxContext: 200000 } }
+];
+
+async function generateClaudeResponse(client, messages, model, config = {}) {
+  console.log('[Claude Generate RF] Model parameter received:', model);
+
+  // Log special capabilities for newer models
+  if (model.includes('opus-4') || model.includes('sonnet-4')) {
+    console.log('🚀 Using Claude 4 model with hybrid near-instant/extended thinking capabilities');
+  } else if (model.includes('3-7-sonnet')) {
+    console.log('🧠 Using Claude 3.7 Sonnet with extended thinking capabilities');
+  } else if (model.includes('v2-20241022')) {
+    console.log('💻 Using Claude 3.5 Sonnet v2 with computer use capabilities');
+  }
+
+  // Rate limits and overloads are retried by the scheduler (see ../scheduler.js)
+  return makeClaudeAPICall(client, messages, model, config);
+}
+
+async function makeClaudeAPICall(client, messages, model, config) {
+  // Start timing for this specific API call attempt
+  const apiCallStartTime = Date.now();
+
+  // Find the initial prompt to maintain conversation memory
+  const initialPrompt = messages.find(msg => msg.provider === 'user')?.content || 'General discussion';
+
+  // Create a system message for Claude
+  const systemMessage = `You are having a natural conversation with other AIs about: "${initialPrompt}"\n\nAct like a curious, thoughtful participant who builds on what others say. Share your own perspectives, challenge ideas respectfully, ask follow-up questions that dig deeper, and keep the conversation flowing. Avoid saying "I'm here to help" or "feel free to ask" - instead, directly engage with the ideas presented. Be conversational, not an assistant.`;
+
+  // Process messages to ensure alternating roles for Claude API
+  const processedMessages = [];
+  if (messages.length > 0) {
+    // Filter out placeholder messages first
+    const filteredMessages = messages.filter(msg => 
+      msg.content && !msg.content.includes("(Previous turn provided no text output)")
+    );
+
+    console.log('[Claude Debug] Filtered messages:', filteredMessages.length, 'from original:', messages.length);
+
+    if (filteredMessages.length > 0) {
+      // Add the first message directly
+      processedMessages.push({
+        role: filteredMessages[0].role === 'ai' ? 'assistant' : filteredMessages[0].role,
+        content: filteredMessages[0].content
+      });
+
+      for (let i = 1; i < filteredMessages.length; i++) {
+        const currentMessage = filteredMessages[i];
+        const lastProcessedMessage = processedMessages[processedMessages.length - 1];
+
+        const currentRole = currentMessage.role === 'ai' ? 'assistant' : currentMessage.role;
+
+        if (currentRole === 'assistant' && lastProcessedMessage.role === 'assistant') {
+          // Merge consecutive assistant messages
+          lastProcessedMessage.content += `\n\n${currentMessage.content}`; 
+        } else if (currentRole === 'user' && lastProcessedMessage.role === 'user') {
+          // Merge consecutive user messages
+          lastProcessedMessage.content += `\n\n${currentMessage.content}`;
+        } else {
+          processedMessages.push({
+            role: currentRole,
+            content: currentMessage.content
+          });
+        }
+      }
+    }
+  }
+
+  // If we have no valid messages after filtering, add a user prompt
+  if (processedMessages.length === 0) {
+    console.log('[Claude Debug] No valid messages after processing, adding default user message');
+    processedMessages.push({
+      role: 'user',
+      content: initialPrompt || 'Hello'
+    });
+  }
+
+  // Ensure we always end with a user message if the last message is from assistant
+  if (processedMessages.length > 0 && processedMessages[processedMessages.length - 1].role === 'assistant') {
+    console.log('[Claude Debug] Last message is assistant, adding continuation prompt');
+    processedMessages.push({
+      role: 'user',
+      content: 'Please continue the conversation.'
+    });
+  }
+
+  // Format messages for Claude using the processed list
+  const formattedMessages = processedMessages; // Already in the correct format
+
+  // Sizes only: prompts carry whole haystacks
+  console.log('[Claude Debug] Message count:', formattedMessages.length);
+  console.log('[Claude Debug] Message roles:', formattedMessages.map(m => m.role).join(' -> '));
+
+  try {
+    console.log('[Claude API Call] Making request with model:', model);
+    const collector = new StreamCollector(apiCallStartTime, config.onChunk);
+    // Structured output is a forced tool call whose input schema is the requested JSON schema
+    const structured = config.jsonSchema ? {
+      tools: [{ name: config.jsonSchema.name, description: 'Submit the requested JSON object', input_schema: config.jsonSchema.schema }],
+      tool_choice: { type: 'tool', name: config.jsonSchema.name }
+    } : {};
+    // A caller's system prompt (even an empty one) replaces the conversational one
+    const system = config.systemPrompt !== undefined ? config.systemPrompt : config.jsonSchema ? '' : systemMessage;
+    const stream = client.messages.stream({
+      model: model,
+      max_tokens: config.maxTokens ?? 1024,
+      ...(system && { system }),
+      ...structured,
+      messages: formattedMessages,
+      temperature: config.temperature ?? 0.7
+    }, { signal: config.signal });
+    stream.on('text', delta => collector.push(delta));
+    stream.on('inputJson', delta => collector.push(delta));
+    const response = await stream.finalMessage();
+
+    console.log(`[Claude Response Debug] stop_reason: ${response?.stop_reason}, ${response?.usage?.input_tokens ?? '?'} input / ${response?.usage?.output_tokens ?? '?'} output tokens`);
+
+    // It's good practice to check if content exists and is not empty
+    if (response && response.content && response.content.length > 0) {
+      // Handle different content types
+      const toolUse = config.jsonSchema && response.content.find(c => c.type === 'tool_use');
+      const textContent = toolUse
+        ? { text: JSON.stringify(toolUse.input) }
+        : response.content.find(c => c.type === 'text');
+      if (textContent && textContent.text) {
+        // Timing covers this successful attempt only, not earlier retries
+        const usage = response.usage ? {
+          inputTokens: response.usage.input_tokens || 0,
+          outputTokens: response.usage.output_tokens || 0
+        } : null;
+        const result = collector.result({
+          text: textContent.text,
+          usage,
+          requestId: stream.request_id || response.id || null,
+          finishReason: response.stop_reason || null
+        });
+        console.log(`[Claude Success] Generated response length: ${result.text.length}, API call time: ${result.timing.responseTime}ms, first token: ${result.timing.timeToFirstToken}ms`);
+        return result;
+      }
+
+      // If no text content found, log what we got
+      console.error('[Claude Error] No text content found in response. Content types:', response.content.map(c => c.type));
+    }
+
+    console.error('[Claude Error] Unexpected response structure or empty content:', JSON.stringify(response, null, 2));
+    throw new Error('Anthropic response content was empty or not in the expected text format.');
+
+  } catch (error) {
+    console.error('[Claude API Error] Full error details:', error);
+
+    // Handle specific error types
+    if (error.response) {
+      console.error('[Claude API Error] Response data:', error.response.data);
+      console.error('[Claude API Error] Response status:', error.response.status);
+
+      // Handle 529 Overloaded error specifically
+      if (error.response.status === 529) {
+        const overloadedError = new Error('Anthropic Claude service is temporarily overloaded. This usually means:\n• Too many requests sent too quickly\n• API usage limits exceeded\n• Service experiencing high demand\n\nSuggestions:\n• Wait 30-60 seconds before retrying\n• Try fewer models simultaneously\n• Use a different Claude model (e.g., Claude 3 Haiku instead of Opus)\n• Check your API usage limits at console.anthropic.com');
+        overloadedError.code = 'ANTHROPIC_OVERLOADED';
+        overloadedError.status = 529;
+        throw overloadedError;
+      }
+
+      // Handle 429 Rate Limit error
+      if (error.response.status === 429) {
+        const rateLimitError = new Error('Anthropic Claude rate limit exceeded. Please wait before making more requests.\n\nSuggestions:\n• Wait 60 seconds before retrying\n• Reduce the number of simultaneous requests\n• Check your tier limits at console.anthropic.com');
+        rateLimitError.code = 'ANTHROPIC_RATE_LIMIT';
+        rateLimitError.status = 429;
+        throw rateLimitError;
+      }
+
+      // Handle 400 Bad Request
+      if (error.response.status === 400) {
+        const badRequestError = new Error(`Claude API Bad Request: ${error.response.data?.error?.message || 'Invalid request parameters'}`);
+        badRequestError.code = 'ANTHROPIC_BAD_REQUEST';
+        badRequestError.status = 400;
+        throw badRequestError;
+      }
+
+      // Handle 401 Unauthorized
+      if (error.response.status === 401) {
+        const authError = new Error('Claude API Unauthorized: Invalid or missing API key. Please check your Anthropic API key.');
+        authError.code = 'ANTHROPIC_UNAUTHORIZED';
+        authError.status = 401;
+        throw authError;
+      }
+
+      // Handle other HTTP errors
+      const httpError = new Error(`Claude API Error (${error.response.status}): ${error.response.data?.error?.message || error.message}`);
+      httpError.code = 'ANTHROPIC_HTTP_ERROR';
+      httpError.status = error.response.status;
+      throw httpError;
+    }
+
+    // Handle network errors
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      const networkError = new Error('Cannot connect to Anthropic API. Please check your internet connection.');
+      networkError.code = 'NETWORK_ERROR';
+      throw networkError;
+    }
+
+    // Re-throw other errors with additional context
+    const enhancedError = new Error(`Claude API Error: ${error.message}`);
+    enhancedError.code = error.code || 'ANTHROPIC_UNKNOWN_ERROR';
+    // Keep status and headers so the scheduler can retry 429/529 and honour Retry-After
+    enhancedError.status = error.status;
+    enhancedError.headers = error.headers;
+    enhancedError.originalError = error;
+    throw enhancedError;
+  }
+}
+
+module.exports = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  apiKeyField: 'anthropic',
+  models,
+
+  createClient(apiKey) {
+    // Retries happen in the scheduler, which also honours Retry-After
+    return new Anthropic({ apiKey, maxRetries: 0 });
+  },
+
+  async generate(client, messages, modelEntry, config = {}) {
+    return generateClaudeResponse(client, messages, modelEntry.model, config);
+  }
+};
@@ -0,0 +1,127 @@
+// OpenAI-compatible custom endpoint provider adapter (llama.cpp server, vLLM, Ollama, ...)
+const OpenAI = require('openai');
+const openai = require('./openai');
+
+const MODEL_ID_PREFIX = 'custom:';
+const DEFAULT_MAX_CONTEXT = 8192;
+
+// Endpoint configuration per user session; the environment provides a shared default
+const userEndpoints = new Map();
+
+function parseModelNames(models) {
+  const list = Array.isArray(models) ? models : String(models || '').split(',');
+  return [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+}
+
+function getEnvEndpoint() {
+  const baseUrl = process.env.CUSTOM_OPENAI_BASE_URL?.trim();
+  const models = parseModelNames(process.env.CUSTOM_OPENAI_MODELS);
+  if (!baseUrl || models.length === 0) {
+    return null;
+  }
+  return {
+    baseUrl,
+    models,
+    maxContext: Number(process.env.CUSTOM_OPENAI_MAX_CONTEXT) || DEFAULT_MAX_CONTEXT,
+    // Only the operator's own endpoint may receive CUSTOM_OPENAI_API_KEY
+    fromEnv: true
+  };
+}
+
+function getEndpoint(userId) {
+  return userEndpoints.get(userId) || getEnvEndpoint();
+}
+
+function validateEndpoint({ baseUrl, models, maxContext }) {
+  let url;
+  try {
+    url = new URL(String(baseUrl || '').trim());
+  } catch {
+    throw new Error('Custom endpoint base URL must be a valid URL (e.g. http://localhost:8080/v1)');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Custom endpoint base URL must use http or https');
+  }
+
+  const modelNames = parseModelNames(models);
+  if (modelNames.length === 0) {
+    throw new Error('Custom endpoint needs at least one model name');
+  }
+
+  const contextWindow = maxContext === undefined || maxContext === '' ? DEFAULT_MAX_CONTEXT : Number(maxContext);
+  if (!Number.isInteger(contextWindow) || contextWindow < 256) {
+    throw new Error('Custom endpoint max context must be a whole number of tokens (at least 256)');
+  }
+
+  return {
+    baseUrl: url.toString().replace(/\/$/, ''),
+    models: modelNames,
+    maxContext: contextWindow
+  };
+}
+
+function toModelEntry(endpoint, modelName) {
+  return {
+    id: `${MODEL_ID_PREFIX}${modelName}`,
+    name: modelName,
+    model: modelName,
+    apiType: 'chat',
+    endpoint: { baseUrl: endpoint.baseUrl, fromEnv: endpoint.fromEnv === true },
+    // llama.cpp server, vLLM and Ollama accept an OpenAI-style json_schema response format
+    capabilities: { temperature: true, reasoning: false, maxContext: endpoint.maxContext, structuredOutput: 'json_schema' }
+  };
+}
+
+module.exports = {
+  id: 'custom',
+  name: 'Custom Endpoint',
+  apiKeyField: 'custom',
+  // Local servers frequently run without authentication
+  requiresApiKey: false,
+  models: [],
+
+  configureEndpoint(userId, config) {
+    const endpoint = validateEndpoint(config);
+    userEndpoints.set(userId, endpoint);
+    return endpoint;
+  },
+
+  getEndpoint,
+
+  // Models depend on the caller's endpoint configuration
+  listModels(userId) {
+    const endpoint = getEndpoint(userId);
+    return endpoint ? endpoint.models.map(name => toModelEntry(endpoint, name)) : [];
+  },
+
+  resolveModel(modelId, userId) {
+    if (!modelId.startsWith(MODEL_ID_PREFIX)) {
+      return null;
+    }
+    const endpoint = getEndpoint(userId);
+    const modelName = modelId.substring(MODEL_ID_PREFIX.length);
+    return endpoint && endpoint.models.includes(modelName) ? toModelEntry(endpoint, modelName) : null;
+  },
+
+  // A session-configured endpoint gets the session's own key, never the environment's
+  allowsEnvApiKey(modelEntry) {
+    return Boolean(modelEntry && modelEntry.endpoint && modelEntry.endpoint.fromEnv);
+  },
+
+  // Clients are cached per key and endpoint, not per key alone
+  clientKey(modelEntry) {
+    return modelEntry && modelEntry.endpoint ? modelEntry.endpoint.baseUrl : '';
+  },
+
+  createClient(apiKey, modelEntry) {
+    if (!modelEntry || !modelEntry.endpoint) {
+      return null;
+    }
+    // The SDK insists on a key even when the server ignores it
+    return new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: modelEntry.endpoint.baseUrl, maxRetries: 0 });
+  },
+
+  async generate(client, messages, modelEntry, config = {}) {
+    return openai.generate(client, messages, modelEntry, config);
+  }
+};
@@ -0,0 +1,134 @@
+// Google Gemini provider adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { StreamCollector } = require('./streaming');
+
+// Gemini's responseSchema is an OpenAPI subset: it rejects additionalProperties
+const UNSUPPORTED_SCHEMA_KEYS = ['additionalProperties'];
+
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !UNSUPPORTED_SCHEMA_KEYS.includes(key))
+    .map(([key, value]) => [key, key === 'required' || key === 'enum' ? value : toGeminiSchema(value)]));
+}
+
+const models = [
+  { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', model: 'gemini-2.5-pro',
+    capabilities: { temperature: true, reasoning: true, maxContext: 1048576 } },
+  { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', model: 'gemini-2.5-flash',
+    capabilities: { temperature: true, reasoning: true, maxContext: 1048576 } },
+  { id: 'gemini-2.5-flash-preview-04-17', name: 'Gemini 2.5 Flash Preview 04-17', model: 'gemini-2.5-flash-preview-04-17',
+    capabilities: { temperature: true, reasoning: true, maxContext: 1048576 } },
+  { id: 'gemini-2.5-flash-lite-preview-06-17', name: 'Gemini 2.5 Flash-Lite Preview 06-17', model: 'gemini-2.5-flash-lite-preview-06-17',
+    capabilities: { temperature: true, reasoning: true, maxContext: 1000000 } },
+  { id: 'gemini-2.5-pro-preview-05-06', name: 'Gemini 2.5 Pro Preview 05-06', model: 'gemini-2.5-pro-preview-05-06',
+    capabilities: { temperature: true, reasoning: true, maxContext: 1048576 } },
+  { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', model: 'gemini-2.0-flash',
+    capabilities: { temperature: true, reasoning: false, maxContext: 1048576 } },
+  { id: 'gemini-2.0-flash-lite', name: 'Gemini 2.0 Flash Lite', model: 'gemini-2.0-flash-lite',
+    capabilities: { temperature: true, reasoning: false, maxContext: 1048576 } },
+  { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', model: 'gemini-1.5-pro',
+    capabilities: { temperature: true, reasoning: false, maxContext: 2097152 } },
+  { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', model: 'gemini-1.5-flash',
+    capabilities: { temperature: true, reasoning: false, maxContext: 1048576 } }
+];
+
+module.exports = {
+  id: 'google',
+  name: 'Google',
+  apiKeyField: 'google',
+  models,
+
+  createClient(apiKey) {
+    return new GoogleGenerativeAI(apiKey);
+  },
+
+  async generate(client, messages, modelEntry, config = {}) {
+    const modelName = modelEntry.model;
+    console.log(`🔍 Gemini Debug - Model: ${modelName}, Messages: ${messages.length}`);
+
+    // Start timing for this API call
+    const apiCallStartTime = Date.now();
+
+    // Structured requests get JSON mode with the schema instead of free text; a caller's system prompt
+    // goes in as the system instruction
+    const model = client.getGenerativeModel({
+      model: modelName,
+      ...(config.systemPrompt && { systemInstruction: config.systemPrompt }),
+      generationConfig: {
+        ...(modelEntry.capabilities?.temperature && config.temperature !== undefined && { temperature: config.temperature }),
+        ...(config.maxTokens !== undefined && { maxOutputTokens: config.maxTokens }),
+        ...(config.jsonSchema && { responseMimeType: 'application/json', responseSchema: toGeminiSchema(config.jsonSchema.schema) })
+      }
+    });
+
+    // Filter out empty messages and ensure we have valid content
+    const validMessages = messages.filter(msg => msg.content && msg.content.trim().length > 0);
+
+    console.log(`🔍 Gemini Debug - Valid messages count: ${validMessages.length}`);
+
+    if (validMessages.length === 0) {
+      throw new Error('No valid messages to process');
+    }
+
+    // Find the initial prompt to maintain conversation memory
+    const initialPrompt = validMessages.find(msg => msg.provider === 'user')?.content || 'General discussion';
+
+    // Structured requests and callers with their own system prompt (needle tests) keep their own turns
+    // instead of the conversational wrapper below
+    const structuredContents = config.jsonSchema || config.systemPrompt !== undefined ? {
+      contents: validMessages.map(msg => ({ role: msg.role === 'ai' ? 'model' : 'user', parts: [{ text: msg.content }] }))
+    } : null;
+
+    // Build a conversational prompt that includes the full context
+    let conversationContext = `You are having a natural conversation with other AIs about: "${initialPrompt}"\n\nRespond naturally by: building on previous points, sharing your own perspective, agreeing or respectfully disagreeing, making observations, or offering new angles. Mix up your response style - sometimes make statements, sometimes share insights, sometimes pose questions, but don't end every response with a question. Keep the conversation flowing naturally like friends discussing a topic. Be authentic and avoid assistant-like phrases.\n\nConversation so far:\n\n`;
+
+    validMessages.forEach((msg, index) => {
+      const speaker = msg.provider === 'user' ? 'Human' : `AI (${msg.provider})`;
+      conversationContext += `${speaker}: ${msg.content}\n\n`;
+    });
+
+    conversationContext += "Now respond naturally - maybe build on what was said, share your perspective, make an observation, or take the discussion in a new direction. Don't feel obligated to ask a question:";
+
+    console.log(`🔍 Gemini Debug - Conversation context: ${conversationContext.length.toLocaleString()} characters`);
+
+    try {
+      // Use a simple prompt approach for Gemini
+      const result = await model.generateContentStream(structuredContents || conversationContext, { signal: config.signal });
+      const collector = new StreamCollector(apiCallStartTime, config.onChunk);
+      for await (const chunk of result.stream) {
+        collector.push(chunk.text());
+      }
+
+      // The aggregated response carries the final usage metadata
+      const response = await result.response;
+      const usage = response.usageMetadata ? {
+        inputTokens: response.usageMetadata.promptTokenCount || 0,
+        outputTokens: response.usageMetadata.candidatesTokenCount || 0
+      } : null;
+
+      // Gemini has no request id header; the response id is the closest identifier
+      const streamed = collector.result({
+        usage,
+        requestId: response.responseId || null,
+        finishReason: response.candidates?.[0]?.finishReason || null
+      });
+      console.log(`✅ Gemini Debug - Response length: ${streamed.text.length}, API call time: ${streamed.timing.responseTime}ms, first token: ${streamed.timing.timeToFirstToken}ms`);
+
+      if (streamed.text.trim().length === 0) {
+        throw new Error('Empty response from Gemini');
+      }
+
+      return streamed;
+
+    } catch (error) {
+      console.error(`❌ Error generating response from Gemini:`, error);
+      throw error;
+    }
+  }
+};
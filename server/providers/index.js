@@ -0,0 +1,119 @@
+// Provider/model registry for Needle in the Haystack Test
+const openai = require('./openai');
+const google = require('./google');
+const anthropic = require('./anthropic');
+const custom = require('./custom');
+
+const REQUIRED_ADAPTER_FIELDS = ['id', 'name', 'apiKeyField', 'models', 'createClient', 'generate'];
+
+/**
+ * Single source of truth for which providers and models exist.
+ *
+ * Each adapter declares its id, the API key field it reads, its models (with
+ * capabilities: temperature support, reasoning, max context) and a
+ * `generate(client, messages, modelEntry, config)` function resolving to a
+ * result object:
+ *
+ *   { text, timing: { startedAt, timeToFirstToken, responseTime }, usage,
+ *     requestId, finishReason }
+ *
+ * where usage is `{ inputTokens, outputTokens }` as reported by the provider
+ * (or null), and requestId / finishReason are the provider's own values (or
+ * null). Build it with StreamCollector#result. Responses are streamed;
+ * `config.onChunk(delta)` receives each text delta and `config.signal`
+ * (an AbortSignal) cancels the request. Adapters make a single attempt and
+ * leave retries to the scheduler, so thrown errors must keep the provider's
+ * `status` and `headers` (or carry them on `originalError`).
+ *
+ * When `config.systemPrompt` is a string (empty for none), the adapter sends
+ * exactly that system prompt and the messages as given, with no
+ * provider-specific wrapper - needle tests rely on this so every model gets
+ * the same prompt (see promptTemplates.js).
+ *
+ * When `config.jsonSchema` (`{ name, schema }`) is set, the adapter asks for
+ * the provider's native structured output (a JSON schema response format,
+ * Gemini's responseSchema or a forced Anthropic tool call) where the model
+ * supports it, and returns the JSON as `text`. Callers still validate it.
+ *
+ * Adapters whose models depend on user configuration (custom endpoints) also
+ * implement `listModels(userId)` and `resolveModel(modelId, userId)`, plus
+ * `clientKey(modelEntry)` when one API key can need several clients, and
+ * `allowsEnvApiKey(modelEntry)` when the environment's key may only be sent
+ * to some of their endpoints.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.models = new Map();
+  }
+
+  register(adapter) {
+    const missing = REQUIRED_ADAPTER_FIELDS.filter(field => adapter[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Provider adapter ${adapter.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+
+    adapter.models.forEach(model => {
+      if (this.models.has(model.id)) {
+        throw new Error(`Model ${model.id} is already registered by ${this.models.get(model.id).provider}`);
+      }
+      this.models.set(model.id, { ...model, provider: adapter.id });
+    });
+
+    this.providers.set(adapter.id, adapter);
+    return this;
+  }
+
+  getProvider(providerId) {
+    return this.providers.get(providerId) || null;
+  }
+
+  getModel(modelId, userId) {
+    if (this.models.has(modelId)) {
+      return this.models.get(modelId);
+    }
+
+    for (const adapter of this.providers.values()) {
+      const model = adapter.resolveModel && adapter.resolveModel(modelId, userId);
+      if (model) {
+        return { ...model, provider: adapter.id };
+      }
+    }
+    return null;
+  }
+
+  // Provider adapter responsible for a model id, or null for unknown models
+  getProviderForModel(modelId, userId) {
+    const model = this.getModel(modelId, userId);
+    return model ? this.getProvider(model.provider) : null;
+  }
+
+  listProviders() {
+    return Array.from(this.providers.values()).map(({ id, name, apiKeyField }) => ({ id, name, apiKeyField }));
+  }
+
+  // Public model descriptions (no provider-internal model names)
+  listModels(userId) {
+    const dynamicModels = Array.from(this.providers.values())
+      .filter(adapter => adapter.listModels)
+      .flatMap(adapter => adapter.listModels(userId).map(model => ({ ...model, provider: adapter.id })));
+
+    return [...this.models.values(), ...dynamicModels].map(({ id, name, provider, capabilities }) => ({
+      id,
+      name,
+      provider,
+      capabilities
+    }));
+  }
+}
+
+const registry = new ProviderRegistry()
+  .register(openai)
+  .register(google)
+  .register(anthropic)
+  .register(custom);
+
+module.exports = {
+  ProviderRegistry,
+  registry
+};
@@ -0,0 +1,231 @@
+// OpenAI provider adapter
+const OpenAI = require('openai');
+const { StreamCollector } = require('./streaming');
+
+const models = [
+  { id: 'o3', name: 'O3', model: 'o3', apiType: 'responses',
+    capabilities: { temperature: false, reasoning: true, maxContext: 200000 } },
+  { id: 'o1', name: 'O1', model: 'o1', apiType: 'responses',
+    capabilities: { temperature: false, reasoning: true, maxContext: 200000 } },
+  { id: 'gpt-4.1', name: 'GPT-4.1', model: 'gpt-4.1', apiType: 'responses',
+    capabilities: { temperature: false, reasoning: false, maxContext: 1047576 } },
+  { id: 'gpt-4.1-nano', name: 'GPT-4.1 Nano', model: 'gpt-4.1-nano', apiType: 'responses',
+    capabilities: { temperature: false, reasoning: false, maxContext: 1047576 } },
+  { id: 'gpt-4', name: 'GPT-4', model: 'gpt-4', apiType: 'chat',
+    capabilities: { temperature: true, reasoning: false, maxContext: 8192, structuredOutput: null } },
+  { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', model: 'gpt-4-turbo-preview', apiType: 'chat',
+    capabilities: { temperature: true, reasoning: false, maxContext: 128000, structuredOutput: 'json_object' } },
+  { id: 'gpt-4o-mini', name: 'GPT-4o Mini', model: 'gpt-4o-mini', apiType: 'chat',
+    capabilities: { temperature: true, reasoning: false, maxContext: 128000, structuredOutput: 'json_schema' } },
+  { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', model: 'gpt-3.5-turbo', apiType: 'chat',
+    capabilities: { temperature: true, reasoning: false, maxContext: 16385, structuredOutput: 'json_object' } }
+];
+
+// Chat models differ in how much structure they can enforce: a schema, any JSON object, or
+// nothing (the prompt asks for JSON and the caller validates). Responses API models all take a schema
+function chatResponseFormat(capabilities, jsonSchema) {
+  if (capabilities.structuredOutput === 'json_schema') {
+    return { type: 'json_schema', json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: true } };
+  }
+  if (capabilities.structuredOutput === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+// The Responses API has returned text in several shapes across SDK versions
+function extractResponsesText(response) {
+  if (!response) return null;
+  if (response.output_text) return { text: response.output_text, source: 'output_text' };
+  if (response.text && response.text.content) return { text: response.text.content, source: 'text.content' };
+  if (response.output && response.output[0] && response.output[0].content && response.output[0].content[0] && response.output[0].content[0].text) {
+    return { text: response.output[0].content[0].text, source: 'output[0].content[0].text' };
+  }
+  if (response.choices && response.choices[0]) {
+    if (response.choices[0].text) return { text: response.choices[0].text, source: 'choices[0].text' };
+    if (response.choices[0].message && response.choices[0].message.content) {
+      return { text: response.choices[0].message.content, source: 'choices[0].message.content' };
+    }
+    return null;
+  }
+  if (response.output && response.output.text) return { text: response.output.text, source: 'output.text' };
+  if (response.content) return { text: response.content, source: 'direct content' };
+  return null;
+}
+
+// Responses API reports input/output tokens, Chat Completions prompt/completion tokens
+function extractUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+    outputTokens: usage.output_tokens ?? usage.completion_tokens ?? 0
+  };
+}
+
+async function generateWithResponsesAPI(client, messages, modelEntry, config) {
+  const { model, capabilities } = modelEntry;
+  console.log(`🔥 Using OpenAI Responses API for model: ${model}`);
+
+  // Start timing for this API call
+  const apiCallStartTime = Date.now();
+
+  // Convert messages to input format for responses API; a caller's system prompt travels as instructions
+  const input = messages.map(msg => ({
+    role: msg.role === 'ai' ? 'assistant' : msg.role,
+    content: msg.content
+  }));
+
+  const requestBody = {
+    model: model,
+    input: input,
+    ...(config.systemPrompt && { instructions: config.systemPrompt }),
+    text: {
+      format: config.jsonSchema
+        ? { type: 'json_schema', name: config.jsonSchema.name, schema: config.jsonSchema.schema, strict: true }
+        : { type: "text" }
+    },
+    max_output_tokens: config.maxTokens ?? 2048,
+    top_p: 1,
+    store: true,
+    stream: true
+  };
+
+  // Only add temperature for models that support it
+  if (capabilities.temperature) {
+    requestBody.temperature = config.temperature ?? 0.7;
+  }
+
+  // Add reasoning for models that support it
+  if (capabilities.reasoning) {
+    requestBody.reasoning = {
+      effort: "medium",
+      summary: "auto"
+    };
+  }
+
+  // Haystacks run to megabytes; log the size of the request, never its content
+  const inputChars = input.reduce((sum, item) => sum + (typeof item.content === 'string' ? item.content.length : 0), 0);
+  console.log(`📤 Sending ${model} request: ${input.length} messages, ${inputChars.toLocaleString()} characters, max ${requestBody.max_output_tokens} output tokens`);
+
+  try {
+    const { data: stream, request_id: requestId } = await client.responses
+      .create(requestBody, { signal: config.signal })
+      .withResponse();
+    const collector = new StreamCollector(apiCallStartTime, config.onChunk);
+    let response = null;
+
+    for await (const event of stream) {
+      if (event.type === 'response.output_text.delta') {
+        collector.push(event.delta);
+      } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+        response = event.response;
+      } else if (event.type === 'response.failed' || event.type === 'error') {
+        throw new Error(event.response?.error?.message || event.message || 'OpenAI Responses API stream failed');
+      }
+    }
+
+    console.log(`📥 Received ${model} response: status ${response?.status || 'unknown'}, ${response?.usage?.input_tokens ?? '?'} input / ${response?.usage?.output_tokens ?? '?'} output tokens`);
+
+    // Fall back to the final response object if the stream carried no text deltas
+    const extracted = collector.text ? { text: collector.text, source: 'output_text.delta' } : extractResponsesText(response);
+    if (extracted) {
+      const result = collector.result({
+        text: extracted.text,
+        usage: extractUsage(response?.usage),
+        requestId: requestId || response?.id || null,
+        finishReason: response?.incomplete_details?.reason || response?.status || null
+      });
+      console.log(`✅ Found ${extracted.source}: ${extracted.text.length} characters, API call time: ${result.timing.responseTime}ms, first token: ${result.timing.timeToFirstToken}ms`);
+      return result;
+    }
+
+    console.error(`❌ Unexpected response format. Available keys:`, Object.keys(response || {}));
+    console.error(`❌ Full response structure for debugging:`, JSON.stringify(response, null, 2));
+    throw new Error('Unexpected response format from OpenAI Responses API');
+
+  } catch (error) {
+    console.error(`❌ OpenAI Responses API error:`, error);
+    if (error.response) {
+      console.error(`❌ Error response data:`, error.response.data);
+    }
+    throw error;
+  }
+}
+
+async function generateWithChatAPI(client, messages, modelEntry, config) {
+  const { model, capabilities } = modelEntry;
+  console.log(`💬 Using OpenAI Chat Completions API for model: ${model}`);
+
+  // Start timing for this API call
+  const apiCallStartTime = Date.now();
+
+  // Callers that pass their own system prompt (even an empty one) get exactly that
+  const systemPrompt = config.systemPrompt !== undefined
+    ? config.systemPrompt
+    : 'You are an AI assistant that provides direct, accurate answers to questions based on provided context.';
+
+  // Format messages for OpenAI
+  const formattedMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+
+  // Add conversation history
+  messages.forEach(msg => {
+    formattedMessages.push({
+      role: msg.role === 'ai' ? 'assistant' : msg.role,
+      content: msg.content
+    });
+  });
+
+  const { data: stream, request_id: requestId } = await client.chat.completions.create({
+    model: model,
+    messages: formattedMessages,
+    max_tokens: config.maxTokens ?? 1000,
+    temperature: config.temperature ?? 0.7,
+    ...(config.jsonSchema && chatResponseFormat(capabilities, config.jsonSchema) && {
+      response_format: chatResponseFormat(capabilities, config.jsonSchema)
+    }),
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal: config.signal }).withResponse();
+
+  // Usage arrives on a final chunk with no choices
+  const collector = new StreamCollector(apiCallStartTime, config.onChunk);
+  let usage = null;
+  let finishReason = null;
+  let completionId = null;
+  for await (const chunk of stream) {
+    const choice = chunk.choices?.[0];
+    collector.push(choice?.delta?.content);
+    finishReason = choice?.finish_reason || finishReason;
+    completionId = chunk.id || completionId;
+    if (chunk.usage) {
+      usage = extractUsage(chunk.usage);
+    }
+  }
+
+  // Self-hosted servers rarely send x-request-id; the completion id identifies the call instead
+  const result = collector.result({ usage, requestId: requestId || completionId, finishReason });
+  console.log(`✅ OpenAI Chat API response time: ${result.timing.responseTime}ms, first token: ${result.timing.timeToFirstToken}ms`);
+
+  return result;
+}
+
+module.exports = {
+  id: 'openai',
+  name: 'OpenAI',
+  apiKeyField: 'openai',
+  models,
+
+  createClient(apiKey) {
+    // Retries happen in the scheduler, which also honours Retry-After
+    return new OpenAI({ apiKey, maxRetries: 0 });
+  },
+
+  async generate(client, messages, modelEntry, config = {}) {
+    if (modelEntry.apiType === 'responses') {
+      // Use the new responses API for newer models
+      return generateWithResponsesAPI(client, messages, modelEntry, config);
+    }
+    // Use traditional chat completions API
+    return generateWithChatAPI(client, messages, modelEntry, config);
+  }
+};
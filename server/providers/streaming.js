@@ -0,0 +1,45 @@
+// Shared helper for streaming provider responses
+
+/**
+ * Accumulates streamed text deltas, records time-to-first-token and forwards
+ * each delta to the caller's optional onChunk callback.
+ */
+class StreamCollector {
+  constructor(startTime, onChunk) {
+    this.startTime = startTime;
+    this.startedAt = new Date(startTime).toISOString();
+    this.onChunk = typeof onChunk === 'function' ? onChunk : null;
+    this.text = '';
+    this.timeToFirstToken = null;
+  }
+
+  push(delta) {
+    if (!delta) return;
+    if (this.timeToFirstToken === null) {
+      this.timeToFirstToken = Date.now() - this.startTime;
+    }
+    this.text += delta;
+    if (this.onChunk) {
+      this.onChunk(delta);
+    }
+  }
+
+  // The adapter result shape (see providers/index.js), with timing measured from the same start
+  result({ text = this.text, usage = null, requestId = null, finishReason = null } = {}) {
+    return {
+      text,
+      timing: {
+        startedAt: this.startedAt,
+        timeToFirstToken: this.timeToFirstToken,
+        responseTime: Date.now() - this.startTime
+      },
+      usage,
+      requestId,
+      finishReason
+    };
+  }
+}
+
+module.exports = {
+  StreamCollector
+};
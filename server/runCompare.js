@@ -0,0 +1,238 @@
+// Run comparison and regression diff for Needle in the Haystack Test
+const { TrialStats } = require('./stats');
+const { RunExporter } = require('./runExport');
+
+const MAX_COMPARED_RUNS = 5;
+// Mean latency this much (and at least this many ms) above the baseline's is flagged
+const LATENCY_REGRESSION_RATIO = 1.2;
+const LATENCY_REGRESSION_MIN_MS = 250;
+// Word diffs beyond this many token pairs fall back to replacing the whole response
+const MAX_DIFF_CELLS = 1000000;
+
+// What has to match for two runs to be the same test
+function testDefinition(run) {
+  const config = run.config || {};
+  return {
+    type: run.type,
+    haystack: run.haystackHash,
+    question: run.needle,
+    'exact match': run.exactMatch,
+    'sweep grid': config.sweep || null,
+    facts: config.facts ? config.facts.map(({ fact, exactMatch, depth }) => ({ fact, exactMatch, depth })) : null,
+    'needle insertion': config.insert ? { sentence: config.insert.sentence, offset: config.insert.offset } : null,
+    distractors: config.distractors ? config.distractors.map(({ statement, value, offset }) => ({ statement, value, offset })) : null
+  };
+}
+
+// Settings that may legitimately differ between runs of a test, but change what is measured
+function testConditions(run) {
+  const config = run.config || {};
+  return {
+    'prompt template': config.promptTemplate ? { system: config.promptTemplate.system, user: config.promptTemplate.user } : null,
+    grading: config.grading || null,
+    trials: config.trials || 1,
+    'model settings': (config.models || []).map(({ modelId, temperature, maxTokens }) => ({ modelId, temperature, maxTokens }))
+  };
+}
+
+/**
+ * Compares runs of the same test - e.g. before and after a provider quietly
+ * moves a model alias to a new snapshot. The first run is the baseline; every
+ * model gets pass-rate and latency deltas against it, and each trial or sweep
+ * cell is paired across runs with a word diff of the responses. For single
+ * calls and sweeps, a drop in pass rate or an answer that passed in the
+ * baseline and fails now is a regression. Trial order carries no meaning, so
+ * runs with repeated trials only regress on a pass-rate drop whose confidence
+ * intervals no longer overlap; their per-trial diffs are informational.
+ */
+class RunComparison {
+  static compare(runs) {
+    if (runs.length < 2) {
+      throw new Error('Pick at least two runs to compare');
+    }
+    if (runs.length > MAX_COMPARED_RUNS) {
+      throw new Error(`At most ${MAX_COMPARED_RUNS} runs can be compared at once`);
+    }
+
+    const [baseline] = runs;
+    const definition = testDefinition(baseline);
+    runs.slice(1).forEach(run => {
+      const other = testDefinition(run);
+      const differing = Object.keys(definition).filter(field => JSON.stringify(definition[field]) !== JSON.stringify(other[field]));
+      if (differing.length > 0) {
+        throw new Error(`Run ${run.id.slice(0, 8)} is a different test (${differing.join(', ')} differ from run ${baseline.id.slice(0, 8)})`);
+      }
+    });
+
+    const conditions = testConditions(baseline);
+    const warnings = runs.slice(1).flatMap(run => {
+      const other = testConditions(run);
+      return Object.keys(conditions)
+        .filter(field => JSON.stringify(conditions[field]) !== JSON.stringify(other[field]))
+        .map(field => `Run ${run.id.slice(0, 8)} used different ${field}`);
+    });
+
+    const modelIds = Array.from(new Set(runs.flatMap(run => run.results.map(result => result.modelId))));
+    const models = modelIds.map(modelId => RunComparison.compareModel(modelId, runs));
+
+    return {
+      baseline: baseline.id,
+      runs: runs.map(run => ({
+        id: run.id,
+        type: run.type,
+        status: run.status,
+        startedAt: run.startedAt,
+        promptTemplate: run.config?.promptTemplate?.id || null,
+        trials: run.config?.trials || 1
+      })),
+      warnings,
+      models,
+      regressions: models.filter(model => model.regression).length
+    };
+  }
+
+  static compareModel(modelId, runs) {
+    const summaries = runs.map(run => {
+      const results = run.results.filter(result => result.modelId === modelId);
+      if (results.length === 0) {
+        return null;
+      }
+      const stats = TrialStats.summarize(results);
+      const costs = results.map(result => result.cost).filter(cost => cost !== null && cost !== undefined);
+      return {
+        runId: run.id,
+        passed: stats.passed,
+        completed: stats.completed,
+        errors: stats.errors,
+        passRate: stats.passRate,
+        ci: stats.ci,
+        latency: stats.latency,
+        cost: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null
+      };
+    });
+
+    // Trial numbers don't pair up across runs, so only the pass rate can show a regression
+    const hasTrials = runs.some(run => (run.config?.trials || 1) > 1);
+    const [base] = summaries;
+    const deltas = summaries.map((summary, index) => {
+      if (index === 0 || !summary || !base) {
+        return summary;
+      }
+      const passRateDelta = summary.passRate - base.passRate;
+      const latencyDelta = summary.latency.mean - base.latency.mean;
+      // The confidence intervals no longer overlap, so the drop is unlikely to be noise
+      const significant = passRateDelta < 0 && summary.ci.upper < base.ci.lower;
+      return {
+        ...summary,
+        passRateDelta,
+        latencyDelta,
+        regression: hasTrials ? significant : passRateDelta < 0,
+        significant,
+        latencyRegression: latencyDelta >= LATENCY_REGRESSION_MIN_MS && summary.latency.mean > base.latency.mean * LATENCY_REGRESSION_RATIO
+      };
+    });
+
+    const changes = RunComparison.pairResults(modelId, runs)
+      .map(change => (hasTrials ? { ...change, regression: false } : change));
+    return {
+      modelId,
+      runs: deltas,
+      regression: deltas.some(summary => summary?.regression) || changes.some(change => change.regression),
+      latencyRegression: deltas.some(summary => summary?.latencyRegression),
+      changes
+    };
+  }
+
+  // Where a result sits in its run: the sweep cell, the trial, or the single call
+  static resultKey(result) {
+    const details = result.details || {};
+    if (details.contextLength !== undefined) {
+      return { key: `${details.contextLength}:${details.depth}`, label: `${details.contextLength.toLocaleString()} tokens @ ${details.depth}%` };
+    }
+    if (details.trial !== undefined) {
+      return { key: `trial:${details.trial}`, label: `Trial ${details.trial}` };
+    }
+    return { key: 'response', label: 'Response' };
+  }
+
+  // Pairs each call across runs; only calls whose outcome or answer changed from the baseline are kept
+  static pairResults(modelId, runs) {
+    const slots = new Map();
+    runs.forEach((run, index) => {
+      run.results.filter(result => result.modelId === modelId).forEach(result => {
+        const { key, label } = RunComparison.resultKey(result);
+        if (!slots.has(key)) {
+          slots.set(key, { key, label, results: new Array(runs.length).fill(null) });
+        }
+        slots.get(key).results[index] = result;
+      });
+    });
+
+    return Array.from(slots.values()).map(({ key, label, results }) => {
+      const [base] = results;
+      const outcomes = results.map(result => (result ? RunExporter.outcome(result) : null));
+      const responses = results.map(result => (result ? result.response ?? result.error ?? '' : null));
+      const changed = responses.some((response, index) => index > 0 && response !== null && base && response !== responses[0]);
+      const outcomeChanged = outcomes.some((outcome, index) => index > 0 && outcome !== null && outcome !== outcomes[0]);
+      if (!changed && !outcomeChanged) {
+        return null;
+      }
+      return {
+        key,
+        label,
+        outcomes,
+        responses,
+        diffs: responses.map((response, index) => (index > 0 && response !== null && base ? RunComparison.diffWords(responses[0], response) : null)),
+        regression: outcomes[0] === 'PASS' && outcomes.some((outcome, index) => index > 0 && outcome !== null && outcome !== 'PASS')
+      };
+    }).filter(Boolean);
+  }
+
+  // Word-level diff (longest common subsequence) as [{ type: 'same' | 'added' | 'removed', text }]
+  static diffWords(before, after) {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('same', a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+  }
+}
+
+module.exports = {
+  RunComparison,
+  MAX_COMPARED_RUNS
+};
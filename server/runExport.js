@@ -0,0 +1,294 @@
+// Run export (CSV, JSON, HTML report) for Needle in the Haystack Test
+const { TrialStats } = require('./stats');
+const { PromptTemplates } = require('./promptTemplates');
+
+const EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+const CSV_COLUMNS = [
+  'run_id', 'run_type', 'model_id', 'trial', 'context_length', 'depth', 'actual_depth', 'outcome', 'found_needle', 'needles_found',
+  'grade_mode', 'grade_score', 'response_time_ms', 'time_to_first_token_ms', 'input_tokens', 'output_tokens', 'cost_usd',
+  'finish_reason', 'request_id', 'prompt_template', 'temperature', 'max_tokens', 'error', 'response'
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function csvCell(value, text = false) {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  if (text && FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+const formatCost = cost => (cost === null || cost === undefined ? 'n/a' : cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`);
+const formatPercent = rate => `${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Turns a stored run (RunStore.getRun) into shareable files: CSV with one row
+ * per model call (trial or sweep cell), the full JSON record with the prompt
+ * and raw responses, and a single-file HTML report - summary table, sweep
+ * heatmaps and every response - with inline styles and no external assets,
+ * so it can be attached to a PR or emailed.
+ */
+class RunExporter {
+  static export(run, format) {
+    const id = run.id.slice(0, 8);
+    switch (format) {
+      case 'csv':
+        return { body: RunExporter.toCsv(run), contentType: 'text/csv; charset=utf-8', filename: `hay-run-${id}.csv` };
+      case 'json':
+        return { body: RunExporter.toJson(run), contentType: 'application/json; charset=utf-8', filename: `hay-run-${id}.json` };
+      case 'html':
+        return { body: RunExporter.toHtml(run), contentType: 'text/html; charset=utf-8', filename: `hay-run-${id}.html` };
+      default:
+        throw new Error(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+
+  // PASS, FAIL, DISTRACTED, ERROR, SKIPPED or CANCELLED
+  static outcome(result) {
+    if (result.details?.cancelled) return 'CANCELLED';
+    if (result.details?.skipped) return 'SKIPPED';
+    if (result.error) return 'ERROR';
+    if (result.foundNeedle) return 'PASS';
+    return result.details?.distracted ? 'DISTRACTED' : 'FAIL';
+  }
+
+  // The template the run was sent with; runs from before templates used the default prompt
+  static promptTemplate(run) {
+    return run.config?.promptTemplate || PromptTemplates.resolve();
+  }
+
+  static toCsv(run) {
+    const rows = run.results.map(result => {
+      const details = result.details || {};
+      const needles = details.needles;
+      return [
+        csvCell(run.id),
+        csvCell(run.type),
+        csvCell(result.modelId),
+        csvCell(details.trial),
+        csvCell(details.contextLength),
+        csvCell(details.depth),
+        csvCell(details.actualDepth),
+        csvCell(RunExporter.outcome(result)),
+        csvCell(result.foundNeedle),
+        csvCell(needles ? `${needles.filter(score => score.found).length}/${needles.length}` : null),
+        csvCell(details.grade?.mode || run.config?.grading?.mode || 'exact'),
+        csvCell(details.grade?.score),
+        csvCell(result.responseTime),
+        csvCell(result.timeToFirstToken),
+        csvCell(result.usage?.inputTokens),
+        csvCell(result.usage?.outputTokens),
+        csvCell(result.cost),
+        csvCell(details.finishReason),
+        csvCell(details.requestId),
+        csvCell(details.promptTemplate || RunExporter.promptTemplate(run).id),
+        csvCell(result.modelConfig?.temperature),
+        csvCell(result.modelConfig?.maxTokens),
+        csvCell(result.error, true),
+        csvCell(result.response, true)
+      ].join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  // The stored run as-is, plus the prompt with the question filled in; {haystack} stands for the
+  // `haystack` field, with any planted needles and distractors described in `config`
+  static toJson(run) {
+    const template = RunExporter.promptTemplate(run);
+    const { system, user } = PromptTemplates.render(template, run.needle, '{haystack}');
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      ...run,
+      prompt: { template: template.id, system, user },
+      summary: RunExporter.summarize(run)
+    }, null, 2);
+  }
+
+  // Per-model pass rate, latency, tokens and cost, in the order models were configured
+  static summarize(run) {
+    const modelIds = Array.from(new Set([
+      ...(run.config?.models || []).map(model => model.modelId),
+      ...run.results.map(result => result.modelId)
+    ]));
+
+    return modelIds.map(modelId => {
+      const results = run.results.filter(result => result.modelId === modelId);
+      const stats = TrialStats.summarize(results.map(result => ({ ...result, distracted: result.details?.distracted })));
+      const costs = results.map(result => result.cost).filter(cost => cost !== null && cost !== undefined);
+      return {
+        modelId,
+        ...stats,
+        inputTokens: results.reduce((sum, result) => sum + (result.usage?.inputTokens || 0), 0),
+        outputTokens: results.reduce((sum, result) => sum + (result.usage?.outputTokens || 0), 0),
+        cost: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null
+      };
+    });
+  }
+
+  static toHtml(run) {
+    const template = RunExporter.promptTemplate(run);
+    const summary = RunExporter.summarize(run);
+    const showDistracted = summary.some(row => row.distracted > 0);
+
+    const facts = [
+      ['Run', run.id],
+      ['Type', run.type],
+      ['Status', run.status],
+      ['Started', run.startedAt],
+      ['Completed', run.completedAt || '-'],
+      ['Question', run.needle],
+      ['Exact match', run.exactMatch],
+      ['Haystack', `${run.haystackLength.toLocaleString()} characters (sha256 ${run.haystackHash.slice(0, 12)})`],
+      ['Prompt template', `${template.name} (${template.id})`],
+      ...(run.config?.corpus ? [['Corpus', `${run.config.corpus.ids.join(' + ')} from character ${run.config.corpus.range.start}`]] : []),
+      ...(run.config?.trials > 1 ? [['Trials', run.config.trials]] : []),
+      ...(run.config?.grading ? [['Grading', run.config.grading.mode]] : [])
+    ];
+
+    const summaryRows = summary.map(row => `
+      <tr>
+        <td>${escapeHtml(row.modelId)}</td>
+        <td>${row.passed}/${row.completed}</td>
+        ${showDistracted ? `<td>${row.distracted}</td>` : ''}
+        <td class="${row.passRate >= 1 ? 'pass' : row.passRate > 0 ? 'partial' : 'fail'}">${formatPercent(row.passRate)}</td>
+        <td>${(row.ci.lower * 100).toFixed(0)}-${(row.ci.upper * 100).toFixed(0)}%</td>
+        <td>${row.latency.mean}ms</td>
+        <td>${row.latency.p95}ms</td>
+        <td>${row.errors}</td>
+        <td>${row.inputTokens.toLocaleString()} / ${row.outputTokens.toLocaleString()}</td>
+        <td>${formatCost(row.cost)}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Hay is for LLMs - ${escapeHtml(run.needle)}</title>
+<style>
+  body { font-family: 'Courier New', monospace; background: #f5f0e1; color: #3e2a14; margin: 0 auto; max-width: 1100px; padding: 20px; }
+  h1, h2, h3 { color: #2f5d2a; }
+  section { border: 3px solid #5a3e1b; background: #efe6cf; padding: 12px 16px; margin-bottom: 20px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { border: 1px solid #5a3e1b; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #e0d3b0; }
+  .pass { background: #b9dfa6; }
+  .partial { background: #f3dc8e; }
+  .fail { background: #f0b3a8; }
+  .none { background: #ddd; }
+  .heatmap td { text-align: center; min-width: 48px; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f5f0e1; border: 1px solid #5a3e1b; padding: 8px; margin: 6px 0; }
+  details { margin-bottom: 8px; }
+  summary { cursor: pointer; }
+  .muted { opacity: 0.7; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>🌾 Hay is for LLMs - run report</h1>
+<section>
+  <table>${facts.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+  <h3>Prompt</h3>
+  ${template.system ? `<div class="muted">SYSTEM</div><pre>${escapeHtml(template.system)}</pre>` : ''}
+  <div class="muted">USER</div><pre>${escapeHtml(template.user)}</pre>
+</section>
+<section>
+  <h2>Summary</h2>
+  <table>
+    <tr><th>Model</th><th>Found</th>${showDistracted ? '<th>Distracted</th>' : ''}<th>Pass rate</th><th>95% CI</th><th>Avg time</th><th>p95 time</th><th>Errors</th><th>Tokens in / out</th><th>Cost</th></tr>
+    ${summaryRows}
+  </table>
+</section>
+${run.type === 'sweep' ? RunExporter.heatmapsHtml(run, summary) : ''}
+${run.type === 'multi' ? RunExporter.needlesHtml(run, summary) : ''}
+<section>
+  <h2>Responses</h2>
+  ${summary.map(row => RunExporter.responsesHtml(run, row.modelId)).join('')}
+</section>
+<p class="muted">Exported ${escapeHtml(new Date().toISOString())} from Hay is for LLMs.</p>
+</body>
+</html>
+`;
+  }
+
+  // One depth × context-length grid per model, coloured by outcome
+  static heatmapsHtml(run, summary) {
+    const { contextLengths = [], depths = [] } = run.config?.sweep || {};
+    const grids = summary.map(({ modelId }) => {
+      const cells = run.results.filter(result => result.modelId === modelId);
+      const rows = depths.map(depth => `
+        <tr><th>${depth}%</th>${contextLengths.map(contextLength => {
+          const cell = cells.find(result => result.details?.depth === depth && result.details?.contextLength === contextLength);
+          const outcome = cell ? RunExporter.outcome(cell) : null;
+          const style = outcome === 'PASS' ? 'pass' : outcome === 'FAIL' || outcome === 'DISTRACTED' ? 'fail' : 'none';
+          return `<td class="${style}" title="${escapeHtml(cell ? cell.response || cell.error || '' : 'not run')}">${outcome === 'PASS' ? '✓' : outcome ? outcome.charAt(0) : '-'}</td>`;
+        }).join('')}</tr>`).join('');
+      return `
+  <h3>${escapeHtml(modelId)}</h3>
+  <table class="heatmap">
+    <tr><th>Depth \\ Tokens</th>${contextLengths.map(length => `<th>${length.toLocaleString()}</th>`).join('')}</tr>
+    ${rows}
+  </table>`;
+    }).join('');
+
+    return `<section>
+  <h2>Depth × context-length heatmaps</h2>
+  <p class="muted">✓ found • F not found • D distracted • E error • S skipped (exceeds context) • C cancelled</p>${grids}
+</section>`;
+  }
+
+  // Which facts each model recalled in a multi-needle run
+  static needlesHtml(run, summary) {
+    const facts = run.config?.facts || [];
+    const rows = summary.map(({ modelId }) => {
+      const scored = run.results.filter(result => result.modelId === modelId && result.details?.needles);
+      return `<tr><td>${escapeHtml(modelId)}</td>${facts.map(fact => {
+        const found = scored.filter(result => result.details.needles.find(score => score.fact === fact.fact)?.found).length;
+        const rate = scored.length > 0 ? found / scored.length : 0;
+        return `<td class="${scored.length === 0 ? 'none' : rate >= 1 ? 'pass' : rate > 0 ? 'partial' : 'fail'}">${found}/${scored.length}</td>`;
+      }).join('')}</tr>`;
+    }).join('');
+
+    return `<section>
+  <h2>Needle recall</h2>
+  <table>
+    <tr><th>Model</th>${facts.map(fact => `<th title="${escapeHtml(fact.fact)}">${escapeHtml(fact.exactMatch)}</th>`).join('')}</tr>
+    ${rows}
+  </table>
+</section>`;
+  }
+
+  static responsesHtml(run, modelId) {
+    const results = run.results.filter(result => result.modelId === modelId);
+    const entries = results.map(result => {
+      const details = result.details || {};
+      const label = [
+        details.trial && `Trial ${details.trial}`,
+        details.contextLength && `${details.contextLength.toLocaleString()} tokens`,
+        details.depth !== undefined && details.contextLength && `${details.depth}% depth`,
+        RunExporter.outcome(result),
+        `${result.responseTime}ms`,
+        result.cost !== null && result.cost !== undefined && formatCost(result.cost)
+      ].filter(Boolean).join(' • ');
+      return `<details><summary>${escapeHtml(label)}</summary>
+    ${details.grade?.rationale ? `<div class="muted">Grader: ${escapeHtml(details.grade.rationale)}</div>` : ''}
+    <pre>${escapeHtml(result.response ?? result.error ?? '')}</pre></details>`;
+    }).join('');
+
+    return `<h3>${escapeHtml(modelId)}</h3>${entries || '<p class="muted">No responses</p>'}`;
+  }
+}
+
+module.exports = {
+  RunExporter,
+  EXPORT_FORMATS
+};
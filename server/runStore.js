@@ -0,0 +1,383 @@
+// Persistent test-run history for Needle in the Haystack Test
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_PATH = path.join(__dirname, 'data', 'runs.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS haystacks (
+    hash TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    length INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    user_id TEXT,
+    haystack_hash TEXT NOT NULL REFERENCES haystacks(hash),
+    needle TEXT NOT NULL,
+    exact_match TEXT NOT NULL,
+    config TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS run_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id TEXT NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    model_id TEXT NOT NULL,
+    model_config TEXT NOT NULL,
+    response TEXT,
+    found_needle INTEGER NOT NULL DEFAULT 0,
+    response_time INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    details TEXT,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    cost REAL,
+    time_to_first_token INTEGER,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS suites (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    cases TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS suite_runs (
+    id TEXT PRIMARY KEY,
+    suite_id TEXT NOT NULL REFERENCES suites(id) ON DELETE CASCADE,
+    user_id TEXT,
+    config TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_run_results_run_id ON run_results(run_id);
+  CREATE INDEX IF NOT EXISTS idx_runs_started_at ON runs(started_at);
+  CREATE INDEX IF NOT EXISTS idx_suite_runs_suite_id ON suite_runs(suite_id);
+`;
+
+// Columns added after the first release; older databases are upgraded in place
+const COLUMN_MIGRATIONS = [
+  { table: 'run_results', column: 'input_tokens', type: 'INTEGER' },
+  { table: 'run_results', column: 'output_tokens', type: 'INTEGER' },
+  { table: 'run_results', column: 'cost', type: 'REAL' },
+  { table: 'run_results', column: 'time_to_first_token', type: 'INTEGER' },
+  // Set on the run of each case when a suite is run
+  { table: 'runs', column: 'suite_run_id', type: 'TEXT' }
+];
+
+function hashHaystack(haystack) {
+  return crypto.createHash('sha256').update(haystack).digest('hex');
+}
+
+function parseJson(value, fallback = null) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * SQLite-backed store for needle test runs and their per-model results
+ */
+class RunStore {
+  constructor(dbPath = process.env.RUN_STORE_PATH || DEFAULT_DB_PATH) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.migrate();
+
+    console.log(`🗄️  Run store ready at: ${dbPath}`);
+  }
+
+  migrate() {
+    COLUMN_MIGRATIONS.forEach(({ table, column, type }) => {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    });
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_runs_suite_run_id ON runs(suite_run_id)');
+
+    // Case runs left behind by suites deleted before they took their runs with them
+    this.db.prepare('SELECT id FROM runs WHERE suite_run_id IS NOT NULL AND suite_run_id NOT IN (SELECT id FROM suite_runs)')
+      .all()
+      .forEach(({ id }) => this.deleteRun(id));
+  }
+
+  createRun({ id, type = 'single', userId, haystack, needle, exactMatch, config = {}, suiteRunId = null }) {
+    const haystackHash = hashHaystack(haystack);
+
+    this.db.prepare('INSERT OR IGNORE INTO haystacks (hash, content, length) VALUES (?, ?, ?)')
+      .run(haystackHash, haystack, haystack.length);
+
+    this.db.prepare(`
+      INSERT INTO runs (id, type, user_id, haystack_hash, needle, exact_match, config, status, started_at, suite_run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'running', ?, ?)
+    `).run(id, type, userId || null, haystackHash, needle, exactMatch, JSON.stringify(config), new Date().toISOString(), suiteRunId);
+
+    return id;
+  }
+
+  addResult(runId, { modelId, modelConfig = {}, response, foundNeedle, responseTime, timeToFirstToken, error, details, usage, cost }) {
+    this.db.prepare(`
+      INSERT INTO run_results (run_id, model_id, model_config, response, found_needle, response_time, error, details,
+        input_tokens, output_tokens, cost, time_to_first_token, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      runId,
+      modelId,
+      JSON.stringify(modelConfig),
+      response ?? null,
+      foundNeedle ? 1 : 0,
+      Math.round(responseTime || 0),
+      error || null,
+      details ? JSON.stringify(details) : null,
+      usage ? usage.inputTokens : null,
+      usage ? usage.outputTokens : null,
+      cost ?? null,
+      timeToFirstToken ?? null,
+      new Date().toISOString()
+    );
+  }
+
+  completeRun(runId, status = 'complete') {
+    this.db.prepare('UPDATE runs SET status = ?, completed_at = ? WHERE id = ?')
+      .run(status, new Date().toISOString(), runId);
+  }
+
+  // Suite case runs are left out; they are reached through their suite run
+  listRuns({ limit = 50, offset = 0 } = {}) {
+    const rows = this.db.prepare(`
+      SELECT runs.*, haystacks.length AS haystack_length,
+        COUNT(run_results.id) AS result_count,
+        COUNT(DISTINCT run_results.model_id) AS model_count,
+        COALESCE(SUM(run_results.found_needle), 0) AS pass_count,
+        SUM(run_results.cost) AS total_cost
+      FROM runs
+      JOIN haystacks ON haystacks.hash = runs.haystack_hash
+      LEFT JOIN run_results ON run_results.run_id = runs.id
+      WHERE runs.suite_run_id IS NULL
+      GROUP BY runs.id
+      ORDER BY runs.started_at DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+
+    return rows.map(row => this.formatRun(row));
+  }
+
+  getRun(runId) {
+    const row = this.db.prepare(`
+      SELECT runs.*, haystacks.length AS haystack_length, haystacks.content AS haystack
+      FROM runs
+      JOIN haystacks ON haystacks.hash = runs.haystack_hash
+      WHERE runs.id = ?
+    `).get(runId);
+
+    if (!row) {
+      return null;
+    }
+
+    const results = this.db.prepare('SELECT * FROM run_results WHERE run_id = ? ORDER BY id')
+      .all(runId)
+      .map(result => ({
+        modelId: result.model_id,
+        modelConfig: parseJson(result.model_config, {}),
+        response: result.response,
+        foundNeedle: result.found_needle === 1,
+        responseTime: result.response_time,
+        timeToFirstToken: result.time_to_first_token,
+        error: result.error,
+        details: parseJson(result.details),
+        usage: result.input_tokens === null ? null : { inputTokens: result.input_tokens, outputTokens: result.output_tokens },
+        cost: result.cost,
+        timestamp: result.created_at
+      }));
+
+    return {
+      ...this.formatRun(row),
+      haystack: row.haystack,
+      results
+    };
+  }
+
+  deleteRun(runId) {
+    const deleted = this.db.transaction(() => {
+      const run = this.db.prepare('SELECT haystack_hash FROM runs WHERE id = ?').get(runId);
+      if (!run) return false;
+
+      this.db.prepare('DELETE FROM runs WHERE id = ?').run(runId);
+      // Drop the haystack once no run references it any more
+      this.db.prepare('DELETE FROM haystacks WHERE hash = ? AND NOT EXISTS (SELECT 1 FROM runs WHERE haystack_hash = ?)')
+        .run(run.haystack_hash, run.haystack_hash);
+      return true;
+    })();
+
+    return deleted;
+  }
+
+  saveSuite({ id, name, description, cases }) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO suites (id, name, description, cases, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, description = excluded.description, cases = excluded.cases, updated_at = excluded.updated_at
+    `).run(id, name, description || null, JSON.stringify(cases), now, now);
+    return this.getSuite(id);
+  }
+
+  listSuites() {
+    return this.db.prepare(`
+      SELECT suites.id, suites.name, suites.description, suites.cases, suites.created_at, suites.updated_at,
+        COUNT(suite_runs.id) AS run_count, MAX(suite_runs.started_at) AS last_run_at
+      FROM suites
+      LEFT JOIN suite_runs ON suite_runs.suite_id = suites.id
+      GROUP BY suites.id
+      ORDER BY suites.updated_at DESC
+    `).all().map(row => {
+      const { cases, ...suite } = this.formatSuite(row);
+      return {
+        ...suite,
+        caseCount: cases.length,
+        tags: Array.from(new Set(cases.flatMap(entry => entry.tags || []))).sort(),
+        runCount: row.run_count,
+        lastRunAt: row.last_run_at
+      };
+    });
+  }
+
+  getSuite(suiteId) {
+    const row = this.db.prepare('SELECT * FROM suites WHERE id = ?').get(suiteId);
+    return row ? this.formatSuite(row) : null;
+  }
+
+  // Case runs are hidden from the run list, so they go with their suite
+  deleteSuite(suiteId) {
+    return this.db.transaction(() => {
+      const caseRuns = this.db.prepare(`
+        SELECT runs.id FROM runs JOIN suite_runs ON suite_runs.id = runs.suite_run_id WHERE suite_runs.suite_id = ?
+      `).all(suiteId);
+      caseRuns.forEach(({ id }) => this.deleteRun(id));
+      return this.db.prepare('DELETE FROM suites WHERE id = ?').run(suiteId).changes > 0;
+    })();
+  }
+
+  formatSuite(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      cases: parseJson(row.cases, []),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  createSuiteRun({ id, suiteId, userId, config = {} }) {
+    this.db.prepare(`
+      INSERT INTO suite_runs (id, suite_id, user_id, config, status, started_at) VALUES (?, ?, ?, ?, 'running', ?)
+    `).run(id, suiteId, userId || null, JSON.stringify(config), new Date().toISOString());
+    return id;
+  }
+
+  completeSuiteRun(suiteRunId, status = 'complete') {
+    this.db.prepare('UPDATE suite_runs SET status = ?, completed_at = ? WHERE id = ?')
+      .run(status, new Date().toISOString(), suiteRunId);
+  }
+
+  // A suite's runs, newest first, each with the scored results of every case it ran; pass status to keep only e.g. complete runs
+  getSuiteRuns(suiteId, { limit = 20, status = null } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM suite_runs WHERE suite_id = ? AND (? IS NULL OR status = ?) ORDER BY started_at DESC LIMIT ?
+    `).all(suiteId, status, status, limit).map(row => ({
+      id: row.id,
+      suiteId: row.suite_id,
+      config: parseJson(row.config, {}),
+      status: row.status,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      caseRuns: this.getCaseResults(row.id)
+    }));
+  }
+
+  // What a leaderboard scores for each case run of a suite run - outcome, timing, usage and the case's tags -
+  // read without the haystacks, prompts or responses, which can run to millions of characters per case
+  getCaseResults(suiteRunId) {
+    const rows = this.db.prepare(`
+      SELECT runs.id AS run_id, runs.status, json_extract(runs.config, '$.suite.tags') AS tags,
+        run_results.model_id, run_results.found_needle, run_results.response_time, run_results.time_to_first_token,
+        run_results.error, run_results.input_tokens, run_results.output_tokens, run_results.cost,
+        json_extract(run_results.details, '$.distracted') AS distracted
+      FROM runs
+      LEFT JOIN run_results ON run_results.run_id = runs.id
+      WHERE runs.suite_run_id = ?
+      ORDER BY runs.started_at, run_results.id
+    `).all(suiteRunId);
+
+    const caseRuns = new Map();
+    rows.forEach(row => {
+      if (!caseRuns.has(row.run_id)) {
+        caseRuns.set(row.run_id, { id: row.run_id, status: row.status, tags: parseJson(row.tags, []), results: [] });
+      }
+      if (row.model_id === null) return;
+      caseRuns.get(row.run_id).results.push({
+        modelId: row.model_id,
+        foundNeedle: row.found_needle === 1,
+        responseTime: row.response_time,
+        timeToFirstToken: row.time_to_first_token,
+        error: row.error,
+        distracted: row.distracted === 1,
+        usage: row.input_tokens === null ? null : { inputTokens: row.input_tokens, outputTokens: row.output_tokens },
+        cost: row.cost
+      });
+    });
+    return Array.from(caseRuns.values());
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      haystackHash: row.haystack_hash,
+      haystackLength: row.haystack_length,
+      needle: row.needle,
+      exactMatch: row.exact_match,
+      config: parseJson(row.config, {}),
+      status: row.status,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      ...(row.result_count !== undefined && {
+        resultCount: row.result_count,
+        modelCount: row.model_count,
+        passCount: row.pass_count,
+        totalCost: row.total_cost
+      })
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  RunStore,
+  hashHaystack
+};
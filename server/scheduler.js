@@ -0,0 +1,230 @@
+// Per-provider request scheduling for Needle in the Haystack Test
+
+// Defaults sit below the lowest paid tiers; override per provider with <PROVIDER>_MAX_CONCURRENCY / <PROVIDER>_RPM
+const DEFAULT_LIMITS = {
+  openai: { maxConcurrency: 4, requestsPerMinute: 60 },
+  google: { maxConcurrency: 2, requestsPerMinute: 15 },
+  anthropic: { maxConcurrency: 3, requestsPerMinute: 50 },
+  custom: { maxConcurrency: 2, requestsPerMinute: 0 }
+};
+const FALLBACK_LIMITS = { maxConcurrency: 2, requestsPerMinute: 0 };
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const RATE_WINDOW = 60000;
+
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function limitsFor(providerId) {
+  const defaults = DEFAULT_LIMITS[providerId] || FALLBACK_LIMITS;
+  const prefix = providerId.toUpperCase();
+  return {
+    maxConcurrency: Math.max(1, readLimit(`${prefix}_MAX_CONCURRENCY`, defaults.maxConcurrency)),
+    requestsPerMinute: readLimit(`${prefix}_RPM`, defaults.requestsPerMinute)
+  };
+}
+
+// The SDKs expose status and headers differently; adapters may also wrap the SDK error
+function errorStatus(error) {
+  return error.status ?? error.originalError?.status ?? null;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+// Server-requested wait in ms: Retry-After (seconds or HTTP date) or Gemini's RetryInfo detail
+function retryAfterMs(error) {
+  const headers = error.headers || error.originalError?.headers;
+  const retryAfter = headerValue(headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const details = error.errorDetails || error.originalError?.errorDetails;
+  const retryInfo = Array.isArray(details) && details.find(detail => detail['@type']?.includes('RetryInfo'));
+  if (retryInfo && retryInfo.retryDelay) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+  }
+  return null;
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'NETWORK_ERROR'].includes(error.code);
+}
+
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Queues provider requests so each provider stays under its concurrency and
+ * requests-per-minute limits, and retries rate limits (429) and server errors
+ * (5xx) with jittered exponential backoff, honouring Retry-After when sent.
+ *
+ * Progress is reported through `onStatus` as { state: 'queued', position },
+ * { state: 'running', attempt } or { state: 'retrying', attempt, maxRetries, delayMs, reason }.
+ */
+class ProviderScheduler {
+  constructor({ maxRetries = readLimit('PROVIDER_MAX_RETRIES', DEFAULT_MAX_RETRIES) } = {}) {
+    this.maxRetries = maxRetries;
+    this.lanes = new Map();
+  }
+
+  lane(providerId) {
+    if (!this.lanes.has(providerId)) {
+      const limits = limitsFor(providerId);
+      console.log(`🚦 ${providerId} limits: ${limits.maxConcurrency} concurrent, ${limits.requestsPerMinute || 'unlimited'} requests/min`);
+      this.lanes.set(providerId, { limits, active: 0, queue: [], starts: [], timer: null });
+    }
+    return this.lanes.get(providerId);
+  }
+
+  // Run task(attempt) once a slot is free, retrying retryable failures; resolves to { result, attempts, queueTime }
+  async schedule(providerId, task, { signal, onStatus } = {}) {
+    const report = status => onStatus && onStatus(status);
+    let queueTime = 0;
+
+    for (let attempt = 1; ; attempt++) {
+      const waitStart = Date.now();
+      await this.acquire(providerId, signal, report, attempt > 1);
+      queueTime += Date.now() - waitStart;
+      report({ state: 'running', attempt });
+
+      let error;
+      try {
+        const result = await task(attempt);
+        return { result, attempts: attempt, queueTime };
+      } catch (caught) {
+        error = caught;
+      } finally {
+        // The slot is given back before any backoff so other requests keep flowing
+        this.release(providerId);
+      }
+
+      if ((signal && signal.aborted) || attempt > this.maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const requested = retryAfterMs(error);
+      // Full jitter keeps parallel callers from retrying in lockstep
+      const backoff = Math.random() * Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (attempt - 1));
+      const delayMs = Math.round(Math.min(MAX_RETRY_DELAY, requested !== null ? requested : backoff));
+      const reason = errorStatus(error) ? `HTTP ${errorStatus(error)}` : error.code || 'network error';
+
+      console.log(`🔁 ${providerId} request failed (${reason}), retry ${attempt}/${this.maxRetries} in ${delayMs}ms`);
+      report({ state: 'retrying', attempt, maxRetries: this.maxRetries, delayMs, reason });
+      await abortableDelay(delayMs, signal);
+    }
+  }
+
+  // Wait for a concurrency slot and room in the per-minute window; retries jump the queue
+  acquire(providerId, signal, report, priority) {
+    const lane = this.lane(providerId);
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, report, signal, onAbort: null, position: null };
+      if (signal) {
+        if (signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+        entry.onAbort = () => {
+          lane.queue = lane.queue.filter(queued => queued !== entry);
+          this.reportPositions(lane);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      if (priority) {
+        lane.queue.unshift(entry);
+      } else {
+        lane.queue.push(entry);
+      }
+      this.drain(lane);
+      this.reportPositions(lane);
+    });
+  }
+
+  release(providerId) {
+    const lane = this.lane(providerId);
+    lane.active--;
+    this.drain(lane);
+  }
+
+  drain(lane) {
+    const { maxConcurrency, requestsPerMinute } = lane.limits;
+    let started = false;
+
+    while (lane.queue.length > 0 && lane.active < maxConcurrency) {
+      if (requestsPerMinute > 0) {
+        const now = Date.now();
+        lane.starts = lane.starts.filter(time => now - time < RATE_WINDOW);
+        if (lane.starts.length >= requestsPerMinute) {
+          // Come back when the oldest request leaves the window
+          if (!lane.timer) {
+            lane.timer = setTimeout(() => {
+              lane.timer = null;
+              this.drain(lane);
+            }, RATE_WINDOW - (now - lane.starts[0]));
+          }
+          break;
+        }
+        lane.starts.push(now);
+      }
+
+      const entry = lane.queue.shift();
+      if (entry.signal && entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      lane.active++;
+      started = true;
+      entry.resolve();
+    }
+
+    if (started) {
+      this.reportPositions(lane);
+    }
+  }
+
+  // Only entries whose place in line changed are told about it
+  reportPositions(lane) {
+    lane.queue.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        entry.report({ state: 'queued', position: entry.position });
+      }
+    });
+  }
+}
+
+module.exports = {
+  ProviderScheduler,
+  DEFAULT_LIMITS
+};
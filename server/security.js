@@ -1,5 +1,6 @@
 // Security utilities for Needle in the Haystack Test
 const crypto = require('crypto');
+const { registry } = require('./providers');
 
 // Rate limiting storage (in-memory for simplicity)
 const rateLimitStore = new Map();
@@ -47,6 +48,9 @@ class InputValidator {
           throw new Error('Invalid Anthropic API key format');
         }
         break;
+      case 'custom':
+        // Self-hosted servers use arbitrary key formats
+        break;
       default:
         throw new Error('Unknown API provider');
     }
@@ -62,15 +66,8 @@ class InputValidator {
     return num;
   }
   
-  static validateModelId(modelId) {
-    const allowedModels = [
-      'gpt-4', 'gpt-4-turbo', 'gpt-4o-mini', 'gpt-3.5-turbo',
-      'gemini-2.5-pro', 'gemini-2.0-flash', 'gemini-2.0-flash-lite',
-      'gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-1.0-pro',
-      'claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku', 'claude-instant'
-    ];
-    
-    if (!allowedModels.includes(modelId)) {
+  static validateModelId(modelId, userId) {
+    if (!registry.getModel(modelId, userId)) {
       throw new Error(`Invalid model ID: ${modelId}`);
     }
     
@@ -0,0 +1,95 @@
+// Trial statistics for repeated needle tests
+const DEFAULT_Z = 1.96; // 95% confidence
+const MAX_TRIALS = 50;
+const TRIAL_CONCURRENCY = 3;
+
+/**
+ * Summaries for a model's repeated trials: pass rate with a Wilson score
+ * interval (well-behaved for small N and rates near 0 or 1) and latency
+ * percentiles.
+ */
+class TrialStats {
+  static wilsonInterval(successes, total, z = DEFAULT_Z) {
+    if (total === 0) {
+      return { lower: 0, upper: 0 };
+    }
+
+    const p = successes / total;
+    const z2 = z * z;
+    const denominator = 1 + z2 / total;
+    const center = (p + z2 / (2 * total)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) / denominator;
+
+    return {
+      lower: Math.max(0, center - margin),
+      upper: Math.min(1, center + margin)
+    };
+  }
+
+  // Nearest-rank percentile
+  static percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+  }
+
+  // Errored trials count towards `errors`, not towards the pass rate; `distracted` counts the
+  // failed trials that gave a distractor's value instead of the real answer
+  static summarize(trials) {
+    const completed = trials.filter(trial => !trial.error);
+    const passed = completed.filter(trial => trial.foundNeedle).length;
+    const latencies = completed.map(trial => trial.responseTime);
+    const firstTokens = completed.map(trial => trial.timeToFirstToken).filter(value => value !== null && value !== undefined);
+
+    return {
+      count: trials.length,
+      completed: completed.length,
+      passed,
+      distracted: completed.filter(trial => trial.distracted).length,
+      errors: trials.length - completed.length,
+      passRate: completed.length > 0 ? passed / completed.length : 0,
+      ci: TrialStats.wilsonInterval(passed, completed.length),
+      latency: {
+        mean: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : 0,
+        p50: TrialStats.percentile(latencies, 50),
+        p95: TrialStats.percentile(latencies, 95)
+      },
+      firstToken: firstTokens.length > 0 ? {
+        p50: TrialStats.percentile(firstTokens, 50),
+        p95: TrialStats.percentile(firstTokens, 95)
+      } : null
+    };
+  }
+
+  static parseTrialCount(value) {
+    const trials = value === undefined || value === null || value === '' ? 1 : Number(value);
+    if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS) {
+      throw new Error(`Trials must be a whole number between 1 and ${MAX_TRIALS}`);
+    }
+    return trials;
+  }
+}
+
+// Run async work over items with at most `limit` in flight, preserving result order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = {
+  TrialStats,
+  mapWithConcurrency,
+  MAX_TRIALS,
+  TRIAL_CONCURRENCY
+};
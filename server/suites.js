@@ -0,0 +1,149 @@
+// Test suites and leaderboards for Needle in the Haystack Test
+const { MAX_SUITE_CASES, MAX_TAGS_PER_CASE, MAX_NAME_LENGTH, MAX_CASE_HAYSTACK_CHARS } = require('@hay/suites');
+const { TrialStats } = require('./stats');
+
+// Tags are short lowercase labels such as "numeric", "date" or "name"
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+  if (normalized.length > MAX_TAGS_PER_CASE) {
+    throw new Error(`at most ${MAX_TAGS_PER_CASE} tags per case`);
+  }
+  const invalid = normalized.find(tag => !/^[a-z0-9][a-z0-9 _-]{0,29}$/.test(tag));
+  if (invalid) {
+    throw new Error(`invalid tag "${invalid}" (letters, numbers, spaces, - and _, up to 30 characters)`);
+  }
+  return normalized;
+}
+
+/**
+ * Named collections of needle cases - each its own haystack (or corpus
+ * selection), question, expected answer and tags - that are run in one go
+ * against the chosen models. Every case is stored as an ordinary run linked
+ * to its suite run, and the leaderboard scores each model on its latest
+ * completed suite run: overall pass rate and pass rate per tag. Cancelled or
+ * interrupted runs never displace a complete one.
+ */
+class TestSuite {
+  static normalize(suite) {
+    const name = String(suite?.name || '').trim();
+    if (!name) {
+      throw new Error('A suite needs a name');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Suite names are limited to ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const cases = Array.isArray(suite.cases) ? suite.cases : [];
+    if (cases.length === 0) {
+      throw new Error('A suite needs at least one case');
+    }
+    if (cases.length > MAX_SUITE_CASES) {
+      throw new Error(`Suites are limited to ${MAX_SUITE_CASES} cases`);
+    }
+
+    const ids = new Set();
+    return {
+      name,
+      description: String(suite.description || '').trim(),
+      cases: cases.map((entry, index) => {
+        let normalized;
+        try {
+          normalized = TestSuite.normalizeCase(entry, index);
+        } catch (error) {
+          throw new Error(`Case ${index + 1}: ${error.message}`);
+        }
+        if (ids.has(normalized.id)) {
+          throw new Error(`Case ${index + 1}: duplicate case id "${normalized.id}"`);
+        }
+        ids.add(normalized.id);
+        return normalized;
+      })
+    };
+  }
+
+  // { id?, name?, haystack | corpus, needle, exactMatch, tags?, insert? }
+  static normalizeCase(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('must be an object');
+    }
+    const haystack = typeof entry.haystack === 'string' ? entry.haystack.trim() : '';
+    const needle = String(entry.needle ?? '').trim();
+    const exactMatch = String(entry.exactMatch ?? '').trim();
+    const missing = [
+      ...(!haystack && !entry.corpus ? ['haystack'] : []),
+      ...(!needle ? ['needle'] : []),
+      ...(!exactMatch ? ['exactMatch'] : [])
+    ];
+    if (missing.length > 0) {
+      throw new Error(`missing ${missing.join(', ')}`);
+    }
+    if (haystack.length > MAX_CASE_HAYSTACK_CHARS) {
+      throw new Error(`haystack is longer than ${MAX_CASE_HAYSTACK_CHARS.toLocaleString()} characters`);
+    }
+
+    return {
+      id: entry.id ? String(entry.id).trim() : `case-${index + 1}`,
+      name: String(entry.name || needle).trim().slice(0, MAX_NAME_LENGTH),
+      ...(haystack && { haystack }),
+      ...(entry.corpus && { corpus: entry.corpus }),
+      needle,
+      exactMatch,
+      tags: normalizeTags(entry.tags),
+      ...(entry.insert && { insert: entry.insert })
+    };
+  }
+
+  // Each model is scored on the most recent completed suite run that included it
+  static leaderboard(suite, suiteRuns) {
+    const latest = new Map();
+    suiteRuns.filter(suiteRun => suiteRun.status === 'complete').forEach(suiteRun => {
+      (suiteRun.config.models || []).forEach(({ modelId }) => {
+        if (!latest.has(modelId)) latest.set(modelId, suiteRun);
+      });
+    });
+
+    const tags = Array.from(new Set(suite.cases.flatMap(entry => entry.tags))).sort();
+    const rows = Array.from(latest, ([modelId, suiteRun]) => {
+      const scored = suiteRun.caseRuns.flatMap(run => run.results
+        .filter(result => result.modelId === modelId)
+        .map(result => ({ ...result, tags: run.tags })));
+      const stats = TrialStats.summarize(scored);
+      // A trialled case passes on a majority of its trials, as it does on the model's card
+      const casesPassed = suiteRun.caseRuns.filter(run => {
+        const summary = TrialStats.summarize(run.results.filter(result => result.modelId === modelId));
+        return summary.completed > 0 && summary.passRate >= 0.5;
+      }).length;
+      const costs = scored.map(result => result.cost).filter(cost => cost !== null && cost !== undefined);
+
+      return {
+        modelId,
+        suiteRunId: suiteRun.id,
+        ranAt: suiteRun.startedAt,
+        status: suiteRun.status,
+        cases: suiteRun.caseRuns.length,
+        casesPassed,
+        passed: stats.passed,
+        completed: stats.completed,
+        errors: stats.errors,
+        passRate: stats.passRate,
+        ci: stats.ci,
+        latency: stats.latency,
+        cost: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null,
+        tags: Object.fromEntries(tags.map(tag => {
+          const tagged = TrialStats.summarize(scored.filter(result => result.tags.includes(tag)));
+          return [tag, tagged.completed > 0 ? { passed: tagged.passed, completed: tagged.completed, passRate: tagged.passRate } : null];
+        }))
+      };
+    });
+
+    // Best pass rate first; faster models win ties
+    rows.sort((a, b) => b.passRate - a.passRate || a.latency.mean - b.latency.mean);
+    return { suiteId: suite.id, name: suite.name, tags, models: rows };
+  }
+}
+
+module.exports = {
+  TestSuite,
+  MAX_SUITE_CASES
+};
@@ -0,0 +1,98 @@
+// Depth × context-length sweep utilities for Needle in the Haystack Test
+const { NeedleInserter, CHARS_PER_TOKEN } = require('./insertion');
+
+const DEFAULT_CONTEXT_LENGTHS = [1000, 2000, 4000, 8000, 16000, 32000, 64000, 128000];
+const DEFAULT_DEPTHS = [0, 25, 50, 75, 100];
+const MAX_SWEEP_CELLS = 200;
+// Characters sent across every cell of a sweep (sum of context lengths × depths)
+const MAX_SWEEP_CHARS = 50000000;
+
+/**
+ * Builds the haystack variants for each cell of a sweep
+ */
+class SweepBuilder {
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  // Every entry must be a number; a typo is an error rather than a silently missing row or column
+  static parseNumberList(value, min, max) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+
+    const entries = list.map(item => (typeof item === 'string' ? item.trim() : item)).filter(item => item !== '');
+    if (entries.length === 0) {
+      throw new Error('Expected a comma-separated list of numbers');
+    }
+
+    const invalid = entries.find(item => (typeof item !== 'number' && typeof item !== 'string') || !Number.isFinite(Number(item)));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid number: "${invalid}" is not a number`);
+    }
+    const numbers = entries.map(Number);
+
+    numbers.forEach(num => {
+      if (num < min || num > max) {
+        throw new Error(`Invalid number: ${num} must be between ${min} and ${max}`);
+      }
+    });
+
+    // Deduplicate and sort so the heatmap axes are stable
+    return [...new Set(numbers)].sort((a, b) => a - b);
+  }
+
+  // Repeat the base haystack until it covers the target length, then cut it down
+  static buildContext(haystack, contextLength, reservedChars = 0) {
+    const targetChars = Math.max(0, contextLength * CHARS_PER_TOKEN - reservedChars);
+    const base = haystack.trim();
+
+    if (!base) {
+      throw new Error('Haystack must not be empty');
+    }
+
+    let context = base;
+    while (context.length < targetChars) {
+      context += `\n\n${base}`;
+    }
+
+    return context.substring(0, targetChars);
+  }
+
+  // Insert the needle sentence at the sentence boundary closest to the target depth;
+  // depth is where it actually landed
+  static insertAtDepth(context, needleSentence, depthPercent) {
+    const { text, offset, depth } = NeedleInserter.insert(context, needleSentence, { unit: 'percent', value: depthPercent });
+    return { text, offset, depth };
+  }
+
+  // The cells of a sweep without their text, so sizes can be checked (and priced) before anything is built
+  static planCells(contextLengths, depths) {
+    const cellCount = contextLengths.length * depths.length;
+    if (cellCount > MAX_SWEEP_CELLS) {
+      throw new Error(`Sweep too large: ${cellCount} cells (maximum ${MAX_SWEEP_CELLS})`);
+    }
+
+    const totalChars = contextLengths.reduce((sum, contextLength) => sum + contextLength * CHARS_PER_TOKEN, 0) * depths.length;
+    if (totalChars > MAX_SWEEP_CHARS) {
+      throw new Error(`Sweep too large: ${totalChars.toLocaleString()} characters across all cells (maximum ${MAX_SWEEP_CHARS.toLocaleString()})`);
+    }
+
+    return contextLengths.flatMap(contextLength => depths.map(depth => ({ contextLength, depth })));
+  }
+
+  // A cell's haystack is built only when the cell runs, so a sweep holds one cell's text at a time per model
+  static buildCell(haystack, needleSentence, { contextLength, depth }) {
+    // Leave room for the needle so the final document stays within the target length
+    const context = SweepBuilder.buildContext(haystack, contextLength, needleSentence.length + 1);
+    const { text, offset, depth: actualDepth } = SweepBuilder.insertAtDepth(context, needleSentence, depth);
+    return { contextLength, depth, actualDepth, haystack: text, needleOffset: offset };
+  }
+}
+
+module.exports = {
+  SweepBuilder,
+  CHARS_PER_TOKEN,
+  DEFAULT_CONTEXT_LENGTHS,
+  DEFAULT_DEPTHS,
+  MAX_SWEEP_CELLS,
+  MAX_SWEEP_CHARS
+};
@@ -0,0 +1,446 @@
+// Auto-generated test content for Needle in the Haystack Test
+const Ajv = require('ajv');
+const { gradeAnswer } = require('@hay/grading');
+const { MultiNeedleBuilder, MAX_NEEDLES } = require('./multiNeedle');
+const { NeedleInserter } = require('./insertion');
+
+const MAX_GENERATION_ATTEMPTS = 3;
+const MAX_GENERATION_TOKENS = 8000;
+// Longer haystacks are planned as an outline and written section by section
+const SINGLE_CALL_MAX_WORDS = 3000;
+const SECTION_WORDS = 1200;
+const MAX_GENERATED_WORDS = 100000;
+// Section calls return free text, so they need a system prompt of their own rather than a provider's chat persona
+const SECTION_SYSTEM_PROMPT = 'You are a writer drafting one section of a document. Reply with the section text only, without a preamble, heading or commentary.';
+
+const DIFFICULTY_LEVELS = {
+  'elementary': 'elementary school level (ages 6-11)',
+  'high-school': 'high school level (ages 14-18)',
+  'undergraduate': 'undergraduate college level',
+  'intermediate': 'intermediate professional level',
+  'advanced': 'advanced professional/graduate level',
+  'expert': 'expert/specialist level',
+  'phd': 'PhD/research level with technical depth'
+};
+
+// Schemas stay within the subset every provider's structured-output mode accepts
+// (no length or count keywords); those rules are checked in checkContent instead
+const text = description => ({ type: 'string', description });
+
+const SINGLE_NEEDLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    haystack: text('The document content, containing the one testable fact'),
+    needle: text('A question asking for that fact'),
+    exactMatch: text('The exact text from the haystack that a correct answer must contain')
+  },
+  required: ['haystack', 'needle', 'exactMatch'],
+  additionalProperties: false
+};
+
+const MULTI_NEEDLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    haystack: text('The document content, without the facts'),
+    needle: text('One question asking for every fact'),
+    facts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          fact: text('A standalone sentence stating one fact'),
+          exactMatch: text('The exact text from that sentence that a correct answer must contain')
+        },
+        required: ['fact', 'exactMatch'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['haystack', 'needle', 'facts'],
+  additionalProperties: false
+};
+
+const OUTLINE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: text('The document title'),
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          heading: text('The section heading'),
+          summary: text('Two or three sentences on what the section covers')
+        },
+        required: ['heading', 'summary'],
+        additionalProperties: false
+      }
+    },
+    needle: text('One question asking for every fact'),
+    facts: MULTI_NEEDLE_SCHEMA.properties.facts
+  },
+  required: ['title', 'sections', 'needle', 'facts'],
+  additionalProperties: false
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = {
+  single: ajv.compile(SINGLE_NEEDLE_SCHEMA),
+  multi: ajv.compile(MULTI_NEEDLE_SCHEMA),
+  outline: ajv.compile(OUTLINE_SCHEMA)
+};
+
+const countWords = content => content.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Asks a model for a haystack, a question and the expected answer using the
+ * provider's structured-output mode, validates the reply against the schema and
+ * retries with the validation errors fed back to the model.
+ *
+ * Haystacks longer than one reply can hold are built in stages: an outline with
+ * the facts, then each section in its own call, then the needle is planted.
+ * `onProgress({ stage, completed, total })` reports each stage as it happens.
+ */
+class TestContentGenerator {
+  constructor(aiManager) {
+    this.aiManager = aiManager;
+  }
+
+  static buildPrompt({ wordCount, difficulty, topic, factCount }) {
+    const level = DIFFICULTY_LEVELS[difficulty] || 'intermediate level';
+
+    if (factCount > 1) {
+      return `Create a multi-needle test with the following specifications:
+
+**Requirements:**
+- Generate approximately ${wordCount} words of content
+- Content should be at ${level}
+- Topic focus: ${topic}
+- Write exactly ${factCount} separate, specific facts that are NOT part of the main content (they will be inserted at different positions later)
+
+Reply with a JSON object with "haystack" (the main document content without the facts), "needle" (one question that asks for all ${factCount} facts) and "facts" (a list of {"fact", "exactMatch"} objects).
+
+**Guidelines:**
+- The haystack should be informative, coherent content about ${topic}
+- Each fact should fit the topic and contain a distinct number, date, name or term
+- Each exactMatch must be copied exactly from its fact sentence, unique and specific enough to avoid false positives
+- The needle should ask for every fact in a single question`;
+    }
+
+    return `Create a needle-in-a-haystack test with the following specifications:
+
+**Requirements:**
+- Generate approximately ${wordCount} words of content
+- Content should be at ${level}
+- Topic focus: ${topic}
+- Include one specific, findable fact that can be tested
+
+Reply with a JSON object with "haystack" (the document content), "needle" (a question about the fact) and "exactMatch" (the text that should appear in correct answers).
+
+**Guidelines:**
+- The haystack should be informative, coherent content about ${topic}
+- Embed one specific fact, number, date, or detail that can be precisely tested
+- The needle should ask for that specific embedded information
+- The exactMatch must be copied exactly from the haystack and be specific enough to avoid false positives (e.g., specific numbers, proper nouns, technical terms)
+
+Create engaging, realistic content that provides a meaningful test of the AI's ability to find specific information within a larger context.`;
+  }
+
+  static buildOutlinePrompt({ wordCount, difficulty, topic, factCount, sectionCount }) {
+    const level = DIFFICULTY_LEVELS[difficulty] || 'intermediate level';
+
+    return `Plan a long document for a needle-in-a-haystack test with the following specifications:
+
+**Requirements:**
+- The document will be about ${wordCount} words, written later section by section
+- Content should be at ${level}
+- Topic focus: ${topic}
+- Plan exactly ${sectionCount} sections
+- Write exactly ${factCount} separate, specific ${factCount > 1 ? 'facts' : 'fact'} that the sections will NOT mention (they will be inserted into the finished document)
+
+Reply with a JSON object with "title", "sections" (a list of {"heading", "summary"} objects in reading order), "needle" (one question that asks for ${factCount > 1 ? `all ${factCount} facts` : 'the fact'}) and "facts" (a list of {"fact", "exactMatch"} objects).
+
+**Guidelines:**
+- Sections should follow on from each other and cover distinct parts of ${topic}
+- Each fact should fit the topic and contain a distinct number, date, name or term
+- Each exactMatch must be copied exactly from its fact sentence, unique and specific enough to avoid false positives`;
+  }
+
+  static buildSectionPrompt({ difficulty, topic, outline, index, wordCount }) {
+    const level = DIFFICULTY_LEVELS[difficulty] || 'intermediate level';
+    const section = outline.sections[index];
+    const contents = outline.sections.map((entry, i) => `${i + 1}. ${entry.heading}${i === index ? ' (this section)' : ''}`).join('\n');
+
+    return `You are writing one section of a long document titled "${outline.title}" about ${topic}, at ${level}.
+
+**Document outline:**
+${contents}
+
+**Write section ${index + 1}: ${section.heading}**
+${section.summary}
+
+Write about ${wordCount} words of plain prose for this section only. Do not repeat the heading, add a conclusion for the whole document or mention these details: ${outline.facts.map(fact => `"${fact.exactMatch}"`).join(', ')}.`;
+  }
+
+  // Native JSON modes return bare JSON; prompt-only models may still wrap it in prose or a code fence
+  static parseJson(reply) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('The reply did not contain a JSON object');
+    }
+    try {
+      return JSON.parse(reply.substring(start, end + 1));
+    } catch (error) {
+      throw new Error(`The reply was not valid JSON: ${error.message}`);
+    }
+  }
+
+  static checkFacts(facts, factCount) {
+    if (facts.length !== factCount) {
+      throw new Error(`"facts" must contain exactly ${factCount} ${factCount > 1 ? 'facts' : 'fact'}, not ${facts.length}`);
+    }
+    // Facts are planted by MultiNeedleBuilder at run time; validate them the same way
+    const normalized = MultiNeedleBuilder.normalizeFacts(facts);
+    normalized.forEach((fact, index) => {
+      if (!gradeAnswer(fact.fact, fact.exactMatch).found) {
+        throw new Error(`Fact ${index + 1} exactMatch "${fact.exactMatch}" does not appear in its fact sentence`);
+      }
+    });
+    return normalized;
+  }
+
+  // Rules the schema cannot express for every provider; returns the cleaned test content
+  static checkContent(data, factCount) {
+    const haystack = data.haystack.trim();
+    const needle = data.needle.trim();
+    if (!haystack || !needle) {
+      throw new Error('"haystack" and "needle" must not be empty');
+    }
+
+    if (factCount > 1) {
+      const facts = TestContentGenerator.checkFacts(data.facts, factCount);
+      return { haystack, needle, exactMatch: facts.map(fact => fact.exactMatch).join(' | '), facts };
+    }
+
+    const exactMatch = data.exactMatch.trim();
+    if (!exactMatch) {
+      throw new Error('"exactMatch" must not be empty');
+    }
+    // The same whole-word check that grades answers, so a generated test can actually be passed
+    if (!gradeAnswer(haystack, exactMatch).found) {
+      throw new Error(`exactMatch "${exactMatch}" does not appear in the haystack; copy it exactly from the text`);
+    }
+    return { haystack, needle, exactMatch };
+  }
+
+  // Parse, schema-validate and check one reply; throws with a message the model can act on
+  static validateReply(reply, factCount) {
+    const data = TestContentGenerator.parseJson(reply);
+    const validate = factCount > 1 ? validators.multi : validators.single;
+    if (!validate(data)) {
+      throw new Error(`The JSON did not match the schema: ${ajv.errorsText(validate.errors, { dataVar: 'reply' })}`);
+    }
+    return TestContentGenerator.checkContent(data, factCount);
+  }
+
+  static validateOutline(reply, factCount, sectionCount) {
+    const data = TestContentGenerator.parseJson(reply);
+    if (!validators.outline(data)) {
+      throw new Error(`The JSON did not match the schema: ${ajv.errorsText(validators.outline.errors, { dataVar: 'reply' })}`);
+    }
+    const sections = data.sections
+      .map(section => ({ heading: section.heading.trim(), summary: section.summary.trim() }))
+      .filter(section => section.heading);
+    if (sections.length < sectionCount) {
+      throw new Error(`"sections" must contain ${sectionCount} sections, not ${sections.length}`);
+    }
+    const needle = data.needle.trim();
+    if (!needle) {
+      throw new Error('"needle" must not be empty');
+    }
+    return {
+      title: data.title.trim() || 'Untitled',
+      sections: sections.slice(0, sectionCount),
+      needle,
+      facts: TestContentGenerator.checkFacts(data.facts, factCount)
+    };
+  }
+
+  // A section must not give away a fact before it is planted
+  static validateSection(reply, heading, facts) {
+    // Models often repeat the heading despite being asked not to
+    const lines = reply.trim().split('\n');
+    const firstLine = lines[0].replace(/^[#*\s]+|[*:\s]+$/g, '');
+    const repeatsHeading = lines[0].startsWith('#') || firstLine.toLowerCase() === heading.toLowerCase();
+    const body = (repeatsHeading ? lines.slice(1) : lines).join('\n').trim();
+    if (!body) {
+      throw new Error('The section was empty');
+    }
+    const leaked = facts.filter(fact => gradeAnswer(body, fact.exactMatch).found);
+    if (leaked.length > 0) {
+      throw new Error(`The section mentions ${leaked.map(fact => `"${fact.exactMatch}"`).join(', ')}, which must not appear in it`);
+    }
+    return body;
+  }
+
+  // One call with feedback-driven retries; validate(reply) returns the accepted value or throws
+  async generateValidated(model, prompt, userId, config, validate, label) {
+    const messages = [{ provider: 'user', content: prompt, role: 'user' }];
+    const format = config.jsonSchema ? 'complete corrected JSON object' : 'complete corrected text';
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+      console.log(`🚀 Generating ${label} with ${model} (attempt ${attempt}/${MAX_GENERATION_ATTEMPTS})...`);
+      const { text: reply } = await this.aiManager.generate(model, messages, userId, config);
+
+      try {
+        return { value: validate(reply), attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        console.log(`⚠️ Generated ${label} rejected: ${error.message}`);
+        // Show the model its reply and what was wrong with it
+        messages.push(
+          { provider: model, content: reply, role: 'ai' },
+          { provider: 'user', content: `That reply was rejected: ${error.message}. Reply again with the ${format} only.`, role: 'user' }
+        );
+      }
+    }
+
+    throw new Error(`Generated ${label} was invalid after ${MAX_GENERATION_ATTEMPTS} attempts: ${lastError.message}`);
+  }
+
+  async generate({ model, wordCount, difficulty, topic, needleCount = 1, signal }, userId, onProgress = () => {}) {
+    const factCount = Math.min(Math.max(parseInt(needleCount) || 1, 1), MAX_NEEDLES);
+    const words = Math.min(Math.max(parseInt(wordCount) || 0, 50), MAX_GENERATED_WORDS);
+    if (words > SINGLE_CALL_MAX_WORDS) {
+      return this.generateChunked({ model, words, difficulty, topic, factCount, signal }, userId, onProgress);
+    }
+
+    onProgress({ stage: 'generating', completed: 0, total: 1 });
+    const config = {
+      temperature: 0.7,
+      // Room for the haystack (about 1.3 tokens per word) plus the question and facts
+      maxTokens: Math.min(MAX_GENERATION_TOKENS, Math.ceil(words * 1.5) + 500 * factCount),
+      jsonSchema: {
+        name: factCount > 1 ? 'multi_needle_test' : 'needle_test',
+        schema: factCount > 1 ? MULTI_NEEDLE_SCHEMA : SINGLE_NEEDLE_SCHEMA
+      },
+      signal
+    };
+
+    const { value: content, attempts } = await this.generateValidated(
+      model,
+      TestContentGenerator.buildPrompt({ wordCount: words, difficulty, topic, factCount }),
+      userId,
+      config,
+      reply => TestContentGenerator.validateReply(reply, factCount),
+      'test content'
+    );
+    const actualWordCount = countWords(content.haystack);
+    console.log(`✅ Generated ${actualWordCount} words (target: ${words}) on attempt ${attempts}`);
+    onProgress({ stage: 'generating', completed: 1, total: 1 });
+    return { ...content, actualWordCount, attempts };
+  }
+
+  async generateChunked({ model, words, difficulty, topic, factCount, signal }, userId, onProgress) {
+    const sectionCount = Math.ceil(words / SECTION_WORDS);
+    const sectionWords = Math.round(words / sectionCount);
+
+    onProgress({ stage: 'outline', completed: 0, total: 1 });
+    const { value: outline, attempts } = await this.generateValidated(
+      model,
+      TestContentGenerator.buildOutlinePrompt({ wordCount: words, difficulty, topic, factCount, sectionCount }),
+      userId,
+      {
+        temperature: 0.7,
+        maxTokens: Math.min(MAX_GENERATION_TOKENS, 120 * sectionCount + 500 * factCount),
+        jsonSchema: { name: 'haystack_outline', schema: OUTLINE_SCHEMA },
+        signal
+      },
+      reply => TestContentGenerator.validateOutline(reply, factCount, sectionCount),
+      'outline'
+    );
+    console.log(`🗂️ Planned "${outline.title}" in ${sectionCount} sections of ~${sectionWords} words`);
+
+    // Sections are requested together; the scheduler keeps them within the provider's limits.
+    // The first failure cancels the rest rather than paying for a haystack that will be thrown away
+    let completed = 0;
+    onProgress({ stage: 'sections', completed, total: sectionCount });
+    const abortController = new AbortController();
+    const abort = () => abortController.abort(signal.reason);
+    if (signal && signal.aborted) {
+      abort();
+    } else if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    let sections;
+    try {
+      sections = await Promise.all(outline.sections.map(async (section, index) => {
+        try {
+          const { value } = await this.generateValidated(
+            model,
+            TestContentGenerator.buildSectionPrompt({ difficulty, topic, outline, index, wordCount: sectionWords }),
+            userId,
+            { temperature: 0.7, maxTokens: Math.ceil(sectionWords * 2), systemPrompt: SECTION_SYSTEM_PROMPT, signal: abortController.signal },
+            reply => TestContentGenerator.validateSection(reply, section.heading, outline.facts),
+            `section ${index + 1}/${sectionCount}`
+          );
+          completed++;
+          onProgress({ stage: 'sections', completed, total: sectionCount });
+          return `${section.heading}\n\n${value}`;
+        } catch (error) {
+          abortController.abort(error);
+          throw error;
+        }
+      }));
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+
+    onProgress({ stage: 'planting', completed: 0, total: 1 });
+    const haystack = `${outline.title}\n\n${sections.join('\n\n')}`;
+    const actualWordCount = countWords(haystack);
+    console.log(`✅ Generated ${actualWordCount} words (target: ${words}) in ${sectionCount} sections`);
+
+    // Multi-needle facts are planted at run time, like the single-call generator's
+    if (factCount > 1) {
+      onProgress({ stage: 'planting', completed: 1, total: 1 });
+      return {
+        haystack,
+        needle: outline.needle,
+        exactMatch: outline.facts.map(fact => fact.exactMatch).join(' | '),
+        facts: outline.facts,
+        actualWordCount,
+        attempts,
+        sections: sectionCount
+      };
+    }
+
+    // Anywhere but the very start or end, so the depth is not a giveaway
+    const [fact] = outline.facts;
+    const depth = Math.round(10 + Math.random() * 80);
+    const placed = NeedleInserter.insert(haystack, fact.fact, depth);
+    console.log(`📍 Planted the generated fact at ${placed.depth}% depth`);
+    onProgress({ stage: 'planting', completed: 1, total: 1 });
+    return {
+      haystack: placed.text,
+      needle: outline.needle,
+      exactMatch: fact.exactMatch,
+      actualWordCount: countWords(placed.text),
+      attempts,
+      sections: sectionCount,
+      needleDepth: placed.depth
+    };
+  }
+}
+
+module.exports = {
+  TestContentGenerator,
+  DIFFICULTY_LEVELS,
+  MAX_GENERATION_ATTEMPTS,
+  SINGLE_CALL_MAX_WORDS,
+  MAX_GENERATED_WORDS
+};
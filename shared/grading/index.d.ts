@@ -0,0 +1,31 @@
+export type GradingMode = 'exact' | 'normalized' | 'regex' | 'fuzzy' | 'judge';
+
+export interface GradingOptions {
+  mode: GradingMode;
+  fuzzyThreshold?: number;
+  judgeModel?: string;
+  passScore?: number;
+}
+
+export interface GradeResult {
+  mode: GradingMode;
+  found: boolean;
+  score?: number;
+}
+
+export const GRADING_MODES: GradingMode[];
+export const DEFAULT_FUZZY_THRESHOLD: number;
+export const DEFAULT_JUDGE_PASS_SCORE: number;
+
+export function validateGrading(grading?: GradingMode | Partial<GradingOptions> | null): GradingOptions;
+export function validatePatterns(grading: GradingOptions, expectedAnswers: string[]): void;
+export function normalizeAnswer(text: string): string;
+export function substringDistance(text: string, needle: string): number;
+export function matchExact(response: string, expected: string): boolean;
+export function gradeAnswer(response: string, expected: string, grading?: GradingOptions): GradeResult;
+export function detectDistractors(
+  response: string,
+  expected: string,
+  distractorValues: string[],
+  grading?: GradingOptions
+): { distracted: boolean; values: string[] };
@@ -0,0 +1,224 @@
+// Answer grading shared by the Needle in the Haystack server and client
+
+const GRADING_MODES = ['exact', 'normalized', 'regex', 'fuzzy', 'judge'];
+const DEFAULT_FUZZY_THRESHOLD = 0.2;
+const DEFAULT_JUDGE_PASS_SCORE = 7;
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALE_WORDS = { hundred: 100, thousand: 1e3, million: 1e6, billion: 1e9 };
+
+// Scripts written without spaces between words have no word edges to check
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Unicode-aware stand-in for \b (which only knows ASCII word characters). A number also
+// continues across "," or "." into more digits, so "15" does not match inside "15,609"
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+function edgeKind(char) {
+  if (UNSPACED_SCRIPT.test(char) || !/[\p{L}\p{N}]/u.test(char)) return 'open';
+  return /\d/.test(char) ? 'number' : 'word';
+}
+
+function wholeWordPattern(target, flags = '') {
+  const start = edgeKind(target[0]);
+  const end = edgeKind(target[target.length - 1]);
+  const before = start === 'open' ? '' : `(?<!${WORD_CHAR}${start === 'number' ? '|\\d[.,]' : ''})`;
+  const after = end === 'open' ? '' : `(?!${WORD_CHAR}${end === 'number' ? '|[.,]\\d' : ''})`;
+  return new RegExp(`${before}${escapeRegex(target)}${after}`, `u${flags}`);
+}
+
+function numberWordKind(value) {
+  if (value < 10) return 'unit';
+  if (value < 20) return 'teen';
+  return 'tens';
+}
+
+// "fifteen thousand six hundred nine" → "15609"; runs like "one two" stay separate numbers
+function wordsToDigits(words) {
+  const output = [];
+  let total = 0;
+  let current = 0;
+  let last = null;
+
+  const flush = () => {
+    if (last !== null) {
+      output.push(String(total + current));
+    }
+    total = 0;
+    current = 0;
+    last = null;
+  };
+
+  words.forEach((word, index) => {
+    if (word in NUMBER_WORDS) {
+      const kind = numberWordKind(NUMBER_WORDS[word]);
+      const continues = last === null || last === 'scale' || (last === 'tens' && kind === 'unit');
+      if (!continues) flush();
+      current += NUMBER_WORDS[word];
+      last = kind;
+    } else if (word in SCALE_WORDS && last !== null) {
+      if (word === 'hundred') {
+        current *= 100;
+      } else {
+        total += current * SCALE_WORDS[word];
+        current = 0;
+      }
+      last = 'scale';
+    } else if (word === 'and' && last !== null && words[index + 1] in NUMBER_WORDS) {
+      // "one hundred and nine"
+    } else {
+      flush();
+      output.push(word);
+    }
+  });
+  flush();
+  return output;
+}
+
+// Lowercase, strip accents and punctuation, unify unicode digits and separators, spell numbers as digits
+function normalizeAnswer(text) {
+  const cleaned = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/(\d)[,\u00a0\u2009\u202f'](?=\d{3}(?!\d))/g, '$1')
+    .replace(/[^\p{L}\p{N}.]+/gu, ' ')
+    .replace(/\.(?!\d)|(?<!\d)\./g, ' ');
+  return wordsToDigits(cleaned.split(/\s+/).filter(Boolean)).join(' ');
+}
+
+// Smallest edit distance between `needle` and any substring of `text`
+function substringDistance(text, needle) {
+  let previous = Array.from({ length: needle.length + 1 }, (_, j) => j);
+  let best = previous[needle.length];
+
+  for (let i = 1; i <= text.length; i++) {
+    const row = [0];
+    for (let j = 1; j <= needle.length; j++) {
+      const substitution = previous[j - 1] + (text[i - 1] === needle[j - 1] ? 0 : 1);
+      row.push(Math.min(substitution, previous[j] + 1, row[j - 1] + 1));
+    }
+    best = Math.min(best, row[needle.length]);
+    previous = row;
+  }
+  return best;
+}
+
+// Fill in defaults and reject unusable settings; accepts a mode name or an options object
+function validateGrading(grading) {
+  const options = typeof grading === 'string' ? { mode: grading } : { ...(grading || {}) };
+  const mode = options.mode || 'exact';
+  if (!GRADING_MODES.includes(mode)) {
+    throw new Error(`Unknown grading mode "${mode}" (use ${GRADING_MODES.join(', ')})`);
+  }
+
+  if (mode === 'fuzzy') {
+    const threshold = Number(options.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD);
+    if (isNaN(threshold) || threshold < 0 || threshold >= 1) {
+      throw new Error('Fuzzy threshold must be between 0 and 1 (share of the expected answer allowed to differ)');
+    }
+    return { mode, fuzzyThreshold: threshold };
+  }
+
+  if (mode === 'judge') {
+    if (!options.judgeModel) {
+      throw new Error('LLM-judge grading requires a grader model');
+    }
+    const passScore = Number(options.passScore ?? DEFAULT_JUDGE_PASS_SCORE);
+    if (isNaN(passScore) || passScore < 0 || passScore > 10) {
+      throw new Error('Judge pass score must be between 0 and 10');
+    }
+    return { mode, judgeModel: options.judgeModel, passScore };
+  }
+
+  return { mode };
+}
+
+// Regex patterns come from the exact match field, so they are checked before a run starts
+function validatePatterns(grading, expectedAnswers) {
+  if (grading.mode !== 'regex') return;
+  expectedAnswers.forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid grading regex "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+// Whole-word, case-insensitive; line breaks and repeated spaces inside a phrase still match
+function matchExact(response, expected) {
+  const collapse = text => text.replace(/\s+/g, ' ').toLowerCase();
+  return wholeWordPattern(collapse(expected), 'i').test(collapse(response));
+}
+
+/**
+ * Grade a response with one of the deterministic modes (everything but
+ * `judge`, which needs a model call and lives on the server). Returns
+ * { mode, found } plus `score` (0-1 similarity) for fuzzy grading.
+ */
+function gradeAnswer(response, expected, grading = { mode: 'exact' }) {
+  const mode = grading.mode || 'exact';
+  const cleanResponse = (response || '').trim();
+  const cleanExpected = (expected || '').trim();
+  if (mode === 'judge') {
+    throw new Error('LLM-judge grades need a grader model and cannot be computed locally');
+  }
+  if (!cleanResponse || !cleanExpected) {
+    return { mode, found: false };
+  }
+
+  if (mode === 'exact') {
+    return { mode, found: matchExact(cleanResponse, cleanExpected) };
+  }
+
+  if (mode === 'regex') {
+    return { mode, found: new RegExp(cleanExpected, 'i').test(cleanResponse) };
+  }
+
+  const target = normalizeAnswer(cleanExpected);
+  if (!target) return { mode, found: false };
+  const normalizedResponse = normalizeAnswer(cleanResponse);
+
+  if (mode === 'fuzzy') {
+    const threshold = grading.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD;
+    const distance = substringDistance(normalizedResponse, target);
+    const score = Math.round(Math.max(0, 1 - distance / target.length) * 100) / 100;
+    return { mode, found: distance <= Math.floor(threshold * target.length), score };
+  }
+
+  return { mode, found: wholeWordPattern(target).test(normalizedResponse) };
+}
+
+/**
+ * Which distractor values a response gives, and whether it gives one of them without
+ * also giving the real answer ("distracted"). Values are spotted with exact matching,
+ * or normalized matching under normalized grading; fuzzy and judge grades would accept
+ * "15608" for "15609", which is exactly the mistake being measured.
+ */
+function detectDistractors(response, expected, distractorValues, grading = { mode: 'exact' }) {
+  const detection = { mode: grading.mode === 'normalized' ? 'normalized' : 'exact' };
+  const values = [...new Set(distractorValues.filter(value => gradeAnswer(response, value, detection).found))];
+  const distracted = values.length > 0 && !gradeAnswer(response, expected, detection).found;
+  return { distracted, values };
+}
+
+module.exports = {
+  GRADING_MODES,
+  DEFAULT_FUZZY_THRESHOLD,
+  DEFAULT_JUDGE_PASS_SCORE,
+  validateGrading,
+  validatePatterns,
+  normalizeAnswer,
+  substringDistance,
+  matchExact,
+  gradeAnswer,
+  detectDistractors
+};
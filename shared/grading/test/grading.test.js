@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateGrading,
+  validatePatterns,
+  normalizeAnswer,
+  substringDistance,
+  gradeAnswer,
+  detectDistractors
+} = require('..');
+
+const found = (response, expected, grading) => gradeAnswer(response, expected, grading).found;
+
+test('exact: matches whole words case-insensitively', () => {
+  assert.equal(found('The code is 15609.', '15609'), true);
+  assert.equal(found('THE VAULT CODE', 'vault code'), true);
+  assert.equal(found('Code: 915609a', '15609'), false);
+  assert.equal(found('hayloft', 'hay'), false);
+});
+
+test('exact: numbers with commas and decimals are not split at the separator', () => {
+  assert.equal(found('The total was 15,609 bales.', '15,609'), true);
+  assert.equal(found('The total was 15,609 bales.', '15'), false);
+  assert.equal(found('The total was 15,609 bales.', '609'), false);
+  assert.equal(found('See FAR 15.609 for details', 'FAR 15.609'), true);
+  assert.equal(found('See FAR 15.6091 for details', 'FAR 15.609'), false);
+  // A sentence-ending period is not a decimal point
+  assert.equal(found('The number is 42.', '42'), true);
+});
+
+test('exact: punctuation next to the match', () => {
+  assert.equal(found('"15609"', '15609'), true);
+  assert.equal(found('(code: 15609)', '15609'), true);
+  assert.equal(found('It is 15609!', '15609'), true);
+  assert.equal(found('Born in the U.S. of A.', 'U.S.'), true);
+  assert.equal(found('Section 3.2.1, paragraph 4', 'Section 3.2.1'), true);
+});
+
+test('exact: multi-word phrases', () => {
+  assert.equal(found('The loft was painted barn red last spring.', 'barn red'), true);
+  assert.equal(found('The loft was painted barn\nred last spring.', 'barn red'), true);
+  assert.equal(found('The barn was red.', 'barn red'), false);
+  assert.equal(found('barn reddish', 'barn red'), false);
+});
+
+test('exact: non-Latin scripts where \\b fails', () => {
+  assert.equal(found('Ответ: Москва.', 'москва'), true);
+  assert.equal(found('Ответ: Москвариум.', 'москва'), false);
+  assert.equal(found('Η απάντηση είναι Αθήνα', 'αθήνα'), true);
+  assert.equal(found('答案是东京。', '东京'), true);
+  assert.equal(found('คำตอบคือกรุงเทพ', 'กรุงเทพ'), true);
+  assert.equal(found('الجواب هو القاهرة', 'القاهرة'), true);
+});
+
+test('exact: empty input never matches', () => {
+  assert.equal(found('', '15609'), false);
+  assert.equal(found('15609', '   '), false);
+  assert.equal(found(null, '15609'), false);
+});
+
+test('normalized: spelled-out numbers, separators and accents', () => {
+  const normalized = { mode: 'normalized' };
+  assert.equal(found('The code is fifteen thousand six hundred nine.', '15609', normalized), true);
+  assert.equal(found('one hundred and nine', '109', normalized), true);
+  assert.equal(found('The total was 15,609.', '15609', normalized), true);
+  assert.equal(found('The total was 15609.', '15,609', normalized), true);
+  assert.equal(found('Le café est noir', 'cafe', normalized), true);
+  assert.equal(found('Ｔｈｅ ｃｏｄｅ １５６０９', '15609', normalized), true);
+  assert.equal(found('Code 915609a', '15609', normalized), false);
+});
+
+test('normalized: digit runs are not merged into one number', () => {
+  assert.equal(normalizeAnswer('one two three'), '1 2 3');
+  assert.equal(normalizeAnswer('twenty one'), '21');
+  assert.equal(normalizeAnswer('nineteen eighty four'), '19 84');
+  assert.equal(normalizeAnswer('Pi is 3.14.'), 'pi is 3.14');
+});
+
+test('regex: case-insensitive patterns', () => {
+  const regex = { mode: 'regex' };
+  assert.equal(found('The code is 15609', '1560\\d', regex), true);
+  assert.equal(found('The code is 15609', '^code', regex), false);
+  assert.throws(() => validatePatterns(regex, ['(']), /Invalid grading regex/);
+  assert.doesNotThrow(() => validatePatterns({ mode: 'exact' }, ['(']));
+});
+
+test('fuzzy: tolerates small differences within the threshold', () => {
+  const fuzzy = { mode: 'fuzzy', fuzzyThreshold: 0.2 };
+  assert.equal(found('The answer is Mississipi', 'Mississippi', fuzzy), true);
+  assert.equal(found('The answer is Texas', 'Mississippi', fuzzy), false);
+  assert.equal(gradeAnswer('The answer is Mississippi', 'Mississippi', fuzzy).score, 1);
+  assert.equal(substringDistance('kitten sitting', 'sitting'), 0);
+  assert.equal(substringDistance('kitten', 'sitting'), 3);
+});
+
+test('validateGrading fills defaults and rejects bad settings', () => {
+  assert.deepEqual(validateGrading(), { mode: 'exact' });
+  assert.deepEqual(validateGrading('normalized'), { mode: 'normalized' });
+  assert.deepEqual(validateGrading({ mode: 'fuzzy' }), { mode: 'fuzzy', fuzzyThreshold: 0.2 });
+  assert.deepEqual(validateGrading({ mode: 'judge', judgeModel: 'gpt-4o-mini' }), { mode: 'judge', judgeModel: 'gpt-4o-mini', passScore: 7 });
+  assert.throws(() => validateGrading('bogus'), /Unknown grading mode/);
+  assert.throws(() => validateGrading({ mode: 'fuzzy', fuzzyThreshold: 2 }), /Fuzzy threshold/);
+  assert.throws(() => validateGrading({ mode: 'judge' }), /grader model/);
+  assert.throws(() => gradeAnswer('15609', '15609', { mode: 'judge' }), /grader model/);
+});
+
+test('distractors: a near-miss value is distracted, not just missing', () => {
+  assert.deepEqual(detectDistractors('The code is 15608.', '15609', ['15608', '15607']), { distracted: true, values: ['15608'] });
+  assert.deepEqual(detectDistractors('It was 15608, now 15609.', '15609', ['15608']), { distracted: false, values: ['15608'] });
+  assert.deepEqual(detectDistractors('No idea.', '15609', ['15608']), { distracted: false, values: [] });
+  // Fuzzy grading would accept 15608, but distractors are still spotted exactly
+  assert.equal(found('The code is 15608.', '15609', { mode: 'fuzzy', fuzzyThreshold: 0.2 }), true);
+  assert.equal(detectDistractors('The code is 15608.', '15609', ['15608'], { mode: 'fuzzy' }).distracted, true);
+  assert.equal(detectDistractors('fifteen thousand six hundred eight', '15609', ['15608'], { mode: 'normalized' }).distracted, true);
+});
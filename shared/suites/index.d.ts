@@ -0,0 +1,28 @@
+// One JSONL line, JSON array item or CSV row of a benchmark dataset
+export interface BenchmarkRecord {
+  label: string;
+  fields?: Record<string, unknown>;
+  error?: string;
+}
+
+export interface BenchmarkCase {
+  id: string;
+  name: string;
+  haystack: string;
+  needle: string;
+  exactMatch: string;
+  tags: string[];
+}
+
+export interface BenchmarkImport {
+  cases: BenchmarkCase[];
+  errors: string[];
+}
+
+export const MAX_SUITE_CASES: number;
+export const MAX_TAGS_PER_CASE: number;
+export const MAX_NAME_LENGTH: number;
+export const MAX_CASE_HAYSTACK_CHARS: number;
+
+export function nextCaseId(ids: Set<string>): string;
+export function mapBenchmarkRecords(records: BenchmarkRecord[], existing?: { id: string }[]): BenchmarkImport;
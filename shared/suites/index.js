@@ -0,0 +1,129 @@
+// Test suite limits and benchmark dataset mapping shared by the Needle in the Haystack server and client
+
+const MAX_SUITE_CASES = 500;
+const MAX_TAGS_PER_CASE = 10;
+const MAX_NAME_LENGTH = 100;
+const MAX_CASE_HAYSTACK_CHARS = 2000000;
+
+// Column names used by needle, RULER and LongBench style datasets, most specific first
+const HAYSTACK_FIELDS = ['haystack', 'context', 'document', 'passage', 'haystack_text'];
+const QUESTION_FIELDS = ['question', 'retrieval_question', 'query', 'input', 'needle', 'prompt'];
+const ANSWER_FIELDS = ['exactmatch', 'exact_match', 'answers', 'answer', 'outputs', 'output', 'expected', 'target'];
+const ID_FIELDS = ['id', '_id', 'index'];
+const TAG_FIELDS = ['tags', 'dataset', 'task', 'category'];
+
+// Field lookup that ignores the case of column names
+function fieldLookup(fields) {
+  return new Map(Object.keys(fields).map(key => [key.toLowerCase(), fields[key]]));
+}
+
+function pick(fields, names) {
+  const lookup = fieldLookup(fields);
+  const name = names.find(candidate => lookup.has(candidate) && lookup.get(candidate) !== null && lookup.get(candidate) !== '');
+  return name ? lookup.get(name) : undefined;
+}
+
+// Strings and numbers as-is; lists of passages are joined into one haystack
+function textOf(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join('\n\n');
+  return '';
+}
+
+// Answer lists (JSON arrays, also inside CSV cells) are graded on their first entry
+function answerOf(value) {
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return answerOf(JSON.parse(value));
+    } catch {
+      return value.trim();
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.map(answerOf).find(Boolean) || '';
+  }
+  return textOf(value);
+}
+
+// Dataset and task names become tags the leaderboard can break results down by
+function tagsOf(fields) {
+  const lookup = fieldLookup(fields);
+  const raw = TAG_FIELDS.flatMap(name => {
+    const value = lookup.get(name);
+    if (Array.isArray(value)) return value.map(String);
+    return typeof value === 'string' || typeof value === 'number' ? String(value).split(',') : [];
+  });
+  const tags = raw
+    .map(tag => tag.trim().toLowerCase().replace(/[^a-z0-9 _-]+/g, '-').slice(0, 30).replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''))
+    .filter(Boolean);
+  return Array.from(new Set(tags)).slice(0, MAX_TAGS_PER_CASE);
+}
+
+function nextCaseId(ids) {
+  let next = ids.size + 1;
+  while (ids.has(`case-${next}`)) next++;
+  return `case-${next}`;
+}
+
+// Maps dataset records ({ label, fields } or { label, error }) onto suite cases (haystack / needle question /
+// exact match) after the existing ones, collecting an error per rejected row
+function mapBenchmarkRecords(records, existing = []) {
+  const ids = new Set(existing.map(entry => entry.id));
+  const capacity = MAX_SUITE_CASES - existing.length;
+  const cases = [];
+  const errors = [];
+  let overflow = 0;
+
+  records.forEach(({ label, fields, error }) => {
+    if (error || !fields) {
+      errors.push(`${label}: ${error || 'empty row'}`);
+      return;
+    }
+
+    const haystack = textOf(pick(fields, HAYSTACK_FIELDS));
+    const needle = textOf(pick(fields, QUESTION_FIELDS));
+    const exactMatch = answerOf(pick(fields, ANSWER_FIELDS));
+    const missing = [
+      ...(!haystack ? ['context'] : []),
+      ...(!needle ? ['question'] : []),
+      ...(!exactMatch ? ['answer'] : [])
+    ];
+    if (missing.length > 0) {
+      errors.push(`${label}: missing ${missing.join(', ')}`);
+      return;
+    }
+    if (haystack.length > MAX_CASE_HAYSTACK_CHARS) {
+      errors.push(`${label}: context is longer than ${MAX_CASE_HAYSTACK_CHARS.toLocaleString()} characters`);
+      return;
+    }
+
+    const id = textOf(pick(fields, ID_FIELDS)).slice(0, MAX_NAME_LENGTH);
+    if (id && ids.has(id)) {
+      errors.push(`${label}: duplicate case id "${id}"`);
+      return;
+    }
+    if (cases.length >= capacity) {
+      overflow++;
+      return;
+    }
+
+    const caseId = id || nextCaseId(ids);
+    ids.add(caseId);
+    cases.push({ id: caseId, name: needle.slice(0, MAX_NAME_LENGTH), haystack, needle, exactMatch, tags: tagsOf(fields) });
+  });
+
+  if (overflow > 0) {
+    errors.push(`${overflow} more row(s) not imported: suites are limited to ${MAX_SUITE_CASES} cases`);
+  }
+  return { cases, errors };
+}
+
+module.exports = {
+  MAX_SUITE_CASES,
+  MAX_TAGS_PER_CASE,
+  MAX_NAME_LENGTH,
+  MAX_CASE_HAYSTACK_CHARS,
+  nextCaseId,
+  mapBenchmarkRecords
+};
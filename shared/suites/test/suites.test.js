@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapBenchmarkRecords, nextCaseId, MAX_SUITE_CASES, MAX_CASE_HAYSTACK_CHARS } = require('..');
+
+const record = (fields, label = 'Line 1') => ({ label, fields });
+
+test('context / question / answers[]: the first answer is the exact match', () => {
+  const { cases, errors } = mapBenchmarkRecords([
+    record({ context: 'The capital of France is Paris.', question: 'What is the capital of France?', answers: ['Paris', 'paris, France'] })
+  ]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(cases, [{
+    id: 'case-1',
+    name: 'What is the capital of France?',
+    haystack: 'The capital of France is Paris.',
+    needle: 'What is the capital of France?',
+    exactMatch: 'Paris',
+    tags: []
+  }]);
+});
+
+test('LongBench layout: _id, input, answers[] and dataset as a tag', () => {
+  const { cases, errors } = mapBenchmarkRecords([
+    record({ _id: 'lb-7', context: 'Passage one.', input: 'Who wrote it?', answers: ['', 'Austen'], dataset: 'HotpotQA', length: 3 })
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(cases[0].id, 'lb-7');
+  assert.equal(cases[0].needle, 'Who wrote it?');
+  assert.equal(cases[0].exactMatch, 'Austen');
+  assert.deepEqual(cases[0].tags, ['hotpotqa']);
+});
+
+test('needle layout: haystack, needle, exactMatch and comma-separated tags', () => {
+  const { cases } = mapBenchmarkRecords([
+    record({ haystack: 'The code is 15609.', needle: 'What is the code?', exactMatch: 15609, tags: 'Numeric, code!' })
+  ]);
+  assert.equal(cases[0].exactMatch, '15609');
+  assert.deepEqual(cases[0].tags, ['numeric', 'code']);
+});
+
+test('CSV rows: column names ignore case and answer lists may be JSON text', () => {
+  const { cases, errors } = mapBenchmarkRecords([
+    record({ Context: 'The barn was built in 1921.', Question: 'When was the barn built?', Answers: '["1921", "in 1921"]' }, 'Row 2'),
+    record({ Context: 'Hay.', Question: 'What?', Answers: '[not json' }, 'Row 3')
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(cases[0].exactMatch, '1921');
+  assert.equal(cases[1].exactMatch, '[not json');
+});
+
+test('passage lists are joined into one haystack', () => {
+  const { cases } = mapBenchmarkRecords([record({ context: ['First passage.', '', 'Second passage.'], question: 'q', answer: 'a' })]);
+  assert.equal(cases[0].haystack, 'First passage.\n\nSecond passage.');
+});
+
+test('rejected rows are reported with their label and the rest are imported', () => {
+  const { cases, errors } = mapBenchmarkRecords([
+    { label: 'Line 1', error: 'invalid JSON' },
+    record({ context: 'Hay.', answers: [] }, 'Line 2'),
+    record({ context: 'x'.repeat(MAX_CASE_HAYSTACK_CHARS + 1), question: 'q', answer: 'a' }, 'Line 3'),
+    record({ context: 'Hay.', question: 'q', answer: 'a' }, 'Line 4')
+  ]);
+  assert.equal(cases.length, 1);
+  assert.deepEqual(errors, [
+    'Line 1: invalid JSON',
+    'Line 2: missing question, answer',
+    `Line 3: context is longer than ${MAX_CASE_HAYSTACK_CHARS.toLocaleString()} characters`
+  ]);
+});
+
+test('ids: duplicates are rejected and generated ids skip existing ones', () => {
+  const existing = [{ id: 'case-2' }, { id: 'q1' }];
+  const { cases, errors } = mapBenchmarkRecords([
+    record({ id: 'q1', context: 'Hay.', question: 'q', answer: 'a' }, 'Line 1'),
+    record({ context: 'Hay.', question: 'q', answer: 'a' }, 'Line 2')
+  ], existing);
+  assert.deepEqual(errors, ['Line 1: duplicate case id "q1"']);
+  assert.equal(cases[0].id, 'case-3');
+  assert.equal(nextCaseId(new Set(['case-1', 'case-2'])), 'case-3');
+});
+
+test('rows past the suite limit are counted, not imported', () => {
+  const existing = Array.from({ length: MAX_SUITE_CASES - 1 }, (_, index) => ({ id: `old-${index}` }));
+  const rows = [1, 2, 3].map(index => record({ context: 'Hay.', question: 'q', answer: 'a' }, `Line ${index}`));
+  const { cases, errors } = mapBenchmarkRecords(rows, existing);
+  assert.equal(cases.length, 1);
+  assert.deepEqual(errors, [`2 more row(s) not imported: suites are limited to ${MAX_SUITE_CASES} cases`]);
+});